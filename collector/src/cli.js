@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { ConfigError, loadEndpoints, loadSettings } from './config.js';
+import { buildEntry, EMPTY_THROUGHPUT } from './entry.js';
+import { log } from './log.js';
+import { runCurl, runDns, runMtr, runPing, runSpeedtest } from './measurements.js';
+import { fetchEndpoints } from './remote-config.js';
+import { appendEntry, listBuffers, removeBuffer, writeBuffer } from './store.js';
+import { measureThroughput } from './throughput.js';
+import { upload } from './upload.js';
+
+// Endpoints are measured one after another so they do not skew each other
+async function each(endpoints, measure) {
+	const results = [];
+	for (const endpoint of endpoints) results.push(await measure(endpoint));
+	return results;
+}
+
+async function main() {
+	const startTime = Date.now();
+	const timestamp = new Date(startTime).toISOString().replace(/\.\d{3}Z$/, 'Z');
+	const requestId = `req_${Math.floor(startTime / 1000)}_${process.pid}`;
+
+	let settings;
+	let endpoints;
+	try {
+		settings = loadSettings();
+		endpoints = settings.skipRemoteConfig ? null : await fetchEndpoints(settings);
+		if (!endpoints) {
+			log.info(`Endpoints: ${settings.configFile}`);
+			endpoints = await loadEndpoints(settings.configFile);
+		}
+	} catch (error) {
+		if (!(error instanceof ConfigError)) throw error;
+		log.error(error.message);
+		process.exitCode = 1;
+		return;
+	}
+
+	log.info(`Starting network quality test (probe: ${settings.probe.id})`);
+	log.debug(`Request ID: ${requestId}`);
+
+	log.info(`[1/6] Throughput test (${settings.throughputUrl})...`);
+	const networkquality = settings.skipThroughput ? EMPTY_THROUGHPUT : await measureThroughput(settings);
+	if (settings.skipThroughput) log.info('  Skipped');
+
+	log.info('[2/6] Speedtest...');
+	const speedtest = await runSpeedtest();
+
+	log.info(`[3/6] Ping tests (${endpoints.ping.length})...`);
+	const pingResults = await each(endpoints.ping, runPing);
+
+	log.info(`[4/6] cURL tests (${endpoints.curl.length})...`);
+	const curlResults = await each(endpoints.curl, runCurl);
+
+	log.info(`[5/6] DNS tests (${endpoints.dns.length})...`);
+	const dnsResults = await each(endpoints.dns, runDns);
+
+	log.info(`[6/6] MTR tests (${endpoints.mtr.length})${settings.skipMtr ? ' - skipped' : ''}...`);
+	const mtrResults = await each(endpoints.mtr, (endpoint) => runMtr(endpoint, { skip: settings.skipMtr, sudo: settings.mtrSudo }));
+
+	const entry = buildEntry({
+		timestamp,
+		probe: settings.probe,
+		annotation: settings.annotation,
+		networkquality,
+		speedtest,
+		ping: pingResults,
+		curl: curlResults,
+		mtr: mtrResults,
+		dns: dnsResults,
+	});
+
+	const logFile = await appendEntry(settings.dataDir, entry);
+	log.info(`Saved to ${logFile}`);
+
+	const buffers = await listBuffers(settings.dataDir);
+	if (buffers.length > 0) {
+		log.info('Flushing buffers...');
+		for (const file of buffers) {
+			log.info(`Uploading: ${file.split(/[\\/]/).pop()}`);
+			if (await upload(settings, await readFile(file, 'utf8'), requestId)) {
+				await removeBuffer(file);
+				log.info('Buffer cleared');
+			}
+		}
+	}
+
+	log.info('Uploading current data...');
+	const body = JSON.stringify([entry]);
+	if (!(await upload(settings, body, requestId))) {
+		log.error(`Upload failed, buffered to: ${await writeBuffer(settings.dataDir, body)}`);
+		log.warn('Upload failed but data saved locally');
+	}
+
+	log.info(`Complete (runtime: ${Math.round((Date.now() - startTime) / 1000)}s)`);
+}
+
+main().catch((error) => {
+	log.error(`Fatal: ${error.stack ?? error.message}`);
+	process.exitCode = 1;
+});
@@ -0,0 +1,122 @@
+import { readFile } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const COLLECTOR_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const PROBE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const API_KEY_PATTERN = /^key_[0-9a-f]{16}\.[0-9a-f]+$/;
+const ENDPOINT_ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+// Fields each endpoint kind of endpoints.config.json needs besides id and name
+const ENDPOINT_FIELDS = {
+	ping: ['host'],
+	curl: ['host'],
+	mtr: ['host'],
+	dns: ['domain', 'resolver'],
+};
+
+export class ConfigError extends Error {}
+
+function defaultProbeId() {
+	return hostname()
+		.split('.')[0]
+		.toLowerCase()
+		.replace(/[^a-z0-9._-]/g, '-');
+}
+
+function positiveNumber(value, fallback, name) {
+	if (value === undefined || value === '') return fallback;
+	const number = Number(value);
+	if (!Number.isFinite(number) || number <= 0) throw new ConfigError(`${name} must be a positive number`);
+	return number;
+}
+
+// Mirrors the probe object of isp-speed.sh: empty fields are left out
+function buildProbe(env) {
+	const probe = {
+		id: env.PROBE_ID || defaultProbeId(),
+		name: env.PROBE_NAME,
+		isp: env.PROBE_ISP,
+		location: env.PROBE_LOCATION,
+		connection_type: env.PROBE_CONNECTION_TYPE,
+	};
+	for (const [field, value] of Object.entries(probe)) {
+		if (!value) delete probe[field];
+	}
+
+	const interval = env.PROBE_INTERVAL_SECONDS ?? '3600';
+	if (/^[0-9]+$/.test(interval)) probe.interval_seconds = Number(interval);
+
+	if (!PROBE_ID_PATTERN.test(probe.id)) {
+		throw new ConfigError(`PROBE_ID "${probe.id}" must be lowercase letters, digits, ".", "_" or "-" (max 64 characters)`);
+	}
+	return probe;
+}
+
+// Settings come from the same environment variables as isp-speed.sh, plus the throughput ones
+export function loadSettings(env = process.env) {
+	const settings = {
+		uploadEndpoint: env.SPEED_TEST_ENDPOINT || 'https://logs.davidjktofan.com/upload',
+		apiKey: env.API_KEY || '',
+		accessClientId: env.CF_ACCESS_CLIENT_ID || '',
+		accessClientSecret: env.CF_ACCESS_CLIENT_SECRET || '',
+		configFile: env.CONFIG_FILE || resolve(COLLECTOR_DIR, '../local_script/endpoints.config.json'),
+		configUrl: env.CONFIG_URL || '',
+		skipRemoteConfig: env.SKIP_REMOTE_CONFIG === 'true',
+		dataDir: env.DATA_DIR || resolve(COLLECTOR_DIR, 'data'),
+		throughputUrl: env.THROUGHPUT_URL || 'https://speed.cloudflare.com',
+		throughputSeconds: positiveNumber(env.THROUGHPUT_SECONDS, 10, 'THROUGHPUT_SECONDS'),
+		throughputConnections: Math.round(positiveNumber(env.THROUGHPUT_CONNECTIONS, 4, 'THROUGHPUT_CONNECTIONS')),
+		skipThroughput: env.SKIP_THROUGHPUT === 'true',
+		skipMtr: env.SKIP_MTR === 'true',
+		// mtr needs root on macOS; Linux packages ship mtr-packet with the capability it needs
+		mtrSudo: (env.MTR_SUDO ?? String(process.platform === 'darwin')) === 'true',
+		annotation: env.ANNOTATION || '',
+		probe: buildProbe(env),
+	};
+
+	if (!API_KEY_PATTERN.test(settings.apiKey)) {
+		throw new ConfigError('API_KEY is missing or malformed (expected key_<id>.<secret>)');
+	}
+	for (const [name, value] of [
+		['SPEED_TEST_ENDPOINT', settings.uploadEndpoint],
+		['THROUGHPUT_URL', settings.throughputUrl],
+		...(settings.configUrl ? [['CONFIG_URL', settings.configUrl]] : []),
+	]) {
+		if (!URL.canParse(value)) throw new ConfigError(`${name} is not a valid URL: ${value}`);
+	}
+	// The Worker that receives uploads also serves the endpoint configuration
+	settings.configUrl ||= new URL('/api/config', settings.uploadEndpoint).href;
+	return settings;
+}
+
+// Checks a configuration in the format of endpoints.config.json; endpoint ids end up in metric names
+export function parseEndpoints(config) {
+	if (!config || typeof config !== 'object') throw new ConfigError('Config must be a JSON object');
+	const endpoints = {};
+	for (const [kind, fields] of Object.entries(ENDPOINT_FIELDS)) {
+		const list = config[kind] ?? [];
+		if (!Array.isArray(list)) throw new ConfigError(`"${kind}" must be an array`);
+		list.forEach((endpoint, index) => {
+			const missing = ['id', 'name', ...fields].filter((field) => typeof endpoint?.[field] !== 'string' || endpoint[field] === '');
+			if (missing.length > 0) throw new ConfigError(`${kind}[${index}] is missing ${missing.join(', ')}`);
+			if (!ENDPOINT_ID_PATTERN.test(endpoint.id)) {
+				throw new ConfigError(`${kind}[${index}].id "${endpoint.id}" must be lowercase letters, digits, "_" or "-"`);
+			}
+		});
+		endpoints[kind] = list;
+	}
+	return endpoints;
+}
+
+// Reads endpoints.config.json, shared with isp-speed.sh
+export async function loadEndpoints(file) {
+	let config;
+	try {
+		config = JSON.parse(await readFile(file, 'utf8'));
+	} catch (error) {
+		throw new ConfigError(error.code === 'ENOENT' ? `Config not found: ${file}` : `Invalid JSON in config file: ${error.message}`);
+	}
+	return parseEndpoints(config);
+}
@@ -0,0 +1,48 @@
+// The /upload entry of one run, built from the measurements. Nothing here imports Node modules, so the
+// Worker's tests can post what these functions build and check it against the upload schema.
+
+export const EMPTY_THROUGHPUT = { download_mbps: null, upload_mbps: null, responsiveness_rpm: null };
+export const EMPTY_SPEEDTEST = { download_mbps: null, upload_mbps: null, ping_ms: null, server_location: null, server_country: null };
+
+// Parses the summary lines of Linux (iputils, busybox) and macOS ping
+export function parsePing({ id, name, host }, output) {
+	const loss = output.match(/([\d.]+)% packet loss/);
+	const rtt = output.match(/([\d.]+)\/([\d.]+)\/([\d.]+)\/([\d.]+)/);
+
+	if (!loss) return { id, name, host };
+	if (!rtt) return { id, name, host, packet_loss_percent: Number(loss[1]) };
+
+	const [min, avg, max, stddev] = rtt.slice(1).map(Number);
+	return { id, name, host, packet_loss_percent: Number(loss[1]), rtt_ms: { min, avg, max, stddev } };
+}
+
+// Maps the hubs of `mtr --json` onto the hop fields of the schema; throws on output that is not an mtr report
+export function parseMtr({ id, name }, stdout) {
+	const { report } = JSON.parse(stdout);
+	const hops = report.hubs.map((hub) => ({
+		count: Number(hub.count),
+		host: hub.host,
+		loss_percent: hub['Loss%'],
+		sent: hub.Snt,
+		last_ms: hub.Last,
+		avg_ms: hub.Avg,
+		best_ms: hub.Best,
+		worst_ms: hub.Wrst,
+		stddev: hub.StDev,
+	}));
+	return { id, name, host: report.mtr.dst, hops };
+}
+
+export function buildEntry({ timestamp, probe, annotation, networkquality, speedtest, ping, curl, mtr, dns }) {
+	return {
+		timestamp,
+		probe,
+		networkquality,
+		speedtest,
+		ping_results: ping,
+		curl_results: curl,
+		mtr_results: mtr,
+		dns_results: dns,
+		...(annotation && { annotation }),
+	};
+}
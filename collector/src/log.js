@@ -0,0 +1,7 @@
+// Same prefixes as the shell collector, written to stderr
+export const log = {
+	info: (message) => console.error(`[INFO] ${message}`),
+	warn: (message) => console.error(`[WARN] ${message}`),
+	error: (message) => console.error(`[ERROR] ${message}`),
+	debug: (message) => process.env.DEBUG === 'true' && console.error(`[DEBUG] ${message}`),
+};
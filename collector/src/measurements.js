@@ -0,0 +1,156 @@
+import { execFile } from 'node:child_process';
+import { randomInt } from 'node:crypto';
+import dgram from 'node:dgram';
+import https from 'node:https';
+import { isIPv6 } from 'node:net';
+import { performance } from 'node:perf_hooks';
+import { EMPTY_SPEEDTEST, parseMtr, parsePing } from './entry.js';
+import { log } from './log.js';
+
+const PING_COUNT = 10;
+const HTTP_TIMEOUT_MS = 30000;
+const DNS_TIMEOUT_MS = 5000;
+const DNS_TRIES = 2;
+const MTR_CYCLES = 5;
+
+// Resolves with the output of a command; `missing` is set when it is not installed
+function run(command, args, timeout) {
+	return new Promise((resolve) => {
+		execFile(command, args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+			resolve({ failed: Boolean(error), missing: error?.code === 'ENOENT', stdout, stderr });
+		});
+	});
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export async function runSpeedtest() {
+	const { missing, failed, stdout } = await run('speedtest', ['--format=json', '--accept-license', '--accept-gdpr'], 180000);
+	if (missing) {
+		log.warn('  Skipped (not installed)');
+		return EMPTY_SPEEDTEST;
+	}
+
+	try {
+		const result = JSON.parse(stdout);
+		if (failed || typeof result.download?.bandwidth !== 'number') throw new Error('no bandwidth in output');
+		// Bandwidth is reported in bytes per second
+		const speedtest = {
+			download_mbps: round((result.download.bandwidth * 8) / 1e6, 2),
+			upload_mbps: round((result.upload.bandwidth * 8) / 1e6, 2),
+			ping_ms: result.ping?.latency ?? null,
+			server_location: result.server?.location ?? null,
+			server_country: result.server?.country ?? null,
+		};
+		log.info(`  Download: ${speedtest.download_mbps} Mbps | Upload: ${speedtest.upload_mbps} Mbps | Ping: ${speedtest.ping_ms} ms`);
+		return speedtest;
+	} catch (error) {
+		log.warn(`  Invalid JSON response (${error.message})`);
+		log.debug(`  Output: ${stdout.slice(0, 200)}`);
+		return EMPTY_SPEEDTEST;
+	}
+}
+
+export async function runPing(endpoint) {
+	// -W is the per-reply timeout: seconds on Linux, milliseconds on macOS
+	const timeout = process.platform === 'darwin' ? '5000' : '5';
+	const { stdout, stderr } = await run('ping', ['-c', String(PING_COUNT), '-W', timeout, endpoint.host], 120000);
+	const result = parsePing(endpoint, `${stdout}\n${stderr}`);
+
+	if (result.packet_loss_percent === undefined) log.warn(`  ${endpoint.name}: failed`);
+	else if (!result.rtt_ms) log.warn(`  ${endpoint.name}: incomplete data`);
+	else log.info(`  ${endpoint.name}: ${result.rtt_ms.avg}ms avg, ${result.packet_loss_percent}% loss`);
+	return result;
+}
+
+// Same fields as curl's time_namelookup, time_starttransfer and http_code, in seconds
+export function runCurl({ id, name, host }) {
+	return new Promise((resolve) => {
+		const start = performance.now();
+		let lookupDone = null;
+		let settled = false;
+		const request = https.get(`https://${host}`, { agent: false, timeout: HTTP_TIMEOUT_MS }, (response) => {
+			const ttfb = (performance.now() - start) / 1000;
+			const dns = lookupDone === null ? 0 : (lookupDone - start) / 1000;
+			settled = true;
+			// Only the first byte matters; the body is not downloaded
+			response.on('error', () => {});
+			request.destroy();
+			log.info(`  ${name}: ${round(ttfb, 6)}s TTFB, HTTP ${response.statusCode}`);
+			resolve({ id, name, host, dns_lookup_s: round(dns, 6), ttfb_s: round(ttfb, 6), http_code: String(response.statusCode) });
+		});
+		request.on('socket', (socket) => socket.once('lookup', () => (lookupDone = performance.now())));
+		request.on('timeout', () => request.destroy(new Error('timeout')));
+		request.on('error', (error) => {
+			if (settled) return;
+			log.warn(`  ${name}: failed (${error.message})`);
+			resolve({ id, name, host });
+		});
+	});
+}
+
+// Sends one A query over UDP and resolves with the time until the resolver's reply. Like dig, any reply counts,
+// including NXDOMAIN or no A records; only a missing reply rejects.
+function queryDns(domain, resolver) {
+	return new Promise((resolve, reject) => {
+		const id = randomInt(0x10000);
+		const header = Buffer.alloc(12);
+		header.writeUInt16BE(id, 0);
+		header.writeUInt16BE(0x0100, 2); // recursion desired
+		header.writeUInt16BE(1, 4); // one question
+		const labels = domain
+			.replace(/\.$/, '')
+			.split('.')
+			.map((label) => Buffer.concat([Buffer.from([Buffer.byteLength(label)]), Buffer.from(label)]));
+		const query = Buffer.concat([header, ...labels, Buffer.from([0, 0, 1, 0, 1])]); // root, QTYPE A, QCLASS IN
+
+		const socket = dgram.createSocket(isIPv6(resolver) ? 'udp6' : 'udp4');
+		const finish = (error, ms) => {
+			clearTimeout(timer);
+			socket.close();
+			if (error) reject(error);
+			else resolve(ms);
+		};
+		const timer = setTimeout(() => finish(Object.assign(new Error('timeout'), { code: 'ETIMEOUT' })), DNS_TIMEOUT_MS);
+		socket.on('error', (error) => finish(error));
+		socket.on('message', (message) => {
+			if (message.length >= 12 && message.readUInt16BE(0) === id) finish(null, performance.now() - start);
+		});
+		const start = performance.now();
+		socket.send(query, 53, resolver);
+	});
+}
+
+export async function runDns({ id, name, domain, resolver }) {
+	const result = { id, name, domain, resolver };
+	for (let attempt = 1; attempt <= DNS_TRIES; attempt++) {
+		try {
+			result.query_time_ms = Math.round(await queryDns(domain, resolver));
+			log.info(`  ${name}: ${result.query_time_ms}ms`);
+			return result;
+		} catch (error) {
+			// Without a reply there is no query time, as with dig
+			if (attempt === DNS_TRIES) log.warn(`  ${name}: failed (${error.code ?? error.message})`);
+		}
+	}
+	return result;
+}
+
+export async function runMtr({ id, name, host }, { skip, sudo }) {
+	const empty = { id, name, host, hops: [] };
+	if (skip) return empty;
+
+	const args = ['--json', '-n', '-c', String(MTR_CYCLES), host];
+	const { missing, failed, stdout } = await run(sudo ? 'sudo' : 'mtr', sudo ? ['-n', 'mtr', ...args] : args, 120000);
+	if (missing) return empty;
+
+	try {
+		if (failed) throw new Error('mtr exited with an error');
+		const result = parseMtr({ id, name }, stdout);
+		log.info(`  ${name}: ${result.hops.length} hops`);
+		return result;
+	} catch (error) {
+		log.warn(`  ${name}: failed (${sudo ? 'needs sudo -n' : error.message})`);
+		return empty;
+	}
+}
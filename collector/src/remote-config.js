@@ -0,0 +1,62 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseEndpoints } from './config.js';
+import { log } from './log.js';
+import { signUpload } from './upload.js';
+
+const CACHE_FILE = 'endpoints.cache.json';
+const CONFIG_TIMEOUT_MS = 10000;
+
+async function readCache(file) {
+	try {
+		return JSON.parse(await readFile(file, 'utf8'));
+	} catch {
+		return null;
+	}
+}
+
+// Fetches the endpoints managed on the Worker (GET /api/config), signed with the upload key because the Worker only
+// returns the targets to collectors. The last copy is kept in DATA_DIR with its ETag, so an
+// unchanged configuration costs a 304, and it is used while the Worker cannot be reached.
+// Resolves with null when the Worker has no configuration and nothing is cached; the caller then reads CONFIG_FILE.
+export async function fetchEndpoints(settings) {
+	const cacheFile = join(settings.dataDir, CACHE_FILE);
+	const cache = await readCache(cacheFile);
+	const headers = { Accept: 'application/json', ...signUpload(settings.apiKey, '') };
+	if (cache?.etag) headers['If-None-Match'] = cache.etag;
+	if (settings.accessClientId) {
+		headers['CF-Access-Client-Id'] = settings.accessClientId;
+		headers['CF-Access-Client-Secret'] = settings.accessClientSecret;
+	}
+
+	try {
+		const response = await fetch(settings.configUrl, { headers, redirect: 'manual', signal: AbortSignal.timeout(CONFIG_TIMEOUT_MS) });
+		if (response.status === 304 && cache) {
+			log.info('Endpoints: Worker configuration (unchanged)');
+			return parseEndpoints(cache.config);
+		}
+		if (response.status === 200) {
+			const config = await response.json();
+			const endpoints = parseEndpoints(config);
+			await mkdir(settings.dataDir, { recursive: true });
+			await writeFile(cacheFile, JSON.stringify({ etag: response.headers.get('etag'), config }));
+			log.info('Endpoints: Worker configuration (updated)');
+			return endpoints;
+		}
+		// Nothing stored on the Worker: the local file is the configuration
+		if (response.status === 404) return null;
+		log.warn(`Endpoint configuration not available (HTTP ${response.status})`);
+	} catch (error) {
+		log.warn(`Endpoint configuration not available (${error.message})`);
+	}
+
+	if (!cache) return null;
+	try {
+		const endpoints = parseEndpoints(cache.config);
+		log.warn('Endpoints: cached Worker configuration');
+		return endpoints;
+	} catch (error) {
+		log.warn(`Ignoring cached endpoint configuration (${error.message})`);
+		return null;
+	}
+}
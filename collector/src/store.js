@@ -0,0 +1,42 @@
+import { appendFile, mkdir, readdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const LOG_FILE = 'network_quality_log.ndjson';
+const BUFFER_DIR = '.buffer';
+
+// One JSON entry per line: a run only appends, so the file never has to be read or rewritten.
+// `jq -s . network_quality_log.ndjson` turns it into the array isp-speed.sh keeps.
+export async function appendEntry(dataDir, entry) {
+	await mkdir(dataDir, { recursive: true });
+	const file = join(dataDir, LOG_FILE);
+	await appendFile(file, `${JSON.stringify(entry)}\n`);
+	return file;
+}
+
+// Failed upload bodies are kept as-is and sent again at the start of the next run
+export async function writeBuffer(dataDir, body) {
+	const dir = join(dataDir, BUFFER_DIR);
+	await mkdir(dir, { recursive: true });
+	const file = join(dir, `buffer_${Math.floor(Date.now() / 1000)}_${process.pid}.json`);
+	await writeFile(file, body);
+	return file;
+}
+
+// Oldest first, so a backlog is uploaded in the order it was collected
+export async function listBuffers(dataDir) {
+	const dir = join(dataDir, BUFFER_DIR);
+	try {
+		const files = await readdir(dir);
+		return files
+			.filter((file) => /^buffer_.*\.json$/.test(file))
+			.sort()
+			.map((file) => join(dir, file));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+export function removeBuffer(file) {
+	return rm(file, { force: true });
+}
@@ -0,0 +1,162 @@
+import http from 'node:http';
+import https from 'node:https';
+import { performance } from 'node:perf_hooks';
+import { EMPTY_THROUGHPUT } from './entry.js';
+import { log } from './log.js';
+
+// The target speaks the speed.cloudflare.com protocol: GET /__down?bytes=N returns N bytes, POST /__up discards the body
+const DOWNLOAD_REQUEST_BYTES = 25_000_000;
+const UPLOAD_REQUEST_BYTES = 25_000_000;
+const UPLOAD_CHUNK = Buffer.alloc(64 * 1024);
+// TCP slow start is left out of the rate: bytes only count after this share of the test (at most one second)
+const WARMUP_SHARE = 0.2;
+const MAX_WARMUP_MS = 1000;
+const LATENCY_PROBE_INTERVAL_MS = 250;
+const LATENCY_PROBE_TIMEOUT_MS = 5000;
+
+function clientFor(url) {
+	return url.protocol === 'https:' ? https : http;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function median(values) {
+	const sorted = [...values].sort((a, b) => a - b);
+	return sorted[Math.floor(sorted.length / 2)];
+}
+
+// One download request; resolves with whether it completed, once its connection is released
+function downloadOnce(url, agent, deadline, onBytes) {
+	return new Promise((resolve) => {
+		let completed = false;
+		const request = clientFor(url).get(url, { agent }, (response) => {
+			if (response.statusCode !== 200) {
+				log.debug(`  Download target returned HTTP ${response.statusCode}`);
+				request.destroy();
+				return;
+			}
+			response.on('data', (chunk) => {
+				onBytes(chunk.length);
+				if (performance.now() >= deadline) request.destroy();
+			});
+			response.on('end', () => (completed = true));
+			response.on('error', () => {});
+		});
+		request.on('error', (error) => log.debug(`  Download request: ${error.message}`));
+		request.on('close', () => resolve(completed));
+	});
+}
+
+// One upload request, written until the request size or the deadline is reached
+function uploadOnce(url, agent, deadline, onBytes) {
+	return new Promise((resolve) => {
+		let completed = false;
+		const request = clientFor(url).request(
+			url,
+			{ method: 'POST', agent, headers: { 'Content-Type': 'application/octet-stream' } },
+			(response) => {
+				completed = response.statusCode >= 200 && response.statusCode < 300;
+				if (!completed) log.debug(`  Upload target returned HTTP ${response.statusCode}`);
+				response.resume();
+			}
+		);
+		request.on('error', (error) => log.debug(`  Upload request: ${error.message}`));
+		request.on('close', () => resolve(completed));
+
+		let sent = 0;
+		const write = () => {
+			while (sent < UPLOAD_REQUEST_BYTES && performance.now() < deadline) {
+				sent += UPLOAD_CHUNK.length;
+				onBytes(UPLOAD_CHUNK.length);
+				if (!request.write(UPLOAD_CHUNK)) {
+					request.once('drain', write);
+					return;
+				}
+			}
+			request.end();
+		};
+		write();
+	});
+}
+
+// Runs `transfer` on parallel connections for the test duration and returns the rate after the warm-up in Mbps
+async function measureRate(url, transfer, { seconds, connections }) {
+	const agent = new (clientFor(url).Agent)({ keepAlive: true, maxSockets: connections });
+	const start = performance.now();
+	const deadline = start + seconds * 1000;
+	const countFrom = start + Math.min(seconds * 1000 * WARMUP_SHARE, MAX_WARMUP_MS);
+	let bytes = 0;
+	const onBytes = (count) => {
+		if (performance.now() >= countFrom) bytes += count;
+	};
+
+	try {
+		await Promise.all(
+			Array.from({ length: connections }, async () => {
+				while (performance.now() < deadline && (await transfer(url, agent, deadline, onBytes)));
+			})
+		);
+	} finally {
+		agent.destroy();
+	}
+
+	const elapsed = (performance.now() - countFrom) / 1000;
+	return bytes > 0 && elapsed > 0 ? Math.round(((bytes * 8) / elapsed / 1e6) * 100) / 100 : null;
+}
+
+// Collects round trips of empty requests on their own connection into `samples` while `loaded` saturates the link
+async function measureLoadedLatency(url, loaded, samples) {
+	const agent = new (clientFor(url).Agent)({ keepAlive: true, maxSockets: 1 });
+	let running = true;
+
+	const probe = () =>
+		new Promise((resolve) => {
+			const start = performance.now();
+			const request = clientFor(url).get(url, { agent, timeout: LATENCY_PROBE_TIMEOUT_MS }, (response) => {
+				response.resume();
+				response.on('end', () => resolve(response.statusCode === 200 ? performance.now() - start : null));
+			});
+			request.on('timeout', () => request.destroy(new Error('timeout')));
+			request.on('error', () => resolve(null));
+		});
+
+	const probing = (async () => {
+		// The first probe pays for the TCP and TLS handshakes and is not counted
+		await probe();
+		while (running) {
+			const latency = await probe();
+			if (latency !== null) samples.push(latency);
+			await sleep(LATENCY_PROBE_INTERVAL_MS);
+		}
+	})();
+
+	try {
+		return await loaded;
+	} finally {
+		running = false;
+		await probing;
+		agent.destroy();
+	}
+}
+
+// Download and upload rate plus responsiveness, reported in the networkquality fields of the upload payload.
+// Responsiveness follows the idea of Apple's RPM: round trips per minute while the download keeps the link busy.
+export async function measureThroughput({ throughputUrl, throughputSeconds, throughputConnections }) {
+	const options = { seconds: throughputSeconds, connections: throughputConnections };
+	const downloadUrl = new URL(`/__down?bytes=${DOWNLOAD_REQUEST_BYTES}`, throughputUrl);
+	const uploadUrl = new URL('/__up', throughputUrl);
+	const probeUrl = new URL('/__down?bytes=0', throughputUrl);
+
+	try {
+		const latencies = [];
+		const download = await measureLoadedLatency(probeUrl, measureRate(downloadUrl, downloadOnce, options), latencies);
+		const upload = await measureRate(uploadUrl, uploadOnce, options);
+		const responsiveness = latencies.length > 0 ? Math.round(60000 / median(latencies)) : null;
+
+		log.info(`  Download: ${download ?? 'n/a'} Mbps | Upload: ${upload ?? 'n/a'} Mbps | RPM: ${responsiveness ?? 'n/a'}`);
+		return { download_mbps: download, upload_mbps: upload, responsiveness_rpm: responsiveness };
+	} catch (error) {
+		log.warn(`  Test failed: ${error.message}`);
+		return EMPTY_THROUGHPUT;
+	}
+}
@@ -0,0 +1,94 @@
+import { createHmac, randomBytes } from 'node:crypto';
+import { log } from './log.js';
+
+const MAX_UPLOAD_RETRIES = 3;
+const INITIAL_BACKOFF_MS = 2000;
+const UPLOAD_TIMEOUT_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Signs "<timestamp>\n<nonce>\n<body>" with the key's secret as the HMAC key, like sign_upload in isp-speed.sh
+export function signUpload(apiKey, body) {
+	const [keyId, secret] = apiKey.split('.');
+	const timestamp = String(Math.floor(Date.now() / 1000));
+	const nonce = randomBytes(16).toString('hex');
+	const signature = createHmac('sha256', secret).update(`${timestamp}\n${nonce}\n${body}`).digest('hex');
+	return { 'X-Key-Id': keyId, 'X-Timestamp': timestamp, 'X-Nonce': nonce, 'X-Signature': signature };
+}
+
+function logUploadResult(text) {
+	try {
+		const result = JSON.parse(text);
+		log.info(`Upload response: inserted ${result.inserted}, duplicates ${result.duplicates}, invalid ${result.invalid}`);
+		for (const entry of result.results ?? []) {
+			if (entry.status !== 'invalid') continue;
+			const errors = (entry.errors ?? []).map((error) => `${error.path}: ${error.message}`).join('; ');
+			log.warn(`Entry ${entry.index} dropped: ${errors}`);
+		}
+	} catch {
+		log.info(`Upload response: ${text.slice(0, 100)}`);
+	}
+}
+
+// Posts a JSON array of entries; resolves with whether the Worker accepted it
+export async function upload(settings, body, requestId) {
+	const url = new URL(settings.uploadEndpoint);
+	// Partial mode stores the valid entries of a batch, so one bad buffered entry cannot block the rest
+	url.searchParams.set('mode', 'partial');
+	let backoff = INITIAL_BACKOFF_MS;
+
+	for (let attempt = 1; attempt <= MAX_UPLOAD_RETRIES; attempt++) {
+		log.info(`Upload attempt ${attempt}/${MAX_UPLOAD_RETRIES}`);
+
+		// Signed per attempt: every request needs a fresh timestamp and nonce
+		const headers = { 'Content-Type': 'application/json', 'X-Request-ID': requestId, ...signUpload(settings.apiKey, body) };
+		if (settings.accessClientId) {
+			headers['CF-Access-Client-Id'] = settings.accessClientId;
+			headers['CF-Access-Client-Secret'] = settings.accessClientSecret;
+		}
+
+		let status = 0;
+		let text = '';
+		try {
+			// Redirects are not followed: Access answers unauthenticated requests with one
+			const response = await fetch(url, {
+				method: 'POST',
+				headers,
+				body,
+				redirect: 'manual',
+				signal: AbortSignal.timeout(UPLOAD_TIMEOUT_MS),
+			});
+			status = response.status;
+			text = await response.text();
+		} catch (error) {
+			log.warn(`Upload request failed: ${error.message}`);
+		}
+		log.debug(`HTTP ${status} | Body: ${text.slice(0, 100)}`);
+
+		if (status === 200) {
+			log.info(`Response code ${status}`);
+			logUploadResult(text);
+			log.info('Upload successful');
+			return true;
+		}
+		if (status === 409) {
+			log.warn('Duplicate entry');
+			return true;
+		}
+		if (status === 401 || status === 403) {
+			log.error(`Upload rejected (HTTP ${status}): ${text}`);
+			log.error(`Check API_KEY and that it was issued for probe ${settings.probe.id}`);
+			return false;
+		}
+		if (status >= 300 && status < 400) {
+			log.error('Redirect detected - authentication may be required');
+			log.error('Check SPEED_TEST_ENDPOINT and Cloudflare Access configuration');
+		} else if (status !== 0) {
+			log.warn(`Upload failed: HTTP ${status}`);
+		}
+
+		if (attempt < MAX_UPLOAD_RETRIES) await sleep(backoff);
+		backoff *= 2;
+	}
+	return false;
+}
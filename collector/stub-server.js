@@ -0,0 +1,126 @@
+// Local stand-in for the Worker and the throughput target, for trying the collector without either:
+//   PORT=8788 STUB_FAIL=2 node stub-server.js
+//   SPEED_TEST_ENDPOINT=http://localhost:8788/upload THROUGHPUT_URL=http://localhost:8788 node src/cli.js
+import { createHash, createHmac } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT || 8788);
+// Checks signatures when set to the collector's API_KEY
+const API_KEY = process.env.STUB_API_KEY || '';
+// The first N uploads answer 503, to exercise retries and buffering
+let failuresLeft = Number(process.env.STUB_FAIL || 0);
+// Served at /api/config when set to an endpoints.config.json; otherwise /api/config answers 404 like an empty Worker
+const CONFIG_FILE = process.env.STUB_CONFIG || '';
+
+const CHUNK = Buffer.alloc(64 * 1024);
+const RESULT_FIELDS = ['ping_results', 'curl_results', 'mtr_results', 'dns_results'];
+const seen = new Set();
+
+function send(response, status, body) {
+	response.writeHead(status, { 'Content-Type': 'application/json' });
+	response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		request.on('data', (chunk) => chunks.push(chunk));
+		request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		request.on('error', reject);
+	});
+}
+
+function verifySignature(headers, body) {
+	const [keyId, secret] = API_KEY.split('.');
+	if (headers['x-key-id'] !== keyId) return 'unknown key';
+	const expected = createHmac('sha256', secret).update(`${headers['x-timestamp']}\n${headers['x-nonce']}\n${body}`).digest('hex');
+	return headers['x-signature'] === expected ? null : 'signature mismatch';
+}
+
+// Shape checks only; test/collector.spec.ts posts collector entries to the Worker's real schema
+function checkEntry(entry, index) {
+	const errors = [];
+	if (typeof entry?.timestamp !== 'string' || Number.isNaN(Date.parse(entry.timestamp)))
+		errors.push({ path: `/${index}/timestamp`, message: 'must be an ISO timestamp' });
+	for (const field of RESULT_FIELDS) {
+		if (!Array.isArray(entry?.[field])) errors.push({ path: `/${index}/${field}`, message: 'must be an array' });
+	}
+	return errors;
+}
+
+async function handleUpload(request, response) {
+	const body = await readBody(request);
+	if (failuresLeft > 0) {
+		failuresLeft--;
+		console.log(`upload: failing on purpose (${failuresLeft} more)`);
+		return send(response, 503, { success: false, error: 'Stub failure' });
+	}
+	if (API_KEY) {
+		const reason = verifySignature(request.headers, body);
+		if (reason) return send(response, 401, { success: false, error: 'Unauthorized', details: reason });
+	}
+
+	let entries;
+	try {
+		entries = JSON.parse(body);
+	} catch {
+		return send(response, 400, { success: false, error: 'Invalid JSON in request body' });
+	}
+	if (!Array.isArray(entries) || entries.length === 0)
+		return send(response, 400, { success: false, error: 'Request body must be a non-empty array' });
+
+	const results = entries.map((entry, index) => {
+		const errors = checkEntry(entry, index);
+		if (errors.length > 0) return { index, status: 'invalid', errors };
+		const probeId = entry.probe?.id ?? 'default';
+		const key = `${probeId}|${entry.timestamp}`;
+		if (seen.has(key)) return { index, status: 'duplicate', probe_id: probeId, timestamp: entry.timestamp };
+		seen.add(key);
+		return { index, status: 'inserted', probe_id: probeId, timestamp: entry.timestamp };
+	});
+	for (const [index, entry] of entries.entries()) {
+		console.log(`upload: ${results[index].status} ${JSON.stringify(entry).slice(0, 400)}`);
+	}
+
+	const count = (status) => results.filter((result) => result.status === status).length;
+	send(response, 200, { success: true, inserted: count('inserted'), duplicates: count('duplicate'), invalid: count('invalid'), results });
+}
+
+const server = http.createServer((request, response) => {
+	const url = new URL(request.url, 'http://localhost');
+
+	if (request.method === 'GET' && url.pathname === '/__down') {
+		let remaining = Math.max(0, Number(url.searchParams.get('bytes')) || 0);
+		response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': remaining });
+		const write = () => {
+			while (remaining > 0) {
+				const chunk = remaining >= CHUNK.length ? CHUNK : CHUNK.subarray(0, remaining);
+				remaining -= chunk.length;
+				if (!response.write(chunk)) return response.once('drain', write);
+			}
+			response.end();
+		};
+		return write();
+	}
+	if (request.method === 'POST' && url.pathname === '/__up') {
+		request.resume();
+		return request.on('end', () => send(response, 200, { success: true }));
+	}
+	if (request.method === 'GET' && url.pathname === '/api/config') {
+		if (!CONFIG_FILE) return send(response, 404, { success: false, error: 'No endpoint configuration stored' });
+		// Read per request, so edits show up as a new ETag
+		const body = readFileSync(CONFIG_FILE, 'utf8');
+		const etag = `"${createHash('sha256').update(body).digest('hex').slice(0, 32)}"`;
+		const notModified = request.headers['if-none-match'] === etag;
+		console.log(`config: ${notModified ? '304' : '200'} ${etag}`);
+		response.writeHead(notModified ? 304 : 200, { 'Content-Type': 'application/json', ETag: etag });
+		return response.end(notModified ? undefined : body);
+	}
+	if (request.method === 'POST' && url.pathname === '/upload') {
+		return handleUpload(request, response).catch((error) => send(response, 500, { success: false, error: error.message }));
+	}
+	send(response, 404, { success: false, error: 'Not found' });
+});
+
+server.listen(PORT, () => console.log(`Stub listening on http://localhost:${PORT}`));
@@ -0,0 +1,102 @@
+#!/bin/bash
+
+# ASN Import - loads a prefix-to-ASN table into D1 through /api/admin/asn for MTR hop enrichment
+# Requires: jq, curl, awk, split
+# Usage: ADMIN_TOKEN=... ./import-asn.sh <prefix file> [AS names file]
+#   prefix file:   "prefix,asn,org" lines, or RouteViews pfx2as ("address<TAB>length<TAB>asn")
+#   AS names file: optional "asn name" lines (e.g. RIPE asn.txt) that fill in missing organisation names
+
+set -euo pipefail
+
+PREFIX_FILE="${1:-}"
+NAMES_FILE="${2:-}"
+ASN_ENDPOINT=${ASN_ENDPOINT:-"https://logs.davidjktofan.com/api/admin/asn"}
+ADMIN_TOKEN=${ADMIN_TOKEN:-}
+# Clear the table before importing, so prefixes dropped from the dataset disappear
+REPLACE=${REPLACE:-false}
+BATCH_SIZE=5000
+
+log_info() { echo "[INFO] $*" >&2; }
+log_warn() { echo "[WARN] $*" >&2; }
+log_error() { echo "[ERROR] $*" >&2; }
+
+if [ -z "$ADMIN_TOKEN" ]; then
+    log_error "ADMIN_TOKEN is required"
+    exit 1
+fi
+
+if [ -z "$PREFIX_FILE" ] || [ ! -f "$PREFIX_FILE" ]; then
+    log_error "Prefix file not found: ${PREFIX_FILE:-<none>}"
+    exit 1
+fi
+
+if [ -n "$NAMES_FILE" ] && [ ! -f "$NAMES_FILE" ]; then
+    log_error "AS names file not found: $NAMES_FILE"
+    exit 1
+fi
+
+# Rewrites either input format to "prefix<TAB>asn<TAB>org"; tabs keep commas in organisation names intact
+normalize() {
+    awk -v names="$NAMES_FILE" '
+        BEGIN {
+            if (names != "") {
+                while ((getline line < names) > 0) {
+                    asn = line; sub(/[^0-9].*/, "", asn)
+                    sub(/^[0-9]+[ \t]+/, "", line)
+                    if (asn != "") org[asn] = line
+                }
+            }
+        }
+        /^#/ || NF == 0 { next }
+        {
+            n = index($0, "\t") ? split($0, f, "\t") : split($0, f, ",")
+            if (n >= 3 && f[1] !~ /\// && f[2] ~ /^[0-9]+$/) {
+                prefix = f[1] "/" f[2]; asn = f[3]; name = ""
+            } else {
+                prefix = f[1]; asn = f[2]; name = f[3]
+                for (i = 4; i <= n; i++) name = name "," f[i]
+            }
+            first = asn; sub(/^AS/, "", first); sub(/[_,].*/, "", first)
+            if (name == "" && (first in org)) name = org[first]
+            print prefix "\t" asn "\t" name
+        }' "$PREFIX_FILE"
+}
+
+api() {
+    local method=$1 file=${2:-}
+    local args=(-s -X "$method" "$ASN_ENDPOINT" -H "Authorization: Bearer $ADMIN_TOKEN" -w "\n%{http_code}" --max-time 120)
+    [ -n "$file" ] && args+=(-H "Content-Type: text/plain" --data-binary "@$file")
+    curl "${args[@]}" || true
+}
+
+tmp_dir=$(mktemp -d)
+trap 'rm -rf "$tmp_dir"' EXIT
+
+normalize | split -l "$BATCH_SIZE" - "$tmp_dir/chunk."
+
+if [ "$REPLACE" = "true" ]; then
+    resp=$(api DELETE)
+    if [ "$(echo "$resp" | tail -1)" != "200" ]; then
+        log_error "Failed to clear prefixes: $(echo "$resp" | sed '$d' | head -c 200)"
+        exit 1
+    fi
+    log_info "Cleared $(echo "$resp" | sed '$d' | jq '.deleted') existing prefixes"
+fi
+
+imported=0 invalid=0
+for chunk in "$tmp_dir"/chunk.*; do
+    [ -f "$chunk" ] || continue
+    resp=$(api POST "$chunk")
+    code=$(echo "$resp" | tail -1)
+    body=$(echo "$resp" | sed '$d')
+    if [ "$code" != "200" ]; then
+        log_error "Batch $(basename "$chunk") failed: HTTP $code ${body:0:200}"
+        exit 1
+    fi
+
+    imported=$((imported + $(echo "$body" | jq '.imported')))
+    invalid=$((invalid + $(echo "$body" | jq '.invalid')))
+    echo "$body" | jq -r '.errors[] | "Line \(.line): \(.message)"' | while IFS= read -r line; do log_warn "$(basename "$chunk") $line"; done
+done
+
+log_info "Done: $imported prefixes imported, $invalid invalid"
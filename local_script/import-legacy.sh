@@ -0,0 +1,59 @@
+#!/bin/bash
+
+# Legacy Import - uploads a local network_quality_log.json (schema v1/v2/v3 entries) through /api/import
+# Requires: jq, curl
+# Usage: ADMIN_TOKEN=... ./import-legacy.sh [log file]
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+LOG_FILE="${1:-$SCRIPT_DIR/network_quality_log.json}"
+IMPORT_ENDPOINT=${IMPORT_ENDPOINT:-"https://logs.davidjktofan.com/api/import"}
+ADMIN_TOKEN=${ADMIN_TOKEN:-}
+# Probe that legacy entries (which carry no probe identity) are attributed to
+PROBE_ID=${PROBE_ID:-default}
+BATCH_SIZE=100
+
+log_info() { echo "[INFO] $*" >&2; }
+log_warn() { echo "[WARN] $*" >&2; }
+log_error() { echo "[ERROR] $*" >&2; }
+
+if [ -z "$ADMIN_TOKEN" ]; then
+    log_error "ADMIN_TOKEN is required"
+    exit 1
+fi
+
+if [ ! -f "$LOG_FILE" ]; then
+    log_error "Log file not found: $LOG_FILE"
+    exit 1
+fi
+
+total=$(jq 'length' "$LOG_FILE")
+log_info "Importing $total entries from $LOG_FILE as probe $PROBE_ID"
+
+inserted=0 duplicates=0 invalid=0
+for ((offset = 0; offset < total; offset += BATCH_SIZE)); do
+    resp=$(jq -c ".[$offset:$((offset + BATCH_SIZE))]" "$LOG_FILE" | curl -s -X POST "$IMPORT_ENDPOINT?probe=$PROBE_ID" \
+        -H "Content-Type: application/json" \
+        -H "Authorization: Bearer $ADMIN_TOKEN" \
+        --data-binary @- \
+        -w "\n%{http_code}" \
+        --max-time 60) || true
+
+    code=$(echo "$resp" | tail -1)
+    body=$(echo "$resp" | sed '$d')
+    if [ "$code" != "200" ]; then
+        log_error "Batch at offset $offset failed: HTTP $code ${body:0:200}"
+        exit 1
+    fi
+
+    inserted=$((inserted + $(echo "$body" | jq '.inserted')))
+    duplicates=$((duplicates + $(echo "$body" | jq '.duplicates')))
+    invalid=$((invalid + $(echo "$body" | jq '.invalid')))
+
+    echo "$body" | jq -r --argjson offset "$offset" '.results[] | select(.status == "invalid")
+        | "Entry \(.index + $offset) skipped: \([.errors[] | "\(.path): \(.message)"] | join("; "))"' \
+        | while IFS= read -r line; do log_warn "$line"; done
+done
+
+log_info "Done: $inserted inserted, $duplicates duplicates, $invalid invalid"
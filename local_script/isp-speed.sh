@@ -13,6 +13,8 @@ trap 'echo "[FATAL] Command failed: \"$last_command\" (exit $?) at line $LINENO"
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 CONFIG_FILE="${CONFIG_FILE:-$SCRIPT_DIR/endpoints.config.json}"
+CONFIG_CACHE="$SCRIPT_DIR/.endpoints.cache.json"
+CONFIG_CACHE_ETAG="$SCRIPT_DIR/.endpoints.cache.etag"
 LOG_FILE="$SCRIPT_DIR/network_quality_log.json"
 BUFFER_DIR="$SCRIPT_DIR/.buffer"
 TIMESTAMP=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
@@ -23,8 +25,28 @@ UPLOAD_ENDPOINT=${SPEED_TEST_ENDPOINT:-"https://logs.davidjktofan.com/upload"}
 MAX_UPLOAD_RETRIES=3
 INITIAL_BACKOFF=2
 SKIP_MTR=${SKIP_MTR:-false}
+# Endpoints managed on the Worker replace CONFIG_FILE; it is only read when the Worker has none stored
+CONFIG_URL=${CONFIG_URL:-"$(echo "$UPLOAD_ENDPOINT" | sed -E 's#^(https?://[^/]+).*#\1#')/api/config"}
+SKIP_REMOTE_CONFIG=${SKIP_REMOTE_CONFIG:-false}
 DEBUG=${DEBUG:-false}
 
+# Probe identity (lowercase letters, digits, ".", "_" and "-"; defaults to the short hostname)
+PROBE_ID=${PROBE_ID:-$(hostname -s | tr '[:upper:]' '[:lower:]' | tr -c 'a-z0-9._\n-' '-')}
+PROBE_NAME=${PROBE_NAME:-}
+PROBE_ISP=${PROBE_ISP:-}
+PROBE_LOCATION=${PROBE_LOCATION:-}
+PROBE_CONNECTION_TYPE=${PROBE_CONNECTION_TYPE:-}
+# How often this script is scheduled (cron/launchd), so the Worker can flag missed runs
+PROBE_INTERVAL_SECONDS=${PROBE_INTERVAL_SECONDS:-3600}
+# Optional free-text context sent with every run (e.g. "Wi-Fi" or "Ethernet"); the Worker annotates each change
+ANNOTATION=${ANNOTATION:-}
+
+# Upload key issued by the Worker for this probe ("key_<id>.<secret>", see README)
+API_KEY=${API_KEY:-}
+# Optional Cloudflare Access service token, only needed if Access also protects /upload
+CF_ACCESS_CLIENT_ID=${CF_ACCESS_CLIENT_ID:-}
+CF_ACCESS_CLIENT_SECRET=${CF_ACCESS_CLIENT_SECRET:-}
+
 # Logging
 log_info() { echo "[INFO] $*" >&2; }
 log_warn() { echo "[WARN] $*" >&2; }
@@ -34,7 +56,7 @@ log_debug() { [ "$DEBUG" = "true" ] && echo "[DEBUG] $*" >&2 || true; }
 # Dependency validation
 check_deps() {
     local missing=()
-    for cmd in jq bc curl dig; do
+    for cmd in jq bc curl dig openssl; do
         command -v "$cmd" >/dev/null 2>&1 || missing+=("$cmd")
     done
     
@@ -47,18 +69,88 @@ check_deps() {
     command -v networkQuality >/dev/null 2>&1 || log_warn "networkQuality not available (macOS only)"
     command -v speedtest >/dev/null 2>&1 || log_warn "speedtest-cli not installed (optional)"
     command -v mtr >/dev/null 2>&1 || log_warn "mtr not installed (optional)"
+    
+    if [[ ! "$API_KEY" =~ ^key_[0-9a-f]{16}\.[0-9a-f]+$ ]]; then
+        log_error "API_KEY is missing or malformed (expected key_<id>.<secret>)"
+        exit 1
+    fi
 }
 
 # Initialize
 log_info "Network Quality Logger"
 log_info "Request: $REQUEST_ID | Time: $TIMESTAMP"
-log_info "Config: $CONFIG_FILE"
+log_info "Probe: $PROBE_ID"
 
 check_deps
 
 mkdir -p "$BUFFER_DIR"
 [ ! -f "$LOG_FILE" ] && echo "[]" > "$LOG_FILE"
 
+# Signs "<timestamp>\n<nonce>\n<body>" with the key's secret as the HMAC key; prints the auth headers
+sign_upload() {
+    local file=$1 key_id=${API_KEY%%.*} secret=${API_KEY#*.}
+    local ts nonce signature
+    ts=$(date +%s)
+    nonce=$(openssl rand -hex 16)
+    signature=$( { printf '%s\n%s\n' "$ts" "$nonce"; cat "$file"; } | openssl dgst -sha256 -hmac "$secret" | awk '{print $NF}')
+    printf '%s\n' "X-Key-Id: $key_id" "X-Timestamp: $ts" "X-Nonce: $nonce" "X-Signature: $signature"
+}
+
+# Fetches GET /api/config, signed because the Worker only returns the targets to collectors. The last copy is kept
+# with its ETag, so an unchanged configuration costs a 304, and it is used while the Worker cannot be reached.
+# On success CONFIG_FILE points at the cached copy.
+fetch_remote_config() {
+    local headers=(-H "Accept: application/json") header
+    while IFS= read -r header; do
+        headers+=(-H "$header")
+    done < <(sign_upload /dev/null)
+    if [ -f "$CONFIG_CACHE" ] && [ -s "$CONFIG_CACHE_ETAG" ]; then
+        headers+=(-H "If-None-Match: $(cat "$CONFIG_CACHE_ETAG")")
+    fi
+    if [ -n "$CF_ACCESS_CLIENT_ID" ]; then
+        headers+=(-H "CF-Access-Client-Id: $CF_ACCESS_CLIENT_ID" -H "CF-Access-Client-Secret: $CF_ACCESS_CLIENT_SECRET")
+    fi
+
+    local body_file header_file code
+    body_file=$(mktemp)
+    header_file=$(mktemp)
+    code=$(curl -s -o "$body_file" -D "$header_file" -w "%{http_code}" --max-time 10 "${headers[@]}" "$CONFIG_URL" 2>/dev/null) || true
+    log_debug "Config HTTP $code"
+
+    case "$code" in
+        200)
+            if jq -e 'type == "object"' "$body_file" >/dev/null 2>&1; then
+                mv "$body_file" "$CONFIG_CACHE"
+                { grep -i '^etag:' "$header_file" || true; } | cut -d' ' -f2- | tr -d '\r' > "$CONFIG_CACHE_ETAG"
+                log_info "Endpoints: Worker configuration (updated)"
+                CONFIG_FILE="$CONFIG_CACHE"
+            else
+                log_warn "Endpoint configuration from the Worker is not valid JSON"
+            fi
+            ;;
+        304)
+            log_info "Endpoints: Worker configuration (unchanged)"
+            CONFIG_FILE="$CONFIG_CACHE"
+            ;;
+        404)
+            # Nothing stored on the Worker: the local file is the configuration
+            ;;
+        *)
+            log_warn "Endpoint configuration not available (HTTP ${code:-000})"
+            ;;
+    esac
+    rm -f "$body_file" "$header_file"
+
+    if [ "$CONFIG_FILE" != "$CONFIG_CACHE" ] && [ "$code" != "404" ] && [ -f "$CONFIG_CACHE" ]; then
+        log_warn "Endpoints: cached Worker configuration"
+        CONFIG_FILE="$CONFIG_CACHE"
+    fi
+}
+
+if [ "$SKIP_REMOTE_CONFIG" != "true" ]; then
+    fetch_remote_config
+fi
+
 # Validate config
 if [ ! -f "$CONFIG_FILE" ]; then
     log_error "Config not found: $CONFIG_FILE"
@@ -76,6 +168,7 @@ CURL_ENDPOINTS=$(jq -c '.curl // []' "$CONFIG_FILE")
 MTR_ENDPOINTS=$(jq -c '.mtr // []' "$CONFIG_FILE")
 DNS_ENDPOINTS=$(jq -c '.dns // []' "$CONFIG_FILE")
 
+log_info "Config: $CONFIG_FILE"
 log_info "Endpoints loaded: $(echo "$PING_ENDPOINTS" | jq -r 'length') ping, $(echo "$CURL_ENDPOINTS" | jq -r 'length') curl, $(echo "$MTR_ENDPOINTS" | jq -r 'length') mtr, $(echo "$DNS_ENDPOINTS" | jq -r 'length') dns"
 
 # Test functions
@@ -299,23 +392,37 @@ mtr_results=$(printf '%s\n' "${mtr_array[@]}" | jq -s '.')
 
 # Build entry
 log_info "Assembling data..."
+probe=$(jq -n \
+    --arg id "$PROBE_ID" \
+    --arg name "$PROBE_NAME" \
+    --arg isp "$PROBE_ISP" \
+    --arg location "$PROBE_LOCATION" \
+    --arg connection_type "$PROBE_CONNECTION_TYPE" \
+    --arg interval "$PROBE_INTERVAL_SECONDS" \
+    '{id: $id, name: $name, isp: $isp, location: $location, connection_type: $connection_type}
+        | with_entries(select(.value != ""))
+        + (if ($interval | test("^[0-9]+$")) then {interval_seconds: ($interval | tonumber)} else {} end)')
+
 entry=$(jq -n \
     --arg ts "$TIMESTAMP" \
+    --argjson probe "$probe" \
     --argjson nq "$nq_data" \
     --argjson st "$st_data" \
     --argjson ping "$ping_results" \
     --argjson curl "$curl_results" \
     --argjson mtr "$mtr_results" \
     --argjson dns "$dns_results" \
+    --arg annotation "$ANNOTATION" \
     '{
         timestamp: $ts,
+        probe: $probe,
         networkquality: $nq,
         speedtest: $st,
         ping_results: $ping,
         curl_results: $curl,
         mtr_results: $mtr,
         dns_results: $dns
-    }')
+    } + (if $annotation != "" then {annotation: $annotation} else {} end)')
 
 log_debug "Entry: $(echo "$entry" | jq -c '{ts:.timestamp,ping:(.ping_results|length)}')"
 
@@ -332,13 +439,21 @@ upload() {
     while [ $attempt -le $MAX_UPLOAD_RETRIES ]; do
         log_info "Upload attempt $attempt/$MAX_UPLOAD_RETRIES"
         
+        # Signed per attempt: every request needs a fresh timestamp and nonce
+        local headers=(-H "Content-Type: application/json" -H "X-Request-ID: $REQUEST_ID")
+        local header
+        while IFS= read -r header; do
+            headers+=(-H "$header")
+        done < <(sign_upload "$file")
+        if [ -n "$CF_ACCESS_CLIENT_ID" ]; then
+            headers+=(-H "CF-Access-Client-Id: $CF_ACCESS_CLIENT_ID" -H "CF-Access-Client-Secret: $CF_ACCESS_CLIENT_SECRET")
+        fi
+        
         local resp code body
-        resp=$(curl -s -X POST "$UPLOAD_ENDPOINT" \
-            -H "Content-Type: application/json" \
-            -H "X-Request-ID: $REQUEST_ID" \
-            -H "CF-Access-Client-Id: <client-id>" \
-            -H "CF-Access-Client-Secret: <client-secret>" \
-            -d @"$file" \
+        # Partial mode stores the valid entries of a batch, so one bad buffered entry cannot block the rest
+        resp=$(curl -s -X POST "$UPLOAD_ENDPOINT?mode=partial" \
+            "${headers[@]}" \
+            --data-binary @"$file" \
             -w "\n%{http_code}" \
             --max-time 30 \
             -L 2>&1) || true
@@ -351,7 +466,10 @@ upload() {
         case "$code" in
             200)
                 log_info "Response code $code"
-                log_info "Upload response (first 100 characters): $body"
+                log_info "Upload response: $(echo "$body" | jq -r '"inserted \(.inserted), duplicates \(.duplicates), invalid \(.invalid)"' 2>/dev/null || echo "${body:0:100}")"
+                echo "$body" | jq -r '.results[]? | select(.status == "invalid")
+                    | "Entry \(.index) dropped: \([.errors[] | "\(.field): \(.message)"] | join("; "))"' 2>/dev/null \
+                    | while IFS= read -r line; do log_warn "$line"; done
                 log_info "Upload successful"
                 return 0
                 ;;
@@ -359,6 +477,11 @@ upload() {
                 log_warn "Duplicate entry"
                 return 0
                 ;;
+            401|403)
+                log_error "Upload rejected (HTTP $code): $body"
+                log_error "Check API_KEY and that it was issued for probe $PROBE_ID"
+                break
+                ;;
             302|301)
                 log_error "Redirect detected - authentication may be required"
                 log_error "Check SPEED_TEST_ENDPOINT and Cloudflare Access configuration"
@@ -1,7 +1,6 @@
--- Network Quality Logs Schema V3 (Modular Endpoint Architecture)
--- Supports unlimited endpoints via JSON columns
-
-DROP TABLE IF EXISTS network_logs;
+-- Migration 0001: baseline schema (payload version 3, modular endpoint architecture)
+-- Supports unlimited endpoints via JSON columns. This is the schema.sql the project started with, minus its
+-- DROP TABLE, so a database created from that file applies it unchanged; later changes are the migrations after it.
 
 CREATE TABLE IF NOT EXISTS network_logs (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -34,4 +33,4 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_timestamp_unique ON network_logs(timestamp
 CREATE INDEX IF NOT EXISTS idx_timestamp_desc ON network_logs(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_created_at ON network_logs(created_at);
 CREATE INDEX IF NOT EXISTS idx_schema_version ON network_logs(schema_version);
-CREATE INDEX IF NOT EXISTS idx_timestamp_nq_download ON network_logs(timestamp, nq_download_mbps);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_timestamp_nq_download ON network_logs(timestamp, nq_download_mbps);
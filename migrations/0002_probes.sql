@@ -0,0 +1,73 @@
+-- Migration 0002: probes
+-- Every row belongs to a probe, and timestamps only need to be unique per probe. SQLite cannot change a UNIQUE
+-- constraint in place, so network_logs is rebuilt with probe_id and UNIQUE(probe_id, timestamp); existing rows keep
+-- their ids and go to the 'default' probe.
+
+-- Measurement probes (one per collector machine / location)
+CREATE TABLE probes (
+  id TEXT PRIMARY KEY,          -- Stable identifier sent by the collector, e.g. "home-office"
+  name TEXT,
+  isp TEXT,
+  location TEXT,
+  connection_type TEXT,         -- e.g. "ethernet", "wifi", "5g"
+  first_seen TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen TEXT                -- Latest measurement timestamp received
+);
+
+CREATE TABLE network_logs_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp TEXT NOT NULL,
+  probe_id TEXT NOT NULL DEFAULT 'default',
+  schema_version INTEGER NOT NULL DEFAULT 3,
+  
+  -- NetworkQuality metrics (macOS-specific, single source)
+  nq_download_mbps REAL CHECK(nq_download_mbps IS NULL OR nq_download_mbps >= 0),
+  nq_upload_mbps REAL CHECK(nq_upload_mbps IS NULL OR nq_upload_mbps >= 0),
+  nq_responsiveness_rpm INTEGER CHECK(nq_responsiveness_rpm IS NULL OR nq_responsiveness_rpm >= 0),
+  
+  -- Speedtest metrics (single source)
+  st_download_mbps REAL CHECK(st_download_mbps IS NULL OR st_download_mbps >= 0),
+  st_upload_mbps REAL CHECK(st_upload_mbps IS NULL OR st_upload_mbps >= 0),
+  st_ping_ms REAL CHECK(st_ping_ms IS NULL OR st_ping_ms >= 0),
+  st_server_location TEXT,
+  st_server_country TEXT,
+  
+  -- Dynamic endpoint results (JSON arrays)
+  ping_results TEXT, -- Array of {id, name, host, packet_loss_percent, rtt_ms: {min,avg,max,stddev}}
+  curl_results TEXT, -- Array of {id, name, host, dns_lookup_s, ttfb_s, http_code}
+  mtr_results TEXT,  -- Array of {id, name, host, hops: [...]}; hops keep only count and host after RETENTION_MTR_DETAIL_DAYS
+  dns_results TEXT,  -- Array of {id, name, domain, resolver, query_time_ms}
+
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE(probe_id, timestamp)
+);
+
+INSERT INTO network_logs_new (
+  id, timestamp, schema_version,
+  nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
+  st_download_mbps, st_upload_mbps, st_ping_ms, st_server_location, st_server_country,
+  ping_results, curl_results, mtr_results, dns_results,
+  created_at
+)
+SELECT
+  id, timestamp, schema_version,
+  nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
+  st_download_mbps, st_upload_mbps, st_ping_ms, st_server_location, st_server_country,
+  ping_results, curl_results, mtr_results, dns_results,
+  created_at
+FROM network_logs;
+
+DROP TABLE network_logs;
+ALTER TABLE network_logs_new RENAME TO network_logs;
+
+-- Indexes (dropped with the old table)
+CREATE UNIQUE INDEX idx_probe_timestamp_unique ON network_logs(probe_id, timestamp);
+CREATE INDEX idx_timestamp_desc ON network_logs(timestamp DESC);
+CREATE INDEX idx_created_at ON network_logs(created_at);
+CREATE INDEX idx_schema_version ON network_logs(schema_version);
+CREATE INDEX idx_timestamp_nq_download ON network_logs(timestamp, nq_download_mbps);
+
+-- Rows stored before probes existed
+INSERT INTO probes (id, first_seen, last_seen)
+SELECT 'default', MIN(timestamp), MAX(timestamp) FROM network_logs HAVING COUNT(*) > 0;
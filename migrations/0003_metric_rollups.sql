@@ -0,0 +1,21 @@
+-- Migration 0003: hourly/daily rollups per probe and metric
+-- Rollups of rows stored before this migration are built with POST /api/aggregate/rebuild.
+
+-- Hourly/daily rollups per probe and metric, maintained by the Worker on upload.
+-- Metric names: scalar columns (e.g. "nq_download_mbps") or "<kind>.<endpoint id>.<value>" (e.g. "ping.cloudflare.rtt_avg")
+CREATE TABLE metric_rollups (
+  probe_id TEXT NOT NULL,
+  bucket TEXT NOT NULL CHECK(bucket IN ('hour', 'day')),
+  bucket_start TEXT NOT NULL,   -- UTC start of the bucket, e.g. "2025-12-06T10:00:00Z"
+  metric TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  min REAL,
+  avg REAL,
+  median REAL,
+  p95 REAL,
+  max REAL,
+  stddev REAL,
+  PRIMARY KEY (probe_id, bucket, bucket_start, metric)
+);
+
+CREATE INDEX idx_rollups_bucket_metric ON metric_rollups(bucket, metric, bucket_start);
@@ -0,0 +1,45 @@
+-- Migration 0004: threshold alert rules, their state per probe and the transitions they notified
+
+-- Threshold alert rules, evaluated by the Worker's Cron Trigger
+CREATE TABLE alert_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  probe_id TEXT,                -- NULL = evaluate for every probe
+  metric TEXT NOT NULL,         -- e.g. "nq_download_mbps", "ping.cloudflare.packet_loss_percent", "curl.us_dlsdemo.http_code"
+  operator TEXT NOT NULL CHECK(operator IN ('lt', 'lte', 'gt', 'gte', 'eq', 'ne')),
+  threshold REAL NOT NULL,
+  consecutive_runs INTEGER NOT NULL DEFAULT 1 CHECK(consecutive_runs BETWEEN 1 AND 100),
+  on_missing TEXT NOT NULL DEFAULT 'ignore' CHECK(on_missing IN ('ignore', 'breach')),
+  webhook_url TEXT,             -- Overrides ALERT_WEBHOOK_URL / ALERT_SLACK_WEBHOOK_URL
+  webhook_format TEXT CHECK(webhook_format IS NULL OR webhook_format IN ('generic', 'slack')),
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Current state per rule and probe; a transition writes one alert_events row and one notification
+CREATE TABLE alert_state (
+  rule_id INTEGER NOT NULL,
+  probe_id TEXT NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('ok', 'firing')),
+  last_value REAL,
+  last_timestamp TEXT,          -- Latest measurement evaluated
+  fired_at TEXT,
+  resolved_at TEXT,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (rule_id, probe_id)
+);
+
+CREATE TABLE alert_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  rule_name TEXT NOT NULL,
+  probe_id TEXT NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('firing', 'resolved')),
+  value REAL,
+  measured_at TEXT NOT NULL,
+  notification TEXT NOT NULL CHECK(notification IN ('sent', 'failed', 'skipped')),
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alert_events_rule ON alert_events(rule_id, id);
@@ -0,0 +1,3 @@
+-- Migration 0005: expected collector interval per probe, used to report silent collectors and outage gaps
+
+ALTER TABLE probes ADD COLUMN expected_interval_seconds INTEGER;  -- Collector schedule; NULL means the Worker default (3600)
@@ -0,0 +1,25 @@
+-- Migration 0006: per-probe upload credentials and replay protection for signed uploads
+
+-- Per-probe upload credentials. Only a verifier of the secret is stored (see the Auth section of src/index.ts).
+CREATE TABLE api_keys (
+  id TEXT PRIMARY KEY,            -- Public key id, e.g. "key_3f9a0c1d2e4b5a69"
+  probe_id TEXT NOT NULL,         -- The only probe this key may upload for
+  name TEXT,
+  secret_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TEXT,
+  revoked_at TEXT,                -- In the future while a rotated key is in its grace period
+  replaced_by TEXT                -- Key issued when this one was rotated
+);
+
+CREATE INDEX idx_api_keys_probe ON api_keys(probe_id);
+
+-- Nonces of signed uploads, kept until their timestamp leaves the allowed clock skew (replay protection)
+CREATE TABLE auth_nonces (
+  key_id TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  PRIMARY KEY (key_id, nonce)
+);
+
+CREATE INDEX idx_auth_nonces_expires ON auth_nonces(expires_at);
@@ -0,0 +1,7 @@
+-- Migration 0007: contracted plan, targets and time zone per probe for SLA reports
+
+ALTER TABLE probes ADD COLUMN contract_download_mbps REAL;  -- Contracted plan; set with PUT /api/probes/:id/contract
+ALTER TABLE probes ADD COLUMN contract_upload_mbps REAL;
+ALTER TABLE probes ADD COLUMN target_latency_ms REAL;       -- Optional latency and loss targets; NULL skips that part of the report
+ALTER TABLE probes ADD COLUMN target_packet_loss_percent REAL;
+ALTER TABLE probes ADD COLUMN timezone TEXT;                -- IANA zone for busy hours and report days; NULL means UTC
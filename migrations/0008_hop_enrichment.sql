@@ -0,0 +1,17 @@
+-- Migration 0008: MTR hop enrichment (imported prefix-to-ASN table and cached reverse DNS names)
+
+-- Offline prefix-to-ASN table for MTR hop enrichment, loaded with POST /api/admin/asn (no live lookups)
+CREATE TABLE asn_prefixes (
+  network TEXT PRIMARY KEY,       -- Canonical "<ip version>:<hex network address>/<length>", e.g. "4:01010100/24"
+  prefix TEXT NOT NULL,           -- As imported, e.g. "1.1.1.0/24"
+  prefix_length INTEGER NOT NULL,
+  asn INTEGER NOT NULL,
+  org TEXT
+);
+
+-- Reverse DNS names of public hop addresses, resolved over DoH after ingest when RESOLVE_HOP_NAMES is "true" and refreshed after 30 days
+CREATE TABLE hop_names (
+  ip TEXT PRIMARY KEY,
+  ptr TEXT,                       -- NULL when the address has no PTR record
+  resolved_at TEXT NOT NULL
+);
@@ -0,0 +1,23 @@
+-- Migration 0009: anomalies
+-- Anomalies of rows stored before this migration are found with POST /api/anomalies/rebuild.
+
+-- Outliers and sustained shifts found by the Worker's anomaly detection at ingest (or POST /api/anomalies/rebuild)
+CREATE TABLE anomalies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  probe_id TEXT NOT NULL,
+  metric TEXT NOT NULL,           -- Same names as metric_rollups, e.g. "curl.cloudflare.ttfb_ms"
+  kind TEXT NOT NULL CHECK(kind IN ('outlier', 'shift')),
+  timestamp TEXT NOT NULL,        -- Affected run; for a shift the first run that left the baseline
+  confirmed_at TEXT NOT NULL,     -- Run that completed the detection (later than timestamp for shifts)
+  value REAL NOT NULL,            -- Run value, or the median over the shifted runs
+  baseline REAL NOT NULL,         -- Median of the comparable earlier runs
+  spread REAL NOT NULL,           -- Robust spread (scaled MAD) the deviation is measured in
+  score REAL NOT NULL,            -- Deviation from the baseline in spreads, positive = worse
+  direction TEXT NOT NULL CHECK(direction IN ('up', 'down')),
+  baseline_scope TEXT NOT NULL CHECK(baseline_scope IN ('time_of_day', 'all_hours')),
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(probe_id, metric, kind, timestamp)
+);
+
+CREATE INDEX idx_anomalies_timestamp ON anomalies(timestamp);
+CREATE INDEX idx_anomalies_probe_confirmed ON anomalies(probe_id, confirmed_at);
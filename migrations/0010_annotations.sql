@@ -0,0 +1,19 @@
+-- Migration 0010: timeline annotations
+
+-- Timeline notes (router changes, ISP incidents, maintenance), managed with /api/annotations or recorded from the
+-- collector's per-run `annotation` field whenever it changes
+CREATE TABLE annotations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  probe_id TEXT,                  -- NULL = applies to every probe
+  start_time TEXT NOT NULL,
+  end_time TEXT,                  -- NULL for a point in time, otherwise the end of the annotated range
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT NOT NULL DEFAULT 'note' CHECK(category IN ('change', 'incident', 'maintenance', 'note')),
+  source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'collector')),
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_annotations_start ON annotations(start_time);
+CREATE UNIQUE INDEX idx_annotations_collector ON annotations(probe_id, start_time) WHERE source = 'collector';
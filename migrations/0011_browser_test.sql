@@ -0,0 +1,7 @@
+-- Migration 0011: browser test metrics (run on demand from the dashboard; bt_latency_ms is set on every browser run)
+
+ALTER TABLE network_logs ADD COLUMN bt_download_mbps REAL CHECK(bt_download_mbps IS NULL OR bt_download_mbps >= 0);
+ALTER TABLE network_logs ADD COLUMN bt_upload_mbps REAL CHECK(bt_upload_mbps IS NULL OR bt_upload_mbps >= 0);
+ALTER TABLE network_logs ADD COLUMN bt_latency_ms REAL CHECK(bt_latency_ms IS NULL OR bt_latency_ms >= 0);
+ALTER TABLE network_logs ADD COLUMN bt_jitter_ms REAL CHECK(bt_jitter_ms IS NULL OR bt_jitter_ms >= 0);
+ALTER TABLE network_logs ADD COLUMN bt_loaded_latency_ms REAL CHECK(bt_loaded_latency_ms IS NULL OR bt_loaded_latency_ms >= 0);
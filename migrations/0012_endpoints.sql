@@ -0,0 +1,20 @@
+-- Migration 0012: endpoint definitions served to the collectors by /api/config
+-- Empty until the first PUT /api/config; until then the collectors use endpoints.config.json.
+
+-- Endpoints the collectors measure (the content of endpoints.config.json), managed with /api/config and fetched by the
+-- collectors at start-up. group_name, color and comparison_set are display metadata for the dashboard.
+CREATE TABLE endpoints (
+  kind TEXT NOT NULL CHECK(kind IN ('ping', 'curl', 'mtr', 'dns')),
+  id TEXT NOT NULL,               -- Endpoint id used in results and metric names, unique per kind
+  name TEXT NOT NULL,
+  host TEXT,                      -- ping, curl and mtr target
+  domain TEXT,                    -- dns: name to resolve
+  resolver TEXT,                  -- dns: server that resolves it
+  group_name TEXT,                -- Endpoints of a group share a chart color
+  color TEXT,                     -- "#rrggbb", overrides the group color
+  comparison_set TEXT,            -- The dashboard compares endpoints of the same kind and set
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (kind, id)
+);
@@ -0,0 +1,50 @@
+-- Migration 0013: convert results stored in the payload v1/v2 shape
+-- Before payload version 3, `ping` and `curl` results were objects keyed by endpoint id, with flat rtt_* fields and
+-- curl timings named dns_lookup/ttfb. This rewrites them into the arrays the Worker reads, the way /api/import converts
+-- legacy entries: the id doubles as the name and values are copied as they are. Rows already holding arrays are not
+-- touched, and schema_version keeps recording the version a row was collected with.
+-- Rollups and anomalies of converted rows are rebuilt with POST /api/aggregate/rebuild and POST /api/anomalies/rebuild.
+
+UPDATE network_logs
+SET ping_results = (
+  SELECT json_group_array(json_object(
+    'id', id,
+    'name', id,
+    'host', host,
+    'packet_loss_percent', packet_loss_percent,
+    'rtt_ms', CASE WHEN COALESCE(rtt_min, rtt_avg, rtt_max, rtt_stddev) IS NULL THEN NULL
+      ELSE json_object('min', rtt_min, 'avg', rtt_avg, 'max', rtt_max, 'stddev', rtt_stddev) END
+  ))
+  FROM (
+    SELECT
+      key AS id,
+      json_extract(value, '$.host') AS host,
+      COALESCE(json_extract(value, '$.packet_loss_percent'), json_extract(value, '$.packet_loss')) AS packet_loss_percent,
+      json_extract(value, '$.rtt_min') AS rtt_min,
+      json_extract(value, '$.rtt_avg') AS rtt_avg,
+      json_extract(value, '$.rtt_max') AS rtt_max,
+      json_extract(value, '$.rtt_stddev') AS rtt_stddev
+    FROM json_each(network_logs.ping_results)
+    WHERE type = 'object'
+  )
+)
+WHERE json_valid(ping_results) AND json_type(ping_results) = 'object';
+
+UPDATE network_logs
+SET curl_results = (
+  SELECT json_group_array(json_object(
+    'id', key,
+    'name', key,
+    'host', COALESCE(json_extract(value, '$.host'), json_extract(value, '$.url')),
+    'dns_lookup_s', COALESCE(json_extract(value, '$.dns_lookup_s'), json_extract(value, '$.dns_lookup')),
+    'ttfb_s', COALESCE(json_extract(value, '$.ttfb_s'), json_extract(value, '$.ttfb')),
+    'http_code', json_extract(value, '$.http_code')
+  ))
+  FROM json_each(network_logs.curl_results)
+  WHERE type = 'object'
+)
+WHERE json_valid(curl_results) AND json_type(curl_results) = 'object';
+
+-- v1/v2 runs had no MTR or DNS tests
+UPDATE network_logs SET mtr_results = '[]' WHERE mtr_results IS NULL AND schema_version < 3;
+UPDATE network_logs SET dns_results = '[]' WHERE dns_results IS NULL AND schema_version < 3;
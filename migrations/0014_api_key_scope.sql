@@ -0,0 +1,5 @@
+-- Migration 0014: upload key scopes
+-- "browsertest" keys are issued for the dashboard's browser speed test and may only store browser test runs, so the
+-- key a browser remembers cannot write collector measurements.
+
+ALTER TABLE api_keys ADD COLUMN scope TEXT NOT NULL DEFAULT 'upload' CHECK(scope IN ('upload', 'browsertest'));
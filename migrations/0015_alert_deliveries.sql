@@ -0,0 +1,10 @@
+-- Migration 0015: delivery of alert notifications per webhook
+-- A transition is posted once to each webhook. The ones that fail are retried with backoff on later cron runs until
+-- they accept it or the attempts run out; the transition's alert_events row is updated instead of adding new ones.
+
+ALTER TABLE alert_state ADD COLUMN last_event_id INTEGER;       -- alert_events row of the latest transition
+ALTER TABLE alert_state ADD COLUMN pending_targets TEXT;        -- JSON array of the webhooks it is still due to; NULL = none
+ALTER TABLE alert_state ADD COLUMN delivery_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE alert_state ADD COLUMN next_delivery_at TEXT;
+
+ALTER TABLE alert_events ADD COLUMN delivery_attempts INTEGER NOT NULL DEFAULT 1;
@@ -15,8 +15,12 @@ const CHART_COLORS = [
 	'#22c55e',
 ];
 
+// Line styles used to tell probes apart when they are overlaid on the same chart
+const PROBE_DASH_PATTERNS = [[], [6, 4], [2, 3], [10, 4, 2, 4]];
+
 const TOOLTIP_CONTENT = {
-	'throughput-tooltip-trigger': 'Measures sustained data transfer rates using macOS NetworkQuality (NQ) tool and Ookla Speedtest (ST) CLI.',
+	'throughput-tooltip-trigger':
+		'Measures sustained data transfer rates using macOS NetworkQuality (NQ) tool and Ookla Speedtest (ST) CLI. Browser tests run from this dashboard are drawn as separate points.',
 	'rtt-tooltip-trigger': 'Round-trip time (RTT) measures network delay via ICMP echo requests to infrastructure endpoints.',
 	'ttfb-tooltip-trigger': 'Time to First Byte (TTFB) includes DNS lookup, TCP handshake, TLS negotiation, and server processing.',
 	'responsiveness-tooltip-trigger': "Apple's RPM metric quantifies network quality under load.",
@@ -25,12 +29,120 @@ const TOOLTIP_CONTENT = {
 };
 
 let allData = [];
+let mtrData = [];
+let mtrSnapshots = [];
+let pathData = { endpoints: [], hosts: {} };
+let currentMtrEndpoint = null;
+let currentMtrSnapshot = null;
+let aggregateData = null;
+let gapData = { tolerance: 1.5, probes: {}, gaps: [] };
+let anomalyData = [];
+let endpointConfig = null;
+let heatmapData = null;
+let heatmapGeneration = 0;
+let latestTimestamp = null;
+let fetchGeneration = 0;
 let charts = {};
 let currentTimeRange = 'all';
+let customRange = null;
+let hiddenSeries = new Set();
+let compareMode = 'off';
+let compareSplit = null;
+let compareAnnotation = null;
+let annotationData = [];
+let compareData = null;
+let baselineRows = [];
+let currentProbe = 'all';
+let overlayProbes = true;
+let probes = [];
+let rawRetentionCutoff = null;
 let lastUpdatedInterval;
 let retryCount = 0;
+let liveConnected = false;
+let liveRetryCount = 0;
+let newRunTimeout = null;
+let speedtestRunning = false;
+let speedtestResult = null;
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 5000;
+const POLL_INTERVAL = 300000;
+const LIVE_PING_INTERVAL = 30000;
+const LIVE_RECONNECT_MAX_DELAY = 60000;
+const NEW_RUN_INDICATOR_MS = 10000;
+const SPEEDTEST_SECONDS = 8;
+const SPEEDTEST_PARALLEL_REQUESTS = 4;
+const SPEEDTEST_DOWNLOAD_BYTES = 25000000;
+// Upload requests start small and double while they finish within a second, so slow links still complete some
+const SPEEDTEST_UPLOAD_MIN_BYTES = 256 * 1024;
+const SPEEDTEST_UPLOAD_MAX_BYTES = 16 * 1024 * 1024;
+const SPEEDTEST_IDLE_SAMPLES = 20;
+const SPEEDTEST_LOADED_INTERVAL = 250;
+// TCP slow start is left out of the rate: bytes only count after this share of each test (at most one second)
+const SPEEDTEST_WARMUP_SHARE = 0.2;
+const SPEEDTEST_MAX_WARMUP_MS = 1000;
+const BROWSER_TEST_KEY_STORAGE = 'browserTestKey';
+const LOGS_PAGE_SIZE = 5000;
+const DEFAULT_PROBE_INTERVAL_SECONDS = 3600;
+const ROLLUP_BUCKET_SECONDS = { hour: 3600, day: 86400 };
+const MTR_SNAPSHOT_LIMIT = 100;
+const MAX_PATH_CHANGES_SHOWN = 50;
+const VIEWER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const TIME_RANGES = ['24', '168', '720', 'all'];
+const PROBE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const DRAG_ZOOM_MIN_PIXELS = 8;
+const MIN_ZOOM_MS = 15 * 60 * 1000;
+const COMPARE_MODES = ['previous', 'split'];
+const ENDPOINT_KINDS = ['ping', 'curl', 'mtr', 'dns'];
+const ENDPOINT_KIND_BY_FIELD = { ping_results: 'ping', curl_results: 'curl', mtr_results: 'mtr', dns_results: 'dns' };
+const ANNOTATION_COLORS = { change: '#a855f7', incident: '#ef4444', maintenance: '#f59e0b', note: '#94a3b8' };
+// Endpoint metrics are pooled across endpoints (pool=endpoints) to match the stat cards
+const COMPARE_METRICS = ['nq_download_mbps', 'nq_upload_mbps', 'nq_responsiveness_rpm', 'ping.*'];
+const COMPARE_STAT_METRICS = {
+	download: 'nq_download_mbps',
+	upload: 'nq_upload_mbps',
+	latency: 'ping.*.rtt_avg',
+	responsiveness: 'nq_responsiveness_rpm',
+	packetLoss: 'ping.*.packet_loss_percent',
+};
+
+// Long ranges are drawn from server-side rollups (/api/aggregate) instead of raw rows
+const ROLLUP_BUCKET_BY_RANGE = { 720: 'hour', all: 'day' };
+const ROLLUP_METRICS = [
+	'nq_download_mbps',
+	'nq_upload_mbps',
+	'nq_responsiveness_rpm',
+	'st_download_mbps',
+	'bt_download_mbps',
+	'bt_upload_mbps',
+	'ping.*',
+	'curl.*',
+	'dns.*',
+];
+
+// Maps rollup metrics back onto the row shape the charts read
+const ROLLUP_ENDPOINT_FIELDS = {
+	'ping.rtt_avg': (endpoint, value) => (endpoint.rtt_ms = { avg: value }),
+	'ping.packet_loss_percent': (endpoint, value) => (endpoint.packet_loss_percent = value),
+	'curl.ttfb_ms': (endpoint, value) => (endpoint.ttfb_s = value / 1000),
+	'dns.query_time_ms': (endpoint, value) => (endpoint.query_time_ms = value),
+};
+
+// Columns needed by the charts and stats; mtr_results is large and fetched separately
+const LOG_FIELDS = [
+	'nq_download_mbps',
+	'nq_upload_mbps',
+	'nq_responsiveness_rpm',
+	'st_download_mbps',
+	'st_upload_mbps',
+	'st_ping_ms',
+	'bt_download_mbps',
+	'bt_upload_mbps',
+	'bt_latency_ms',
+	'ping_results',
+	'curl_results',
+	'dns_results',
+];
 
 const DOMElements = {
 	loading: document.getElementById('loading'),
@@ -44,10 +156,41 @@ const DOMElements = {
 	statsGrid: document.getElementById('statsGrid'),
 	highlightsGrid: document.getElementById('highlightsGrid'),
 	timeRange: document.getElementById('timeRange'),
+	probeSelector: document.getElementById('probeSelector'),
+	probeOverlay: document.getElementById('probeOverlay'),
+	reportLink: document.getElementById('reportLink'),
 	mtrSection: document.getElementById('mtr-section'),
 	mtrTableContainer: document.getElementById('mtrTableContainer'),
 	mtrTimestamp: document.getElementById('mtrTimestamp'),
 	mtrSelector: document.getElementById('mtrSelector'),
+	mtrEndpoint: document.getElementById('mtrEndpoint'),
+	mtrDescription: document.getElementById('mtrDescription'),
+	mtrChanges: document.getElementById('mtrChanges'),
+	mtrHopMetric: document.getElementById('mtrHopMetric'),
+	mtrLossOrigin: document.getElementById('mtrLossOrigin'),
+	customRange: document.getElementById('customRange'),
+	rangeFrom: document.getElementById('rangeFrom'),
+	rangeTo: document.getElementById('rangeTo'),
+	rangeApply: document.getElementById('rangeApply'),
+	compareMode: document.getElementById('compareMode'),
+	compareSplitGroup: document.getElementById('compareSplitGroup'),
+	compareSplit: document.getElementById('compareSplit'),
+	compareAnnotation: document.getElementById('compareAnnotation'),
+	compareApply: document.getElementById('compareApply'),
+	compareSummary: document.getElementById('compareSummary'),
+	heatmapGrid: document.getElementById('heatmapGrid'),
+	heatmapLayout: document.getElementById('heatmapLayout'),
+	heatmapStat: document.getElementById('heatmapStat'),
+	heatmapDescription: document.getElementById('heatmapDescription'),
+	runTestButton: document.getElementById('runTestButton'),
+	speedtestPanel: document.getElementById('speedtestPanel'),
+	speedtestClose: document.getElementById('speedtestClose'),
+	speedtestResults: document.getElementById('speedtestResults'),
+	speedtestStatus: document.getElementById('speedtestStatus'),
+	speedtestKey: document.getElementById('speedtestKey'),
+	speedtestRemember: document.getElementById('speedtestRemember'),
+	speedtestStart: document.getElementById('speedtestStart'),
+	speedtestSave: document.getElementById('speedtestSave'),
 };
 
 const commonOptions = {
@@ -60,6 +203,14 @@ const commonOptions = {
 			position: 'bottom',
 			align: 'start',
 			labels: { color: '#94a3b8', boxWidth: 12, padding: 20, font: { size: 12 } },
+			// Hidden series are part of the URL state
+			onClick(event, item, legend) {
+				Chart.defaults.plugins.legend.onClick.call(this, event, item, legend);
+				const key = `${legend.chart.canvas.id}:${item.text}`;
+				if (legend.chart.isDatasetVisible(item.datasetIndex)) hiddenSeries.delete(key);
+				else hiddenSeries.add(key);
+				updateUrl();
+			},
 		},
 		tooltip: {
 			backgroundColor: 'rgba(15, 23, 42, 0.95)',
@@ -86,6 +237,194 @@ const commonOptions = {
 	animation: { duration: 400, easing: 'easeOutQuad' },
 };
 
+// Shades periods in which a collector missed its runs, on every time-series chart
+Chart.register({
+	id: 'outageBands',
+	beforeDatasetsDraw(chart) {
+		const { ctx, chartArea, scales } = chart;
+		if (!scales.x || gapData.gaps.length === 0) return;
+
+		ctx.save();
+		gapData.gaps.forEach((gap) => {
+			const left = Math.max(scales.x.getPixelForValue(new Date(gap.start)), chartArea.left);
+			const right = Math.min(scales.x.getPixelForValue(new Date(gap.end)), chartArea.right);
+			if (right <= left) return;
+			ctx.fillStyle = gap.ongoing ? 'rgba(239, 68, 68, 0.12)' : 'rgba(245, 158, 11, 0.1)';
+			ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+		});
+		ctx.restore();
+	},
+});
+
+// Rings outlier runs and draws a dotted line where a sustained shift began, for the metrics a chart lists in
+// options.plugins.anomalyMarkers.metrics ("*" stands for any endpoint id)
+Chart.register({
+	id: 'anomalyMarkers',
+	afterDatasetsDraw(chart, args, options) {
+		const { ctx, chartArea, scales } = chart;
+		if (!scales.x || !scales.y || !options.metrics?.length) return;
+
+		const patterns = options.metrics.map((metric) => new RegExp(`^${metric.replace(/\./g, '\\.').replace(/\*/g, '[^.]+')}$`));
+		const anomalies = anomalyData.filter((anomaly) => patterns.some((pattern) => pattern.test(anomaly.metric)));
+		if (anomalies.length === 0) return;
+
+		ctx.save();
+		ctx.strokeStyle = '#f43f5e';
+		ctx.lineWidth = 1.5;
+		anomalies.forEach((anomaly) => {
+			const x = scales.x.getPixelForValue(new Date(anomaly.timestamp));
+			if (x < chartArea.left || x > chartArea.right) return;
+			ctx.beginPath();
+			if (anomaly.kind === 'shift') {
+				ctx.setLineDash([2, 3]);
+				ctx.moveTo(x, chartArea.top);
+				ctx.lineTo(x, chartArea.bottom);
+			} else {
+				const y = Math.min(Math.max(scales.y.getPixelForValue(anomaly.value), chartArea.top), chartArea.bottom);
+				ctx.setLineDash([]);
+				ctx.arc(x, y, 5, 0, 2 * Math.PI);
+			}
+			ctx.stroke();
+		});
+		ctx.restore();
+	},
+});
+
+// Annotations on every time-series chart: a dashed line for a point in time, a shaded band for a range
+Chart.register({
+	id: 'annotationMarkers',
+	beforeDatasetsDraw(chart) {
+		const { ctx, chartArea, scales } = chart;
+		if (scales.x?.type !== 'time' || annotationData.length === 0) return;
+
+		ctx.save();
+		ctx.font = '10px sans-serif';
+		ctx.textBaseline = 'top';
+		annotationData.forEach((annotation) => {
+			const color = ANNOTATION_COLORS[annotation.category] || ANNOTATION_COLORS.note;
+			const start = scales.x.getPixelForValue(new Date(annotation.start_time));
+			const end = annotation.end_time ? scales.x.getPixelForValue(new Date(annotation.end_time)) : start;
+			if (end < chartArea.left || start > chartArea.right) return;
+
+			const left = Math.max(start, chartArea.left);
+			if (annotation.end_time) {
+				ctx.fillStyle = `${color}20`;
+				ctx.fillRect(left, chartArea.top, Math.min(end, chartArea.right) - left, chartArea.bottom - chartArea.top);
+			} else {
+				ctx.strokeStyle = color;
+				ctx.setLineDash([4, 3]);
+				ctx.beginPath();
+				ctx.moveTo(start, chartArea.top);
+				ctx.lineTo(start, chartArea.bottom);
+				ctx.stroke();
+			}
+			ctx.fillStyle = color;
+			ctx.fillText(annotation.title, left + 3, chartArea.top + 2, Math.max(chartArea.right - left - 6, 0));
+		});
+		ctx.restore();
+	},
+});
+
+// Line at the date a before/after comparison splits the range
+Chart.register({
+	id: 'compareSplitMarker',
+	afterDatasetsDraw(chart) {
+		const { ctx, chartArea, scales } = chart;
+		const splitTime = getCompareSplitTime();
+		if (!scales.x || !splitTime) return;
+
+		const x = scales.x.getPixelForValue(new Date(splitTime));
+		if (x < chartArea.left || x > chartArea.right) return;
+
+		ctx.save();
+		ctx.strokeStyle = 'rgba(168, 85, 247, 0.9)';
+		ctx.fillStyle = 'rgba(168, 85, 247, 0.9)';
+		ctx.lineWidth = 1.5;
+		ctx.beginPath();
+		ctx.moveTo(x, chartArea.top);
+		ctx.lineTo(x, chartArea.bottom);
+		ctx.stroke();
+		ctx.font = '11px sans-serif';
+		ctx.textAlign = 'right';
+		ctx.fillText('before', x - 4, chartArea.top + 12);
+		ctx.textAlign = 'left';
+		ctx.fillText('after', x + 4, chartArea.top + 12);
+		ctx.restore();
+	},
+});
+
+// Drag across a time-series chart to zoom into that range, Shift-drag to pan and double-click to zoom out.
+// Each re-queries the new range and adds a history entry, so back returns to the previous view.
+Chart.register({
+	id: 'dragZoom',
+	afterInit(chart) {
+		const canvas = chart.canvas;
+		const state = { canvas, start: null, current: null, pan: false };
+		const pixelOf = (event) => {
+			const { left, right } = chart.chartArea;
+			return Math.min(Math.max(event.clientX - canvas.getBoundingClientRect().left, left), right);
+		};
+
+		state.handlers = {
+			pointerdown(event) {
+				const x = event.clientX - canvas.getBoundingClientRect().left;
+				if (chart.scales.x?.type !== 'time' || event.button !== 0 || x < chart.chartArea.left || x > chart.chartArea.right) return;
+				state.start = state.current = x;
+				state.pan = event.shiftKey;
+				canvas.setPointerCapture(event.pointerId);
+			},
+			pointermove(event) {
+				if (state.start === null) return;
+				state.current = pixelOf(event);
+				chart.draw();
+			},
+			pointerup() {
+				if (state.start === null) return;
+				const { start, current, pan } = state;
+				state.start = null;
+				chart.draw();
+				if (Math.abs(current - start) < DRAG_ZOOM_MIN_PIXELS) return;
+
+				const scale = chart.scales.x;
+				if (pan) {
+					const shift = scale.getValueForPixel(start) - scale.getValueForPixel(current);
+					setCustomRange(scale.min + shift, scale.max + shift);
+				} else {
+					setCustomRange(scale.getValueForPixel(Math.min(start, current)), scale.getValueForPixel(Math.max(start, current)));
+				}
+			},
+			dblclick() {
+				const scale = chart.scales.x;
+				if (scale?.type !== 'time') return;
+				const span = scale.max - scale.min;
+				setCustomRange(scale.min - span / 2, Math.min(scale.max + span / 2, Date.now()));
+			},
+		};
+		Object.entries(state.handlers).forEach(([type, handler]) => canvas.addEventListener(type, handler));
+		chart.$dragZoom = state;
+	},
+	// Charts are recreated on the same canvas, so listeners must leave with their chart (chart.canvas is gone by now)
+	afterDestroy(chart) {
+		const state = chart.$dragZoom;
+		Object.entries(state?.handlers || {}).forEach(([type, handler]) => state.canvas.removeEventListener(type, handler));
+	},
+	afterDraw(chart) {
+		const state = chart.$dragZoom;
+		if (!state || state.start === null || state.pan) return;
+
+		const { ctx, chartArea } = chart;
+		ctx.save();
+		ctx.fillStyle = 'rgba(59, 130, 246, 0.15)';
+		ctx.fillRect(
+			Math.min(state.start, state.current),
+			chartArea.top,
+			Math.abs(state.current - state.start),
+			chartArea.bottom - chartArea.top
+		);
+		ctx.restore();
+	},
+});
+
 // --- Utility ---
 function timeAgo(date) {
 	const seconds = Math.floor((new Date() - date) / 1000);
@@ -114,6 +453,10 @@ function formatTimestamp(timestamp) {
 	});
 }
 
+function escapeHtml(value) {
+	return String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
 function isValidNumber(value) {
 	return typeof value === 'number' && !isNaN(value) && isFinite(value);
 }
@@ -146,6 +489,37 @@ function calculateStatistics(values) {
 	};
 }
 
+// Combines per-bucket rollups into one summary. Avg, min, max and stddev are exact;
+// median and P95 are approximated from the distribution of bucket medians.
+function calculateRollupStatistics(points) {
+	const valid = points.filter((p) => p.count > 0 && isValidNumber(p.avg));
+	if (!valid.length) return calculateStatistics([]);
+
+	const total = valid.reduce((sum, p) => sum + p.count, 0);
+	const avg = valid.reduce((sum, p) => sum + p.count * p.avg, 0) / total;
+	const variance =
+		valid.reduce((sum, p) => sum + p.count * (Math.pow(p.stddev || 0, 2) + Math.pow(p.avg, 2)), 0) / total - Math.pow(avg, 2);
+
+	const byMedian = [...valid].sort((a, b) => a.median - b.median);
+	const weightedQuantile = (q) => {
+		let seen = 0;
+		for (const p of byMedian) {
+			seen += p.count;
+			if (seen >= total * q) return p.median;
+		}
+		return byMedian[byMedian.length - 1].median;
+	};
+
+	return {
+		avg: avg.toFixed(1),
+		max: Math.max(...valid.map((p) => p.max)).toFixed(1),
+		min: Math.min(...valid.map((p) => p.min)).toFixed(1),
+		p95: weightedQuantile(0.95).toFixed(1),
+		median: weightedQuantile(0.5).toFixed(1),
+		stddev: Math.sqrt(Math.max(variance, 0)).toFixed(1),
+	};
+}
+
 function parseEndpointResults(data, field) {
 	return data.map((d) => {
 		try {
@@ -157,28 +531,415 @@ function parseEndpointResults(data, field) {
 	});
 }
 
+// Definition from /api/config, or null for endpoints the Worker does not manage
+function getEndpointDefinition(field, id) {
+	return endpointConfig?.[ENDPOINT_KIND_BY_FIELD[field]]?.find((endpoint) => endpoint.id === id) ?? null;
+}
+
+// The configured name also applies to older runs, which carry the name at the time they were measured
+function getEndpointName(field, id, reportedName) {
+	return getEndpointDefinition(field, id)?.name || reportedName || id;
+}
+
+// Configuration order, with the endpoints of a group kept together; unconfigured endpoints follow by id
+function sortEndpointIds(field, ids) {
+	const configured = endpointConfig?.[ENDPOINT_KIND_BY_FIELD[field]] ?? [];
+	const rank = (id) => {
+		const index = configured.findIndex((endpoint) => endpoint.id === id);
+		if (index === -1) return [Infinity, Infinity];
+		const group = configured[index].group;
+		return [group ? configured.findIndex((endpoint) => endpoint.group === group) : index, index];
+	};
+	return [...ids].sort((a, b) => {
+		const [groupA, indexA] = rank(a);
+		const [groupB, indexB] = rank(b);
+		return groupA - groupB || indexA - indexB || a.localeCompare(b);
+	});
+}
+
+// A configured color wins; otherwise each group (or ungrouped id) gets a palette slot in configuration order, so an
+// endpoint has the same color on every chart regardless of the order its results arrive in
+function getEndpointColors(field, ids) {
+	const colorKey = (id) => getEndpointDefinition(field, id)?.group ?? id;
+	const configuredKeys = ENDPOINT_KINDS.flatMap((kind) => (endpointConfig?.[kind] ?? []).map((endpoint) => endpoint.group ?? endpoint.id));
+	const keys = [...new Set([...configuredKeys, ...ids.map(colorKey).sort()])];
+	return Object.fromEntries(
+		ids.map((id) => [id, getEndpointDefinition(field, id)?.color ?? CHART_COLORS[keys.indexOf(colorKey(id)) % CHART_COLORS.length]])
+	);
+}
+
+function getProbeLabel(probeId) {
+	const probe = probes.find((p) => p.id === probeId);
+	return probe?.name || probeId;
+}
+
+function groupByProbe(data) {
+	if (!overlayProbes) return [{ probeId: null, rows: data }];
+
+	const groups = new Map();
+	data.forEach((d) => {
+		const probeId = d.probe_id || 'default';
+		if (!groups.has(probeId)) groups.set(probeId, []);
+		groups.get(probeId).push(d);
+	});
+	return [...groups.entries()].map(([probeId, rows]) => ({ probeId, rows }));
+}
+
 // --- Data Fetching ---
-async function fetchData() {
+async function fetchProbes() {
 	try {
-		console.log('Fetching network logs...');
-		const response = await fetch('/api/logs?limit=2000', { headers: { Accept: 'application/json' } });
+		const response = await fetch('/api/probes', { headers: { Accept: 'application/json' } });
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+		rawRetentionCutoff = response.headers.get('X-Raw-Retention-Cutoff');
+		const data = await response.json();
+		probes = Array.isArray(data) ? data : [];
+		renderProbeSelector();
+	} catch (error) {
+		console.warn('Failed to fetch probes:', error);
+	}
+}
 
+function getLogQueryParams() {
+	const params = new URLSearchParams();
+	if (currentTimeRange === 'custom') {
+		params.set('from', customRange.from);
+		params.set('to', customRange.to);
+	} else if (currentTimeRange !== 'all') {
+		params.set('from', new Date(Date.now() - currentTimeRange * 60 * 60 * 1000).toISOString());
+	}
+	if (currentProbe !== 'all') params.set('probe', currentProbe);
+	return params;
+}
+
+// Custom ranges use the source a preset of similar length would use
+function getRollupBucket() {
+	if (currentTimeRange !== 'custom') return ROLLUP_BUCKET_BY_RANGE[currentTimeRange];
+	const hours = (new Date(customRange.to) - new Date(customRange.from)) / 3600000;
+	// Raw runs before the retention cutoff are gone; only rollups cover that part of the range
+	const expired = rawRetentionCutoff && new Date(customRange.from) < new Date(rawRetentionCutoff);
+	return hours > 720 ? 'day' : hours > 168 || expired ? 'hour' : undefined;
+}
+
+// /api/compare parameters for the compare mode, or null when there is nothing to compare yet
+function getCompareParams() {
+	const params = getLogQueryParams();
+	if (compareMode === 'split') {
+		if (compareAnnotation) params.set('annotation', compareAnnotation);
+		else if (compareSplit) params.set('split', compareSplit);
+		else return null;
+	} else if (compareMode === 'previous') {
+		// The baseline is the equally long window right before the range; preset ranges end now
+		const from = params.get('from');
+		if (!from) return null;
+		const to = params.get('to') || new Date().toISOString();
+		const length = new Date(to) - new Date(from);
+		params.set('to', to);
+		params.set('baseline_from', new Date(new Date(from) - length).toISOString());
+		params.set('baseline_to', new Date(new Date(from) - 1000).toISOString());
+	} else {
+		return null;
+	}
+	params.set('metric', COMPARE_METRICS.join(','));
+	params.set('pool', 'endpoints');
+	return params;
+}
+
+// Same range and probe as the charts; `metric` narrows the export to one chart's series
+function buildExportUrl(metric) {
+	const params = getLogQueryParams();
+	params.set('format', 'csv');
+	if (metric) params.set('metric', metric);
+	return `/api/export?${params}`;
+}
+
+async function fetchLogsPage(params) {
+	const response = await fetch(`/api/logs?${params}`, { headers: { Accept: 'application/json' } });
+	if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+	const rows = await response.json();
+	if (!Array.isArray(rows)) throw new Error('Invalid data format');
+	return { rows, nextCursor: response.headers.get('X-Next-Cursor') };
+}
+
+// Follows X-Next-Cursor until the whole time range has been downloaded
+async function fetchAllLogs(params) {
+	const rows = [];
+	let cursor = null;
+	do {
+		const pageParams = new URLSearchParams(params);
+		if (cursor) pageParams.set('cursor', cursor);
+		const page = await fetchLogsPage(pageParams);
+		rows.push(...page.rows);
+		cursor = page.nextCursor;
+	} while (cursor);
+	return rows;
+}
+
+async function fetchGaps(params) {
+	try {
+		const response = await fetch(`/api/gaps?${params}`, { headers: { Accept: 'application/json' } });
 		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
 
 		const data = await response.json();
+		return Array.isArray(data?.gaps) ? data : { tolerance: 1.5, probes: {}, gaps: [] };
+	} catch (error) {
+		// Gaps are decoration; the charts still render without them
+		console.warn('Failed to fetch gaps:', error);
+		return { tolerance: 1.5, probes: {}, gaps: [] };
+	}
+}
+
+// Endpoint definitions and display metadata; null when the Worker has none stored (404)
+async function fetchEndpointConfig() {
+	try {
+		const response = await fetch('/api/config', { headers: { Accept: 'application/json' } });
+		if (response.status === 404) return null;
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+		return await response.json();
+	} catch (error) {
+		// Charts fall back to the names and ids found in the results
+		console.warn('Failed to fetch endpoint configuration:', error);
+		return null;
+	}
+}
+
+async function fetchAnomalies(params) {
+	try {
+		const response = await fetch(`/api/anomalies?${params}`, { headers: { Accept: 'application/json' } });
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+		const data = await response.json();
+		return Array.isArray(data?.anomalies) ? data.anomalies : [];
+	} catch (error) {
+		// Markers are decoration like the outage bands; the charts still render without them
+		console.warn('Failed to fetch anomalies:', error);
+		return [];
+	}
+}
+
+async function fetchPaths(params) {
+	try {
+		const response = await fetch(`/api/paths?${params}`, { headers: { Accept: 'application/json' } });
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+		const data = await response.json();
+		return Array.isArray(data?.endpoints) ? { hosts: {}, ...data } : { endpoints: [], hosts: {} };
+	} catch (error) {
+		// Path history is optional; the latest snapshots still render without it
+		console.warn('Failed to fetch paths:', error);
+		return { endpoints: [], hosts: {} };
+	}
+}
+
+async function fetchHeatmap(params) {
+	try {
+		const response = await fetch(`/api/heatmap?${params}`, { headers: { Accept: 'application/json' } });
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+		const data = await response.json();
+		return Array.isArray(data?.series) ? data : null;
+	} catch (error) {
+		console.warn('Failed to fetch heatmap:', error);
+		return null;
+	}
+}
+
+async function fetchAnnotations(params) {
+	try {
+		const response = await fetch(`/api/annotations?${params}`, { headers: { Accept: 'application/json' } });
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+		const data = await response.json();
+		return Array.isArray(data?.annotations) ? data.annotations : [];
+	} catch (error) {
+		console.warn('Failed to fetch annotations:', error);
+		return [];
+	}
+}
+
+async function fetchCompare(params) {
+	try {
+		const response = await fetch(`/api/compare?${params}`, { headers: { Accept: 'application/json' } });
+		if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+		const data = await response.json();
+		return Array.isArray(data?.comparisons) ? data : null;
+	} catch (error) {
+		// The stat cards still render, just without deltas
+		console.warn('Failed to fetch comparison:', error);
+		return null;
+	}
+}
+
+// Runs of the previous period, fetched the same way as the charted runs so both overlay at the same resolution
+async function fetchBaselineRuns(compareParams, bucket) {
+	const params = new URLSearchParams({ from: compareParams.get('baseline_from'), to: compareParams.get('baseline_to') });
+	if (currentProbe !== 'all') params.set('probe', currentProbe);
+	try {
+		if (bucket) {
+			params.set('bucket', bucket);
+			params.set('metric', ROLLUP_METRICS.join(','));
+			return await fetchAggregate(params);
+		}
+		params.set('limit', String(LOGS_PAGE_SIZE));
+		params.set('fields', LOG_FIELDS.join(','));
+		return await fetchAllLogs(params);
+	} catch (error) {
+		console.warn('Failed to fetch previous period:', error);
+		return null;
+	}
+}
+
+// Moves baseline runs forward by the window length so they line up with the runs they are compared with
+function shiftBaselineRows(rows, compareParams) {
+	const offset = new Date(compareParams.get('from')) - new Date(compareParams.get('baseline_from'));
+	return rows
+		.map((row) => ({ ...row, timestamp: new Date(new Date(row.timestamp).getTime() + offset).toISOString() }))
+		.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+async function fetchAggregate(params) {
+	const response = await fetch(`/api/aggregate?${params}`, { headers: { Accept: 'application/json' } });
+	if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+	const aggregate = await response.json();
+	if (!aggregate || !Array.isArray(aggregate.series)) throw new Error('Invalid aggregate format');
+	return aggregate;
+}
+
+// Turns rollup series into one pseudo-row per probe and bucket holding bucket averages,
+// so the charts can render rollups and raw rows the same way
+function rollupsToRows(aggregate, namedRows) {
+	const names = {};
+	['ping_results', 'curl_results', 'dns_results'].forEach((field) => {
+		names[field] = {};
+		parseEndpointResults(namedRows, field).forEach((results) => results.forEach((r) => (names[field][r.id] = r.name)));
+	});
+
+	const rows = new Map();
+	const getRow = (probeId, timestamp) => {
+		const key = `${probeId}|${timestamp}`;
+		if (!rows.has(key)) {
+			rows.set(key, { timestamp, probe_id: probeId, ping_results: [], curl_results: [], dns_results: [] });
+		}
+		return rows.get(key);
+	};
+
+	aggregate.series.forEach(({ metric, probe_id, points }) => {
+		const [kind, endpointId, valueName] = metric.split('.');
+		const setField = endpointId ? ROLLUP_ENDPOINT_FIELDS[`${kind}.${valueName}`] : null;
+		if (endpointId && !setField) return;
+
+		points.forEach((point) => {
+			const row = getRow(probe_id, point.bucket_start);
+			if (!endpointId) {
+				row[metric] = point.avg;
+				return;
+			}
+			const field = `${kind}_results`;
+			let endpoint = row[field].find((e) => e.id === endpointId);
+			if (!endpoint) {
+				endpoint = { id: endpointId, name: names[field]?.[endpointId] || endpointId };
+				row[field].push(endpoint);
+			}
+			setField(endpoint, point.avg);
+		});
+	});
+
+	return [...rows.values()];
+}
+
+async function fetchData() {
+	const generation = ++fetchGeneration;
+
+	try {
+		console.log('Fetching network logs...');
+		const params = getLogQueryParams();
+
+		const logParams = new URLSearchParams(params);
+		logParams.set('limit', String(LOGS_PAGE_SIZE));
+		logParams.set('fields', LOG_FIELDS.join(','));
+
+		const mtrParams = new URLSearchParams(params);
+		mtrParams.set('limit', String(MTR_SNAPSHOT_LIMIT));
+		mtrParams.set('fields', 'mtr_results');
+
+		const latestParams = new URLSearchParams(params);
+		latestParams.set('limit', '1');
+		latestParams.set('fields', 'ping_results,curl_results,dns_results');
+
+		const bucket = getRollupBucket();
+		const gapsPromise = fetchGaps(params);
+		// Revalidated with its ETag by the browser, so this is usually a 304
+		const configPromise = fetchEndpointConfig();
+		const pathsPromise = fetchPaths(params);
+		const anomaliesPromise = fetchAnomalies(params);
+		const annotationsPromise = fetchAnnotations(params);
+		const compareParams = getCompareParams();
+		const comparePromise = compareParams ? fetchCompare(compareParams) : null;
+		// Only a previous-period comparison has a separate window to overlay
+		const baselinePromise = compareParams && compareMode === 'previous' ? fetchBaselineRuns(compareParams, bucket) : null;
+		let data;
+		let aggregate = null;
+		let mtrPage;
+		let latestPage;
+
+		if (bucket) {
+			const aggregateParams = new URLSearchParams(params);
+			aggregateParams.set('bucket', bucket);
+			aggregateParams.set('metric', ROLLUP_METRICS.join(','));
+
+			[aggregate, latestPage, mtrPage] = await Promise.all([
+				fetchAggregate(aggregateParams),
+				fetchLogsPage(latestParams),
+				fetchLogsPage(mtrParams),
+			]);
+			data = rollupsToRows(aggregate, latestPage.rows);
+		} else {
+			[data, latestPage, mtrPage] = await Promise.all([fetchAllLogs(logParams), fetchLogsPage(latestParams), fetchLogsPage(mtrParams)]);
+		}
+
+		const [gaps, config, paths, anomalies, annotations, comparison, baseline] = await Promise.all([
+			gapsPromise,
+			configPromise,
+			pathsPromise,
+			anomaliesPromise,
+			annotationsPromise,
+			comparePromise,
+			baselinePromise,
+		]);
+
+		// A newer request (time range or probe change) superseded this one
+		if (generation !== fetchGeneration) return;
+
+		aggregateData = aggregate;
+		gapData = gaps;
+		endpointConfig = config;
+		pathData = paths;
+		anomalyData = anomalies;
+		annotationData = annotations;
+		compareData = comparison;
+		baselineRows = baseline ? shiftBaselineRows(bucket ? rollupsToRows(baseline, latestPage.rows) : baseline, compareParams) : [];
+		latestTimestamp = latestPage.rows[0]?.timestamp || null;
 
-		if (!Array.isArray(data)) throw new Error('Invalid data format');
 		if (data.length === 0) {
 			console.log('No data available');
+			allData = [];
+			mtrData = [];
 			showUIState('empty');
 			retryCount = 0;
 			return;
 		}
 
-		allData = data.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+		const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+		allData = data.sort(byTimestamp);
+		mtrData = mtrPage.rows.sort(byTimestamp);
 		retryCount = 0;
 		renderDashboard();
+		loadHeatmaps();
 	} catch (error) {
+		if (generation !== fetchGeneration) return;
 		console.error('Failed to fetch data:', error);
 
 		if (retryCount < MAX_RETRIES) {
@@ -192,12 +953,406 @@ async function fetchData() {
 	}
 }
 
-const filterDataByTimeRange = (hours) => {
-	if (hours === 'all') return allData;
-	const cutoff = Date.now() - hours * 60 * 60 * 1000;
-	return allData.filter((d) => new Date(d.timestamp) >= cutoff);
+// --- Live Updates ---
+// /api/live pushes every uploaded run. Preset ranges add it in place: raw ranges as a row, rollup-backed ranges
+// (30 days, all time) folded into its bucket. Custom ranges keep refreshing on the poll timer, since a run
+// may fall outside their window.
+function canAppendLiveRuns() {
+	return currentTimeRange !== 'custom';
+}
+
+// The rollup metrics the charts and stats read, as /api/aggregate names them, by result column
+const LIVE_ROLLUP_VALUES = {
+	ping_results: { kind: 'ping', read: { rtt_avg: (r) => r.rtt_ms?.avg, packet_loss_percent: (r) => r.packet_loss_percent } },
+	curl_results: { kind: 'curl', read: { ttfb_ms: (r) => (isValidNumber(r.ttfb_s) ? r.ttfb_s * 1000 : null) } },
+	dns_results: { kind: 'dns', read: { query_time_ms: (r) => r.query_time_ms } },
 };
 
+function readRollupMetrics(run) {
+	const metrics = ROLLUP_METRICS.filter((metric) => !metric.endsWith('*')).map((metric) => [metric, run[metric]]);
+	Object.entries(LIVE_ROLLUP_VALUES).forEach(([field, { kind, read }]) => {
+		parseEndpointResults([run], field)[0].forEach((result) => {
+			Object.entries(read).forEach(([name, value]) => metrics.push([`${kind}.${result.id}.${name}`, value(result)]));
+		});
+	});
+	return metrics.filter(([, value]) => isValidNumber(value));
+}
+
+// Adds a pushed run to its bucket's count, average, spread and extremes. Median and p95 keep their fetched
+// values until the poll timer reloads the rollups.
+function addRunToAggregate(aggregate, run, bucket) {
+	const iso = new Date(run.timestamp).toISOString();
+	const start = bucket === 'hour' ? `${iso.slice(0, 13)}:00:00Z` : `${iso.slice(0, 10)}T00:00:00Z`;
+
+	readRollupMetrics(run).forEach(([metric, value]) => {
+		let series = aggregate.series.find((s) => s.metric === metric && s.probe_id === run.probe_id);
+		if (!series) {
+			series = { metric, probe_id: run.probe_id, points: [] };
+			aggregate.series.push(series);
+		}
+		const point = series.points.find((p) => p.bucket_start === start);
+		if (!point) {
+			series.points.push({ bucket_start: start, count: 1, min: value, avg: value, median: value, p95: value, max: value, stddev: 0 });
+			return;
+		}
+		const count = point.count + 1;
+		const avg = (point.avg * point.count + value) / count;
+		const squares = point.count * (Math.pow(point.stddev || 0, 2) + Math.pow(point.avg, 2)) + Math.pow(value, 2);
+		Object.assign(point, {
+			count,
+			avg,
+			min: Math.min(point.min, value),
+			max: Math.max(point.max, value),
+			stddev: Math.sqrt(Math.max(0, squares / count - Math.pow(avg, 2))),
+		});
+	});
+	aggregate.runs = { ...aggregate.runs, [run.probe_id]: (aggregate.runs?.[run.probe_id] || 0) + 1 };
+}
+
+function connectLive() {
+	const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+	const socket = new WebSocket(`${protocol}//${location.host}/api/live`);
+	let pingInterval;
+
+	socket.addEventListener('open', () => {
+		// Runs uploaded while the socket was down were missed
+		if (liveRetryCount > 0) fetchData();
+		liveConnected = true;
+		liveRetryCount = 0;
+		pingInterval = setInterval(() => socket.send('ping'), LIVE_PING_INTERVAL);
+	});
+
+	socket.addEventListener('message', (event) => {
+		if (event.data === 'pong') return;
+		try {
+			const message = JSON.parse(event.data);
+			if (message.type === 'runs' && Array.isArray(message.runs)) receiveLiveRuns(message.runs);
+		} catch (error) {
+			console.warn('Ignoring live message:', error);
+		}
+	});
+
+	socket.addEventListener('close', () => {
+		clearInterval(pingInterval);
+		liveConnected = false;
+		// Polling takes over until the socket is back
+		setTimeout(connectLive, Math.min(RETRY_DELAY * 2 ** liveRetryCount++, LIVE_RECONNECT_MAX_DELAY));
+	});
+}
+
+function receiveLiveRuns(runs) {
+	const received = runs.filter((run) => run?.timestamp && (currentProbe === 'all' || run.probe_id === currentProbe));
+	if (received.length === 0) return;
+
+	received.forEach((run) => {
+		if (!latestTimestamp || new Date(run.timestamp) > new Date(latestTimestamp)) latestTimestamp = run.timestamp;
+		// The probe is back, so its outage band ends at this run; a browser test says nothing about the collector
+		gapData.gaps.forEach((gap) => {
+			if (gap.ongoing && gap.probe_id === run.probe_id && !isBrowserRun(run)) Object.assign(gap, { ongoing: false, end: run.timestamp });
+		});
+	});
+
+	// Nothing is drawn yet (empty state), so build the dashboard from scratch
+	if (allData.length === 0) {
+		fetchData();
+		return;
+	}
+
+	showNewRunIndicator(received.length);
+	const bucket = getRollupBucket();
+	// Right after switching to a rollup-backed range the rollups may still be loading; that fetch includes the run
+	if (!canAppendLiveRuns() || (bucket && !aggregateData)) {
+		updateLastUpdated();
+		return;
+	}
+
+	// Rollup rows are buckets, not runs, so there is nothing to match a pushed run against
+	const known = new Set(bucket ? [] : allData.map((row) => `${row.probe_id}|${row.timestamp}`));
+	const fresh = received.filter((run) => !known.has(`${run.probe_id}|${run.timestamp}`));
+	// "All time" has no lower bound
+	const from = currentTimeRange === 'all' ? -Infinity : Date.now() - currentTimeRange * 60 * 60 * 1000;
+	const inRange = (row) => new Date(row.timestamp) >= from;
+	const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+	const traced = fresh.filter((run) => Array.isArray(run.mtr_results) && run.mtr_results.length > 0);
+
+	if (bucket) {
+		fresh.forEach((run) => addRunToAggregate(aggregateData, run, bucket));
+		// The previous rows carry the endpoint names, the pushed runs those of new endpoints
+		allData = rollupsToRows(aggregateData, [...allData, ...fresh]).sort(byTimestamp);
+	} else {
+		allData = [...allData, ...fresh].filter(inRange).sort(byTimestamp);
+	}
+	mtrData = [...mtrData, ...traced].filter(inRange).sort(byTimestamp).slice(-MTR_SNAPSHOT_LIMIT);
+
+	renderStats(allData, aggregateData);
+	renderHighlights(allData);
+	updateCharts(allData);
+	if (traced.length > 0) renderMtrSection();
+	updateLastUpdated();
+}
+
+// Rings the status badge for a few seconds after pushed runs arrive
+function showNewRunIndicator(count) {
+	clearTimeout(newRunTimeout);
+	DOMElements.statusBadge.classList.add('new-run');
+	DOMElements.statusText.textContent = count > 1 ? `${count} New Runs Received` : 'New Run Received';
+	newRunTimeout = setTimeout(() => {
+		DOMElements.statusBadge.classList.remove('new-run');
+		if (DOMElements.content.style.display === 'block') renderStatusBadge();
+	}, NEW_RUN_INDICATOR_MS);
+}
+
+// --- Browser Speed Test ---
+// Measures this browser's path to the Worker: idle latency and jitter, then download while round trips are sampled
+// alongside (loaded latency), then upload. Saved runs become the bt_* source, next to the collectors' nq_* and st_*.
+const SPEEDTEST_FIELDS = [
+	{ key: 'download_mbps', label: 'Download', unit: 'Mbps' },
+	{ key: 'upload_mbps', label: 'Upload', unit: 'Mbps' },
+	{ key: 'latency_ms', label: 'Latency', unit: 'ms' },
+	{ key: 'jitter_ms', label: 'Jitter', unit: 'ms' },
+	{ key: 'loaded_latency_ms', label: 'Loaded Latency', unit: 'ms' },
+];
+
+// Browser runs always carry a latency; collector runs never do
+function isBrowserRun(row) {
+	return isValidNumber(row.bt_latency_ms);
+}
+
+function medianOf(values) {
+	const sorted = [...values].sort((a, b) => a - b);
+	return sorted[Math.floor(sorted.length / 2)];
+}
+
+function roundTo(value, digits) {
+	return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+async function measureRoundTrip() {
+	const start = performance.now();
+	const response = await fetch('/api/speedtest/ping', { cache: 'no-store' });
+	if (!response.ok) throw new Error(`latency probe returned HTTP ${response.status}`);
+	return performance.now() - start;
+}
+
+async function measureIdleLatency() {
+	// The first round trip pays for the connection setup and is not counted
+	await measureRoundTrip();
+	const samples = [];
+	for (let i = 0; i < SPEEDTEST_IDLE_SAMPLES; i++) samples.push(await measureRoundTrip());
+	const jitter = samples.slice(1).reduce((sum, sample, i) => sum + Math.abs(sample - samples[i]), 0) / (samples.length - 1);
+	return { latency: medianOf(samples), jitter };
+}
+
+// Samples round trips until `loaded` settles; resolves with its result and the median round trip meanwhile
+async function measureLoadedLatency(loaded) {
+	const samples = [];
+	let running = true;
+	const sampling = (async () => {
+		while (running) {
+			try {
+				samples.push(await measureRoundTrip());
+			} catch {
+				// A probe lost under load is not a sample
+			}
+			await new Promise((resolve) => setTimeout(resolve, SPEEDTEST_LOADED_INTERVAL));
+		}
+	})();
+
+	try {
+		return { result: await loaded, latency: samples.length > 0 ? medianOf(samples) : null };
+	} finally {
+		running = false;
+		await sampling;
+	}
+}
+
+// Runs `request` loops in parallel until the deadline; they add the bytes moved after the warm-up to test.bytes
+async function measureRate(request, onProgress) {
+	const start = performance.now();
+	const test = {
+		deadline: start + SPEEDTEST_SECONDS * 1000,
+		countFrom: start + Math.min(SPEEDTEST_SECONDS * 1000 * SPEEDTEST_WARMUP_SHARE, SPEEDTEST_MAX_WARMUP_MS),
+		bytes: 0,
+	};
+	const mbps = () => {
+		const elapsed = (performance.now() - test.countFrom) / 1000;
+		return test.bytes > 0 && elapsed > 0 ? (test.bytes * 8) / elapsed / 1e6 : null;
+	};
+
+	const progress = setInterval(() => onProgress(roundTo(mbps(), 1)), 250);
+	try {
+		await Promise.all(Array.from({ length: SPEEDTEST_PARALLEL_REQUESTS }, () => request(test)));
+	} finally {
+		clearInterval(progress);
+	}
+	return roundTo(mbps(), 2);
+}
+
+async function downloadLoop(test) {
+	while (performance.now() < test.deadline) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), test.deadline - performance.now());
+		try {
+			const response = await fetch(`/api/speedtest/down?bytes=${SPEEDTEST_DOWNLOAD_BYTES}`, {
+				cache: 'no-store',
+				signal: controller.signal,
+			});
+			if (!response.ok) throw new Error(`download returned HTTP ${response.status}`);
+			const reader = response.body.getReader();
+			for (;;) {
+				const { done, value } = await reader.read();
+				if (done) break;
+				if (performance.now() >= test.countFrom) test.bytes += value.length;
+			}
+		} catch (error) {
+			if (error.name !== 'AbortError') throw error;
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
+
+// fetch() reports no upload progress, so each request counts once it is answered, for the part of it after the warm-up
+async function uploadLoop(test, payload) {
+	let size = SPEEDTEST_UPLOAD_MIN_BYTES;
+	while (performance.now() < test.deadline) {
+		const started = performance.now();
+		const response = await fetch('/api/speedtest/up', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/octet-stream' },
+			body: payload.subarray(0, size),
+			cache: 'no-store',
+		});
+		if (!response.ok) throw new Error(`upload returned HTTP ${response.status}`);
+		const finished = performance.now();
+		if (finished > test.countFrom) test.bytes += (size * (finished - Math.max(started, test.countFrom))) / (finished - started);
+		if (finished - started < 1000) size = Math.min(size * 2, SPEEDTEST_UPLOAD_MAX_BYTES);
+	}
+}
+
+// Random bytes, so nothing on the way can compress the upload
+function randomPayload(size) {
+	const payload = new Uint8Array(size);
+	// getRandomValues fills at most 64 KiB per call
+	for (let offset = 0; offset < size; offset += 65536) crypto.getRandomValues(payload.subarray(offset, offset + 65536));
+	return payload;
+}
+
+async function runBrowserSpeedtest() {
+	if (speedtestRunning) return;
+	speedtestRunning = true;
+	speedtestResult = null;
+	const timestamp = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+	const result = {};
+
+	try {
+		renderSpeedtest('Measuring idle latency…', result);
+		const idle = await measureIdleLatency();
+		result.latency_ms = roundTo(idle.latency, 1);
+		result.jitter_ms = roundTo(idle.jitter, 1);
+
+		renderSpeedtest('Measuring download and loaded latency…', result);
+		const download = await measureLoadedLatency(
+			measureRate(downloadLoop, (mbps) => renderSpeedtest('Measuring download and loaded latency…', { ...result, download_mbps: mbps }))
+		);
+		result.download_mbps = download.result;
+		result.loaded_latency_ms = roundTo(download.latency, 1);
+
+		renderSpeedtest('Measuring upload…', result);
+		const payload = randomPayload(SPEEDTEST_UPLOAD_MAX_BYTES);
+		result.upload_mbps = await measureRate(
+			(test) => uploadLoop(test, payload),
+			(mbps) => renderSpeedtest('Measuring upload…', { ...result, upload_mbps: mbps })
+		);
+
+		speedtestResult = { timestamp, ...result };
+		const collector = latestCollectorDownload();
+		const comparison = collector
+			? ` The latest collector run measured ${collector.value.toFixed(1)} Mbps download (${timeAgo(new Date(collector.timestamp))}).`
+			: '';
+		speedtestRunning = false;
+		renderSpeedtest(`Done.${comparison}`, result);
+	} catch (error) {
+		speedtestRunning = false;
+		renderSpeedtest(`Test failed: ${error.message}`, result);
+	}
+}
+
+// The newest collector run on the dashboard, to put a browser result in context
+function latestCollectorDownload() {
+	for (let i = allData.length - 1; i >= 0; i--) {
+		const value = safeNumber(allData[i].nq_download_mbps) ?? safeNumber(allData[i].st_download_mbps);
+		if (value !== null) return { value, timestamp: allData[i].timestamp };
+	}
+	return null;
+}
+
+function renderSpeedtest(status, result) {
+	DOMElements.speedtestResults.innerHTML = SPEEDTEST_FIELDS.map(
+		({ key, label, unit }) => `
+		<div class="speedtest-result">
+			<div class="stat-label">${label}</div>
+			<div class="speedtest-value">${isValidNumber(result[key]) ? result[key].toFixed(1) : '–'}<span class="stat-unit">${unit}</span></div>
+		</div>`
+	).join('');
+	DOMElements.speedtestStatus.textContent = status;
+	DOMElements.speedtestStart.disabled = speedtestRunning;
+	DOMElements.runTestButton.disabled = speedtestRunning;
+	DOMElements.speedtestSave.disabled = speedtestRunning || !speedtestResult;
+}
+
+// Stored like an upload from a collector: the browsertest key decides the probe and the collector sections stay empty
+async function saveSpeedtestResult() {
+	const key = DOMElements.speedtestKey.value.trim();
+	if (!speedtestResult) return;
+	if (!key) {
+		DOMElements.speedtestStatus.textContent = 'Enter a browser test key to save the result.';
+		DOMElements.speedtestKey.focus();
+		return;
+	}
+	if (DOMElements.speedtestRemember.checked) localStorage.setItem(BROWSER_TEST_KEY_STORAGE, key);
+	else localStorage.removeItem(BROWSER_TEST_KEY_STORAGE);
+
+	const { timestamp, ...browsertest } = speedtestResult;
+	const entry = {
+		timestamp,
+		networkquality: {},
+		speedtest: {},
+		browsertest,
+		ping_results: [],
+		curl_results: [],
+		mtr_results: [],
+		dns_results: [],
+	};
+	DOMElements.speedtestSave.disabled = true;
+	DOMElements.speedtestStatus.textContent = 'Saving…';
+	try {
+		const response = await fetch('/upload', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+			body: JSON.stringify([entry]),
+		});
+		const body = await response.json().catch(() => ({}));
+		if (!response.ok) throw new Error(body.details || body.error || `HTTP ${response.status}`);
+		speedtestResult = null;
+		DOMElements.speedtestStatus.textContent = 'Saved. The run appears on the charts as a browser test.';
+		// Without the live socket the new run only shows up after a refresh
+		if (!liveConnected) fetchData();
+	} catch (error) {
+		DOMElements.speedtestStatus.textContent = `Saving failed: ${error.message}`;
+		DOMElements.speedtestSave.disabled = false;
+	}
+}
+
+function openSpeedtest() {
+	DOMElements.speedtestPanel.style.display = 'block';
+	// Earlier versions remembered full upload keys; only browsertest keys are kept now
+	localStorage.removeItem('uploadKey');
+	DOMElements.speedtestKey.value ||= localStorage.getItem(BROWSER_TEST_KEY_STORAGE) ?? '';
+	DOMElements.speedtestRemember.checked = localStorage.getItem(BROWSER_TEST_KEY_STORAGE) !== null;
+	runBrowserSpeedtest();
+}
+
 // --- UI State ---
 function showUIState(state, message = '') {
 	DOMElements.loading.style.display = 'none';
@@ -224,32 +1379,56 @@ function showUIState(state, message = '') {
 			break;
 		case 'content':
 			DOMElements.content.style.display = 'block';
-			DOMElements.statusBadge.style.background = 'var(--success)';
-			DOMElements.statusText.textContent = 'Live';
+			renderStatusBadge();
 			updateLastUpdated();
 			lastUpdatedInterval = setInterval(updateLastUpdated, 60000);
 			break;
 	}
 }
 
+function renderStatusBadge() {
+	const silent = gapData.gaps.some((gap) => gap.ongoing);
+	DOMElements.statusBadge.style.background = silent ? 'var(--warning)' : 'var(--success)';
+	DOMElements.statusText.textContent = silent ? 'Collector Silent' : 'Live';
+}
+
 function updateLastUpdated() {
-	if (allData.length > 0) {
-		const lastTimestamp = allData[allData.length - 1].timestamp;
-		DOMElements.lastUpdated.textContent = `Updated ${timeAgo(new Date(lastTimestamp))}`;
+	if (latestTimestamp) {
+		DOMElements.lastUpdated.textContent = `Updated ${timeAgo(new Date(latestTimestamp))}`;
 	}
 }
 
 // --- Rendering ---
-function renderStats(data) {
-	if (!data || data.length === 0) {
-		DOMElements.statsGrid.innerHTML = '<p>No data</p>';
-		return;
-	}
+function renderProbeSelector() {
+	if (!DOMElements.probeSelector) return;
+
+	const options = probes.map((probe) => {
+		const details = [probe.isp, probe.location, probe.connection_type].filter(Boolean).join(', ');
+		const label = details ? `${getProbeLabel(probe.id)} (${details})` : getProbeLabel(probe.id);
+		return `<option value="${escapeHtml(probe.id)}">${escapeHtml(label)}</option>`;
+	});
+	DOMElements.probeSelector.innerHTML = ['<option value="all">All Probes</option>', ...options].join('');
+	DOMElements.probeSelector.value = probes.some((p) => p.id === currentProbe) ? currentProbe : 'all';
+	DOMElements.probeSelector.closest('.control-group').style.display = probes.length > 1 ? 'flex' : 'none';
+	DOMElements.probeOverlay.closest('.control-group').style.display = probes.length > 1 ? 'flex' : 'none';
+	updateReportLink();
+}
 
+// Reports cover one probe with a configured contract: the selected probe, or the only one
+function getReportProbe() {
+	const probe = currentProbe === 'all' ? (probes.length === 1 ? probes[0] : null) : probes.find((p) => p.id === currentProbe);
+	return probe && probe.contract_download_mbps != null ? probe : null;
+}
+
+function updateReportLink() {
+	if (!DOMElements.reportLink) return;
+	DOMElements.reportLink.closest('.control-group').style.display = getReportProbe() ? 'flex' : 'none';
+}
+
+function calculateRowStats(data) {
 	const pingResults = parseEndpointResults(data, 'ping_results');
-	const firstPing = pingResults.find((r) => r.length > 0)?.[0];
 
-	const stats = {
+	return {
 		download: calculateStatistics(data.map((d) => safeNumber(d.nq_download_mbps))),
 		upload: calculateStatistics(data.map((d) => safeNumber(d.nq_upload_mbps))),
 		latency: calculateStatistics(pingResults.flatMap((r) => r.map((e) => safeNumber(e.rtt_ms?.avg)))),
@@ -257,6 +1436,28 @@ function renderStats(data) {
 		packetLoss: calculateStatistics(pingResults.flatMap((r) => r.map((e) => safeNumber(e.packet_loss_percent)))),
 		totalTests: { avg: data.length },
 	};
+}
+
+function calculateAggregateStats(aggregate) {
+	const pointsFor = (matches) => aggregate.series.filter((s) => matches(s.metric)).flatMap((s) => s.points);
+
+	return {
+		download: calculateRollupStatistics(pointsFor((metric) => metric === 'nq_download_mbps')),
+		upload: calculateRollupStatistics(pointsFor((metric) => metric === 'nq_upload_mbps')),
+		latency: calculateRollupStatistics(pointsFor((metric) => /^ping\..+\.rtt_avg$/.test(metric))),
+		responsiveness: calculateRollupStatistics(pointsFor((metric) => metric === 'nq_responsiveness_rpm')),
+		packetLoss: calculateRollupStatistics(pointsFor((metric) => /^ping\..+\.packet_loss_percent$/.test(metric))),
+		totalTests: { avg: Object.values(aggregate.runs || {}).reduce((sum, runs) => sum + runs, 0) },
+	};
+}
+
+function renderStats(data, aggregate = null) {
+	if (!data || data.length === 0) {
+		DOMElements.statsGrid.innerHTML = '<p>No data</p>';
+		return;
+	}
+
+	const stats = aggregate ? calculateAggregateStats(aggregate) : calculateRowStats(data);
 
 	const statHTML = (key, label, unit, higherIsBetter) => {
 		const statData = stats[key];
@@ -268,6 +1469,10 @@ function renderStats(data) {
 		if (key === 'latency') footer = `Median: ${statData.median}ms | P95: ${statData.p95}ms`;
 		if (key === 'download' || key === 'upload') footer = `±${statData.stddev} ${unit} stddev`;
 		if (key === 'totalTests') footer = 'Over selected time range';
+		const comparison =
+			key === 'totalTests' && compareData
+				? `<div class="stat-compare">Baseline: ${compareData.baseline.runs} runs</div>`
+				: compareHTML(key, unit);
 
 		return `
 			<div class="stat-card">
@@ -277,6 +1482,7 @@ function renderStats(data) {
 				</div>
 				<div class="stat-value">${statData.avg}<span class="stat-unit">${unit}</span></div>
 				<div class="stat-footer">${footer}</div>
+				${comparison}
 			</div>`;
 	};
 
@@ -290,6 +1496,52 @@ function renderStats(data) {
 	].join('');
 }
 
+// Median change against the baseline window; only a significant change counts as better or worse
+function compareHTML(key, unit) {
+	const comparison = compareData?.comparisons.find((c) => c.metric === COMPARE_STAT_METRICS[key]);
+	if (!comparison) return '';
+	if (comparison.verdict === 'inconclusive') return '<div class="stat-compare">Too few runs to compare</div>';
+
+	const sign = comparison.delta_median > 0 ? '+' : '';
+	const percent = comparison.delta_percent !== null ? ` (${sign}${comparison.delta_percent}%)` : '';
+	const marker = { up: '▲', down: '▼', none: '≈' }[comparison.change];
+	const pValue = comparison.p_value < 0.001 ? 'p < 0.001' : `p = ${comparison.p_value}`;
+	const outcome = comparison.change === 'none' ? `no significant change, ${pValue}` : `${comparison.verdict}, ${pValue}`;
+	const title = `Median ${comparison.baseline.median} → ${comparison.current.median} ${unit} over ${comparison.baseline.count} and ${comparison.current.count} values`;
+	return `<div class="stat-compare ${comparison.verdict}" title="${escapeHtml(title)}">${marker} ${sign}${
+		comparison.delta_median
+	} ${unit}${percent} · ${outcome}</div>`;
+}
+
+// Annotations in range can serve as the split point
+function renderCompareAnnotations() {
+	const options = annotationData.map(
+		(annotation) => `<option value="${annotation.id}">${escapeHtml(annotation.title)} (${formatTimestamp(annotation.start_time)})</option>`
+	);
+	DOMElements.compareAnnotation.innerHTML = ['<option value="">Custom date</option>', ...options].join('');
+	DOMElements.compareAnnotation.value = annotationData.some((a) => String(a.id) === compareAnnotation) ? compareAnnotation : '';
+	DOMElements.compareSplit.disabled = DOMElements.compareAnnotation.value !== '';
+}
+
+function renderCompareSummary() {
+	const summary = DOMElements.compareSummary;
+	summary.style.display = compareMode === 'off' ? 'none' : 'block';
+	if (compareMode === 'off') return;
+
+	if (!compareData) {
+		summary.textContent =
+			compareMode === 'previous' && currentTimeRange === 'all'
+				? 'Choose a time range to compare it with the period before.'
+				: 'No comparison available for this range.';
+		return;
+	}
+	const describeWindow = ({ from, to, runs }) =>
+		`${from ? formatTimestamp(from) : 'first run'} – ${to ? formatTimestamp(to) : 'now'} (${runs} runs)`;
+	summary.textContent =
+		`Comparing ${describeWindow(compareData.current)} with ${describeWindow(compareData.baseline)}. ` +
+		`Changes are median differences; only those significant at p < ${compareData.significance_level} (Mann-Whitney U) count as better or worse.`;
+}
+
 function renderHighlights(data) {
 	if (!data || data.length === 0) {
 		DOMElements.highlightsGrid.innerHTML = '';
@@ -303,27 +1555,14 @@ function renderHighlights(data) {
 	const curlStats = {};
 	const pingStats = {};
 	const dnsStats = {};
+	const addStat = (stats, field, result, value) => {
+		if (!stats[result.id]) stats[result.id] = { name: getEndpointName(field, result.id, result.name), values: [] };
+		if (value) stats[result.id].values.push(value);
+	};
 
-	curlResults.forEach((results) => {
-		results.forEach((r) => {
-			if (!curlStats[r.id]) curlStats[r.id] = { name: r.name, values: [] };
-			if (r.ttfb_s) curlStats[r.id].values.push(r.ttfb_s * 1000);
-		});
-	});
-
-	pingResults.forEach((results) => {
-		results.forEach((r) => {
-			if (!pingStats[r.id]) pingStats[r.id] = { name: r.name, values: [] };
-			if (r.rtt_ms?.avg) pingStats[r.id].values.push(r.rtt_ms.avg);
-		});
-	});
-
-	dnsResults.forEach((results) => {
-		results.forEach((r) => {
-			if (!dnsStats[r.id]) dnsStats[r.id] = { name: r.name, values: [] };
-			if (r.query_time_ms) dnsStats[r.id].values.push(r.query_time_ms);
-		});
-	});
+	curlResults.forEach((results) => results.forEach((r) => addStat(curlStats, 'curl_results', r, r.ttfb_s && r.ttfb_s * 1000)));
+	pingResults.forEach((results) => results.forEach((r) => addStat(pingStats, 'ping_results', r, r.rtt_ms?.avg)));
+	dnsResults.forEach((results) => results.forEach((r) => addStat(dnsStats, 'dns_results', r, r.query_time_ms)));
 
 	const compare = (stats) => {
 		const calculated = Object.entries(stats)
@@ -342,7 +1581,9 @@ function renderHighlights(data) {
 		const diff = parseFloat(slowest.avg) - parseFloat(fastest.avg);
 		const diffPercent = ((diff / parseFloat(fastest.avg)) * 100).toFixed(0);
 
-		return `<span class="faster">${fastest.name}</span> is <span class="slower">${diffPercent}%</span> faster than ${slowest.name}.`;
+		return `<span class="faster">${escapeHtml(fastest.name)}</span> is <span class="slower">${diffPercent}%</span> faster than ${escapeHtml(
+			slowest.name
+		)}.`;
 	};
 
 	const highlightHTML = (title, body, footer) => `
@@ -353,30 +1594,65 @@ function renderHighlights(data) {
 		</div>
 	`;
 
-	const curlComparison = compare(curlStats);
-	const pingComparison = compare(pingStats);
-	const dnsComparison = compare(dnsStats);
-
-	const curlFooter = Object.entries(curlStats)
-		.map(([id, { name, values }]) => `${name}: ${calculateStatistics(values).avg}ms`)
-		.join(' vs ');
-
-	const pingFooter = Object.entries(pingStats)
-		.map(([id, { name, values }]) => `${name}: ${calculateStatistics(values).avg}ms`)
-		.join(' vs ');
+	const footer = (stats) =>
+		Object.values(stats)
+			.map(({ name, values }) => `${escapeHtml(name)}: ${calculateStatistics(values).avg}ms`)
+			.join(' vs ');
+
+	// One card per comparison set from /api/config; endpoints without a set are compared with each other
+	const comparisonCards = [
+		['curl_results', 'Fastest Endpoint (TTFB)', curlStats],
+		['ping_results', 'Fastest Ping (RTT)', pingStats],
+		['dns_results', 'Fastest DNS Lookup', dnsStats],
+	].flatMap(([field, title, stats]) => {
+		const sets = new Map([['', {}]]);
+		sortEndpointIds(field, Object.keys(stats)).forEach((id) => {
+			const set = getEndpointDefinition(field, id)?.comparison_set ?? '';
+			if (!sets.has(set)) sets.set(set, {});
+			sets.get(set)[id] = stats[id];
+		});
+		// The default set only gets a card when it has endpoints or is the only one
+		if (sets.size > 1 && Object.keys(sets.get('')).length === 0) sets.delete('');
+		return [...sets].map(([set, setStats]) =>
+			highlightHTML(set ? `${title} · ${escapeHtml(set)}` : title, compare(setStats), footer(setStats))
+		);
+	});
 
-	const dnsFooter = Object.entries(dnsStats)
-		.map(([id, { name, values }]) => `${name}: ${calculateStatistics(values).avg}ms`)
-		.join(' vs ');
+	const countKind = (kind) => anomalyData.filter((anomaly) => anomaly.kind === kind).length;
+	const anomalySummary =
+		anomalyData.length > 0
+			? `<span class="slower">${countKind('outlier')}</span> outlier runs and <span class="slower">${countKind(
+					'shift'
+			  )}</span> sustained shifts against the usual level for the time of day.`
+			: 'No anomalies detected in this range.';
+	// anomalyData is newest first
+	const latestAnomaly = anomalyData[0];
+	const anomalyFooter = latestAnomaly
+		? `Latest: ${escapeHtml(latestAnomaly.metric)} ${latestAnomaly.kind} ${latestAnomaly.direction === 'up' ? 'up' : 'down'} to ${
+				latestAnomaly.value
+		  } (usually ${latestAnomaly.baseline}), ${formatTimestamp(latestAnomaly.timestamp)}`
+		: 'Outliers are ringed and shifts marked on the charts.';
+
+	// Browser tests measure a different path (browser, Wi-Fi, the Worker) than the collector, so they are compared, not pooled
+	const browserRows = data.filter(isBrowserRun);
+	const browserDownload = calculateStatistics(browserRows.map((d) => safeNumber(d.bt_download_mbps))).median;
+	const collectorDownload = calculateStatistics(data.map((d) => safeNumber(d.nq_download_mbps) ?? safeNumber(d.st_download_mbps))).median;
+	const browserSummary =
+		browserDownload === 'N/A' || collectorDownload === 'N/A'
+			? 'Insufficient data'
+			: `Browser tests median <span class="faster">${browserDownload} Mbps</span> download against <span class="faster">${collectorDownload} Mbps</span> from the collector.`;
+	const browserFooter = `${browserRows.length} browser runs, median latency ${
+		calculateStatistics(browserRows.map((d) => safeNumber(d.bt_latency_ms))).median
+	}ms`;
 
 	DOMElements.highlightsGrid.innerHTML = [
-		highlightHTML('Fastest Endpoint (TTFB)', curlComparison, curlFooter),
-		highlightHTML('Fastest Ping (RTT)', pingComparison, pingFooter),
-		highlightHTML('Fastest DNS Lookup', dnsComparison, dnsFooter),
+		...comparisonCards,
+		highlightHTML('Detected Anomalies', anomalySummary, anomalyFooter),
+		...(browserRows.length > 0 ? [highlightHTML('Browser vs Collector', browserSummary, browserFooter)] : []),
 	].join('');
 }
 
-function createDataset(label, data, color) {
+function createDataset(label, data, color, extra = {}) {
 	return {
 		label,
 		data: data.map((point) => ({ x: point.x, y: isValidNumber(point.y) ? point.y : null })),
@@ -387,8 +1663,130 @@ function createDataset(label, data, color) {
 		pointRadius: 1.5,
 		pointHoverRadius: 4,
 		borderWidth: 1.5,
-		spanGaps: true,
+		...extra,
+	};
+}
+
+function probeDatasetLabel(label, group, groups) {
+	const probeLabel = groups.filter((g) => !g.baseline).length > 1 ? `${getProbeLabel(group.probeId)} · ${label}` : label;
+	return group.baseline ? `${probeLabel} (previous)` : probeLabel;
+}
+
+// Longest spacing between points that is still drawn as a line; anything wider is a missed run
+function getSpanGapsMs(probeId) {
+	const bucket = getRollupBucket();
+	if (bucket) return ROLLUP_BUCKET_SECONDS[bucket] * gapData.tolerance * 1000;
+
+	const intervals = probeId ? [gapData.probes[probeId]] : Object.values(gapData.probes);
+	const interval = Math.max(...intervals.filter(Boolean), 0) || DEFAULT_PROBE_INTERVAL_SECONDS;
+	return interval * gapData.tolerance * 1000;
+}
+
+// Previous-period runs are drawn faded and dotted, behind the current ones
+function probeDatasetStyle(group, groupIndex, color) {
+	const style = {
+		borderDash: PROBE_DASH_PATTERNS[groupIndex % PROBE_DASH_PATTERNS.length],
+		spanGaps: getSpanGapsMs(group.probeId),
 	};
+	return group.baseline ? { ...style, borderColor: `${color}80`, borderDash: [2, 3], pointRadius: 0, order: 1 } : style;
+}
+
+// Builds one dataset per endpoint id (and per probe when overlaying) from a JSON results column
+function buildEndpointDatasets(groups, field, getValue, { labelSuffix = '' } = {}) {
+	const endpointsByGroup = groups.map((group) => {
+		const endpointData = {};
+		parseEndpointResults(group.rows, field).forEach((endpoints, dataIndex) => {
+			endpoints.forEach((endpoint) => {
+				if (!endpointData[endpoint.id]) {
+					endpointData[endpoint.id] = { name: getEndpointName(field, endpoint.id, endpoint.name), data: [] };
+				}
+				endpointData[endpoint.id].data.push({
+					x: new Date(group.rows[dataIndex].timestamp),
+					y: getValue(endpoint),
+				});
+			});
+		});
+		return endpointData;
+	});
+	const colors = getEndpointColors(field, [...new Set(endpointsByGroup.flatMap((endpointData) => Object.keys(endpointData)))]);
+
+	return groups.flatMap((group, groupIndex) => {
+		const endpointData = endpointsByGroup[groupIndex];
+		return sortEndpointIds(field, Object.keys(endpointData)).map((id) => {
+			const { name, data } = endpointData[id];
+			const label = probeDatasetLabel(`${name}${labelSuffix}`, group, groups);
+			return createDataset(label, data, colors[id], probeDatasetStyle(group, groupIndex, colors[id]));
+		});
+	});
+}
+
+function anomalyPlugins(metrics) {
+	return { ...commonOptions.plugins, anomalyMarkers: { metrics } };
+}
+
+function applyHiddenSeries(chart) {
+	chart.data.datasets.forEach((dataset, index) => {
+		if (hiddenSeries.has(`${chart.canvas.id}:${dataset.label}`)) chart.setDatasetVisibility(index, false);
+	});
+	chart.update('none');
+}
+
+function seriesDatasets(groups, label, getValue, color, extra = {}) {
+	return groups.map((group, groupIndex) =>
+		createDataset(
+			probeDatasetLabel(label, group, groups),
+			group.rows.map((d) => ({ x: new Date(d.timestamp), y: safeNumber(getValue(d)) })),
+			color,
+			{ ...probeDatasetStyle(group, groupIndex, color), ...extra }
+		)
+	);
+}
+
+// Browser tests are occasional, so they are drawn as unconnected points and only once there is one
+function browserDatasets(groups) {
+	const hasBrowserRuns = groups.some((group) =>
+		group.rows.some((d) => isValidNumber(d.bt_download_mbps) || isValidNumber(d.bt_upload_mbps))
+	);
+	if (!hasBrowserRuns) return [];
+	const style = { showLine: false, pointRadius: 3.5, pointStyle: 'rectRot' };
+	return [
+		...seriesDatasets(groups, 'Browser Download', (d) => d.bt_download_mbps, CHART_COLORS[3], style),
+		...seriesDatasets(groups, 'Browser Upload', (d) => d.bt_upload_mbps, CHART_COLORS[9], style),
+	];
+}
+
+// Datasets of each chart, built from the probe groups; live updates swap them into the existing charts
+const CHART_DATASETS = {
+	speedChart: (groups) => [
+		...seriesDatasets(groups, 'NQ Download', (d) => d.nq_download_mbps, CHART_COLORS[0]),
+		...seriesDatasets(groups, 'NQ Upload', (d) => d.nq_upload_mbps, CHART_COLORS[1]),
+		...seriesDatasets(groups, 'ST Download', (d) => d.st_download_mbps, CHART_COLORS[5]),
+		...browserDatasets(groups),
+	],
+	rttChart: (groups) => buildEndpointDatasets(groups, 'ping_results', (endpoint) => safeNumber(endpoint.rtt_ms?.avg)),
+	ttfbChart: (groups) =>
+		buildEndpointDatasets(groups, 'curl_results', (endpoint) => (endpoint.ttfb_s ? safeNumber(endpoint.ttfb_s * 1000) : null), {
+			labelSuffix: ' TTFB',
+		}),
+	responsivenessChart: (groups) =>
+		groups.map((group, groupIndex) => {
+			const color = CHART_COLORS[(groupIndex * 2) % CHART_COLORS.length];
+			return {
+				label: probeDatasetLabel('RPM', group, groups),
+				data: group.rows.map((d) => ({ x: new Date(d.timestamp), y: safeNumber(d.nq_responsiveness_rpm) })),
+				backgroundColor: group.baseline ? `${color}40` : `${color}CC`,
+				borderColor: color,
+				borderWidth: 1,
+			};
+		}),
+	packetLossChart: (groups) =>
+		buildEndpointDatasets(groups, 'ping_results', (endpoint) => safeNumber(endpoint.packet_loss_percent), { labelSuffix: ' Loss' }),
+	dnsChart: (groups) => buildEndpointDatasets(groups, 'dns_results', (endpoint) => safeNumber(endpoint.query_time_ms)),
+};
+
+function getChartGroups(data) {
+	const baselineGroups = baselineRows.length > 0 ? groupByProbe(baselineRows).map((group) => ({ ...group, baseline: true })) : [];
+	return [...groupByProbe(data), ...baselineGroups];
 }
 
 function renderCharts(data) {
@@ -397,63 +1795,26 @@ function renderCharts(data) {
 	Object.values(charts).forEach((chart) => chart.destroy());
 	charts = {};
 
-	const pingResults = parseEndpointResults(data, 'ping_results');
-	const curlResults = parseEndpointResults(data, 'curl_results');
-	const dnsResults = parseEndpointResults(data, 'dns_results');
+	const groups = getChartGroups(data);
 
 	// Speed Chart
 	charts.speedChart = new Chart(document.getElementById('speedChart'), {
 		type: 'line',
-		data: {
-			datasets: [
-				createDataset(
-					'NQ Download',
-					data.map((d) => ({ x: new Date(d.timestamp), y: safeNumber(d.nq_download_mbps) })),
-					CHART_COLORS[0]
-				),
-				createDataset(
-					'NQ Upload',
-					data.map((d) => ({ x: new Date(d.timestamp), y: safeNumber(d.nq_upload_mbps) })),
-					CHART_COLORS[1]
-				),
-				createDataset(
-					'ST Download',
-					data.map((d) => ({ x: new Date(d.timestamp), y: safeNumber(d.st_download_mbps) })),
-					CHART_COLORS[5]
-				),
-			],
-		},
+		data: { datasets: CHART_DATASETS.speedChart(groups) },
 		options: {
 			...commonOptions,
+			plugins: anomalyPlugins(['nq_download_mbps', 'nq_upload_mbps', 'st_download_mbps', 'bt_download_mbps', 'bt_upload_mbps']),
 			scales: { ...commonOptions.scales, y: { ...commonOptions.scales.y, title: { display: true, text: 'Mbps', color: '#94a3b8' } } },
 		},
 	});
 
 	// RTT Chart - Dynamic endpoints
-	const rttDatasets = [];
-	const endpointRttData = {};
-
-	pingResults.forEach((results, dataIndex) => {
-		results.forEach((endpoint) => {
-			if (!endpointRttData[endpoint.id]) {
-				endpointRttData[endpoint.id] = { name: endpoint.name, data: [] };
-			}
-			endpointRttData[endpoint.id].data.push({
-				x: new Date(data[dataIndex].timestamp),
-				y: safeNumber(endpoint.rtt_ms?.avg),
-			});
-		});
-	});
-
-	Object.entries(endpointRttData).forEach(([id, { name, data: rttData }], index) => {
-		rttDatasets.push(createDataset(name, rttData, CHART_COLORS[index % CHART_COLORS.length]));
-	});
-
 	charts.rttChart = new Chart(document.getElementById('rttChart'), {
 		type: 'line',
-		data: { datasets: rttDatasets },
+		data: { datasets: CHART_DATASETS.rttChart(groups) },
 		options: {
 			...commonOptions,
+			plugins: anomalyPlugins(['ping.*.rtt_avg']),
 			scales: {
 				...commonOptions.scales,
 				y: { ...commonOptions.scales.y, title: { display: true, text: 'Latency (ms)', color: '#94a3b8' } },
@@ -462,30 +1823,12 @@ function renderCharts(data) {
 	});
 
 	// TTFB Chart - Dynamic endpoints
-	const ttfbDatasets = [];
-	const endpointTtfbData = {};
-
-	curlResults.forEach((results, dataIndex) => {
-		results.forEach((endpoint) => {
-			if (!endpointTtfbData[endpoint.id]) {
-				endpointTtfbData[endpoint.id] = { name: endpoint.name, data: [] };
-			}
-			endpointTtfbData[endpoint.id].data.push({
-				x: new Date(data[dataIndex].timestamp),
-				y: endpoint.ttfb_s ? safeNumber(endpoint.ttfb_s * 1000) : null,
-			});
-		});
-	});
-
-	Object.entries(endpointTtfbData).forEach(([id, { name, data: ttfbData }], index) => {
-		ttfbDatasets.push(createDataset(`${name} TTFB`, ttfbData, CHART_COLORS[index + (4 % CHART_COLORS.length)]));
-	});
-
 	charts.ttfbChart = new Chart(document.getElementById('ttfbChart'), {
 		type: 'line',
-		data: { datasets: ttfbDatasets },
+		data: { datasets: CHART_DATASETS.ttfbChart(groups) },
 		options: {
 			...commonOptions,
+			plugins: anomalyPlugins(['curl.*.ttfb_ms']),
 			scales: {
 				...commonOptions.scales,
 				y: { ...commonOptions.scales.y, title: { display: true, text: 'Latency (ms)', color: '#94a3b8' } },
@@ -496,142 +1839,453 @@ function renderCharts(data) {
 	// Responsiveness Chart
 	charts.responsivenessChart = new Chart(document.getElementById('responsivenessChart'), {
 		type: 'bar',
-		data: {
-			datasets: [
-				{
-					label: 'RPM',
-					data: data.map((d) => ({ x: new Date(d.timestamp), y: safeNumber(d.nq_responsiveness_rpm) })),
-					backgroundColor: `${CHART_COLORS[0]}CC`,
-					borderColor: CHART_COLORS[0],
-					borderWidth: 1,
-				},
-			],
-		},
+		data: { datasets: CHART_DATASETS.responsivenessChart(groups) },
 		options: {
 			...commonOptions,
+			plugins: anomalyPlugins(['nq_responsiveness_rpm']),
 			scales: { ...commonOptions.scales, y: { ...commonOptions.scales.y, title: { display: true, text: 'RPM', color: '#94a3b8' } } },
 		},
 	});
 
 	// Packet Loss Chart - Dynamic endpoints
-	const lossDatasets = [];
-	const endpointLossData = {};
-
-	pingResults.forEach((results, dataIndex) => {
-		results.forEach((endpoint) => {
-			if (!endpointLossData[endpoint.id]) {
-				endpointLossData[endpoint.id] = { name: endpoint.name, data: [] };
-			}
-			endpointLossData[endpoint.id].data.push({
-				x: new Date(data[dataIndex].timestamp),
-				y: safeNumber(endpoint.packet_loss_percent),
-			});
-		});
-	});
-
-	Object.entries(endpointLossData).forEach(([id, { name, data: lossData }], index) => {
-		lossDatasets.push(createDataset(`${name} Loss`, lossData, CHART_COLORS[index % CHART_COLORS.length]));
-	});
-
 	charts.packetLossChart = new Chart(document.getElementById('packetLossChart'), {
 		type: 'line',
-		data: { datasets: lossDatasets },
+		data: { datasets: CHART_DATASETS.packetLossChart(groups) },
 		options: {
 			...commonOptions,
+			plugins: anomalyPlugins(['ping.*.packet_loss_percent']),
 			scales: { ...commonOptions.scales, y: { ...commonOptions.scales.y, max: 5, title: { display: true, text: '%', color: '#94a3b8' } } },
 		},
 	});
 
 	// DNS Chart - Dynamic endpoints
-	const dnsDatasets = [];
-	const endpointDnsData = {};
-
-	dnsResults.forEach((results, dataIndex) => {
-		results.forEach((endpoint) => {
-			if (!endpointDnsData[endpoint.id]) {
-				endpointDnsData[endpoint.id] = { name: endpoint.name, data: [] };
-			}
-			endpointDnsData[endpoint.id].data.push({
-				x: new Date(data[dataIndex].timestamp),
-				y: safeNumber(endpoint.query_time_ms),
-			});
-		});
-	});
-
-	Object.entries(endpointDnsData).forEach(([id, { name, data: dnsData }], index) => {
-		dnsDatasets.push(createDataset(name, dnsData, CHART_COLORS[index + (4 % CHART_COLORS.length)]));
-	});
-
 	charts.dnsChart = new Chart(document.getElementById('dnsChart'), {
 		type: 'line',
-		data: { datasets: dnsDatasets },
+		data: { datasets: CHART_DATASETS.dnsChart(groups) },
 		options: {
 			...commonOptions,
+			plugins: anomalyPlugins(['dns.*.query_time_ms']),
 			scales: {
 				...commonOptions.scales,
 				y: { ...commonOptions.scales.y, title: { display: true, text: 'Latency (ms)', color: '#94a3b8' } },
 			},
 		},
 	});
+
+	Object.values(charts).forEach(applyHiddenSeries);
 }
 
-function renderMtrTable(data) {
-	if (!data || data.length === 0) {
-		DOMElements.mtrSection.style.display = 'none';
-		document.getElementById('mtr-google-section').style.display = 'none';
+// Updates the existing charts in place: datasets are matched by label, new endpoints or probes are added
+function updateCharts(data) {
+	const groups = getChartGroups(data);
+	Object.entries(CHART_DATASETS).forEach(([id, build]) => {
+		const chart = charts[id];
+		if (!chart) return;
+		build(groups).forEach((dataset) => {
+			const existing = chart.data.datasets.find((d) => d.label === dataset.label);
+			if (existing) existing.data = dataset.data;
+			else chart.data.datasets.push(dataset);
+		});
+		applyHiddenSeries(chart);
+	});
+}
+
+const HEATMAP_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HEATMAP_ROW_HEIGHT = 12;
+const HEATMAP_MARGIN = { left: 40, bottom: 16 };
+
+// Panels in display order, with one RTT and one loss panel per ping endpoint; higherIsBetter sets the color direction
+function getHeatmapPanels(data) {
+	const endpoints = {};
+	parseEndpointResults(data, 'ping_results').forEach((results) =>
+		results.forEach((r) => (endpoints[r.id] = getEndpointName('ping_results', r.id, r.name)))
+	);
+	const ids = sortEndpointIds('ping_results', Object.keys(endpoints));
+	return [
+		{ metric: 'nq_download_mbps', title: 'NQ Download', unit: 'Mbps', higherIsBetter: true },
+		{ metric: 'nq_responsiveness_rpm', title: 'Responsiveness', unit: 'RPM', higherIsBetter: true },
+		...ids.map((id) => ({
+			metric: `ping.${id}.rtt_avg`,
+			title: `${endpoints[id]} RTT`,
+			unit: 'ms',
+			higherIsBetter: false,
+		})),
+		...ids.map((id) => ({
+			metric: `ping.${id}.packet_loss_percent`,
+			title: `${endpoints[id]} Packet Loss`,
+			unit: '%',
+			higherIsBetter: false,
+		})),
+	];
+}
+
+// Heatmaps use the viewer's time zone so "19:00" means the evening where the dashboard is read
+async function loadHeatmaps() {
+	const generation = ++heatmapGeneration;
+	const panels = getHeatmapPanels(allData);
+	const params = getLogQueryParams();
+	params.set('metric', panels.map((panel) => panel.metric).join(','));
+	params.set('layout', DOMElements.heatmapLayout.value);
+	params.set('tz', VIEWER_TIME_ZONE);
+
+	const heatmap = await fetchHeatmap(params);
+	if (generation !== heatmapGeneration) return;
+	heatmapData = heatmap && { ...heatmap, panels };
+	renderHeatmaps();
+}
+
+function getHeatmapColumns(heatmap) {
+	if (heatmap.layout === 'week') return HEATMAP_WEEKDAYS.map((label, index) => ({ key: String(index), label }));
+
+	const dates = heatmap.series.flatMap((series) => series.cells.map((cell) => cell.date)).sort();
+	if (dates.length === 0) return [];
+	// Every day between the first and last run, so days without runs stay visible as gaps
+	const columns = [];
+	for (
+		let day = new Date(`${dates[0]}T00:00:00Z`);
+		day <= new Date(`${dates[dates.length - 1]}T00:00:00Z`);
+		day.setUTCDate(day.getUTCDate() + 1)
+	) {
+		const key = day.toISOString().slice(0, 10);
+		columns.push({ key, label: key.slice(5) });
+	}
+	return columns;
+}
+
+// Green for the best value of the panel, red for the worst
+function heatmapColor(value, min, max, higherIsBetter) {
+	const position = max > min ? (value - min) / (max - min) : 0.5;
+	const badness = higherIsBetter ? 1 - position : position;
+	return `hsl(${Math.round(120 * (1 - badness))}, 65%, 42%)`;
+}
+
+function drawHeatmap(canvas, cells, columns, stat, panel) {
+	const width = canvas.parentElement.clientWidth;
+	const height = 24 * HEATMAP_ROW_HEIGHT + HEATMAP_MARGIN.bottom;
+	const ratio = window.devicePixelRatio || 1;
+	canvas.width = width * ratio;
+	canvas.height = height * ratio;
+	canvas.style.width = `${width}px`;
+	canvas.style.height = `${height}px`;
+
+	const ctx = canvas.getContext('2d');
+	ctx.scale(ratio, ratio);
+	const cellWidth = (width - HEATMAP_MARGIN.left) / columns.length;
+	const cellsByKey = new Map(cells.map((cell) => [`${cell.weekday ?? cell.date}|${cell.hour}`, cell]));
+	const values = cells.map((cell) => cell[stat]).filter(isValidNumber);
+	const min = Math.min(...values);
+	const max = Math.max(...values);
+
+	columns.forEach((column, x) => {
+		for (let hour = 0; hour < 24; hour++) {
+			const cell = cellsByKey.get(`${column.key}|${hour}`);
+			if (!cell || !isValidNumber(cell[stat])) continue;
+			ctx.fillStyle = heatmapColor(cell[stat], min, max, panel.higherIsBetter);
+			ctx.fillRect(HEATMAP_MARGIN.left + x * cellWidth, hour * HEATMAP_ROW_HEIGHT, Math.ceil(cellWidth), HEATMAP_ROW_HEIGHT - 1);
+		}
+	});
+
+	ctx.fillStyle = '#94a3b8';
+	ctx.font = '10px sans-serif';
+	ctx.textBaseline = 'middle';
+	for (let hour = 0; hour < 24; hour += 3) {
+		ctx.fillText(`${String(hour).padStart(2, '0')}:00`, 0, hour * HEATMAP_ROW_HEIGHT + HEATMAP_ROW_HEIGHT / 2);
+	}
+	// Skip column labels that would overlap
+	const labelStep = Math.ceil(40 / cellWidth);
+	columns.forEach((column, x) => {
+		if (x % labelStep === 0) ctx.fillText(column.label, HEATMAP_MARGIN.left + x * cellWidth, height - HEATMAP_MARGIN.bottom / 2);
+	});
+
+	canvas.onmousemove = (event) => {
+		const rect = canvas.getBoundingClientRect();
+		const column = columns[Math.floor((event.clientX - rect.left - HEATMAP_MARGIN.left) / cellWidth)];
+		const hour = Math.floor((event.clientY - rect.top) / HEATMAP_ROW_HEIGHT);
+		const cell = column && hour < 24 ? cellsByKey.get(`${column.key}|${hour}`) : null;
+		canvas.title = cell
+			? `${column.label} ${String(hour).padStart(2, '0')}:00 · ${stat} ${cell[stat]} ${panel.unit} (${cell.count} runs)`
+			: '';
+	};
+
+	return values.length > 0 ? { min, max } : null;
+}
+
+function renderHeatmaps() {
+	const grid = DOMElements.heatmapGrid;
+	grid.innerHTML = '';
+	if (!heatmapData) {
+		DOMElements.heatmapDescription.textContent = 'Heatmaps could not be loaded.';
 		return;
 	}
 
-	const mtrResults = parseEndpointResults(data, 'mtr_results');
-	const entriesWithMTR = data.filter((_, index) => mtrResults[index] && mtrResults[index].length > 0);
+	const stat = DOMElements.heatmapStat.value;
+	const columns = getHeatmapColumns(heatmapData);
+	const probeCount = new Set(heatmapData.series.map((series) => series.probe_id)).size;
+	DOMElements.heatmapDescription.textContent =
+		`${DOMElements.heatmapStat.selectedOptions[0].text} per hour of day in ${heatmapData.timezone}. Green is better, red is worse.` +
+		(heatmapData.truncated ? ' Only the most recent runs are included.' : '');
+
+	heatmapData.panels.forEach((panel) => {
+		heatmapData.series
+			.filter((series) => series.metric === panel.metric)
+			.forEach((series) => {
+				const title = probeCount > 1 ? `${getProbeLabel(series.probe_id)} · ${panel.title}` : panel.title;
+				const container = document.createElement('div');
+				container.innerHTML = `<h3 class="heatmap-title">${escapeHtml(title)}</h3><canvas></canvas><div class="heatmap-legend"></div>`;
+				grid.appendChild(container);
+
+				const range = drawHeatmap(container.querySelector('canvas'), series.cells, columns, stat, panel);
+				container.querySelector('.heatmap-legend').textContent = range ? `${range.min} – ${range.max} ${panel.unit}` : 'No data';
+			});
+	});
+
+	if (grid.children.length === 0) grid.innerHTML = '<p class="chart-description">No data in this range.</p>';
+}
+
+const HOP_LABELS = {
+	private: 'Private',
+	cgnat: 'CGNAT',
+	loopback: 'Loopback',
+	'link-local': 'Link-local',
+	multicast: 'Multicast',
+	reserved: 'Reserved',
+};
+
+// "AS3320 DTAG" for public hops with a known prefix, "Private"/"CGNAT" for special ranges, otherwise empty
+function formatHopNetwork(host) {
+	const info = pathData.hosts[host];
+	if (!info) return '';
+	if (info.label !== 'public') return HOP_LABELS[info.label] || info.label;
+	return info.asn ? `AS${info.asn}${info.org ? ` ${info.org}` : ''}` : '';
+}
+
+function formatHostWithNetwork(host) {
+	const network = formatHopNetwork(host);
+	return network ? `${escapeHtml(host)} <span class="mtr-network">${escapeHtml(network)}</span>` : escapeHtml(host);
+}
+
+// Loss that carries on to the destination starts at the first hop from which every later hop loses packets;
+// loss at a single intermediate hop is usually ICMP rate limiting and is ignored
+function findLossOrigin(hops) {
+	const losses = hops.map((hop) => safeNumber(hop.loss_percent, 0));
+	if (!(losses[losses.length - 1] > 0)) return null;
+	let start = losses.length - 1;
+	while (start > 0 && losses[start - 1] > 0) start--;
+	return hops[start];
+}
+
+function describeLossOrigin(hops) {
+	const origin = findLossOrigin(hops);
+	if (!origin) return '';
+	const host = origin.host && origin.host !== '???' ? origin.host : null;
+	const where = (host && formatHopNetwork(host)) || host || 'an unresponsive hop';
+	return `Loss starts at ${where} hop ${origin.count}${host && where !== host ? ` (${host})` : ''} and persists to the destination.`;
+}
+
+function mtrEndpointKey(probeId, endpointId) {
+	return `${probeId}|${endpointId}`;
+}
+
+// Every mtr target seen in the recent snapshots or the path history, whatever endpoints.config.json lists
+function getMtrEndpoints() {
+	const endpoints = new Map();
+	pathData.endpoints.forEach((endpoint) => {
+		endpoints.set(mtrEndpointKey(endpoint.probe_id, endpoint.id), {
+			probeId: endpoint.probe_id,
+			id: endpoint.id,
+			name: endpoint.name,
+			host: endpoint.host,
+		});
+	});
+	parseEndpointResults(mtrData, 'mtr_results').forEach((results, index) => {
+		(results || []).forEach((result) => {
+			const key = mtrEndpointKey(mtrData[index].probe_id, result.id);
+			if (result.id && !endpoints.has(key)) {
+				endpoints.set(key, { probeId: mtrData[index].probe_id, id: result.id, name: result.name, host: result.host });
+			}
+		});
+	});
+	return endpoints;
+}
 
-	if (entriesWithMTR.length === 0) {
+function renderMtrSection() {
+	const endpoints = getMtrEndpoints();
+	if (endpoints.size === 0) {
 		DOMElements.mtrSection.style.display = 'none';
-		document.getElementById('mtr-google-section').style.display = 'none';
 		return;
 	}
 
-	const selectorHTML = entriesWithMTR
-		.reverse()
-		.map((entry, index) => `<option value="${index}">${formatTimestamp(entry.timestamp)}</option>`)
+	const multipleProbes = new Set([...endpoints.values()].map((endpoint) => endpoint.probeId)).size > 1;
+	if (!endpoints.has(currentMtrEndpoint)) currentMtrEndpoint = endpoints.keys().next().value;
+	DOMElements.mtrEndpoint.innerHTML = [...endpoints]
+		.map(([key, endpoint]) => {
+			const label = endpoint.name || endpoint.id;
+			return `<option value="${escapeHtml(key)}">${escapeHtml(
+				multipleProbes ? `${getProbeLabel(endpoint.probeId)} · ${label}` : label
+			)}</option>`;
+		})
 		.join('');
+	DOMElements.mtrEndpoint.value = currentMtrEndpoint;
+
+	const endpoint = endpoints.get(currentMtrEndpoint);
+	DOMElements.mtrDescription.textContent = `Full trace to ${endpoint.name || endpoint.id}${
+		endpoint.host ? ` (${endpoint.host})` : ''
+	}, showing latency and loss at each network hop.`;
+	DOMElements.mtrSection.style.display = 'block';
 
-	DOMElements.mtrSelector.innerHTML = selectorHTML;
-	displayMtrForIndex(0, entriesWithMTR, mtrResults.reverse());
+	renderMtrSnapshots();
+	renderPathChanges();
+	renderHopChart();
 }
 
-function displayMtrForIndex(index, entriesWithMTR, mtrResults) {
-	const entry = entriesWithMTR[index];
-	const results = mtrResults[index];
+function renderMtrSnapshots() {
+	mtrSnapshots = [];
+	parseEndpointResults(mtrData, 'mtr_results').forEach((results, index) => {
+		const result = (results || []).find((r) => mtrEndpointKey(mtrData[index].probe_id, r.id) === currentMtrEndpoint);
+		if (result) mtrSnapshots.push({ timestamp: mtrData[index].timestamp, hops: result.hops || [] });
+	});
+	mtrSnapshots.reverse();
 
-	DOMElements.mtrTimestamp.textContent = `Captured: ${formatTimestamp(entry.timestamp)}`;
-	DOMElements.mtrSection.style.display = 'block';
+	DOMElements.mtrSelector.innerHTML = mtrSnapshots
+		.map((snapshot, index) => `<option value="${index}">${index === 0 ? 'Latest · ' : ''}${formatTimestamp(snapshot.timestamp)}</option>`)
+		.join('');
+	// A snapshot from the URL is kept while it is still among the loaded runs
+	const index = Math.max(
+		mtrSnapshots.findIndex((snapshot) => snapshot.timestamp === currentMtrSnapshot),
+		0
+	);
+	DOMElements.mtrSelector.value = String(index);
+	displayMtrSnapshot(index);
+}
 
-	if (!results || results.length === 0) {
-		DOMElements.mtrTableContainer.innerHTML = `<p class="chart-description">No MTR data available.</p>`;
+function displayMtrSnapshot(index) {
+	const snapshot = mtrSnapshots[index];
+	if (!snapshot) {
+		DOMElements.mtrTimestamp.textContent = '';
+		DOMElements.mtrLossOrigin.textContent = '';
+		DOMElements.mtrTableContainer.innerHTML = `<p class="chart-description">No recent MTR snapshot for this endpoint.</p>`;
 		return;
 	}
 
-	// Display first endpoint (usually Cloudflare)
-	const firstEndpoint = results[0];
-	if (!firstEndpoint.hops || firstEndpoint.hops.length === 0) {
-		DOMElements.mtrTableContainer.innerHTML = `<p class="chart-description">MTR test failed or incomplete.</p>`;
-	} else {
-		DOMElements.mtrTableContainer.innerHTML = generateMtrTableHTML(firstEndpoint.hops);
-	}
+	DOMElements.mtrTimestamp.textContent = `Captured: ${formatTimestamp(snapshot.timestamp)}`;
+	DOMElements.mtrLossOrigin.textContent = describeLossOrigin(snapshot.hops);
+	DOMElements.mtrTableContainer.innerHTML =
+		snapshot.hops.length > 0 ? generateMtrTableHTML(snapshot.hops) : `<p class="chart-description">MTR test failed or incomplete.</p>`;
+}
 
-	// Handle Google MTR if exists
-	const googleSection = document.getElementById('mtr-google-section');
-	const googleContainer = document.getElementById('mtrGoogleTableContainer');
-	if (results.length > 1 && googleSection && googleContainer) {
-		googleSection.style.display = 'block';
-		const secondEndpoint = results[1];
-		if (secondEndpoint.hops && secondEndpoint.hops.length > 0) {
-			googleContainer.innerHTML = generateMtrTableHTML(secondEndpoint.hops);
-		} else {
-			googleContainer.innerHTML = `<p class="chart-description">MTR test failed.</p>`;
-		}
+function renderPathChanges() {
+	const endpoint = pathData.endpoints.find((e) => mtrEndpointKey(e.probe_id, e.id) === currentMtrEndpoint);
+	if (!endpoint) {
+		DOMElements.mtrChanges.innerHTML = `<p class="chart-description">No path history for this endpoint.</p>`;
+		return;
+	}
+	if (endpoint.changes.length === 0) {
+		DOMElements.mtrChanges.innerHTML = `<p class="chart-description">The path stayed the same across ${endpoint.runs} traces.</p>`;
+		return;
 	}
+
+	const hostList = (hosts) => (hosts.length > 0 ? hosts.map(formatHostWithNetwork).join('<br>') : '–');
+	const rows = endpoint.changes
+		.slice(-MAX_PATH_CHANGES_SHOWN)
+		.reverse()
+		.map(
+			(change) => `
+			<tr>
+				<td>${formatTimestamp(change.timestamp)}</td>
+				<td>${change.first_changed_hop}</td>
+				<td>Path ${change.from_path + 1} → ${change.to_path + 1}</td>
+				<td>${hostList(change.removed_hosts)}</td>
+				<td>${hostList(change.added_hosts)}</td>
+			</tr>`
+		)
+		.join('');
+
+	const summary = `${endpoint.changes.length} change${endpoint.changes.length === 1 ? '' : 's'} between ${
+		endpoint.paths.length
+	} distinct paths over ${endpoint.runs} traces${pathData.truncated ? ' (most recent traces only)' : ''}.`;
+	DOMElements.mtrChanges.innerHTML = `
+		<p class="chart-description">${summary}</p>
+		<table class="mtr-table">
+			<thead><tr><th>Detected</th><th>First Changed Hop</th><th>Path</th><th>Left Path</th><th>Joined Path</th></tr></thead>
+			<tbody>${rows}</tbody>
+		</table>`;
+}
+
+// Dashed vertical line at every run where the path changed
+const pathChangeMarkers = {
+	id: 'pathChangeMarkers',
+	afterDatasetsDraw(chart, args, options) {
+		const { ctx, chartArea, scales } = chart;
+		if (!scales.x || !options.changes?.length) return;
+
+		ctx.save();
+		ctx.strokeStyle = 'rgba(245, 158, 11, 0.8)';
+		ctx.setLineDash([4, 4]);
+		options.changes.forEach((change) => {
+			const x = scales.x.getPixelForValue(new Date(change.timestamp));
+			if (x < chartArea.left || x > chartArea.right) return;
+			ctx.beginPath();
+			ctx.moveTo(x, chartArea.top);
+			ctx.lineTo(x, chartArea.bottom);
+			ctx.stroke();
+		});
+		ctx.restore();
+	},
+};
+
+function renderHopChart() {
+	charts.mtrHopChart?.destroy();
+	delete charts.mtrHopChart;
+
+	const endpoint = pathData.endpoints.find((e) => mtrEndpointKey(e.probe_id, e.id) === currentMtrEndpoint);
+	const canvas = document.getElementById('mtrHopChart');
+	canvas.closest('.mtr-subsection').style.display = endpoint ? 'block' : 'none';
+	if (!endpoint) return;
+
+	const metric = DOMElements.mtrHopMetric.value;
+	// Traces are raw runs even when the other charts use rollups
+	const spanGaps = (gapData.probes[endpoint.probe_id] || DEFAULT_PROBE_INTERVAL_SECONDS) * gapData.tolerance * 1000;
+	const datasets = endpoint.hops.map((hop, index) => {
+		const dataset = createDataset(
+			`Hop ${hop.hop}`,
+			hop.points.map((point) => ({ x: new Date(point.timestamp), y: safeNumber(point[metric]) })),
+			CHART_COLORS[index % CHART_COLORS.length],
+			{ spanGaps }
+		);
+		dataset.data.forEach((point, i) => (point.host = hop.points[i].host));
+		return dataset;
+	});
+
+	charts.mtrHopChart = new Chart(canvas, {
+		type: 'line',
+		data: { datasets },
+		options: {
+			...commonOptions,
+			interaction: { mode: 'nearest', intersect: false },
+			plugins: {
+				...commonOptions.plugins,
+				pathChangeMarkers: { changes: endpoint.changes },
+				tooltip: {
+					...commonOptions.plugins.tooltip,
+					callbacks: {
+						label: (item) => {
+							const network = item.raw.host ? formatHopNetwork(item.raw.host) : '';
+							return `${item.dataset.label} (${item.raw.host || 'no reply'}${network ? ` · ${network}` : ''}): ${item.formattedValue}`;
+						},
+					},
+				},
+			},
+			scales: {
+				...commonOptions.scales,
+				y: {
+					...commonOptions.scales.y,
+					title: { display: true, text: metric === 'loss_percent' ? 'Packet loss (%)' : 'Latency (ms)', color: '#94a3b8' },
+				},
+			},
+		},
+		plugins: [pathChangeMarkers],
+	});
+	applyHiddenSeries(charts.mtrHopChart);
 }
 
 function generateMtrTableHTML(hops) {
@@ -639,7 +2293,7 @@ function generateMtrTableHTML(hops) {
 		<table class="mtr-table">
 			<thead>
 				<tr>
-					<th>Hop</th><th>Host</th><th>Loss %</th><th>Sent</th>
+					<th>Hop</th><th>Host</th><th>Network</th><th>Loss %</th><th>Sent</th>
 					<th>Last (ms)</th><th>Avg (ms)</th><th>Best (ms)</th><th>Worst (ms)</th><th>StdDev</th>
 				</tr>
 			</thead>
@@ -649,10 +2303,12 @@ function generateMtrTableHTML(hops) {
 	hops.forEach((hop) => {
 		const lossPercent = safeNumber(hop.loss_percent, 0);
 		const lossClass = lossPercent > 10 ? 'loss-high' : lossPercent > 0 ? 'loss-medium' : '';
+		const ptr = pathData.hosts[hop.host]?.ptr;
 		html += `
 			<tr>
 				<td>${hop.count || hop.hop || 'N/A'}</td>
-				<td>${hop.host || 'N/A'}</td>
+				<td>${escapeHtml(hop.host || 'N/A')}${ptr ? `<div class="mtr-ptr">${escapeHtml(ptr)}</div>` : ''}</td>
+				<td>${escapeHtml(formatHopNetwork(hop.host))}</td>
 				<td class="${lossClass}">${lossPercent.toFixed(1)}%</td>
 				<td>${hop.sent || 'N/A'}</td>
 				<td>${safeNumber(hop.last_ms, 0).toFixed(1)}</td>
@@ -670,23 +2326,127 @@ function generateMtrTableHTML(hops) {
 
 function renderDashboard() {
 	try {
-		const filteredData = filterDataByTimeRange(currentTimeRange);
-		if (filteredData.length === 0) {
+		if (allData.length === 0) {
 			showUIState('empty');
 			return;
 		}
 
 		showUIState('content');
-		renderStats(filteredData);
-		renderHighlights(filteredData);
-		renderCharts(filteredData);
-		renderMtrTable(filteredData);
+		renderCompareSummary();
+		renderCompareAnnotations();
+		renderStats(allData, aggregateData);
+		renderHighlights(allData);
+		renderCharts(allData);
+		renderMtrSection();
 	} catch (e) {
 		console.error('Error rendering dashboard:', e);
 		showUIState('error', 'Failed to render dashboard. Please refresh.');
 	}
 }
 
+// --- URL State ---
+// The view lives in the query string so links can be shared and back/forward restore it:
+// range=24|168|720 (all when absent) or from/to, probe, overlay=0, hide=<chart id>:<series label> (repeatable),
+// mtr=<probe>|<endpoint>, snapshot=<run timestamp>, heatmap=date, stat=p95|min and compare=previous|split with
+// split=<timestamp> or annotation=<id>
+function buildStateParams() {
+	const params = new URLSearchParams();
+	if (currentTimeRange === 'custom') {
+		params.set('from', customRange.from);
+		params.set('to', customRange.to);
+	} else if (currentTimeRange !== 'all') {
+		params.set('range', currentTimeRange);
+	}
+	if (currentProbe !== 'all') params.set('probe', currentProbe);
+	if (!overlayProbes) params.set('overlay', '0');
+	hiddenSeries.forEach((series) => params.append('hide', series));
+	if (currentMtrEndpoint) params.set('mtr', currentMtrEndpoint);
+	if (currentMtrSnapshot) params.set('snapshot', currentMtrSnapshot);
+	if (DOMElements.heatmapLayout.value !== 'week') params.set('heatmap', DOMElements.heatmapLayout.value);
+	if (DOMElements.heatmapStat.value !== 'median') params.set('stat', DOMElements.heatmapStat.value);
+	if (compareMode !== 'off') params.set('compare', compareMode);
+	if (compareMode === 'split') {
+		if (compareAnnotation) params.set('annotation', compareAnnotation);
+		else params.set('split', compareSplit);
+	}
+	return params;
+}
+
+// Range and probe changes get their own history entry; smaller changes update the current one
+function updateUrl({ push = false } = {}) {
+	const search = buildStateParams().toString();
+	if (search === location.search.slice(1)) return;
+	const url = `${location.pathname}${search ? `?${search}` : ''}`;
+	if (push) history.pushState(null, '', url);
+	else history.replaceState(null, '', url);
+}
+
+function applyUrlState() {
+	const params = new URLSearchParams(location.search);
+	const from = new Date(params.get('from') ?? NaN);
+	const to = new Date(params.get('to') ?? NaN);
+	if (!isNaN(from) && !isNaN(to) && from < to) {
+		currentTimeRange = 'custom';
+		customRange = { from: from.toISOString(), to: to.toISOString() };
+	} else {
+		currentTimeRange = TIME_RANGES.includes(params.get('range')) ? params.get('range') : 'all';
+		customRange = null;
+	}
+	currentProbe = PROBE_ID_PATTERN.test(params.get('probe') ?? '') ? params.get('probe') : 'all';
+	overlayProbes = params.get('overlay') !== '0';
+	hiddenSeries = new Set(params.getAll('hide'));
+	currentMtrEndpoint = params.get('mtr');
+	currentMtrSnapshot = params.get('snapshot');
+	DOMElements.heatmapLayout.value = params.get('heatmap') === 'date' ? 'date' : 'week';
+	DOMElements.heatmapStat.value = ['p95', 'min'].includes(params.get('stat')) ? params.get('stat') : 'median';
+	const split = new Date(params.get('split') ?? NaN);
+	compareSplit = isNaN(split) ? null : split.toISOString();
+	compareAnnotation = /^\d+$/.test(params.get('annotation') ?? '') ? params.get('annotation') : null;
+	compareMode = COMPARE_MODES.includes(params.get('compare')) ? params.get('compare') : 'off';
+	if (compareMode === 'split' && !compareSplit && !compareAnnotation) compareMode = 'off';
+	syncControls();
+}
+
+function syncControls() {
+	DOMElements.timeRange.value = currentTimeRange;
+	DOMElements.customRange.style.display = currentTimeRange === 'custom' ? 'flex' : 'none';
+	if (customRange) {
+		DOMElements.rangeFrom.value = toLocalInputValue(customRange.from);
+		DOMElements.rangeTo.value = toLocalInputValue(customRange.to);
+	}
+	if (probes.length > 0) DOMElements.probeSelector.value = probes.some((p) => p.id === currentProbe) ? currentProbe : 'all';
+	DOMElements.probeOverlay.checked = overlayProbes;
+	DOMElements.compareMode.value = compareMode;
+	DOMElements.compareSplitGroup.style.display = compareMode === 'split' ? 'flex' : 'none';
+	if (compareSplit) DOMElements.compareSplit.value = toLocalInputValue(compareSplit);
+	updateReportLink();
+}
+
+// An annotation split is drawn once the annotation itself has been fetched
+function getCompareSplitTime() {
+	if (compareMode !== 'split') return null;
+	if (!compareAnnotation) return compareSplit;
+	return annotationData.find((annotation) => String(annotation.id) === compareAnnotation)?.start_time ?? null;
+}
+
+// <input type="datetime-local"> holds local wall-clock time without a zone
+function toLocalInputValue(timestamp) {
+	const date = new Date(timestamp);
+	return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Used by the range picker and by zooming/panning a chart; very short ranges are widened to MIN_ZOOM_MS
+function setCustomRange(from, to) {
+	const start = new Date(from);
+	const end = new Date(Math.max(new Date(to).getTime(), start.getTime() + MIN_ZOOM_MS));
+	currentTimeRange = 'custom';
+	customRange = { from: start.toISOString(), to: end.toISOString() };
+	currentMtrSnapshot = null;
+	syncControls();
+	updateUrl({ push: true });
+	fetchData();
+}
+
 // --- Tooltips ---
 function initializeTooltips() {
 	for (const [triggerId, content] of Object.entries(TOOLTIP_CONTENT)) {
@@ -718,22 +2478,152 @@ function initializeTooltips() {
 
 // --- Event Listeners ---
 DOMElements.timeRange?.addEventListener('change', (e) => {
+	// Custom ranges wait for Apply, starting from the range currently shown
+	if (e.target.value === 'custom') {
+		const params = getLogQueryParams();
+		DOMElements.rangeFrom.value = toLocalInputValue(params.get('from') || allData[0]?.timestamp || new Date().toISOString());
+		DOMElements.rangeTo.value = toLocalInputValue(params.get('to') || new Date().toISOString());
+		DOMElements.customRange.style.display = 'flex';
+		return;
+	}
 	currentTimeRange = e.target.value;
+	customRange = null;
+	syncControls();
+	updateUrl({ push: true });
+	showUIState('loading');
+	fetchData();
+});
+
+DOMElements.rangeApply?.addEventListener('click', () => {
+	const from = new Date(DOMElements.rangeFrom.value);
+	const to = new Date(DOMElements.rangeTo.value);
+	DOMElements.rangeTo.setCustomValidity(isNaN(from) || isNaN(to) || from >= to ? 'The end must be after the start' : '');
+	if (!DOMElements.rangeTo.reportValidity()) return;
+	setCustomRange(from, to);
+});
+
+DOMElements.probeSelector?.addEventListener('change', (e) => {
+	currentProbe = e.target.value;
+	currentMtrEndpoint = null;
+	currentMtrSnapshot = null;
+	updateReportLink();
+	updateUrl({ push: true });
+	showUIState('loading');
+	fetchData();
+});
+
+DOMElements.probeOverlay?.addEventListener('change', (e) => {
+	overlayProbes = e.target.checked;
+	updateUrl();
 	renderDashboard();
 });
 
+DOMElements.compareMode?.addEventListener('change', (e) => {
+	// A split waits for Apply, starting from the middle of the runs shown
+	if (e.target.value === 'split') {
+		const first = new Date(allData[0]?.timestamp ?? Date.now());
+		const last = new Date(allData[allData.length - 1]?.timestamp ?? Date.now());
+		DOMElements.compareSplit.value = toLocalInputValue(compareSplit || new Date((first.getTime() + last.getTime()) / 2));
+		DOMElements.compareSplitGroup.style.display = 'flex';
+		return;
+	}
+	compareMode = e.target.value;
+	syncControls();
+	updateUrl({ push: true });
+	fetchData();
+});
+
+DOMElements.compareAnnotation?.addEventListener('change', (e) => {
+	const annotation = annotationData.find((a) => String(a.id) === e.target.value);
+	DOMElements.compareSplit.disabled = Boolean(annotation);
+	if (annotation) DOMElements.compareSplit.value = toLocalInputValue(annotation.start_time);
+});
+
+DOMElements.compareApply?.addEventListener('click', () => {
+	// An annotated range splits into the runs before its start and those after its end
+	const annotation = annotationData.find((a) => String(a.id) === DOMElements.compareAnnotation.value);
+	const start = new Date(annotation ? annotation.start_time : DOMElements.compareSplit.value);
+	const end = annotation?.end_time ? new Date(annotation.end_time) : start;
+	const params = getLogQueryParams();
+	const outside =
+		isNaN(start) || (params.has('from') && start <= new Date(params.get('from'))) || end > new Date(params.get('to') || Date.now());
+	const field = annotation ? DOMElements.compareAnnotation : DOMElements.compareSplit;
+	field.setCustomValidity(outside ? 'Pick a date inside the selected time range' : '');
+	if (!field.reportValidity()) return;
+	compareMode = 'split';
+	compareAnnotation = annotation ? String(annotation.id) : null;
+	compareSplit = annotation ? null : start.toISOString();
+	syncControls();
+	updateUrl({ push: true });
+	fetchData();
+});
+
+DOMElements.reportLink?.addEventListener('click', () => {
+	const params = getLogQueryParams();
+	params.set('format', 'html');
+	params.set('probe', getReportProbe()?.id ?? currentProbe);
+	DOMElements.reportLink.href = `/api/report?${params}`;
+});
+
+// Relative ranges are resolved at click time so the file ends at the moment of download
+document.querySelectorAll('[data-export-metric]').forEach((link) => {
+	link.addEventListener('click', () => {
+		link.href = buildExportUrl(link.dataset.exportMetric);
+	});
+});
+
 DOMElements.mtrSelector?.addEventListener('change', (e) => {
 	const index = parseInt(e.target.value, 10);
-	const filteredData = filterDataByTimeRange(currentTimeRange);
-	const mtrResults = parseEndpointResults(filteredData, 'mtr_results');
-	const entriesWithMTR = filteredData.filter((_, i) => mtrResults[i] && mtrResults[i].length > 0).reverse();
-	displayMtrForIndex(index, entriesWithMTR, mtrResults.reverse());
+	currentMtrSnapshot = index > 0 ? mtrSnapshots[index]?.timestamp : null;
+	displayMtrSnapshot(index);
+	updateUrl();
+});
+
+DOMElements.mtrEndpoint?.addEventListener('change', (e) => {
+	currentMtrEndpoint = e.target.value;
+	currentMtrSnapshot = null;
+	renderMtrSection();
+	updateUrl();
+});
+
+DOMElements.mtrHopMetric?.addEventListener('change', renderHopChart);
+
+DOMElements.heatmapLayout?.addEventListener('change', () => {
+	loadHeatmaps();
+	updateUrl();
+});
+
+DOMElements.heatmapStat?.addEventListener('change', () => {
+	renderHeatmaps();
+	updateUrl();
+});
+
+// Heatmaps are drawn at the panel width; Chart.js charts resize themselves
+window.addEventListener('resize', () => heatmapData && renderHeatmaps());
+
+DOMElements.runTestButton?.addEventListener('click', openSpeedtest);
+DOMElements.speedtestStart?.addEventListener('click', runBrowserSpeedtest);
+DOMElements.speedtestSave?.addEventListener('click', saveSpeedtestResult);
+DOMElements.speedtestClose?.addEventListener('click', () => (DOMElements.speedtestPanel.style.display = 'none'));
+
+window.addEventListener('popstate', () => {
+	applyUrlState();
+	showUIState('loading');
+	fetchData();
 });
 
 // --- Initialize ---
 document.addEventListener('DOMContentLoaded', () => {
+	applyUrlState();
 	showUIState('loading');
-	fetchData();
-	setInterval(fetchData, 300000);
+	// A custom range needs the raw retention cutoff from /api/probes to pick its data source
+	const probesLoaded = fetchProbes();
+	if (currentTimeRange === 'custom') probesLoaded.then(fetchData);
+	else fetchData();
+	setInterval(() => {
+		// Rollup-backed ranges still reload for the medians and percentiles a pushed run cannot update
+		if (!liveConnected || !canAppendLiveRuns() || getRollupBucket()) fetchData();
+	}, POLL_INTERVAL);
+	connectLive();
 	initializeTooltips();
 });
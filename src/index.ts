@@ -1,9 +1,26 @@
 // Cloudflare Worker - Modular Endpoint Architecture
 
-interface Env {
+import { DurableObject } from 'cloudflare:workers';
+
+export interface Env {
 	DB: D1Database;
 	ASSETS: Fetcher;
+	LIVE: DurableObjectNamespace<LiveHub>;
 	ENVIRONMENT?: string;
+	ALERT_WEBHOOK_URL?: string;
+	ALERT_SLACK_WEBHOOK_URL?: string;
+	ADMIN_TOKEN?: string;
+	API_KEY_PEPPER?: string;
+	SPEEDTEST_RATE_LIMITER: RateLimit;
+	WRITE_ALLOWED_ORIGINS?: string;
+	RETENTION_RAW_DAYS?: string;
+	RETENTION_MTR_DETAIL_DAYS?: string;
+	RETENTION_HOURLY_DAYS?: string;
+	RETENTION_DAILY_DAYS?: string;
+	STATUS_TITLE?: string;
+	STATUS_PROBES?: string;
+	STATUS_METRICS?: string;
+	RESOLVE_HOP_NAMES?: string;
 }
 
 const CONFIG = {
@@ -13,15 +30,150 @@ const CONFIG = {
 	DEFAULT_QUERY_LIMIT: 1000,
 	SCHEMA_VERSION: 3,
 	ALLOWED_ORIGINS: ['*'],
+	DEFAULT_PROBE_ID: 'default',
+	MAX_PROBE_FIELD_LENGTH: 100,
+	ROLLUP_BATCH_SIZE: 200,
+	// Rollup records are written as one JSON parameter per statement; 200 records are about 30 KB
+	ROLLUP_RECORDS_PER_STATEMENT: 200,
+	MAX_AGGREGATE_ROWS: 50000,
+	MAX_ROLLUP_REBUILD_DAYS: 31,
+	MAX_ALERT_CONSECUTIVE_RUNS: 100,
+	MAX_ALERT_EVENTS: 100,
+	WEBHOOK_TIMEOUT_MS: 10000,
+	// A failed notification is retried after 5, 10, 20... minutes (at most 6 hours apart), 12 attempts in all
+	ALERT_RETRY_BASE_MINUTES: 5,
+	ALERT_RETRY_MAX_MINUTES: 360,
+	MAX_ALERT_DELIVERY_ATTEMPTS: 12,
+	DEFAULT_EXPECTED_INTERVAL_SECONDS: 3600,
+	MIN_EXPECTED_INTERVAL_SECONDS: 60,
+	MAX_EXPECTED_INTERVAL_SECONDS: 86400,
+	MISSED_RUN_TOLERANCE: 1.5,
+	MAX_GAPS: 1000,
+	AUTH_MAX_CLOCK_SKEW_SECONDS: 300,
+	MAX_KEY_ROTATION_GRACE_SECONDS: 7 * 86400,
+	MAX_EXPORT_ROWS: 100000,
+	EXPORT_PAGE_SIZE: 1000,
+	METRICS_MAX_AGE_SECONDS: 86400,
+	SLA_LEVELS_PERCENT: [80, 90, 100],
+	// Busy hours in the probe's local time, start inclusive and end exclusive
+	BUSY_HOUR_START: 19,
+	BUSY_HOUR_END: 23,
+	DEFAULT_REPORT_DAYS: 30,
+	MAX_REPORT_DAYS: 366,
+	REPORT_WORST_DAYS: 5,
+	MAX_CONTRACT_MBPS: 100000,
+	MAX_PATH_RUNS: 2000,
+	MAX_ASN_IMPORT_LINES: 5000,
+	MAX_ENRICHED_HOSTS: 500,
+	MAX_PTR_LOOKUPS_PER_UPLOAD: 20,
+	HOP_NAME_TTL_DAYS: 30,
+	DOH_RESOLVER_URL: 'https://cloudflare-dns.com/dns-query',
+	DOH_TIMEOUT_MS: 5000,
+	ANOMALY_BASELINE_DAYS: 14,
+	ANOMALY_MIN_BASELINE_RUNS: 8,
+	// Runs within this many hours of the same local time of day form the preferred baseline
+	ANOMALY_HOUR_WINDOW: 1,
+	ANOMALY_MIN_RELATIVE_SPREAD: 0.1,
+	ANOMALY_OUTLIER_SCORE: 3.5,
+	ANOMALY_SHIFT_SCORE: 2,
+	ANOMALY_SHIFT_RUNS: 6,
+	MAX_ANOMALY_REBUILD_DAYS: 7,
+	DEFAULT_ANOMALY_LIMIT: 500,
+	MAX_ANOMALY_LIMIT: 5000,
+	// Both windows need this many values of a metric before a difference is tested
+	COMPARE_MIN_RUNS: 10,
+	COMPARE_SIGNIFICANCE_LEVEL: 0.05,
+	MAX_ANNOTATION_TITLE_LENGTH: 100,
+	MAX_ANNOTATION_DESCRIPTION_LENGTH: 1000,
+	MAX_ANNOTATIONS: 1000,
+	// Retention defaults in days, overridden by the RETENTION_* variables; 0 keeps a tier forever
+	RETENTION_RAW_DAYS: 90,
+	RETENTION_MTR_DETAIL_DAYS: 30,
+	RETENTION_HOURLY_DAYS: 730,
+	RETENTION_DAILY_DAYS: 0,
+	// Must match the daily entry in triggers.crons (wrangler.jsonc)
+	RETENTION_CRON: '30 3 * * *',
+	MAX_RETENTION_DAYS_PER_RUN: 100,
+	RETENTION_BATCH_SIZE: 1000,
+	MAX_RETENTION_BATCHES: 20,
+	// Every dashboard connects to the same hub; collectors upload a few runs an hour, far below its limits
+	LIVE_HUB_NAME: 'dashboard',
+	// Largest payload one request of the browser speed test may download or upload (what the dashboard downloads)
+	MAX_SPEEDTEST_BYTES: 25 * 1000 * 1000,
+	SPEEDTEST_CHUNK_BYTES: 64 * 1024,
+	// Published on /status and as badges unless STATUS_METRICS is set; endpoint metrics are only shown when listed there
+	STATUS_DEFAULT_METRICS: [
+		'nq_download_mbps',
+		'nq_upload_mbps',
+		'nq_responsiveness_rpm',
+		'st_download_mbps',
+		'st_upload_mbps',
+		'st_ping_ms',
+	],
+	STATUS_DEFAULT_TITLE: 'Network status',
+	STATUS_HISTORY_DAYS: 30,
+	STATUS_MEDIAN_DAYS: 7,
+	MAX_STATUS_INCIDENTS: 50,
+	STATUS_CACHE_SECONDS: 60,
+	// Uptime at or above the first level is shown green, above the second amber, below it red
+	STATUS_UPTIME_GOOD_PERCENT: 99,
+	STATUS_UPTIME_DEGRADED_PERCENT: 95,
+	DEFAULT_BADGE_DAYS: 7,
+	MAX_BADGE_DAYS: 90,
+	BADGE_CACHE_SECONDS: 300,
+	MAX_BADGE_LABEL_LENGTH: 50,
 } as const;
 
+const PROBE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const METRIC_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*(\.?\*)?$/;
+const METRIC_PARAMETER_HINT = 'Use metric names such as nq_download_mbps or ping.cloudflare.rtt_avg; a trailing * matches a prefix';
+const PROBE_TEXT_FIELDS = ['name', 'isp', 'location', 'connection_type'] as const;
+const API_KEY_ID_PATTERN = /^key_[0-9a-f]{16}$/;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Reads are open to any origin. Writes are only preflighted for origins listed in WRITE_ALLOWED_ORIGINS.
 const CORS_HEADERS = {
 	'Access-Control-Allow-Origin': CONFIG.ALLOWED_ORIGINS[0],
-	'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+	'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
 	'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID',
+	'Access-Control-Expose-Headers': 'X-Request-ID, X-Next-Cursor, X-Raw-Retention-Cutoff, Link, Content-Disposition, ETag',
 	'Access-Control-Max-Age': '86400',
 } as const;
 
+const WRITE_CORS_HEADERS = {
+	'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+	'Access-Control-Allow-Headers': 'Content-Type, X-Request-ID, Authorization, X-Key-Id, X-Timestamp, X-Nonce, X-Signature',
+} as const;
+
+// Columns of network_logs, in table order. `fields=` projections are checked against this list.
+const LOG_COLUMNS = [
+	'id',
+	'timestamp',
+	'probe_id',
+	'schema_version',
+	'nq_download_mbps',
+	'nq_upload_mbps',
+	'nq_responsiveness_rpm',
+	'st_download_mbps',
+	'st_upload_mbps',
+	'st_ping_ms',
+	'st_server_location',
+	'st_server_country',
+	'bt_download_mbps',
+	'bt_upload_mbps',
+	'bt_latency_ms',
+	'bt_jitter_ms',
+	'bt_loaded_latency_ms',
+	'ping_results',
+	'curl_results',
+	'mtr_results',
+	'dns_results',
+	'created_at',
+] as const;
+
+// Always returned so rows stay identifiable, attributable and pageable
+const LOG_KEY_COLUMNS = ['id', 'timestamp', 'probe_id'] as const;
+
 // --- Type Definitions ---
 interface EndpointResult {
 	id: string;
@@ -29,8 +181,327 @@ interface EndpointResult {
 	[key: string]: unknown;
 }
 
+interface ProbeInfo {
+	id: string;
+	name?: string | null;
+	isp?: string | null;
+	location?: string | null;
+	connection_type?: string | null;
+	interval_seconds?: number | null;
+}
+
+type EndpointResultColumn = 'ping_results' | 'curl_results' | 'dns_results';
+
+const ROLLUP_BUCKETS = ['hour', 'day'] as const;
+type RollupBucket = (typeof ROLLUP_BUCKETS)[number];
+
+interface RollupRecord {
+	probe_id: string;
+	bucket: RollupBucket;
+	bucket_start: string;
+	metric: string;
+	count: number;
+	min: number;
+	avg: number;
+	median: number;
+	p95: number;
+	max: number;
+	stddev: number;
+}
+
+type AlertOperator = 'lt' | 'lte' | 'gt' | 'gte' | 'eq' | 'ne';
+type AlertStatus = 'ok' | 'firing';
+type WebhookFormat = 'generic' | 'slack';
+// The rule's own webhook, or ALERT_WEBHOOK_URL and ALERT_SLACK_WEBHOOK_URL
+type WebhookTargetId = 'rule' | 'webhook' | 'slack';
+
+interface AlertRuleInput {
+	name: string;
+	probe_id: string | null;
+	metric: string;
+	operator: AlertOperator;
+	threshold: number;
+	consecutive_runs: number;
+	on_missing: 'ignore' | 'breach';
+	webhook_url: string | null;
+	webhook_format: WebhookFormat | null;
+	enabled: boolean;
+}
+
+interface AlertRule extends Omit<AlertRuleInput, 'enabled'> {
+	id: number;
+	enabled: number;
+}
+
+interface AlertState {
+	rule_id: number;
+	probe_id: string;
+	status: AlertStatus;
+	last_value: number | null;
+	last_timestamp: string | null;
+	fired_at: string | null;
+	resolved_at: string | null;
+	last_event_id: number | null;
+	/** JSON array of WebhookTargetId that have not accepted the latest transition yet */
+	pending_targets: string | null;
+	delivery_attempts: number;
+	next_delivery_at: string | null;
+}
+
+interface ProbeContract {
+	download_mbps: number;
+	upload_mbps: number;
+	latency_ms: number | null;
+	packet_loss_percent: number | null;
+	timezone: string;
+}
+
+// Share of measurements reaching each CONFIG.SLA_LEVELS_PERCENT level of the contracted speed
+interface ThroughputCompliance {
+	measurements: number;
+	median_mbps: number | null;
+	meeting_percent: Record<string, number | null>;
+}
+
+interface TargetCompliance {
+	measurements: number;
+	median: number | null;
+	meeting_percent: number | null;
+}
+
+interface ReportDay {
+	date: string;
+	runs: number;
+	download_median_mbps: number | null;
+	download_percent_of_contract: number | null;
+	upload_median_mbps: number | null;
+	upload_percent_of_contract: number | null;
+	latency_median_ms: number | null;
+	packet_loss_mean_percent: number | null;
+}
+
+interface PathHop {
+	count: number;
+	host: string | null;
+	avg_ms: number | null;
+	loss_percent: number | null;
+}
+
+type HopLabel = 'public' | 'private' | 'cgnat' | 'loopback' | 'link-local' | 'multicast' | 'reserved';
+
+interface HopEnrichment {
+	label: HopLabel;
+	asn: number | null;
+	org: string | null;
+	prefix: string | null;
+	ptr: string | null;
+}
+
+interface PathChange {
+	timestamp: string;
+	previous_timestamp: string;
+	from_path: number;
+	to_path: number;
+	first_changed_hop: number;
+	added_hosts: string[];
+	removed_hosts: string[];
+}
+
+type AnomalyKind = (typeof ANOMALY_KINDS)[number];
+type AnomalyDirection = 'up' | 'down';
+type BaselineScope = 'time_of_day' | 'all_hours';
+
+type AnnotationCategory = (typeof ANNOTATION_CATEGORIES)[number];
+
+interface AnnotationInput {
+	/** null = applies to every probe */
+	probe_id: string | null;
+	start_time: string;
+	/** null for a point in time */
+	end_time: string | null;
+	title: string;
+	description: string | null;
+	category: AnnotationCategory;
+}
+
+type EndpointKind = (typeof ENDPOINT_KINDS)[number];
+type EndpointTargetField = 'host' | 'domain' | 'resolver';
+
+// One entry of endpoints.config.json plus the dashboard's display metadata
+interface EndpointDefinition {
+	id: string;
+	name: string;
+	host?: string;
+	domain?: string;
+	resolver?: string;
+	group?: string | null;
+	/** "#rrggbb"; overrides the group's palette color */
+	color?: string | null;
+	comparison_set?: string | null;
+}
+
+type EndpointConfig = Record<EndpointKind, EndpointDefinition[]>;
+
+interface AnomalyRecord {
+	probe_id: string;
+	metric: string;
+	kind: AnomalyKind;
+	/** First affected run; for a shift the run where the series left its baseline */
+	timestamp: string;
+	/** Run that completed the detection; equals `timestamp` for outliers */
+	confirmed_at: string;
+	value: number;
+	baseline: number;
+	spread: number;
+	score: number;
+	direction: AnomalyDirection;
+	baseline_scope: BaselineScope;
+}
+
+type ComparePool = (typeof COMPARE_POOLS)[number];
+type CompareChange = 'up' | 'down' | 'none';
+type CompareVerdict = 'better' | 'worse' | 'changed' | 'unchanged' | 'inconclusive';
+
+interface CompareSummary {
+	count: number;
+	avg: number | null;
+	median: number | null;
+	p95: number | null;
+}
+
+interface MetricComparison {
+	metric: string;
+	baseline: CompareSummary;
+	current: CompareSummary;
+	delta_median: number | null;
+	delta_percent: number | null;
+	/** Two-sided Mann-Whitney U p-value; null while either window has fewer than COMPARE_MIN_RUNS values */
+	p_value: number | null;
+	/** Probability that a current run exceeds a baseline run (0.5 = no difference) */
+	effect: number | null;
+	change: CompareChange;
+	verdict: CompareVerdict;
+}
+
+type RetentionTier = 'raw' | 'mtr_detail' | 'hourly' | 'daily';
+
+interface RetentionResult {
+	raw_days_deleted: number;
+	raw_rows_deleted: number;
+	rollup_days_refreshed: number;
+	mtr_runs_compacted: number;
+	hourly_rollups_deleted: number;
+	daily_rollups_deleted: number;
+	// False when a batch limit was hit; the next run continues
+	complete: boolean;
+}
+
+interface StorageTier {
+	rows: number;
+	oldest: string | null;
+}
+
+interface StorageStats {
+	size_bytes: number | null;
+	tiers: Record<'raw' | 'hourly' | 'daily', StorageTier>;
+	retention_days: Record<RetentionTier, number | null>;
+}
+
+interface MigrationStatus {
+	status: 'ok' | 'pending' | 'unknown';
+	applied: number;
+	/** Files of migrations/ not yet recorded in d1_migrations, in order */
+	pending: string[];
+}
+
+type ProbeState = 'operational' | 'degraded' | 'outage' | 'no_data';
+type StatusIncidentKind = 'outage' | 'no_data' | 'degraded' | 'incident' | 'maintenance';
+
+interface StatusMetric {
+	metric: string;
+	label: string;
+	unit: string;
+	latest: number | null;
+	latest_at: string | null;
+	/** Over the last CONFIG.STATUS_MEDIAN_DAYS days */
+	median: number | null;
+}
+
+interface StatusDay {
+	date: string;
+	runs: number;
+	uptime_percent: number | null;
+}
+
+interface ProbeStatus {
+	id: string;
+	name: string | null;
+	isp: string | null;
+	location: string | null;
+	state: ProbeState;
+	last_run: string | null;
+	uptime_percent: Record<'1d' | '7d' | '30d', number | null>;
+	metrics: StatusMetric[];
+	days: StatusDay[];
+}
+
+interface StatusIncident {
+	/** null for annotations that apply to every probe */
+	probe_id: string | null;
+	kind: StatusIncidentKind;
+	title: string;
+	description: string | null;
+	start: string;
+	/** null while ongoing, and for anomalies and annotations without an end */
+	end: string | null;
+	ongoing: boolean;
+}
+
+interface CollectorStatus {
+	probe_id: string;
+	last_seen: string | null;
+	expected_interval_seconds: number;
+	seconds_since_last_run: number | null;
+	missed_runs: number;
+	status: 'ok' | 'stale' | 'unknown';
+}
+
+interface CollectorGap {
+	probe_id: string;
+	start: string;
+	end: string;
+	duration_seconds: number;
+	missed_runs: number;
+	ongoing: boolean;
+}
+
+type ApiKeyScope = (typeof API_KEY_SCOPES)[number];
+
+interface ApiKey {
+	id: string;
+	probe_id: string;
+	name: string | null;
+	scope: ApiKeyScope;
+	secret_hash: string;
+	created_at: string;
+	last_used_at: string | null;
+	revoked_at: string | null;
+	replaced_by: string | null;
+}
+
+interface AlertEvent {
+	rule_id: number;
+	probe_id: string;
+	status: 'firing' | 'resolved';
+	value: number | null;
+	measured_at: string;
+}
+
 interface NetworkLogEntry {
+	schema_version?: number;
 	timestamp: string;
+	probe?: ProbeInfo;
+	annotation?: string | null;
 	networkquality: {
 		download_mbps: number | null;
 		upload_mbps: number | null;
@@ -43,15 +514,77 @@ interface NetworkLogEntry {
 		server_location?: string | null;
 		server_country?: string | null;
 	};
+	browsertest?: {
+		download_mbps?: number | null;
+		upload_mbps?: number | null;
+		latency_ms: number;
+		jitter_ms?: number | null;
+		loaded_latency_ms?: number | null;
+	};
 	ping_results: EndpointResult[];
 	curl_results: EndpointResult[];
 	mtr_results: EndpointResult[];
 	dns_results: EndpointResult[];
 }
 
+interface LogFilter {
+	probeIds: string[];
+	from: string | null;
+	to: string | null;
+}
+
+interface LogCursor {
+	timestamp: string;
+	id: number;
+}
+
+// `path` is a JSON pointer into the request body, e.g. "/0/ping_results/1/rtt_ms/avg"
+interface FieldError {
+	path: string;
+	message: string;
+}
+
+type JsonType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+// The subset of JSON Schema (draft 2020-12) used for upload payloads
+interface JsonSchema {
+	$schema?: string;
+	$id?: string;
+	title?: string;
+	description?: string;
+	type?: JsonType | JsonType[];
+	enum?: unknown[];
+	format?: 'date-time';
+	minimum?: number;
+	maximum?: number;
+	minLength?: number;
+	maxLength?: number;
+	pattern?: string;
+	minItems?: number;
+	maxItems?: number;
+	items?: JsonSchema;
+	properties?: Record<string, JsonSchema>;
+	required?: string[];
+	additionalProperties?: boolean;
+	'x-unit'?: string;
+	'x-schema-version'?: number;
+}
+
+type UploadStatus = 'inserted' | 'duplicate' | 'invalid';
+
+interface UploadResult {
+	index: number;
+	status: UploadStatus;
+	probe_id?: string;
+	timestamp?: string;
+	schema_version?: number;
+	errors?: FieldError[];
+}
+
 interface ErrorResponse {
 	error: string;
 	details?: string;
+	errors?: unknown[];
 	request_id?: string;
 	timestamp: string;
 }
@@ -59,6 +592,9 @@ interface ErrorResponse {
 interface SuccessResponse {
 	success: boolean;
 	inserted?: number;
+	duplicates?: number;
+	invalid?: number;
+	results?: UploadResult[];
 	duration_ms?: number;
 	request_id?: string;
 	timestamp: string;
@@ -105,33 +641,422 @@ class Logger {
 	}
 }
 
+// --- Payload Schema ---
+// Served at /api/schema so collectors can validate before uploading. Bump CONFIG.SCHEMA_VERSION on breaking changes.
+function measurement(maximum: number, unit: string, description?: string): JsonSchema {
+	return { type: ['number', 'null'], minimum: 0, maximum, 'x-unit': unit, ...(description && { description }) };
+}
+
+const ENDPOINT_FIELDS: Record<string, JsonSchema> = {
+	id: { type: 'string', pattern: '^[a-z0-9_-]{1,64}$', description: 'Stable endpoint id, used in metric names' },
+	name: { type: 'string', minLength: 1, maxLength: 100 },
+};
+
+const HOST_SCHEMA: JsonSchema = { type: ['string', 'null'], maxLength: 253 };
+
+const PING_RESULT_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['id', 'name'],
+	additionalProperties: false,
+	properties: {
+		...ENDPOINT_FIELDS,
+		host: HOST_SCHEMA,
+		packet_loss_percent: measurement(100, '%'),
+		rtt_ms: {
+			type: ['object', 'null'],
+			additionalProperties: false,
+			properties: {
+				min: measurement(60000, 'ms'),
+				avg: measurement(60000, 'ms'),
+				max: measurement(60000, 'ms'),
+				stddev: measurement(60000, 'ms'),
+			},
+		},
+	},
+};
+
+const CURL_RESULT_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['id', 'name'],
+	additionalProperties: false,
+	properties: {
+		...ENDPOINT_FIELDS,
+		host: HOST_SCHEMA,
+		dns_lookup_s: measurement(60, 's', 'Seconds, as reported by curl time_namelookup (not milliseconds)'),
+		ttfb_s: measurement(300, 's', 'Seconds, as reported by curl time_starttransfer (not milliseconds)'),
+		http_code: {
+			type: ['string', 'integer', 'null'],
+			pattern: '^[0-9]{3}$',
+			minimum: 0,
+			maximum: 599,
+			description: '"000" when the request failed',
+		},
+	},
+};
+
+const MTR_HOP_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['count'],
+	additionalProperties: false,
+	properties: {
+		count: { type: 'integer', minimum: 1, maximum: 255 },
+		host: { type: ['string', 'null'], maxLength: 253 },
+		loss_percent: measurement(100, '%'),
+		sent: { type: ['integer', 'null'], minimum: 0, maximum: 10000 },
+		last_ms: measurement(60000, 'ms'),
+		avg_ms: measurement(60000, 'ms'),
+		best_ms: measurement(60000, 'ms'),
+		worst_ms: measurement(60000, 'ms'),
+		stddev: measurement(60000, 'ms'),
+	},
+};
+
+const MTR_RESULT_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['id', 'name', 'hops'],
+	additionalProperties: false,
+	properties: {
+		...ENDPOINT_FIELDS,
+		host: HOST_SCHEMA,
+		hops: { type: 'array', maxItems: 64, items: MTR_HOP_SCHEMA },
+	},
+};
+
+const DNS_RESULT_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['id', 'name'],
+	additionalProperties: false,
+	properties: {
+		...ENDPOINT_FIELDS,
+		domain: HOST_SCHEMA,
+		resolver: HOST_SCHEMA,
+		query_time_ms: measurement(60000, 'ms'),
+	},
+};
+
+const PROBE_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['id'],
+	additionalProperties: false,
+	properties: {
+		id: { type: 'string', pattern: PROBE_ID_PATTERN.source },
+		...Object.fromEntries(
+			PROBE_TEXT_FIELDS.map((field) => [field, { type: ['string', 'null'], maxLength: CONFIG.MAX_PROBE_FIELD_LENGTH } as JsonSchema])
+		),
+		interval_seconds: {
+			type: ['integer', 'null'],
+			minimum: CONFIG.MIN_EXPECTED_INTERVAL_SECONDS,
+			maximum: CONFIG.MAX_EXPECTED_INTERVAL_SECONDS,
+			'x-unit': 's',
+		},
+	},
+};
+
+const ENTRY_SCHEMA: JsonSchema = {
+	type: 'object',
+	required: ['timestamp', 'networkquality', 'speedtest', 'ping_results', 'curl_results', 'mtr_results', 'dns_results'],
+	additionalProperties: false,
+	properties: {
+		schema_version: { type: 'integer', enum: [CONFIG.SCHEMA_VERSION] },
+		timestamp: { type: 'string', format: 'date-time', description: 'Within the last year and at most one hour ahead' },
+		probe: PROBE_SCHEMA,
+		annotation: {
+			type: ['string', 'null'],
+			maxLength: CONFIG.MAX_ANNOTATION_TITLE_LENGTH,
+			description: 'Free-text context for the run, e.g. "Wi-Fi" or "Ethernet"; each change is recorded as an annotation',
+		},
+		networkquality: {
+			type: 'object',
+			additionalProperties: false,
+			properties: {
+				download_mbps: measurement(100000, 'Mbps'),
+				upload_mbps: measurement(100000, 'Mbps'),
+				responsiveness_rpm: measurement(100000, 'RPM'),
+			},
+		},
+		speedtest: {
+			type: 'object',
+			additionalProperties: false,
+			properties: {
+				download_mbps: measurement(100000, 'Mbps'),
+				upload_mbps: measurement(100000, 'Mbps'),
+				ping_ms: measurement(60000, 'ms'),
+				server_location: { type: ['string', 'null'], maxLength: 200 },
+				server_country: { type: ['string', 'null'], maxLength: 200 },
+			},
+		},
+		browsertest: {
+			type: 'object',
+			required: ['latency_ms'],
+			additionalProperties: false,
+			description: "Sent by the dashboard's browser test; collectors leave it out. Such runs do not count as scheduled runs.",
+			properties: {
+				download_mbps: measurement(100000, 'Mbps'),
+				upload_mbps: measurement(100000, 'Mbps'),
+				latency_ms: { type: 'number', minimum: 0, maximum: 60000, 'x-unit': 'ms', description: 'Median idle round trip' },
+				jitter_ms: measurement(60000, 'ms', 'Mean difference between consecutive idle round trips'),
+				loaded_latency_ms: measurement(60000, 'ms', 'Median round trip while the download runs'),
+			},
+		},
+		ping_results: { type: 'array', maxItems: 50, items: PING_RESULT_SCHEMA },
+		curl_results: { type: 'array', maxItems: 50, items: CURL_RESULT_SCHEMA },
+		mtr_results: { type: 'array', maxItems: 50, items: MTR_RESULT_SCHEMA },
+		dns_results: { type: 'array', maxItems: 50, items: DNS_RESULT_SCHEMA },
+	},
+};
+
+function uploadSchema(origin: string): JsonSchema {
+	return {
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		$id: `${origin}/api/schema?version=${CONFIG.SCHEMA_VERSION}`,
+		title: 'Network quality upload',
+		description: 'Body of POST /upload: a batch of measurement entries',
+		'x-schema-version': CONFIG.SCHEMA_VERSION,
+		type: 'array',
+		minItems: 1,
+		maxItems: CONFIG.MAX_BATCH_SIZE,
+		items: ENTRY_SCHEMA,
+	};
+}
+
 // --- Validation ---
-function isValidTimestamp(timestamp: string): boolean {
+// Imports of historic data may go back further than a year; nothing may be in the future
+function isValidTimestamp(timestamp: string, { historic = false } = {}): boolean {
 	const date = new Date(timestamp);
 	const now = Date.now();
 	const oneYearAgo = now - 365 * 24 * 60 * 60 * 1000;
 	const oneHourFuture = now + 60 * 60 * 1000;
-	return !isNaN(date.getTime()) && date.getTime() >= oneYearAgo && date.getTime() <= oneHourFuture;
+	return !isNaN(date.getTime()) && (historic || date.getTime() >= oneYearAgo) && date.getTime() <= oneHourFuture;
 }
 
-function isValidEntry(entry: unknown): entry is NetworkLogEntry {
-	if (!entry || typeof entry !== 'object') return false;
-	const e = entry as Partial<NetworkLogEntry>;
-	return (
-		typeof e.timestamp === 'string' &&
-		isValidTimestamp(e.timestamp) &&
-		e.networkquality !== undefined &&
-		typeof e.networkquality === 'object' &&
-		e.speedtest !== undefined &&
-		typeof e.speedtest === 'object' &&
-		Array.isArray(e.ping_results) &&
-		Array.isArray(e.curl_results) &&
-		Array.isArray(e.mtr_results) &&
-		Array.isArray(e.dns_results)
-	);
+function isValidProbeId(id: unknown): id is string {
+	return typeof id === 'string' && PROBE_ID_PATTERN.test(id);
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function jsonType(value: unknown): JsonType {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+	return typeof value as JsonType;
+}
+
+function pointer(base: string, token: string | number): string {
+	return `${base}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+// Collects every violation instead of stopping at the first one
+function validateSchema(schema: JsonSchema, value: unknown, path: string, errors: FieldError[]): void {
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		const actual = jsonType(value);
+		if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+			errors.push({ path, message: `must be ${types.join(' or ')}` });
+			return;
+		}
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+	}
+
+	if (typeof value === 'number') {
+		const unit = schema['x-unit'] ? ` ${schema['x-unit']}` : '';
+		if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+			const range =
+				schema.maximum === undefined ? `at least ${schema.minimum}${unit}` : `between ${schema.minimum ?? 0} and ${schema.maximum}${unit}`;
+			errors.push({ path, message: `must be ${range}` });
+		}
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			errors.push({ path, message: `must match ${schema.pattern}` });
+		}
+		if (schema.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) || isNaN(new Date(value).getTime()))) {
+			errors.push({ path, message: 'must be an ISO 8601 date-time' });
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+		}
+		if (schema.items) {
+			value.forEach((item, index) => validateSchema(schema.items!, item, pointer(path, index), errors));
+		}
+	}
+
+	if (isObject(value)) {
+		for (const key of schema.required ?? []) {
+			if (value[key] === undefined) errors.push({ path: pointer(path, key), message: 'is required' });
+		}
+		for (const [key, item] of Object.entries(value)) {
+			// Undefined cannot come from JSON; it only appears on entries built by the Worker and means "absent"
+			if (item === undefined) continue;
+			const property = schema.properties?.[key];
+			if (property) {
+				validateSchema(property, item, pointer(path, key), errors);
+			} else if (schema.additionalProperties === false) {
+				errors.push({ path: pointer(path, key), message: 'is not an allowed property' });
+			}
+		}
+	}
+}
+
+// Checks the schema cannot express: the accepted time window, rtt ordering and unique endpoint ids
+function validateEntrySemantics(entry: Record<string, unknown>, path: string, errors: FieldError[], historic: boolean): void {
+	if (
+		typeof entry.timestamp === 'string' &&
+		!isNaN(new Date(entry.timestamp).getTime()) &&
+		!isValidTimestamp(entry.timestamp, { historic })
+	) {
+		errors.push({
+			path: pointer(path, 'timestamp'),
+			message: historic ? 'must be at most one hour in the future' : 'must be within the last year and at most one hour in the future',
+		});
+	}
+
+	for (const column of ['ping_results', 'curl_results', 'mtr_results', 'dns_results']) {
+		const results = entry[column];
+		if (!Array.isArray(results)) continue;
+
+		const seen = new Set<unknown>();
+		results.forEach((result, index) => {
+			if (!isObject(result)) return;
+			if (seen.has(result.id)) {
+				errors.push({ path: pointer(pointer(pointer(path, column), index), 'id'), message: 'must be unique within the array' });
+			}
+			seen.add(result.id);
+
+			const rtt = result.rtt_ms;
+			if (column === 'ping_results' && isObject(rtt)) {
+				const { min, avg, max } = rtt as Record<string, number | null | undefined>;
+				if (typeof min === 'number' && typeof avg === 'number' && typeof max === 'number' && !(min <= avg && avg <= max)) {
+					errors.push({
+						path: pointer(pointer(pointer(path, column), index), 'rtt_ms'),
+						message: 'must satisfy min <= avg <= max',
+					});
+				}
+			}
+		});
+	}
+}
+
+// Returns every problem with an entry, or an empty list when it can be stored
+function validateEntry(entry: unknown, path: string, { historic = false } = {}): FieldError[] {
+	const errors: FieldError[] = [];
+	validateSchema(ENTRY_SCHEMA, entry, path, errors);
+	if (isObject(entry)) validateEntrySemantics(entry, path, errors, historic);
+	return errors;
 }
 
 // --- Utility ---
+// Stored timestamps are UTC without milliseconds ("2025-12-06T10:30:00Z") so they sort and compare as strings
+function toStoredTimestamp(date: Date): string {
+	return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function normalizeTimestamp(timestamp: string): string {
+	return toStoredTimestamp(new Date(timestamp));
+}
+
+function getProbeId(entry: NetworkLogEntry): string {
+	return entry.probe?.id ?? CONFIG.DEFAULT_PROBE_ID;
+}
+
+function parseProbeFilter(value: string | null): string[] | null {
+	if (!value) return [];
+	const ids = [
+		...new Set(
+			value
+				.split(',')
+				.map((id) => id.trim())
+				.filter(Boolean)
+		),
+	];
+	return ids.every(isValidProbeId) ? ids : null;
+}
+
+function parseTimeBound(value: string | null): string | null | undefined {
+	if (!value) return null;
+	const date = new Date(value);
+	return isNaN(date.getTime()) ? undefined : toStoredTimestamp(date);
+}
+
+function parseLogFilter(url: URL): LogFilter | string {
+	const probeIds = parseProbeFilter(url.searchParams.get('probe'));
+	if (!probeIds) return 'Invalid probe parameter';
+
+	const from = parseTimeBound(url.searchParams.get('from'));
+	const to = parseTimeBound(url.searchParams.get('to'));
+	if (from === undefined) return 'Invalid from parameter (expected ISO 8601 timestamp)';
+	if (to === undefined) return 'Invalid to parameter (expected ISO 8601 timestamp)';
+	if (from && to && from > to) return 'from must not be later than to';
+
+	return { probeIds, from, to };
+}
+
+function buildLogWhere(filter: LogFilter, extraConditions: string[] = [], extraBindings: unknown[] = []) {
+	const conditions: string[] = [];
+	const bindings: unknown[] = [];
+
+	if (filter.probeIds.length > 0) {
+		conditions.push(`probe_id IN (${filter.probeIds.map(() => '?').join(', ')})`);
+		bindings.push(...filter.probeIds);
+	}
+	if (filter.from) {
+		conditions.push('timestamp >= ?');
+		bindings.push(filter.from);
+	}
+	if (filter.to) {
+		conditions.push('timestamp <= ?');
+		bindings.push(filter.to);
+	}
+	conditions.push(...extraConditions);
+	bindings.push(...extraBindings);
+
+	return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', bindings };
+}
+
+function parseFields(value: string | null): string[] | null {
+	if (!value) return [...LOG_COLUMNS];
+	const requested = value
+		.split(',')
+		.map((field) => field.trim())
+		.filter(Boolean);
+	if (!requested.every((field) => (LOG_COLUMNS as readonly string[]).includes(field))) return null;
+	return LOG_COLUMNS.filter((column) => (LOG_KEY_COLUMNS as readonly string[]).includes(column) || requested.includes(column));
+}
+
+function encodeCursor(cursor: LogCursor): string {
+	return btoa(JSON.stringify([cursor.timestamp, cursor.id]))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+function decodeCursor(value: string): LogCursor | null {
+	try {
+		const [timestamp, id] = JSON.parse(atob(value.replace(/-/g, '+').replace(/_/g, '/')));
+		return typeof timestamp === 'string' && Number.isInteger(id) ? { timestamp, id } : null;
+	} catch {
+		return null;
+	}
+}
+
 function generateRequestId(): string {
 	return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
@@ -149,10 +1074,11 @@ function jsonResponse(
 	return new Response(JSON.stringify(data), { status, headers });
 }
 
-function errorResponse(error: string, status: number, requestId: string, details?: string): Response {
+function errorResponse(error: string, status: number, requestId: string, details?: string, errors?: unknown[]): Response {
 	const response: ErrorResponse = {
 		error,
 		details,
+		errors,
 		request_id: requestId,
 		timestamp: new Date().toISOString(),
 	};
@@ -162,128 +1088,5343 @@ function errorResponse(error: string, status: number, requestId: string, details
 // --- SQL ---
 const INSERT_SQL = `
   INSERT INTO network_logs (
-    timestamp, schema_version,
+    timestamp, probe_id, schema_version,
     nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
     st_download_mbps, st_upload_mbps, st_ping_ms, st_server_location, st_server_country,
+    bt_download_mbps, bt_upload_mbps, bt_latency_ms, bt_jitter_ms, bt_loaded_latency_ms,
     ping_results, curl_results, mtr_results, dns_results
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(probe_id, timestamp) DO NOTHING
 `;
 
-const CHECK_DUPLICATE_SQL = `SELECT COUNT(*) as count FROM network_logs WHERE timestamp = ? LIMIT 1`;
+const CHECK_DUPLICATE_SQL = `SELECT COUNT(*) as count FROM network_logs WHERE probe_id = ? AND timestamp = ? LIMIT 1`;
 
-// --- Handlers ---
-async function handleUpload(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
-	const startTime = Date.now();
+// Metadata sent with a later upload overrides earlier values; missing fields keep what is stored
+const UPSERT_PROBE_SQL = `
+  INSERT INTO probes (id, name, isp, location, connection_type, expected_interval_seconds, last_seen)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(id) DO UPDATE SET
+    name = COALESCE(excluded.name, probes.name),
+    isp = COALESCE(excluded.isp, probes.isp),
+    location = COALESCE(excluded.location, probes.location),
+    connection_type = COALESCE(excluded.connection_type, probes.connection_type),
+    expected_interval_seconds = COALESCE(excluded.expected_interval_seconds, probes.expected_interval_seconds),
+    last_seen = COALESCE(MAX(probes.last_seen, excluded.last_seen), probes.last_seen, excluded.last_seen)
+`;
 
-	let entries: unknown;
-	try {
-		entries = await request.json();
-	} catch (e) {
-		logger.warn('Invalid JSON', { error: (e as Error).message });
-		return errorResponse('Invalid JSON in request body', 400, requestId);
-	}
+const SELECT_PROBES_SQL = `
+  SELECT p.id, p.name, p.isp, p.location, p.connection_type, p.expected_interval_seconds, p.first_seen, p.last_seen,
+    p.contract_download_mbps, p.contract_upload_mbps, p.target_latency_ms, p.target_packet_loss_percent, p.timezone,
+    (SELECT COUNT(*) FROM network_logs l WHERE l.probe_id = p.id) AS entry_count
+  FROM probes p
+  ORDER BY p.id
+`;
 
-	if (!Array.isArray(entries)) {
-		logger.warn('Not an array');
-		return errorResponse('Request body must be an array', 400, requestId);
-	}
+const SELECT_ROLLUP_SOURCE_SQL = `
+  SELECT timestamp, nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
+    st_download_mbps, st_upload_mbps, st_ping_ms, bt_download_mbps, bt_upload_mbps, bt_latency_ms, bt_jitter_ms,
+    bt_loaded_latency_ms, ping_results, curl_results, dns_results
+  FROM network_logs
+  WHERE probe_id = ? AND timestamp >= ? AND timestamp < ?
+`;
 
-	if (entries.length === 0) {
-		logger.warn('Empty array');
-		return errorResponse('Request body must contain at least one entry', 400, requestId);
-	}
+// The daily bucket of a UTC day and the hourly buckets listed as a JSON array of bucket starts (NULL: all of the day's)
+const DELETE_ROLLUP_BUCKETS_SQL = `
+  DELETE FROM metric_rollups
+  WHERE probe_id = ?1 AND bucket_start >= ?2 AND bucket_start < ?3
+    AND (bucket = 'day' OR ?4 IS NULL OR bucket_start IN (SELECT value FROM json_each(?4)))
+`;
 
-	if (entries.length > CONFIG.MAX_BATCH_SIZE) {
-		logger.warn('Batch too large', { count: entries.length });
-		return errorResponse(`Batch size exceeds maximum of ${CONFIG.MAX_BATCH_SIZE}`, 400, requestId);
-	}
+// Records are a JSON array of [bucket, bucket_start, metric, count, min, avg, median, p95, max, stddev], so one
+// statement writes many buckets and an upload stays far below the queries a Worker invocation may run
+const INSERT_ROLLUPS_SQL = `
+  INSERT OR REPLACE INTO metric_rollups (probe_id, bucket, bucket_start, metric, count, min, avg, median, p95, max, stddev)
+  SELECT ?, json_extract(value, '$[0]'), json_extract(value, '$[1]'), json_extract(value, '$[2]'), json_extract(value, '$[3]'),
+    json_extract(value, '$[4]'), json_extract(value, '$[5]'), json_extract(value, '$[6]'), json_extract(value, '$[7]'),
+    json_extract(value, '$[8]'), json_extract(value, '$[9]')
+  FROM json_each(?)
+`;
 
-	const validEntries = entries.filter(isValidEntry);
-	if (validEntries.length !== entries.length) {
-		const invalidCount = entries.length - validEntries.length;
-		logger.warn('Invalid entries', { invalid_count: invalidCount });
-		return errorResponse(`Invalid entry format in ${invalidCount} of ${entries.length} entries`, 400, requestId);
-	}
+// Probe days older than the raw cutoff, oldest first, flagged when their daily rollup is missing
+const SELECT_EXPIRED_LOG_DAYS_SQL = `
+  SELECT probe_id, substr(timestamp, 1, 10) AS day,
+    EXISTS (
+      SELECT 1 FROM metric_rollups r
+      WHERE r.probe_id = network_logs.probe_id AND r.bucket = 'day' AND r.bucket_start = substr(network_logs.timestamp, 1, 10) || 'T00:00:00Z'
+    ) AS rolled_up
+  FROM network_logs WHERE timestamp < ?
+  GROUP BY probe_id, day ORDER BY day, probe_id LIMIT ?
+`;
 
-	try {
-		const duplicateChecks = await Promise.all(
-			validEntries.map((entry) => env.DB.prepare(CHECK_DUPLICATE_SQL).bind(entry.timestamp).first<{ count: number }>())
-		);
+const DELETE_LOG_DAY_SQL = `DELETE FROM network_logs WHERE probe_id = ? AND timestamp >= ? AND timestamp < ?`;
 
-		const duplicates = duplicateChecks.filter((result) => result?.count && result.count > 0);
-		if (duplicates.length > 0) {
-			logger.info('Duplicates detected', { duplicate_count: duplicates.length });
-			return errorResponse(`${duplicates.length} duplicate timestamps rejected`, 409, requestId);
-		}
-
-		const statements = validEntries.map((entry) => {
-			const { networkquality, speedtest } = entry;
-			return env.DB.prepare(INSERT_SQL).bind(
-				entry.timestamp,
-				CONFIG.SCHEMA_VERSION,
-				networkquality.download_mbps,
-				networkquality.upload_mbps,
-				networkquality.responsiveness_rpm,
-				speedtest.download_mbps ?? null,
-				speedtest.upload_mbps ?? null,
-				speedtest.ping_ms ?? null,
-				speedtest.server_location ?? null,
-				speedtest.server_country ?? null,
-				JSON.stringify(entry.ping_results),
-				JSON.stringify(entry.curl_results),
-				JSON.stringify(entry.mtr_results),
-				JSON.stringify(entry.dns_results)
-			);
-		});
+// Traces that still carry per-hop statistics; compacted hops only keep count and host
+const SELECT_MTR_DETAIL_SQL = `
+  SELECT id, mtr_results FROM network_logs
+  WHERE timestamp < ? AND EXISTS (
+    SELECT 1 FROM json_each(network_logs.mtr_results) AS trace, json_each(trace.value, '$.hops') AS hop, json_each(hop.value) AS field
+    WHERE field.key NOT IN ('count', 'host')
+  )
+  ORDER BY timestamp LIMIT ?
+`;
 
-		await env.DB.batch(statements);
+const UPDATE_MTR_RESULTS_SQL = `UPDATE network_logs SET mtr_results = ? WHERE id = ?`;
 
-		const duration = Date.now() - startTime;
-		logger.info('Successfully inserted', { count: validEntries.length, duration_ms: duration });
+const DELETE_EXPIRED_ROLLUPS_SQL = `
+  DELETE FROM metric_rollups WHERE rowid IN (
+    SELECT rowid FROM metric_rollups WHERE bucket = ? AND bucket_start < ? LIMIT ?
+  )
+`;
 
-		const response: SuccessResponse = {
-			success: true,
-			inserted: validEntries.length,
-			duration_ms: duration,
-			request_id: requestId,
-			timestamp: new Date().toISOString(),
-		};
+const SELECT_STORAGE_SQL = `
+  SELECT
+    (SELECT COUNT(*) FROM network_logs) AS raw_rows,
+    (SELECT MIN(timestamp) FROM network_logs) AS raw_oldest,
+    (SELECT COUNT(*) FROM metric_rollups WHERE bucket = 'hour') AS hourly_rows,
+    (SELECT MIN(bucket_start) FROM metric_rollups WHERE bucket = 'hour') AS hourly_oldest,
+    (SELECT COUNT(*) FROM metric_rollups WHERE bucket = 'day') AS daily_rows,
+    (SELECT MIN(bucket_start) FROM metric_rollups WHERE bucket = 'day') AS daily_oldest
+`;
 
-		return jsonResponse(response, 200, { 'Cache-Control': 'no-store' });
-	} catch (dbError) {
+const ALERT_RULE_COLUMNS = `id, name, probe_id, metric, operator, threshold, consecutive_runs, on_missing,
+  webhook_url IS NOT NULL AS has_webhook, webhook_format, enabled, created_at, updated_at`;
+
+const INSERT_ALERT_RULE_SQL = `
+  INSERT INTO alert_rules (name, probe_id, metric, operator, threshold, consecutive_runs, on_missing, webhook_url, webhook_format, enabled)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+const UPDATE_ALERT_RULE_SQL = `
+  UPDATE alert_rules SET name = ?, probe_id = ?, metric = ?, operator = ?, threshold = ?, consecutive_runs = ?,
+    on_missing = ?, webhook_url = ?, webhook_format = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`;
+
+const UPSERT_ALERT_STATE_SQL = `
+  INSERT INTO alert_state (rule_id, probe_id, status, last_value, last_timestamp, fired_at, resolved_at, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(rule_id, probe_id) DO UPDATE SET
+    status = excluded.status,
+    last_value = excluded.last_value,
+    last_timestamp = excluded.last_timestamp,
+    fired_at = excluded.fired_at,
+    resolved_at = excluded.resolved_at,
+    updated_at = excluded.updated_at
+`;
+
+const INSERT_ALERT_EVENT_SQL = `
+  INSERT INTO alert_events (rule_id, rule_name, probe_id, status, value, measured_at, notification, delivery_attempts)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// Runs in the batch that inserts the transition's event, so the newest event of the rule and probe is that one.
+// A new transition replaces any delivery still pending for the previous one.
+const START_ALERT_DELIVERY_SQL = `
+  UPDATE alert_state SET
+    last_event_id = (SELECT MAX(id) FROM alert_events e WHERE e.rule_id = alert_state.rule_id AND e.probe_id = alert_state.probe_id),
+    pending_targets = ?, delivery_attempts = 1, next_delivery_at = ?
+  WHERE rule_id = ? AND probe_id = ?
+`;
+
+const UPDATE_ALERT_DELIVERY_SQL = `
+  UPDATE alert_state SET pending_targets = ?, delivery_attempts = ?, next_delivery_at = ?
+  WHERE rule_id = ? AND probe_id = ? AND last_event_id = ?
+`;
+
+const API_KEY_COLUMNS = `id, probe_id, name, scope, created_at, last_used_at, revoked_at, replaced_by`;
+
+const INSERT_API_KEY_SQL = `INSERT INTO api_keys (id, probe_id, name, scope, secret_hash) VALUES (?, ?, ?, ?, ?)`;
+
+// A nonce may only be used once per key while its timestamp is inside the allowed clock skew
+const INSERT_NONCE_SQL = `INSERT INTO auth_nonces (key_id, nonce, expires_at) VALUES (?, ?, ?) ON CONFLICT DO NOTHING`;
+
+const SELECT_COLLECTORS_SQL = `SELECT id, last_seen, expected_interval_seconds FROM probes ORDER BY id`;
+
+// Browser tests run on demand and always report a latency; they neither count as a scheduled run nor split a gap
+const SCHEDULED_RUN_CONDITION = 'bt_latency_ms IS NULL';
+
+// Consecutive runs further apart than the tolerated interval. Only the runs in the requested range are read, plus
+// each probe's last run before it and first run after it, so a gap that straddles the range is still reported.
+// CROSS JOIN keeps probes as the outer loop, so network_logs is searched by (probe_id, timestamp) instead of scanned.
+const SELECT_GAPS_SQL = (probeCondition: string) => `
+  WITH bounds AS (
+    SELECT id AS probe_id, COALESCE(expected_interval_seconds, ?) AS interval_seconds,
+      COALESCE((SELECT timestamp FROM network_logs WHERE probe_id = probes.id AND ${SCHEDULED_RUN_CONDITION} AND timestamp < ?
+        ORDER BY timestamp DESC LIMIT 1), ?) AS first_run,
+      COALESCE((SELECT timestamp FROM network_logs WHERE probe_id = probes.id AND ${SCHEDULED_RUN_CONDITION} AND timestamp > ?
+        ORDER BY timestamp LIMIT 1), ?) AS last_run
+    FROM probes WHERE 1 = 1 ${probeCondition}
+  ),
+  runs AS (
+    SELECT l.probe_id, l.timestamp, b.interval_seconds,
+      LAG(l.timestamp) OVER (PARTITION BY l.probe_id ORDER BY l.timestamp) AS previous
+    FROM bounds b CROSS JOIN network_logs l ON l.probe_id = b.probe_id
+    WHERE ${SCHEDULED_RUN_CONDITION} AND l.timestamp BETWEEN b.first_run AND b.last_run
+  )
+  SELECT probe_id, previous AS start, timestamp AS end,
+    CAST(ROUND((julianday(timestamp) - julianday(previous)) * 86400) AS INTEGER) AS duration_seconds, interval_seconds
+  FROM runs
+  WHERE previous IS NOT NULL
+    AND (julianday(timestamp) - julianday(previous)) * 86400 > interval_seconds * ?
+    AND timestamp >= ? AND previous <= ?
+  ORDER BY probe_id, timestamp
+  LIMIT ?
+`;
+
+// Distinct endpoint ids in one results column, so CSV columns are known before the rows are streamed
+const SELECT_ENDPOINT_IDS_SQL = (column: EndpointResultColumn, where: string) => `
+  SELECT DISTINCT json_extract(r.value, '$.id') AS endpoint_id
+  FROM network_logs, json_each(CASE WHEN json_valid(network_logs.${column}) THEN network_logs.${column} END) r
+  ${where}
+  ORDER BY endpoint_id
+`;
+
+const UPDATE_PROBE_CONTRACT_SQL = `
+  UPDATE probes SET contract_download_mbps = ?, contract_upload_mbps = ?, target_latency_ms = ?,
+    target_packet_loss_percent = ?, timezone = ?
+  WHERE id = ?
+`;
+
+const SELECT_REPORT_SOURCE_SQL = `
+  SELECT timestamp, nq_download_mbps, nq_upload_mbps, st_download_mbps, st_upload_mbps, bt_download_mbps, bt_upload_mbps,
+    bt_latency_ms, st_ping_ms, ping_results
+  FROM network_logs WHERE probe_id = ? AND timestamp >= ? AND timestamp <= ? ORDER BY timestamp
+`;
+
+const UPSERT_ASN_PREFIX_SQL = `
+  INSERT INTO asn_prefixes (network, prefix, prefix_length, asn, org) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(network) DO UPDATE SET
+    prefix = excluded.prefix, prefix_length = excluded.prefix_length, asn = excluded.asn, org = excluded.org
+`;
+
+// Most specific imported prefix among the candidate networks of one address
+const SELECT_ASN_SQL = (candidates: number) => `
+  SELECT prefix, asn, org FROM asn_prefixes WHERE network IN (${Array(candidates).fill('?').join(', ')})
+  ORDER BY prefix_length DESC LIMIT 1
+`;
+
+const UPSERT_HOP_NAME_SQL = `
+  INSERT INTO hop_names (ip, ptr, resolved_at) VALUES (?, ?, ?)
+  ON CONFLICT(ip) DO UPDATE SET ptr = excluded.ptr, resolved_at = excluded.resolved_at
+`;
+
+// Newest runs first so a truncated range keeps the most recent traces
+const SELECT_PATH_SOURCE_SQL = (where: string) => `
+  SELECT timestamp, probe_id, mtr_results FROM network_logs ${where}
+  ORDER BY timestamp DESC, id DESC LIMIT ?
+`;
+
+// Columns of the ANOMALY_METRICS series, oldest first as baselines and shifts are computed in time order
+const SELECT_ANOMALY_SOURCE_SQL = `
+  SELECT timestamp, nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
+    st_download_mbps, st_upload_mbps, st_ping_ms, bt_download_mbps, bt_upload_mbps, bt_latency_ms,
+    bt_loaded_latency_ms, ping_results, curl_results, dns_results
+  FROM network_logs
+  WHERE probe_id = ? AND timestamp >= ? AND timestamp <= ?
+  ORDER BY timestamp
+`;
+
+const INSERT_ANOMALY_SQL = `
+  INSERT INTO anomalies (
+    probe_id, metric, kind, timestamp, confirmed_at, value, baseline, spread, score, direction, baseline_scope
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(probe_id, metric, kind, timestamp) DO NOTHING
+`;
+
+const DELETE_ANOMALIES_SQL = `DELETE FROM anomalies WHERE probe_id = ? AND confirmed_at >= ? AND confirmed_at <= ?`;
+
+const SELECT_ANOMALIES_SQL = (where: string) => `
+  SELECT id, probe_id, metric, kind, timestamp, confirmed_at, value, baseline, spread, score, direction, baseline_scope, created_at
+  FROM anomalies
+  ${where}
+  ORDER BY timestamp DESC, id DESC
+  LIMIT ?
+`;
+
+const ANNOTATION_COLUMNS = `id, probe_id, start_time, end_time, title, description, category, source, created_at, updated_at`;
+
+const INSERT_ANNOTATION_SQL = `
+  INSERT INTO annotations (probe_id, start_time, end_time, title, description, category, source) VALUES (?, ?, ?, ?, ?, ?, 'manual')
+`;
+
+const UPDATE_ANNOTATION_SQL = `
+  UPDATE annotations SET probe_id = ?, start_time = ?, end_time = ?, title = ?, description = ?, category = ?,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+`;
+
+// Re-uploading a run does not record its change twice (unique per probe and start_time among collector annotations)
+const INSERT_COLLECTOR_ANNOTATION_SQL = `
+  INSERT INTO annotations (probe_id, start_time, title, description, category, source) VALUES (?, ?, ?, ?, 'change', 'collector')
+  ON CONFLICT DO NOTHING
+`;
+
+const SELECT_PREVIOUS_COLLECTOR_ANNOTATION_SQL = `
+  SELECT title FROM annotations WHERE probe_id = ? AND source = 'collector' AND start_time < ? ORDER BY start_time DESC LIMIT 1
+`;
+
+const SELECT_ANNOTATIONS_SQL = (where: string) => `
+  SELECT ${ANNOTATION_COLUMNS} FROM annotations ${where} ORDER BY start_time, id LIMIT ?
+`;
+
+const ENDPOINT_COLUMNS = `kind, id, name, host, domain, resolver, group_name, color, comparison_set`;
+
+const SELECT_ENDPOINTS_SQL = `SELECT ${ENDPOINT_COLUMNS} FROM endpoints ORDER BY kind, position, id`;
+
+const INSERT_ENDPOINT_SQL = `
+  INSERT INTO endpoints (kind, id, name, host, domain, resolver, group_name, color, comparison_set, position)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// A new endpoint is appended to its kind; an existing one keeps its position
+const UPSERT_ENDPOINT_SQL = `
+  INSERT INTO endpoints (kind, id, name, host, domain, resolver, group_name, color, comparison_set, position)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM endpoints WHERE kind = ?1))
+  ON CONFLICT(kind, id) DO UPDATE SET
+    name = excluded.name,
+    host = excluded.host,
+    domain = excluded.domain,
+    resolver = excluded.resolver,
+    group_name = excluded.group_name,
+    color = excluded.color,
+    comparison_set = excluded.comparison_set,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+// Written by `wrangler d1 migrations apply`
+const SELECT_APPLIED_MIGRATIONS_SQL = `SELECT name FROM d1_migrations ORDER BY id`;
+
+// Newest first, so the first value seen per metric and endpoint is the latest one
+const SELECT_RECENT_LOGS_SQL = `
+  SELECT probe_id, timestamp, nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
+    st_download_mbps, st_upload_mbps, st_ping_ms, bt_download_mbps, bt_upload_mbps, bt_latency_ms, bt_jitter_ms,
+    bt_loaded_latency_ms, ping_results, curl_results, dns_results
+  FROM network_logs WHERE timestamp >= ? ORDER BY probe_id, timestamp DESC
+`;
+
+// Recent runs of the published probes, oldest first so outages are read in order
+const SELECT_STATUS_RUNS_SQL = (probes: number) => `
+  SELECT probe_id, timestamp, nq_download_mbps, nq_upload_mbps, nq_responsiveness_rpm,
+    st_download_mbps, st_upload_mbps, st_ping_ms, bt_download_mbps, bt_upload_mbps, bt_latency_ms, bt_jitter_ms,
+    bt_loaded_latency_ms, ping_results, curl_results, dns_results
+  FROM network_logs WHERE timestamp >= ? AND probe_id IN (${Array(probes).fill('?').join(', ')})
+  ORDER BY probe_id, timestamp
+`;
+
+// Incident and maintenance notes overlapping the status window, for every probe or a published one
+const SELECT_STATUS_ANNOTATIONS_SQL = (probes: number) => `
+  SELECT probe_id, start_time, end_time, title, description, category FROM annotations
+  WHERE category IN ('incident', 'maintenance') AND COALESCE(end_time, start_time) >= ?
+    AND (probe_id IS NULL OR probe_id IN (${Array(probes).fill('?').join(', ')}))
+  ORDER BY start_time DESC LIMIT ?
+`;
+
+const SELECT_STATUS_PROBES_SQL = `SELECT id, name, isp, location FROM probes ORDER BY id`;
+
+const SELECT_FIRING_ALERT_METRICS_SQL = `
+  SELECT s.probe_id, r.metric FROM alert_state s JOIN alert_rules r ON r.id = s.rule_id WHERE s.status = 'firing'
+`;
+
+// --- Metrics ---
+// Flat metric names shared by rollups and the aggregate API: scalar columns keep their column name,
+// endpoint values inside the JSON result columns are exposed as "<kind>.<endpoint id>.<value>", e.g. "ping.cloudflare.rtt_avg"
+const SCALAR_METRICS = [
+	'nq_download_mbps',
+	'nq_upload_mbps',
+	'nq_responsiveness_rpm',
+	'st_download_mbps',
+	'st_upload_mbps',
+	'st_ping_ms',
+	'bt_download_mbps',
+	'bt_upload_mbps',
+	'bt_latency_ms',
+	'bt_jitter_ms',
+	'bt_loaded_latency_ms',
+] as const;
+
+interface EndpointMetric {
+	name: string;
+	read: (result: EndpointResult) => unknown;
+	/** Codes such as HTTP status are exposed as metrics but never averaged into rollups */
+	categorical?: boolean;
+}
+
+const ENDPOINT_METRICS: Record<EndpointResultColumn, { kind: string; metrics: EndpointMetric[] }> = {
+	ping_results: {
+		kind: 'ping',
+		metrics: [
+			{ name: 'rtt_min', read: (r) => readPath(r, 'rtt_ms', 'min') },
+			{ name: 'rtt_avg', read: (r) => readPath(r, 'rtt_ms', 'avg') },
+			{ name: 'rtt_max', read: (r) => readPath(r, 'rtt_ms', 'max') },
+			{ name: 'rtt_stddev', read: (r) => readPath(r, 'rtt_ms', 'stddev') },
+			{ name: 'packet_loss_percent', read: (r) => r.packet_loss_percent },
+		],
+	},
+	curl_results: {
+		kind: 'curl',
+		metrics: [
+			{ name: 'dns_lookup_ms', read: (r) => scale(r.dns_lookup_s, 1000) },
+			{ name: 'ttfb_ms', read: (r) => scale(r.ttfb_s, 1000) },
+			{ name: 'http_code', read: (r) => r.http_code, categorical: true },
+		],
+	},
+	dns_results: {
+		kind: 'dns',
+		metrics: [{ name: 'query_time_ms', read: (r) => r.query_time_ms }],
+	},
+};
+
+const ENDPOINT_RESULT_COLUMNS = Object.keys(ENDPOINT_METRICS) as EndpointResultColumn[];
+
+function readPath(value: unknown, ...keys: string[]): unknown {
+	return keys.reduce<unknown>(
+		(current, key) => (current && typeof current === 'object' ? (current as Record<string, unknown>)[key] : undefined),
+		value
+	);
+}
+
+function toFiniteNumber(value: unknown): number | null {
+	if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+	if (typeof value === 'string' && value.trim() !== '') {
+		const parsed = Number(value);
+		return Number.isFinite(parsed) ? parsed : null;
+	}
+	return null;
+}
+
+function scale(value: unknown, factor: number): number | null {
+	const number = toFiniteNumber(value);
+	return number === null ? null : number * factor;
+}
+
+function parseResultsColumn(value: unknown): EndpointResult[] {
+	if (Array.isArray(value)) return value;
+	if (typeof value !== 'string') return [];
+	try {
+		const parsed = JSON.parse(value);
+		return Array.isArray(parsed) ? parsed : [];
+	} catch {
+		return [];
+	}
+}
+
+function extractMetrics(row: Record<string, unknown>, { includeCategorical = true } = {}): Map<string, number> {
+	const metrics = new Map<string, number>();
+
+	for (const column of SCALAR_METRICS) {
+		const value = toFiniteNumber(row[column]);
+		if (value !== null) metrics.set(column, value);
+	}
+
+	for (const column of ENDPOINT_RESULT_COLUMNS) {
+		if (!(column in row)) continue;
+		const { kind, metrics: definitions } = ENDPOINT_METRICS[column];
+		for (const result of parseResultsColumn(row[column])) {
+			if (!result || typeof result.id !== 'string') continue;
+			for (const definition of definitions) {
+				if (definition.categorical && !includeCategorical) continue;
+				const value = toFiniteNumber(definition.read(result));
+				if (value !== null) metrics.set(`${kind}.${result.id}.${definition.name}`, value);
+			}
+		}
+	}
+
+	return metrics;
+}
+
+function parseMetricList(value: string | null): string[] | null {
+	const metrics = (value ?? '')
+		.split(',')
+		.map((metric) => metric.trim())
+		.filter(Boolean);
+	return metrics.every((metric) => METRIC_PATTERN.test(metric)) ? metrics : null;
+}
+
+// Exact names match one metric; a trailing "*" matches every metric with that prefix
+function matchesMetric(metric: string, patterns: string[]): boolean {
+	return (
+		patterns.length === 0 ||
+		patterns.some((pattern) => (pattern.endsWith('*') ? metric.startsWith(pattern.slice(0, -1)) : metric === pattern))
+	);
+}
+
+function buildMetricCondition(metrics: string[]): { condition: string; bindings: string[] } {
+	const clauses = metrics.map((metric) => (metric.endsWith('*') ? "metric LIKE ? ESCAPE '\\'" : 'metric = ?'));
+	const bindings = metrics.map((metric) => (metric.endsWith('*') ? `${metric.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%` : metric));
+	return { condition: `(${clauses.join(' OR ')})`, bindings };
+}
+
+// Same percentile convention as the dashboard's calculateStatistics()
+function summarize(values: number[]): Omit<RollupRecord, 'probe_id' | 'bucket' | 'bucket_start' | 'metric'> {
+	const sorted = [...values].sort((a, b) => a - b);
+	const count = sorted.length;
+	const avg = sorted.reduce((sum, value) => sum + value, 0) / count;
+	const variance = sorted.reduce((sum, value) => sum + (value - avg) ** 2, 0) / count;
+	return {
+		count,
+		min: sorted[0],
+		avg,
+		median: sorted[Math.floor(count / 2)],
+		p95: sorted[Math.floor(count * 0.95)] ?? sorted[count - 1],
+		max: sorted[count - 1],
+		stddev: Math.sqrt(variance),
+	};
+}
+
+// --- Rollups ---
+function bucketStart(timestamp: string, bucket: RollupBucket): string {
+	const normalized = normalizeTimestamp(timestamp);
+	return bucket === 'hour' ? `${normalized.slice(0, 13)}:00:00Z` : `${normalized.slice(0, 10)}T00:00:00Z`;
+}
+
+function addDays(day: string, days: number): string {
+	const date = new Date(`${day}T00:00:00Z`);
+	date.setUTCDate(date.getUTCDate() + days);
+	return date.toISOString().slice(0, 10);
+}
+
+function computeRollups(probeId: string, rows: Record<string, unknown>[]): RollupRecord[] {
+	const buckets = new Map<string, { bucket: RollupBucket; start: string; metric: string; values: number[] }>();
+
+	for (const row of rows) {
+		const metrics = extractMetrics(row, { includeCategorical: false });
+		for (const bucket of ROLLUP_BUCKETS) {
+			const start = bucketStart(String(row.timestamp), bucket);
+			for (const [metric, value] of metrics) {
+				const key = `${bucket}|${start}|${metric}`;
+				const entry = buckets.get(key) ?? { bucket, start, metric, values: [] };
+				entry.values.push(value);
+				buckets.set(key, entry);
+			}
+		}
+	}
+
+	return [...buckets.values()].map(({ bucket, start, metric, values }) => ({
+		probe_id: probeId,
+		bucket,
+		bucket_start: start,
+		metric,
+		...summarize(values),
+	}));
+}
+
+async function runBatched(db: D1Database, statements: D1PreparedStatement[], size = CONFIG.ROLLUP_BATCH_SIZE): Promise<void> {
+	for (let i = 0; i < statements.length; i += size) {
+		await db.batch(statements.slice(i, i + size));
+	}
+}
+
+// Recomputes the daily bucket of one UTC day from raw rows, and its hourly buckets: those in `hours` (bucket starts)
+// after an upload, as no other hour can have changed, or every hour of the day.
+async function refreshRollupDay(env: Env, probeId: string, day: string, hours?: string[]): Promise<number> {
+	const dayStart = `${day}T00:00:00Z`;
+	const dayEnd = `${addDays(day, 1)}T00:00:00Z`;
+
+	const result = await env.DB.prepare(SELECT_ROLLUP_SOURCE_SQL).bind(probeId, dayStart, dayEnd).all<Record<string, unknown>>();
+	const records = computeRollups(probeId, result.results || []).filter(
+		(r) => r.bucket === 'day' || !hours || hours.includes(r.bucket_start)
+	);
+
+	// One batch is one transaction: readers never see the buckets deleted but not yet rebuilt, and a failed write keeps the old ones
+	const statements = [env.DB.prepare(DELETE_ROLLUP_BUCKETS_SQL).bind(probeId, dayStart, dayEnd, hours ? JSON.stringify(hours) : null)];
+	for (let i = 0; i < records.length; i += CONFIG.ROLLUP_RECORDS_PER_STATEMENT) {
+		const chunk = records
+			.slice(i, i + CONFIG.ROLLUP_RECORDS_PER_STATEMENT)
+			.map((r) => [r.bucket, r.bucket_start, r.metric, r.count, r.min, r.avg, r.median, r.p95, r.max, r.stddev]);
+		statements.push(env.DB.prepare(INSERT_ROLLUPS_SQL).bind(probeId, JSON.stringify(chunk)));
+	}
+	await env.DB.batch(statements);
+
+	return records.length;
+}
+
+// Each entry is a probe, a UTC day and optionally the hourly buckets of that day to refresh
+type RollupDay = [probeId: string, day: string, hours?: string[]];
+
+// Each probe-day costs a read, a delete and a write per ROLLUP_RECORDS_PER_STATEMENT records. A full upload batch of
+// hourly runs spans about five days, far below the queries D1 allows per Worker invocation (1000; 50 on Workers Free).
+async function updateRollups(env: Env, logger: Logger, probeDays: Iterable<RollupDay>): Promise<void> {
+	const startTime = Date.now();
+	const rawCutoff = retentionCutoff(retentionPolicy(env).raw, startTime);
+	let refreshed = 0;
+	let skipped = 0;
+	let records = 0;
+
+	for (const [probeId, day, hours] of probeDays) {
+		// Raw rows of expired days are gone, so recomputing would replace their rollups with partial ones
+		if (rawCutoff && `${day}T00:00:00Z` < rawCutoff) {
+			skipped++;
+			continue;
+		}
+		records += await refreshRollupDay(env, probeId, day, hours);
+		refreshed++;
+	}
+
+	logger.info('Rollups updated', { days: refreshed, skipped_expired_days: skipped, records, duration_ms: Date.now() - startTime });
+}
+
+function affectedRollupDays(entries: NetworkLogEntry[]): RollupDay[] {
+	const hours = new Map<string, Set<string>>();
+	for (const entry of entries) {
+		const key = `${getProbeId(entry)}|${entry.timestamp.slice(0, 10)}`;
+		if (!hours.has(key)) hours.set(key, new Set());
+		hours.get(key)!.add(bucketStart(entry.timestamp, 'hour'));
+	}
+	return [...hours].map(([key, starts]) => {
+		const [probeId, day] = key.split('|');
+		return [probeId, day, [...starts]];
+	});
+}
+
+// --- Retention ---
+function retentionDays(value: string | undefined, fallback: number): number {
+	const days = value?.trim() ? Number(value) : NaN;
+	return Number.isInteger(days) && days >= 0 ? days : fallback;
+}
+
+function retentionPolicy(env: Env): Record<RetentionTier, number> {
+	return {
+		raw: retentionDays(env.RETENTION_RAW_DAYS, CONFIG.RETENTION_RAW_DAYS),
+		mtr_detail: retentionDays(env.RETENTION_MTR_DETAIL_DAYS, CONFIG.RETENTION_MTR_DETAIL_DAYS),
+		hourly: retentionDays(env.RETENTION_HOURLY_DAYS, CONFIG.RETENTION_HOURLY_DAYS),
+		daily: retentionDays(env.RETENTION_DAILY_DAYS, CONFIG.RETENTION_DAILY_DAYS),
+	};
+}
+
+// Cutoffs fall on UTC midnight so a day expires as a whole and its daily rollup stays complete
+function retentionCutoff(days: number, now: number): string | null {
+	return days > 0 ? `${addDays(new Date(now).toISOString().slice(0, 10), -days)}T00:00:00Z` : null;
+}
+
+// Keeps hop numbers and hosts, which is all route change detection in /api/paths needs
+function compactMtrResults(value: string): string {
+	return JSON.stringify(
+		parseResultsColumn(value).map((result) => ({
+			...result,
+			hops: Array.isArray(result.hops)
+				? result.hops.map((hop) => (isObject(hop) ? { count: hop.count, host: hop.host ?? null } : hop))
+				: result.hops,
+		}))
+	);
+}
+
+async function deleteExpiredRollups(env: Env, bucket: RollupBucket, cutoff: string): Promise<{ deleted: number; complete: boolean }> {
+	let deleted = 0;
+	for (let batch = 0; batch < CONFIG.MAX_RETENTION_BATCHES; batch++) {
+		const result = await env.DB.prepare(DELETE_EXPIRED_ROLLUPS_SQL).bind(bucket, cutoff, CONFIG.RETENTION_BATCH_SIZE).run();
+		deleted += result.meta.changes;
+		if (result.meta.changes < CONFIG.RETENTION_BATCH_SIZE) return { deleted, complete: true };
+	}
+	return { deleted, complete: false };
+}
+
+// Every step works in bounded batches and only touches what is still over its limit, so a run that stops early or
+// repeats is harmless and the next run picks up the rest
+async function applyRetention(env: Env, logger: Logger, now: number): Promise<RetentionResult> {
+	const startTime = Date.now();
+	const policy = retentionPolicy(env);
+	const result: RetentionResult = {
+		raw_days_deleted: 0,
+		raw_rows_deleted: 0,
+		rollup_days_refreshed: 0,
+		mtr_runs_compacted: 0,
+		hourly_rollups_deleted: 0,
+		daily_rollups_deleted: 0,
+		complete: true,
+	};
+
+	const rawCutoff = retentionCutoff(policy.raw, now);
+	if (rawCutoff) {
+		const days =
+			(
+				await env.DB.prepare(SELECT_EXPIRED_LOG_DAYS_SQL)
+					.bind(rawCutoff, CONFIG.MAX_RETENTION_DAYS_PER_RUN + 1)
+					.all<{ probe_id: string; day: string; rolled_up: number }>()
+			).results || [];
+		const expired = days.slice(0, CONFIG.MAX_RETENTION_DAYS_PER_RUN);
+
+		// Downsample before deleting: days that never got rollups are rolled up from their raw rows first
+		for (const { probe_id, day, rolled_up } of expired) {
+			if (rolled_up) continue;
+			await refreshRollupDay(env, probe_id, day);
+			result.rollup_days_refreshed++;
+		}
+
+		if (expired.length > 0) {
+			const deleted = await env.DB.batch(
+				expired.map(({ probe_id, day }) =>
+					env.DB.prepare(DELETE_LOG_DAY_SQL).bind(probe_id, `${day}T00:00:00Z`, `${addDays(day, 1)}T00:00:00Z`)
+				)
+			);
+			result.raw_rows_deleted = deleted.reduce((sum, r) => sum + r.meta.changes, 0);
+		}
+		result.raw_days_deleted = expired.length;
+		if (days.length > expired.length) result.complete = false;
+	}
+
+	const mtrCutoff = retentionCutoff(policy.mtr_detail, now);
+	if (mtrCutoff) {
+		const rows =
+			(
+				await env.DB.prepare(SELECT_MTR_DETAIL_SQL)
+					.bind(mtrCutoff, CONFIG.RETENTION_BATCH_SIZE + 1)
+					.all<{ id: number; mtr_results: string }>()
+			).results || [];
+		const batch = rows.slice(0, CONFIG.RETENTION_BATCH_SIZE);
+		await runBatched(
+			env.DB,
+			batch.map((row) => env.DB.prepare(UPDATE_MTR_RESULTS_SQL).bind(compactMtrResults(row.mtr_results), row.id))
+		);
+		result.mtr_runs_compacted = batch.length;
+		if (rows.length > batch.length) result.complete = false;
+	}
+
+	for (const [tier, bucket] of [
+		['hourly', 'hour'],
+		['daily', 'day'],
+	] as const) {
+		const cutoff = retentionCutoff(policy[tier], now);
+		if (!cutoff) continue;
+		const { deleted, complete } = await deleteExpiredRollups(env, bucket, cutoff);
+		result[tier === 'hourly' ? 'hourly_rollups_deleted' : 'daily_rollups_deleted'] = deleted;
+		if (!complete) result.complete = false;
+	}
+
+	logger.info('Retention applied', { retention_days: policy, ...result, duration_ms: Date.now() - startTime });
+	return result;
+}
+
+async function getStorageStats(env: Env): Promise<StorageStats> {
+	const result = await env.DB.prepare(SELECT_STORAGE_SQL).all<Record<string, string | number | null>>();
+	const row = result.results?.[0] ?? {};
+	const policy = retentionPolicy(env);
+	const tier = (prefix: string) => ({
+		rows: Number(row[`${prefix}_rows`] ?? 0),
+		oldest: (row[`${prefix}_oldest`] as string | null) ?? null,
+	});
+
+	return {
+		size_bytes: result.meta.size_after ?? null,
+		tiers: { raw: tier('raw'), hourly: tier('hourly'), daily: tier('daily') },
+		// null = kept forever
+		retention_days: Object.fromEntries(Object.entries(policy).map(([name, days]) => [name, days || null])) as Record<
+			RetentionTier,
+			number | null
+		>,
+	};
+}
+
+// --- Collectors ---
+// Pseudo-metric for alert rules: runs missed since the probe last uploaded
+const COLLECTOR_MISSED_RUNS_METRIC = 'collector.missed_runs';
+
+// A run counts as missed once the silence exceeds the tolerated interval; every further interval adds one
+function countMissedRuns(elapsedSeconds: number, intervalSeconds: number): number {
+	if (elapsedSeconds <= intervalSeconds * CONFIG.MISSED_RUN_TOLERANCE) return 0;
+	return Math.max(1, Math.round(elapsedSeconds / intervalSeconds) - 1);
+}
+
+async function getCollectorStatuses(env: Env, now: number = Date.now()): Promise<CollectorStatus[]> {
+	const rows =
+		(
+			await env.DB.prepare(SELECT_COLLECTORS_SQL).all<{
+				id: string;
+				last_seen: string | null;
+				expected_interval_seconds: number | null;
+			}>()
+		).results || [];
+
+	return rows.map((row) => {
+		const interval = row.expected_interval_seconds ?? CONFIG.DEFAULT_EXPECTED_INTERVAL_SECONDS;
+		if (!row.last_seen) {
+			return {
+				probe_id: row.id,
+				last_seen: null,
+				expected_interval_seconds: interval,
+				seconds_since_last_run: null,
+				missed_runs: 0,
+				status: 'unknown',
+			};
+		}
+		const elapsed = Math.max(0, Math.round((now - new Date(row.last_seen).getTime()) / 1000));
+		const missedRuns = countMissedRuns(elapsed, interval);
+		return {
+			probe_id: row.id,
+			last_seen: row.last_seen,
+			expected_interval_seconds: interval,
+			seconds_since_last_run: elapsed,
+			missed_runs: missedRuns,
+			status: missedRuns > 0 ? 'stale' : 'ok',
+		};
+	});
+}
+
+// Gaps between consecutive runs that overlap the filter, plus an ongoing gap for every silent collector
+async function findCollectorGaps(
+	env: Env,
+	filter: LogFilter,
+	now: number = Date.now()
+): Promise<{ gaps: CollectorGap[]; truncated: boolean; collectors: CollectorStatus[] }> {
+	const probeCondition = filter.probeIds.length > 0 ? `AND id IN (${filter.probeIds.map(() => '?').join(', ')})` : '';
+	const from = filter.from ?? '';
+	const to = filter.to ?? '9999-12-31T23:59:59Z';
+	const result = await env.DB.prepare(SELECT_GAPS_SQL(probeCondition))
+		.bind(
+			CONFIG.DEFAULT_EXPECTED_INTERVAL_SECONDS,
+			from,
+			from,
+			to,
+			to,
+			...filter.probeIds,
+			CONFIG.MISSED_RUN_TOLERANCE,
+			from,
+			to,
+			CONFIG.MAX_GAPS
+		)
+		.all<{ probe_id: string; start: string; end: string; duration_seconds: number; interval_seconds: number }>();
+	if (!result.success) {
+		throw new Error('D1 query failed');
+	}
+
+	const gaps: CollectorGap[] = (result.results || []).map((row) => ({
+		probe_id: row.probe_id,
+		start: row.start,
+		end: row.end,
+		duration_seconds: row.duration_seconds,
+		missed_runs: countMissedRuns(row.duration_seconds, row.interval_seconds),
+		ongoing: false,
+	}));
+
+	// A probe that has gone silent has an open gap from its last run until now
+	const collectors = (await getCollectorStatuses(env, now)).filter(
+		(collector) => filter.probeIds.length === 0 || filter.probeIds.includes(collector.probe_id)
+	);
+	for (const collector of collectors) {
+		if (collector.status !== 'stale' || !collector.last_seen) continue;
+		if (filter.to && collector.last_seen > filter.to) continue;
+		gaps.push({
+			probe_id: collector.probe_id,
+			start: collector.last_seen,
+			end: toStoredTimestamp(new Date(now)),
+			duration_seconds: collector.seconds_since_last_run ?? 0,
+			missed_runs: collector.missed_runs,
+			ongoing: true,
+		});
+	}
+
+	return { gaps, truncated: (result.results || []).length >= CONFIG.MAX_GAPS, collectors };
+}
+
+// --- Export ---
+const EXPORT_FORMATS = ['csv', 'ndjson'] as const;
+type ExportFormat = (typeof EXPORT_FORMATS)[number];
+
+const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+	csv: 'text/csv; charset=utf-8',
+	ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Every exported row starts with these; the speedtest server is only included when no metric filter is given
+const EXPORT_KEY_COLUMNS = ['timestamp', 'probe_id', 'schema_version'] as const;
+const EXPORT_TEXT_COLUMNS = ['st_server_location', 'st_server_country'] as const;
+const EXPORT_SOURCE_COLUMNS = ['id', ...EXPORT_KEY_COLUMNS, ...EXPORT_TEXT_COLUMNS, ...SCALAR_METRICS, ...ENDPOINT_RESULT_COLUMNS].join(
+	', '
+);
+
+function flattenExportRow(row: Record<string, unknown>, patterns: string[]): Record<string, unknown> {
+	const flat: Record<string, unknown> = {};
+	for (const column of EXPORT_KEY_COLUMNS) flat[column] = row[column];
+	if (patterns.length === 0) {
+		for (const column of EXPORT_TEXT_COLUMNS) {
+			if (row[column] !== null && row[column] !== undefined) flat[column] = row[column];
+		}
+	}
+	for (const [metric, value] of extractMetrics(row)) {
+		if (matchesMetric(metric, patterns)) flat[metric] = value;
+	}
+	return flat;
+}
+
+// RFC 4180 quoting; text starting with a formula character is prefixed so spreadsheets do not evaluate it
+function csvCell(value: unknown): string {
+	if (value === null || value === undefined) return '';
+	if (typeof value === 'number') return String(value);
+	let text = String(value);
+	if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values: unknown[]): string {
+	return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+async function getExportColumns(env: Env, filter: LogFilter, patterns: string[]): Promise<string[]> {
+	const { where, bindings } = buildLogWhere(filter);
+	const endpointMetrics = await Promise.all(
+		ENDPOINT_RESULT_COLUMNS.map(async (column) => {
+			const { kind, metrics } = ENDPOINT_METRICS[column];
+			const ids =
+				(
+					await env.DB.prepare(SELECT_ENDPOINT_IDS_SQL(column, where))
+						.bind(...bindings)
+						.all<{ endpoint_id: unknown }>()
+				).results || [];
+			return ids
+				.filter((row): row is { endpoint_id: string } => typeof row.endpoint_id === 'string')
+				.flatMap((row) => metrics.map((metric) => `${kind}.${row.endpoint_id}.${metric.name}`));
+		})
+	);
+
+	return [
+		...EXPORT_KEY_COLUMNS,
+		...(patterns.length === 0 ? EXPORT_TEXT_COLUMNS : []),
+		...[...SCALAR_METRICS, ...endpointMetrics.flat()].filter((metric) => matchesMetric(metric, patterns)),
+	];
+}
+
+// Pages through the range in (timestamp, id) order so large exports never hold more than one page in memory
+function streamExport(
+	env: Env,
+	logger: Logger,
+	filter: LogFilter,
+	format: ExportFormat,
+	patterns: string[],
+	columns: string[]
+): ReadableStream<Uint8Array> {
+	const encoder = new TextEncoder();
+	let cursor: LogCursor | null = null;
+	let exported = 0;
+
+	return new ReadableStream({
+		start(controller) {
+			if (format === 'csv') controller.enqueue(encoder.encode(csvLine(columns)));
+		},
+		async pull(controller) {
+			try {
+				const { where, bindings } = cursor
+					? buildLogWhere(filter, ['(timestamp > ? OR (timestamp = ? AND id > ?))'], [cursor.timestamp, cursor.timestamp, cursor.id])
+					: buildLogWhere(filter);
+				const rows =
+					(
+						await env.DB.prepare(`SELECT ${EXPORT_SOURCE_COLUMNS} FROM network_logs ${where} ORDER BY timestamp, id LIMIT ?`)
+							.bind(...bindings, CONFIG.EXPORT_PAGE_SIZE)
+							.all<Record<string, unknown>>()
+					).results || [];
+
+				const lines = rows.map((row) => {
+					const flat = flattenExportRow(row, patterns);
+					return format === 'csv' ? csvLine(columns.map((column) => flat[column])) : `${JSON.stringify(flat)}\n`;
+				});
+				if (lines.length > 0) controller.enqueue(encoder.encode(lines.join('')));
+				exported += rows.length;
+
+				if (rows.length < CONFIG.EXPORT_PAGE_SIZE) {
+					logger.info('Export completed', { format, rows: exported });
+					controller.close();
+					return;
+				}
+				const last = rows[rows.length - 1];
+				cursor = { timestamp: String(last.timestamp), id: Number(last.id) };
+			} catch (error) {
+				logger.error('Export failed', error as Error, { rows: exported });
+				controller.error(error);
+			}
+		},
+	});
+}
+
+// --- OpenMetrics ---
+// Scalar columns become "netlog_<column>"; endpoint metrics "netlog_<kind>_<value>" with an endpoint label
+const OPENMETRICS_PREFIX = 'netlog';
+
+interface OpenMetricsFamily {
+	help: string;
+	samples: string[];
+}
+
+function openMetricsLabels(labels: Record<string, string>): string {
+	const pairs = Object.entries(labels).map(
+		([name, value]) => `${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+	);
+	return `{${pairs.join(',')}}`;
+}
+
+function addOpenMetricsSample(
+	families: Map<string, OpenMetricsFamily>,
+	name: string,
+	help: string,
+	labels: Record<string, string>,
+	value: number
+): void {
+	if (!families.has(name)) families.set(name, { help, samples: [] });
+	families.get(name)!.samples.push(`${name}${openMetricsLabels(labels)} ${value}`);
+}
+
+function renderOpenMetrics(families: Map<string, OpenMetricsFamily>): string {
+	const lines: string[] = [];
+	for (const [name, family] of families) {
+		lines.push(`# TYPE ${name} gauge`, `# HELP ${name} ${family.help}`, ...family.samples);
+	}
+	lines.push('# EOF');
+	return `${lines.join('\n')}\n`;
+}
+
+// --- SLA Report ---
+// Each throughput source is reported separately so one tool's bias cannot hide another's result. Browser tests are
+// started by hand from any device, so they get their own rows but no say in the worst days.
+const THROUGHPUT_SOURCES = {
+	nq: { label: 'networkQuality', download: 'nq_download_mbps', upload: 'nq_upload_mbps' },
+	st: { label: 'Speedtest', download: 'st_download_mbps', upload: 'st_upload_mbps' },
+	bt: { label: 'Browser test', download: 'bt_download_mbps', upload: 'bt_upload_mbps' },
+} as const;
+type ThroughputSource = keyof typeof THROUGHPUT_SOURCES;
+
+const REPORT_PERIODS = ['all', 'busy', 'off_peak'] as const;
+type ReportPeriod = (typeof REPORT_PERIODS)[number];
+
+interface ReportRun {
+	date: string;
+	busy: boolean;
+	scheduled: boolean;
+	download: Partial<Record<ThroughputSource, number>>;
+	upload: Partial<Record<ThroughputSource, number>>;
+	latency_ms: number | null;
+	packet_loss_percent: number | null;
+}
+
+function isValidTimeZone(value: unknown): value is string {
+	if (typeof value !== 'string' || value === '') return false;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: value });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+function validateContract(body: unknown): ProbeContract | string {
+	if (!isObject(body)) return 'Request body must be an object';
+
+	for (const field of ['download_mbps', 'upload_mbps']) {
+		const value = body[field];
+		if (typeof value !== 'number' || !(value > 0) || value > CONFIG.MAX_CONTRACT_MBPS)
+			return `${field} must be a number above 0 and at most ${CONFIG.MAX_CONTRACT_MBPS}`;
+	}
+
+	const latency = body.latency_ms ?? null;
+	if (latency !== null && (typeof latency !== 'number' || !(latency > 0))) return 'latency_ms must be a positive number or null';
+
+	const loss = body.packet_loss_percent ?? null;
+	if (loss !== null && (typeof loss !== 'number' || !(loss >= 0) || loss > 100))
+		return 'packet_loss_percent must be a number between 0 and 100 or null';
+
+	const timezone = body.timezone ?? 'UTC';
+	if (!isValidTimeZone(timezone)) return 'timezone must be an IANA time zone such as Europe/Berlin';
+
+	return {
+		download_mbps: body.download_mbps as number,
+		upload_mbps: body.upload_mbps as number,
+		latency_ms: latency as number | null,
+		packet_loss_percent: loss as number | null,
+		timezone,
+	};
+}
+
+function round(value: number | null, digits = 1): number | null {
+	return value === null ? null : Number(value.toFixed(digits));
+}
+
+function percentOf(count: number, total: number): number | null {
+	return total === 0 ? null : round((count / total) * 100);
+}
+
+function median(values: number[]): number | null {
+	return values.length === 0 ? null : summarize(values).median;
+}
+
+function mean(values: (number | null)[]): number | null {
+	const present = values.filter((value): value is number => value !== null);
+	return present.length === 0 ? null : present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+// Local calendar day and hour of a stored UTC timestamp
+function createLocalClock(timeZone: string): (timestamp: string) => { date: string; hour: number } {
+	const format = new Intl.DateTimeFormat('en-CA', {
+		timeZone,
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+		hour: '2-digit',
+		hourCycle: 'h23',
+	});
+	return (timestamp) => {
+		const parts = Object.fromEntries(format.formatToParts(new Date(timestamp)).map((part) => [part.type, part.value]));
+		return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour, 10) };
+	};
+}
+
+function toReportRun(row: Record<string, unknown>, localClock: ReturnType<typeof createLocalClock>): ReportRun {
+	const { date, hour } = localClock(String(row.timestamp));
+	const run: ReportRun = {
+		date,
+		busy: hour >= CONFIG.BUSY_HOUR_START && hour < CONFIG.BUSY_HOUR_END,
+		scheduled: row.bt_latency_ms === null,
+		download: {},
+		upload: {},
+		latency_ms: toFiniteNumber(row.st_ping_ms),
+		packet_loss_percent: null,
+	};
+	for (const [source, columns] of Object.entries(THROUGHPUT_SOURCES) as [
+		ThroughputSource,
+		(typeof THROUGHPUT_SOURCES)[ThroughputSource]
+	][]) {
+		const download = toFiniteNumber(row[columns.download]);
+		const upload = toFiniteNumber(row[columns.upload]);
+		if (download !== null) run.download[source] = download;
+		if (upload !== null) run.upload[source] = upload;
+	}
+	// Loss is averaged over the ping endpoints of the run, and so is their round trip time where Speedtest did not run
+	const pings = parseResultsColumn(row.ping_results);
+	run.packet_loss_percent = mean(pings.map((result) => toFiniteNumber(result?.packet_loss_percent)));
+	run.latency_ms ??= mean(pings.map((result) => toFiniteNumber(readPath(result, 'rtt_ms', 'avg'))));
+	return run;
+}
+
+function inPeriod(run: ReportRun, period: ReportPeriod): boolean {
+	return period === 'all' || (period === 'busy') === run.busy;
+}
+
+function throughputCompliance(values: number[], contractedMbps: number): ThroughputCompliance {
+	return {
+		measurements: values.length,
+		median_mbps: round(median(values), 2),
+		meeting_percent: Object.fromEntries(
+			CONFIG.SLA_LEVELS_PERCENT.map((level) => [
+				String(level),
+				percentOf(values.filter((value) => value >= (contractedMbps * level) / 100).length, values.length),
+			])
+		),
+	};
+}
+
+function targetCompliance(values: number[], target: number): TargetCompliance {
+	return {
+		measurements: values.length,
+		median: round(median(values), 2),
+		meeting_percent: percentOf(values.filter((value) => value <= target).length, values.length),
+	};
+}
+
+function summarizeReportDays(runs: ReportRun[], contract: ProbeContract): ReportDay[] {
+	const days = new Map<string, ReportRun[]>();
+	for (const run of runs) {
+		if (!days.has(run.date)) days.set(run.date, []);
+		days.get(run.date)!.push(run);
+	}
+
+	return [...days].map(([date, dayRuns]) => {
+		const download = median(dayRuns.flatMap((run) => Object.values(run.download)));
+		const upload = median(dayRuns.flatMap((run) => Object.values(run.upload)));
+		const losses = dayRuns.map((run) => run.packet_loss_percent).filter((value): value is number => value !== null);
+		return {
+			date,
+			runs: dayRuns.length,
+			download_median_mbps: round(download, 2),
+			download_percent_of_contract: download === null ? null : round((download / contract.download_mbps) * 100),
+			upload_median_mbps: round(upload, 2),
+			upload_percent_of_contract: upload === null ? null : round((upload / contract.upload_mbps) * 100),
+			latency_median_ms: round(median(dayRuns.map((run) => run.latency_ms).filter((value): value is number => value !== null)), 2),
+			packet_loss_mean_percent: losses.length === 0 ? null : round(losses.reduce((sum, value) => sum + value, 0) / losses.length, 2),
+		};
+	});
+}
+
+// Days ranked by the lower of their download and upload medians relative to contract
+function worstDays(days: ReportDay[]): ReportDay[] {
+	const score = (day: ReportDay) => Math.min(day.download_percent_of_contract ?? Infinity, day.upload_percent_of_contract ?? Infinity);
+	return days
+		.filter((day) => Number.isFinite(score(day)))
+		.sort((a, b) => score(a) - score(b) || a.date.localeCompare(b.date))
+		.slice(0, CONFIG.REPORT_WORST_DAYS);
+}
+
+function buildReport(probe: Record<string, unknown>, contract: ProbeContract, from: string, to: string, rows: Record<string, unknown>[]) {
+	const localClock = createLocalClock(contract.timezone);
+	const runs = rows.map((row) => toReportRun(row, localClock));
+	const scheduledRuns = runs.filter((run) => run.scheduled);
+
+	const throughput = (direction: 'download' | 'upload', contractedMbps: number) => ({
+		contracted_mbps: contractedMbps,
+		sources: Object.fromEntries(
+			(Object.keys(THROUGHPUT_SOURCES) as ThroughputSource[]).map((source) => [
+				source,
+				Object.fromEntries(
+					REPORT_PERIODS.map((period) => [
+						period,
+						throughputCompliance(
+							runs
+								.filter((run) => inPeriod(run, period))
+								.map((run) => run[direction][source])
+								.filter((value): value is number => value !== undefined),
+							contractedMbps
+						),
+					])
+				),
+			])
+		) as Record<ThroughputSource, Record<ReportPeriod, ThroughputCompliance>>,
+	});
+
+	const target = (read: (run: ReportRun) => number | null, value: number | null) =>
+		value === null
+			? null
+			: {
+					target: value,
+					...(Object.fromEntries(
+						REPORT_PERIODS.map((period) => [
+							period,
+							targetCompliance(
+								runs
+									.filter((run) => inPeriod(run, period))
+									.map(read)
+									.filter((measured): measured is number => measured !== null),
+								value
+							),
+						])
+					) as Record<ReportPeriod, TargetCompliance>),
+			  };
+
+	return {
+		probe: {
+			id: probe.id,
+			name: probe.name ?? null,
+			isp: probe.isp ?? null,
+			location: probe.location ?? null,
+			connection_type: probe.connection_type ?? null,
+		},
+		contract,
+		from,
+		to,
+		busy_hours: { start: CONFIG.BUSY_HOUR_START, end: CONFIG.BUSY_HOUR_END, timezone: contract.timezone },
+		runs: runs.length,
+		download: throughput('download', contract.download_mbps),
+		upload: throughput('upload', contract.upload_mbps),
+		latency: target((run) => run.latency_ms, contract.latency_ms),
+		packet_loss: target((run) => run.packet_loss_percent, contract.packet_loss_percent),
+		worst_days: worstDays(summarizeReportDays(scheduledRuns, contract)),
+		generated_at: toStoredTimestamp(new Date()),
+	};
+}
+
+type SlaReport = ReturnType<typeof buildReport>;
+
+function escapeHtml(value: unknown): string {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function formatReportValue(value: number | null, unit = ''): string {
+	return value === null ? '–' : `${value}${unit}`;
+}
+
+const REPORT_PERIOD_LABELS: Record<ReportPeriod, string> = { all: 'All hours', busy: 'Busy hours', off_peak: 'Off-peak' };
+
+// Self-contained page meant to be printed or saved as PDF from the browser
+function renderReportHtml(report: SlaReport): string {
+	const { probe, contract } = report;
+	const title = `Service level report: ${probe.name ?? probe.id}`;
+	const busyHours = `${String(CONFIG.BUSY_HOUR_START).padStart(2, '0')}:00–${String(CONFIG.BUSY_HOUR_END).padStart(2, '0')}:00 ${
+		contract.timezone
+	}`;
+
+	const throughputRows = (['download', 'upload'] as const).flatMap((direction) =>
+		(Object.keys(THROUGHPUT_SOURCES) as ThroughputSource[]).flatMap((source) =>
+			REPORT_PERIODS.map((period) => {
+				const compliance = report[direction].sources[source][period];
+				return `<tr><td>${direction === 'download' ? 'Download' : 'Upload'}</td><td>${THROUGHPUT_SOURCES[source].label}</td>
+					<td>${REPORT_PERIOD_LABELS[period]}</td><td>${compliance.measurements}</td><td>${formatReportValue(compliance.median_mbps, ' Mbps')}</td>
+					${CONFIG.SLA_LEVELS_PERCENT.map((level) => `<td>${formatReportValue(compliance.meeting_percent[String(level)], '%')}</td>`).join('')}</tr>`;
+			})
+		)
+	);
+
+	const targetRows = (
+		[
+			['Latency (Speedtest ping, else mean ping RTT)', report.latency, ' ms', '≤'],
+			['Packet loss (mean over ping endpoints)', report.packet_loss, '%', '≤'],
+		] as const
+	).flatMap(([label, target, unit, comparator]) =>
+		target
+			? REPORT_PERIODS.map(
+					(period) =>
+						`<tr><td>${label}</td><td>${comparator} ${target.target}${unit}</td><td>${REPORT_PERIOD_LABELS[period]}</td>
+						<td>${target[period].measurements}</td><td>${formatReportValue(target[period].median, unit)}</td>
+						<td>${formatReportValue(target[period].meeting_percent, '%')}</td></tr>`
+			  )
+			: []
+	);
+
+	const dayRows = report.worst_days.map(
+		(day) => `<tr><td>${escapeHtml(day.date)}</td><td>${day.runs}</td>
+			<td>${formatReportValue(day.download_median_mbps, ' Mbps')} (${formatReportValue(day.download_percent_of_contract, '%')})</td>
+			<td>${formatReportValue(day.upload_median_mbps, ' Mbps')} (${formatReportValue(day.upload_percent_of_contract, '%')})</td>
+			<td>${formatReportValue(day.latency_median_ms, ' ms')}</td><td>${formatReportValue(day.packet_loss_mean_percent, '%')}</td></tr>`
+	);
+
+	const details = [probe.isp, probe.location, probe.connection_type].filter(Boolean).map(escapeHtml).join(' · ');
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+	body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; font-size: 0.875rem; }
+	h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+	h2 { font-size: 1.125rem; margin-top: 2rem; }
+	.meta { color: #4b5563; margin: 0.25rem 0; }
+	table { border-collapse: collapse; width: 100%; margin-top: 0.5rem; }
+	th, td { border: 1px solid #d1d5db; padding: 0.375rem 0.5rem; text-align: left; }
+	th { background: #f3f4f6; }
+	.note { color: #4b5563; font-size: 0.8125rem; }
+	.print { margin-top: 1rem; padding: 0.5rem 1rem; cursor: pointer; }
+	@media print { .print { display: none; } body { margin: 0; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${details ? `<p class="meta">${details}</p>` : ''}
+<p class="meta">Period: ${escapeHtml(report.from)} to ${escapeHtml(report.to)} (UTC) · ${report.runs} runs · generated ${escapeHtml(
+		report.generated_at
+	)}</p>
+<p class="meta">Contract: ${contract.download_mbps} Mbps down / ${contract.upload_mbps} Mbps up${
+		contract.latency_ms === null ? '' : ` · latency ≤ ${contract.latency_ms} ms`
+	}${contract.packet_loss_percent === null ? '' : ` · packet loss ≤ ${contract.packet_loss_percent}%`}</p>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+
+<h2>Throughput compliance</h2>
+<p class="note">Share of measurements reaching each level of the contracted speed. Busy hours: ${escapeHtml(busyHours)}.</p>
+<table>
+<thead><tr><th>Direction</th><th>Tool</th><th>Period</th><th>Runs</th><th>Median</th>${CONFIG.SLA_LEVELS_PERCENT.map(
+		(level) => `<th>≥ ${level}%</th>`
+	).join('')}</tr></thead>
+<tbody>${throughputRows.join('\n')}</tbody>
+</table>
+
+${
+	targetRows.length > 0
+		? `<h2>Latency and packet loss</h2>
+<table>
+<thead><tr><th>Metric</th><th>Target</th><th>Period</th><th>Runs</th><th>Median</th><th>Meeting target</th></tr></thead>
+<tbody>${targetRows.join('\n')}</tbody>
+</table>`
+		: ''
+}
+
+<h2>Worst days</h2>
+<p class="note">Days in ${escapeHtml(
+		contract.timezone
+	)} with the lowest median throughput relative to contract, over networkQuality and Speedtest.</p>
+${
+	dayRows.length > 0
+		? `<table>
+<thead><tr><th>Date</th><th>Runs</th><th>Download median</th><th>Upload median</th><th>Latency median</th><th>Packet loss</th></tr></thead>
+<tbody>${dayRows.join('\n')}</tbody>
+</table>`
+		: '<p class="note">No throughput measurements in this period.</p>'
+}
+
+<p class="note">Scheduled runs were measured by an automated collector on the customer's connection, running networkQuality (Apple) or its own throughput test, and Speedtest CLI (Ookla). Browser test rows were started by hand from the dashboard, possibly on another device or over Wi-Fi.</p>
+</body>
+</html>
+`;
+}
+
+// --- Heatmaps ---
+// Runs grouped by local hour and either weekday (0 = Monday) or calendar date, to expose recurring congestion
+const HEATMAP_LAYOUTS = ['week', 'date'] as const;
+type HeatmapLayout = (typeof HEATMAP_LAYOUTS)[number];
+
+// Columns holding the requested metrics; a prefix pattern may span several columns
+function metricSourceColumns(patterns: string[]): string[] {
+	const columns = new Set<string>();
+	for (const pattern of patterns) {
+		if (!pattern.endsWith('*')) {
+			const column = metricSourceColumn(pattern);
+			if (column) columns.add(column);
+			continue;
+		}
+		const prefix = pattern.slice(0, -1);
+		for (const metric of SCALAR_METRICS) {
+			if (metric.startsWith(prefix)) columns.add(metric);
+		}
+		for (const column of ENDPOINT_RESULT_COLUMNS) {
+			const kind = `${ENDPOINT_METRICS[column].kind}.`;
+			if (kind.startsWith(prefix) || prefix.startsWith(kind)) columns.add(column);
+		}
+	}
+	return [...columns];
+}
+
+function buildHeatmaps(rows: Record<string, unknown>[], patterns: string[], layout: HeatmapLayout, timeZone: string) {
+	const localClock = createLocalClock(timeZone);
+	const series = new Map<string, { metric: string; probe_id: string; cells: Map<string, number[]> }>();
+
+	for (const row of rows) {
+		const { date, hour } = localClock(String(row.timestamp));
+		// getUTCDay() counts from Sunday; the local date is read as UTC only to get its weekday
+		const column = layout === 'week' ? (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7 : date;
+		for (const [metric, value] of extractMetrics(row, { includeCategorical: false })) {
+			if (!matchesMetric(metric, patterns)) continue;
+			const key = `${metric}|${row.probe_id}`;
+			if (!series.has(key)) series.set(key, { metric, probe_id: String(row.probe_id), cells: new Map() });
+			const cells = series.get(key)!.cells;
+			const cell = `${column}|${String(hour).padStart(2, '0')}`;
+			if (!cells.has(cell)) cells.set(cell, []);
+			cells.get(cell)!.push(value);
+		}
+	}
+
+	return [...series.values()]
+		.sort((a, b) => a.metric.localeCompare(b.metric) || a.probe_id.localeCompare(b.probe_id))
+		.map(({ metric, probe_id, cells }) => ({
+			metric,
+			probe_id,
+			cells: [...cells.entries()]
+				.sort(([a], [b]) => a.localeCompare(b))
+				.map(([cell, values]) => {
+					const [column, hour] = cell.split('|');
+					const { count, min, median, p95 } = summarize(values);
+					return {
+						...(layout === 'week' ? { weekday: Number(column) } : { date: column }),
+						hour: Number(hour),
+						count,
+						min: round(min, 3),
+						median: round(median, 3),
+						p95: round(p95, 3),
+					};
+				}),
+		}));
+}
+
+// --- Comparison ---
+// Two windows are compared per metric with a Mann-Whitney U test on the individual runs rather than their averages,
+// so a handful of lucky or unlucky runs cannot make one window look better on its own
+const COMPARE_POOLS = ['none', 'endpoints'] as const;
+
+// Standard normal CDF from the Abramowitz-Stegun erf approximation (absolute error below 1.5e-7)
+function normalCdf(z: number): number {
+	const t = 1 / (1 + (0.3275911 * Math.abs(z)) / Math.SQRT2);
+	const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+	const erf = 1 - polynomial * Math.exp(-(z * z) / 2);
+	return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Normal approximation with tie and continuity corrections, adequate from COMPARE_MIN_RUNS values per window
+function mannWhitney(baseline: number[], current: number[]): { p_value: number; effect: number } {
+	const values = [...baseline.map((value) => ({ value, current: false })), ...current.map((value) => ({ value, current: true }))].sort(
+		(a, b) => a.value - b.value
+	);
+	const n = values.length;
+	let currentRankSum = 0;
+	let tieTerm = 0;
+	for (let start = 0; start < n; ) {
+		let end = start;
+		while (end + 1 < n && values[end + 1].value === values[start].value) end++;
+		// Tied values share the average of the ranks they span (ranks are 1-based)
+		const rank = (start + end + 2) / 2;
+		for (let i = start; i <= end; i++) if (values[i].current) currentRankSum += rank;
+		const ties = end - start + 1;
+		tieTerm += ties ** 3 - ties;
+		start = end + 1;
+	}
+
+	const pairs = baseline.length * current.length;
+	const u = currentRankSum - (current.length * (current.length + 1)) / 2;
+	const sigma = Math.sqrt((pairs / 12) * (n + 1 - tieTerm / (n * (n - 1))));
+	const z = sigma === 0 ? 0 : Math.max(Math.abs(u - pairs / 2) - 0.5, 0) / sigma;
+	return { p_value: Math.min(2 * (1 - normalCdf(z)), 1), effect: u / pairs };
+}
+
+// Endpoint metrics pool into "kind.*.name" when comparing all endpoints together
+function compareKey(metric: string, pool: ComparePool): string {
+	const parts = metric.split('.');
+	return pool === 'endpoints' && parts.length === 3 ? `${parts[0]}.*.${parts[2]}` : metric;
+}
+
+function collectCompareValues(rows: Record<string, unknown>[], patterns: string[], pool: ComparePool): Map<string, number[]> {
+	const values = new Map<string, number[]>();
+	for (const row of rows) {
+		for (const [metric, value] of extractMetrics(row, { includeCategorical: false })) {
+			if (!matchesMetric(metric, patterns)) continue;
+			const key = compareKey(metric, pool);
+			if (!values.has(key)) values.set(key, []);
+			values.get(key)!.push(value);
+		}
+	}
+	return values;
+}
+
+function compareSummary(values: number[]): CompareSummary {
+	if (values.length === 0) return { count: 0, avg: null, median: null, p95: null };
+	const { count, avg, median, p95 } = summarize(values);
+	return { count, avg: round(avg, 3), median: round(median, 3), p95: round(p95, 3) };
+}
+
+function compareMetric(metric: string, baseline: number[], current: number[]): MetricComparison {
+	const before = compareSummary(baseline);
+	const after = compareSummary(current);
+	const delta = before.median !== null && after.median !== null ? after.median - before.median : null;
+	const comparison: MetricComparison = {
+		metric,
+		baseline: before,
+		current: after,
+		delta_median: round(delta, 3),
+		delta_percent: delta !== null && before.median ? round((delta / Math.abs(before.median)) * 100) : null,
+		p_value: null,
+		effect: null,
+		change: 'none',
+		verdict: 'inconclusive',
+	};
+	if (baseline.length < CONFIG.COMPARE_MIN_RUNS || current.length < CONFIG.COMPARE_MIN_RUNS) return comparison;
+
+	const { p_value, effect } = mannWhitney(baseline, current);
+	const change: CompareChange = p_value >= CONFIG.COMPARE_SIGNIFICANCE_LEVEL ? 'none' : effect > 0.5 ? 'up' : 'down';
+	// Directions come from the anomaly definitions; other metrics such as ping.*.rtt_max can only be reported as changed
+	const worse = anomalyMetric(metric)?.worse;
+	const verdict: CompareVerdict = change === 'none' ? 'unchanged' : !worse ? 'changed' : change === worse ? 'worse' : 'better';
+	return { ...comparison, p_value: round(p_value, 4), effect: round(effect, 3), change, verdict };
+}
+
+function buildComparisons(
+	baselineRows: Record<string, unknown>[],
+	currentRows: Record<string, unknown>[],
+	patterns: string[],
+	pool: ComparePool
+): MetricComparison[] {
+	const baseline = collectCompareValues(baselineRows, patterns, pool);
+	const current = collectCompareValues(currentRows, patterns, pool);
+	return [...new Set([...baseline.keys(), ...current.keys()])]
+		.sort((a, b) => a.localeCompare(b))
+		.map((metric) => compareMetric(metric, baseline.get(metric) ?? [], current.get(metric) ?? []));
+}
+
+// --- Paths ---
+// mtr prints "???" for hops that did not answer; they match any host when paths are compared
+function readPathHops(result: EndpointResult): PathHop[] {
+	const hops = Array.isArray(result.hops) ? result.hops : [];
+	return hops
+		.filter((hop): hop is Record<string, unknown> => isObject(hop) && Number.isInteger(hop.count))
+		.map((hop) => ({
+			count: hop.count as number,
+			host: typeof hop.host === 'string' && hop.host !== '???' ? hop.host : null,
+			avg_ms: toFiniteNumber(hop.avg_ms),
+			loss_percent: toFiniteNumber(hop.loss_percent),
+		}));
+}
+
+// Two traces take the same path when they have the same length and agree on every hop that answered in both
+function isSamePath(path: (string | null)[], hops: PathHop[]): boolean {
+	return path.length === hops.length && hops.every((hop, index) => path[index] === null || hop.host === null || path[index] === hop.host);
+}
+
+function firstChangedHop(previous: PathHop[], current: PathHop[]): number {
+	const hosts = new Map(previous.map((hop) => [hop.count, hop.host]));
+	for (const hop of current) {
+		const before = hosts.get(hop.count);
+		if (before === undefined || (before !== null && hop.host !== null && before !== hop.host)) return hop.count;
+	}
+	return Math.min(previous.length, current.length) + 1;
+}
+
+function diffHosts(previous: PathHop[], current: PathHop[]): { added_hosts: string[]; removed_hosts: string[] } {
+	const before = new Set(previous.map((hop) => hop.host).filter((host): host is string => host !== null));
+	const after = new Set(current.map((hop) => hop.host).filter((host): host is string => host !== null));
+	return {
+		added_hosts: [...after].filter((host) => !before.has(host)),
+		removed_hosts: [...before].filter((host) => !after.has(host)),
+	};
+}
+
+interface PathRun {
+	timestamp: string;
+	hops: PathHop[];
+}
+
+// Distinct paths, the runs where the path differs from the previous run, and per-hop series for charts
+function analyzePaths(runs: PathRun[]) {
+	const paths: { id: number; hops: (string | null)[]; runs: number; first_seen: string; last_seen: string }[] = [];
+	const changes: PathChange[] = [];
+	const hopSeries = new Map<number, { timestamp: string; host: string | null; avg_ms: number | null; loss_percent: number | null }[]>();
+
+	let previous: (PathRun & { path: number }) | null = null;
+	for (const run of runs) {
+		let path = paths.findIndex((known) => isSamePath(known.hops, run.hops));
+		if (path === -1) {
+			path = paths.length;
+			paths.push({ id: path, hops: run.hops.map((hop) => hop.host), runs: 0, first_seen: run.timestamp, last_seen: run.timestamp });
+		}
+		const known = paths[path];
+		// Hops that did not answer before are filled in once a later trace sees them
+		run.hops.forEach((hop, index) => (known.hops[index] ??= hop.host));
+		known.runs++;
+		known.last_seen = run.timestamp;
+
+		if (previous && previous.path !== path) {
+			changes.push({
+				timestamp: run.timestamp,
+				previous_timestamp: previous.timestamp,
+				from_path: previous.path,
+				to_path: path,
+				first_changed_hop: firstChangedHop(previous.hops, run.hops),
+				...diffHosts(previous.hops, run.hops),
+			});
+		}
+		previous = { ...run, path };
+
+		for (const hop of run.hops) {
+			if (!hopSeries.has(hop.count)) hopSeries.set(hop.count, []);
+			hopSeries.get(hop.count)!.push({ timestamp: run.timestamp, host: hop.host, avg_ms: hop.avg_ms, loss_percent: hop.loss_percent });
+		}
+	}
+
+	return {
+		paths,
+		changes,
+		hops: [...hopSeries].sort(([a], [b]) => a - b).map(([hop, points]) => ({ hop, points })),
+	};
+}
+
+// --- Hop Enrichment ---
+interface IpAddress {
+	version: 4 | 6;
+	value: bigint;
+}
+
+interface IpNetwork extends IpAddress {
+	length: number;
+}
+
+const IP_BITS = { 4: 32, 6: 128 } as const;
+
+// Prefix lengths looked up per address; imported prefixes outside these ranges are rejected
+const ASN_PREFIX_LENGTHS = { 4: { min: 8, max: 32 }, 6: { min: 16, max: 64 } } as const;
+
+function parseIpv4(text: string): bigint | null {
+	const parts = text.split('.');
+	if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+	return parts.reduce((value, part) => (value << 8n) | BigInt(part), 0n);
+}
+
+function parseIpv6(text: string): bigint | null {
+	let address = text.split('%')[0];
+	// An embedded IPv4 tail ("::ffff:192.0.2.1") becomes two hex groups
+	const ipv4Tail = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+	if (ipv4Tail) {
+		const ipv4 = parseIpv4(ipv4Tail[2]);
+		if (ipv4 === null) return null;
+		address = `${ipv4Tail[1]}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+	}
+
+	const halves = address.split('::');
+	if (halves.length > 2) return null;
+	const head = halves[0] ? halves[0].split(':') : [];
+	const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+	const missing = 8 - head.length - tail.length;
+	if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+	const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+	if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+	return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+function parseIp(text: string): IpAddress | null {
+	if (text.includes(':')) {
+		const value = parseIpv6(text);
+		return value === null ? null : { version: 6, value };
+	}
+	const value = parseIpv4(text);
+	return value === null ? null : { version: 4, value };
+}
+
+function maskNetwork(address: IpAddress, length: number): bigint {
+	const hostBits = BigInt(IP_BITS[address.version] - length);
+	return (address.value >> hostBits) << hostBits;
+}
+
+function parsePrefix(text: string): IpNetwork | null {
+	const [ip, lengthText, ...rest] = text.split('/');
+	const address = parseIp(ip ?? '');
+	if (!address || rest.length > 0 || !/^\d{1,3}$/.test(lengthText ?? '')) return null;
+	const length = Number(lengthText);
+	if (length > IP_BITS[address.version]) return null;
+	return { ...address, value: maskNetwork(address, length), length };
+}
+
+function networkKey(network: IpNetwork): string {
+	return `${network.version}:${network.value.toString(16).padStart(IP_BITS[network.version] / 4, '0')}/${network.length}`;
+}
+
+const SPECIAL_RANGES: { network: IpNetwork; label: Exclude<HopLabel, 'public'> }[] = (
+	[
+		['10.0.0.0/8', 'private'],
+		['172.16.0.0/12', 'private'],
+		['192.168.0.0/16', 'private'],
+		['100.64.0.0/10', 'cgnat'],
+		['127.0.0.0/8', 'loopback'],
+		['169.254.0.0/16', 'link-local'],
+		['0.0.0.0/8', 'reserved'],
+		['198.18.0.0/15', 'reserved'],
+		['224.0.0.0/4', 'multicast'],
+		['fc00::/7', 'private'],
+		['fe80::/10', 'link-local'],
+		['ff00::/8', 'multicast'],
+		['::1/128', 'loopback'],
+	] as const
+).map(([prefix, label]) => ({ network: parsePrefix(prefix)!, label }));
+
+function classifyAddress(address: IpAddress): HopLabel {
+	const special = SPECIAL_RANGES.find(
+		({ network }) => network.version === address.version && maskNetwork(address, network.length) === network.value
+	);
+	return special?.label ?? 'public';
+}
+
+function reverseDnsName(address: IpAddress): string {
+	if (address.version === 4) {
+		return `${[0n, 8n, 16n, 24n].map((shift) => (address.value >> shift) & 0xffn).join('.')}.in-addr.arpa`;
+	}
+	return `${[...address.value.toString(16).padStart(32, '0')].reverse().join('.')}.ip6.arpa`;
+}
+
+// Accepts "prefix,asn,org" (org optional and may contain commas) or tab-separated lines; "AS13335" and
+// multi-origin "13335_209242" (RouteViews pfx2as) are read as the first ASN
+function parseAsnLine(line: string): { network: IpNetwork; prefix: string; asn: number; org: string | null } | string {
+	const [prefix = '', asnText = '', ...orgParts] = line.split(line.includes('\t') ? '\t' : ',').map((field) => field.trim());
+	const network = parsePrefix(prefix);
+	if (!network) return `invalid prefix "${prefix}"`;
+	const { min, max } = ASN_PREFIX_LENGTHS[network.version];
+	if (network.length < min || network.length > max) return `prefix length must be between /${min} and /${max}`;
+
+	const asnMatch = asnText.match(/^(?:AS)?(\d+)(?:[_,]\d+)*$/i);
+	const asn = asnMatch ? Number(asnMatch[1]) : NaN;
+	if (!Number.isSafeInteger(asn) || asn < 1 || asn > 4294967295) return `invalid ASN "${asnText}"`;
+
+	const org = orgParts.join(', ').trim();
+	return { network, prefix, asn, org: org ? org.slice(0, 200) : null };
+}
+
+function asnCandidateKeys(address: IpAddress): string[] {
+	const { min, max } = ASN_PREFIX_LENGTHS[address.version];
+	const keys: string[] = [];
+	for (let length = min; length <= max; length++) {
+		keys.push(networkKey({ ...address, value: maskNetwork(address, length), length }));
+	}
+	return keys;
+}
+
+// ASN from the imported table plus cached reverse DNS; private and CGNAT hops are only labelled
+async function enrichHosts(env: Env, hosts: string[]): Promise<Record<string, HopEnrichment>> {
+	const enriched: Record<string, HopEnrichment> = {};
+	const publicHosts: { host: string; address: IpAddress }[] = [];
+
+	for (const host of hosts.slice(0, CONFIG.MAX_ENRICHED_HOSTS)) {
+		const address = parseIp(host);
+		if (!address) continue;
+		const label = classifyAddress(address);
+		enriched[host] = { label, asn: null, org: null, prefix: null, ptr: null };
+		if (label === 'public') publicHosts.push({ host, address });
+	}
+
+	for (let i = 0; i < publicHosts.length; i += CONFIG.ROLLUP_BATCH_SIZE) {
+		const chunk = publicHosts.slice(i, i + CONFIG.ROLLUP_BATCH_SIZE);
+		const results = await env.DB.batch(
+			chunk.map(({ address }) => {
+				const keys = asnCandidateKeys(address);
+				return env.DB.prepare(SELECT_ASN_SQL(keys.length)).bind(...keys);
+			})
+		);
+		results.forEach((result, index) => {
+			const row = (result.results as { prefix: string; asn: number; org: string | null }[] | undefined)?.[0];
+			if (row) Object.assign(enriched[chunk[index].host], { asn: row.asn, org: row.org, prefix: row.prefix });
+		});
+	}
+
+	for (let i = 0; i < publicHosts.length; i += 90) {
+		const chunk = publicHosts.slice(i, i + 90).map(({ host }) => host);
+		const names = await env.DB.prepare(`SELECT ip, ptr FROM hop_names WHERE ip IN (${chunk.map(() => '?').join(', ')})`)
+			.bind(...chunk)
+			.all<{ ip: string; ptr: string | null }>();
+		for (const row of names.results || []) enriched[row.ip].ptr = row.ptr;
+	}
+
+	return enriched;
+}
+
+async function resolvePtr(address: IpAddress): Promise<string | null> {
+	const url = new URL(CONFIG.DOH_RESOLVER_URL);
+	url.searchParams.set('name', reverseDnsName(address));
+	url.searchParams.set('type', 'PTR');
+	const response = await fetch(url, { headers: { Accept: 'application/dns-json' }, signal: AbortSignal.timeout(CONFIG.DOH_TIMEOUT_MS) });
+	if (!response.ok) throw new Error(`DoH HTTP ${response.status}`);
+	const body = (await response.json()) as { Answer?: { type: number; data: string }[] };
+	const answer = body.Answer?.find((record) => record.type === 12);
+	return answer ? answer.data.replace(/\.$/, '') : null;
+}
+
+// Reverse DNS is the only outbound lookup and runs only when RESOLVE_HOP_NAMES is "true": public hop addresses are
+// sent to CONFIG.DOH_RESOLVER_URL after ingest, at most CONFIG.MAX_PTR_LOOKUPS_PER_UPLOAD per upload, and cached in hop_names
+async function resolveHopNames(env: Env, logger: Logger, entries: NetworkLogEntry[]): Promise<void> {
+	const hosts = new Set<string>();
+	for (const entry of entries) {
+		for (const result of entry.mtr_results) {
+			for (const hop of readPathHops(result)) {
+				if (hop.host) hosts.add(hop.host);
+			}
+		}
+	}
+
+	const candidates = [...hosts]
+		.map((host) => ({ host, address: parseIp(host) }))
+		.filter(
+			(candidate): candidate is { host: string; address: IpAddress } =>
+				candidate.address !== null && classifyAddress(candidate.address) === 'public'
+		);
+	if (candidates.length === 0) return;
+
+	const freshAfter = toStoredTimestamp(new Date(Date.now() - CONFIG.HOP_NAME_TTL_DAYS * 86400 * 1000));
+	const known = new Set<string>();
+	for (let i = 0; i < candidates.length; i += 90) {
+		const chunk = candidates.slice(i, i + 90).map(({ host }) => host);
+		const rows = await env.DB.prepare(`SELECT ip FROM hop_names WHERE resolved_at >= ? AND ip IN (${chunk.map(() => '?').join(', ')})`)
+			.bind(freshAfter, ...chunk)
+			.all<{ ip: string }>();
+		for (const row of rows.results || []) known.add(row.ip);
+	}
+
+	const pending = candidates.filter(({ host }) => !known.has(host)).slice(0, CONFIG.MAX_PTR_LOOKUPS_PER_UPLOAD);
+	if (pending.length === 0) return;
+
+	const resolvedAt = toStoredTimestamp(new Date());
+	const lookups = await Promise.all(
+		pending.map(async ({ host, address }) => {
+			try {
+				return env.DB.prepare(UPSERT_HOP_NAME_SQL).bind(host, await resolvePtr(address), resolvedAt);
+			} catch (error) {
+				// Left unresolved so the next upload retries it
+				logger.warn('Reverse DNS lookup failed', { host, error: (error as Error).message });
+				return null;
+			}
+		})
+	);
+	const statements = lookups.filter((statement): statement is D1PreparedStatement => statement !== null);
+	if (statements.length > 0) await env.DB.batch(statements);
+	logger.info('Resolved hop names', { resolved: statements.length, pending: pending.length });
+}
+
+// --- Anomalies ---
+// Each run is scored against the median and MAD of the preceding runs of the same series, preferably those
+// at the same local time of day, so regular evening congestion becomes part of the baseline instead of an anomaly
+const ANOMALY_KINDS = ['outlier', 'shift'] as const;
+
+// Series checked for anomalies, the direction in which they degrade, and the smallest spread (in the metric's
+// unit) a deviation is measured against, so near-constant series such as 0% packet loss do not flag every blip
+const ANOMALY_METRICS: { pattern: RegExp; worse: AnomalyDirection; minSpread: number }[] = [
+	{ pattern: /^(nq|st|bt)_(download|upload)_mbps$/, worse: 'down', minSpread: 1 },
+	{ pattern: /^nq_responsiveness_rpm$/, worse: 'down', minSpread: 10 },
+	{ pattern: /^(st_ping_ms|bt_latency_ms|bt_loaded_latency_ms)$/, worse: 'up', minSpread: 1 },
+	{ pattern: /^ping\.[^.]+\.rtt_avg$/, worse: 'up', minSpread: 1 },
+	{ pattern: /^ping\.[^.]+\.packet_loss_percent$/, worse: 'up', minSpread: 0.5 },
+	{ pattern: /^curl\.[^.]+\.(ttfb_ms|dns_lookup_ms)$/, worse: 'up', minSpread: 1 },
+	{ pattern: /^dns\.[^.]+\.query_time_ms$/, worse: 'up', minSpread: 1 },
+];
+
+interface SeriesPoint {
+	time: number;
+	timestamp: string;
+	hour: number;
+	value: number;
+}
+
+interface Baseline {
+	median: number;
+	spread: number;
+	scope: BaselineScope;
+}
+
+function anomalyMetric(metric: string) {
+	return ANOMALY_METRICS.find((definition) => definition.pattern.test(metric));
+}
+
+function hourDistance(a: number, b: number): number {
+	const distance = Math.abs(a - b) % 24;
+	return Math.min(distance, 24 - distance);
+}
+
+// Median and scaled MAD of the runs in the baseline window before `index`
+function computeBaseline(points: SeriesPoint[], index: number, minSpread: number): Baseline | null {
+	const point = points[index];
+	const windowStart = point.time - CONFIG.ANOMALY_BASELINE_DAYS * 86400000;
+	const allHours: number[] = [];
+	const timeOfDay: number[] = [];
+	for (let i = index - 1; i >= 0 && points[i].time >= windowStart; i--) {
+		allHours.push(points[i].value);
+		if (hourDistance(points[i].hour, point.hour) <= CONFIG.ANOMALY_HOUR_WINDOW) timeOfDay.push(points[i].value);
+	}
+
+	// Until enough history exists for this time of day, the whole window stands in
+	const scope: BaselineScope = timeOfDay.length >= CONFIG.ANOMALY_MIN_BASELINE_RUNS ? 'time_of_day' : 'all_hours';
+	const values = scope === 'time_of_day' ? timeOfDay : allHours;
+	if (values.length < CONFIG.ANOMALY_MIN_BASELINE_RUNS) return null;
+
+	const center = median(values)!;
+	const mad = median(values.map((value) => Math.abs(value - center)))!;
+	// 1.4826 scales the MAD to a standard deviation for normally distributed values
+	const spread = Math.max(1.4826 * mad, CONFIG.ANOMALY_MIN_RELATIVE_SPREAD * Math.abs(center), minSpread);
+	return { median: center, spread, scope };
+}
+
+function toAnomalyRecord(
+	probeId: string,
+	metric: string,
+	kind: AnomalyKind,
+	direction: AnomalyDirection,
+	scored: { point: SeriesPoint; baseline: Baseline; score: number }[]
+): AnomalyRecord {
+	return {
+		probe_id: probeId,
+		metric,
+		kind,
+		timestamp: scored[0].point.timestamp,
+		confirmed_at: scored[scored.length - 1].point.timestamp,
+		value: median(scored.map((s) => s.point.value))!,
+		baseline: round(median(scored.map((s) => s.baseline.median)), 3)!,
+		spread: round(median(scored.map((s) => s.baseline.spread)), 3)!,
+		score: round(median(scored.map((s) => s.score)), 2)!,
+		direction,
+		baseline_scope: scored[0].baseline.scope,
+	};
+}
+
+// Outliers are single runs far outside their baseline. A shift is a sustained change: ANOMALY_SHIFT_RUNS consecutive
+// runs all degraded beyond ANOMALY_SHIFT_SCORE, recorded at the first of them. Only runs from `from` on are reported;
+// earlier rows serve as history, and only the last ANOMALY_SHIFT_RUNS of them are scored themselves.
+function findAnomalies(
+	probeId: string,
+	rows: Record<string, unknown>[],
+	from: string,
+	localClock: ReturnType<typeof createLocalClock>
+): AnomalyRecord[] {
+	const series = new Map<string, SeriesPoint[]>();
+	for (const row of rows) {
+		const timestamp = String(row.timestamp);
+		const point = { time: Date.parse(timestamp), timestamp, hour: localClock(timestamp).hour };
+		for (const [metric, value] of extractMetrics(row, { includeCategorical: false })) {
+			if (!anomalyMetric(metric)) continue;
+			if (!series.has(metric)) series.set(metric, []);
+			series.get(metric)!.push({ ...point, value });
+		}
+	}
+
+	const records: AnomalyRecord[] = [];
+	for (const [metric, points] of series) {
+		const { worse, minSpread } = anomalyMetric(metric)!;
+		let streak: { point: SeriesPoint; baseline: Baseline; score: number }[] = [];
+		// A streak that began earlier only matters at `from` through its length: with ANOMALY_SHIFT_RUNS scored runs
+		// before `from`, every run from there on sees whether it is shorter than, equal to or past the shift length
+		const firstReported = points.findIndex((point) => point.timestamp >= from);
+		if (firstReported === -1) continue;
+		const firstScored = Math.max(firstReported - CONFIG.ANOMALY_SHIFT_RUNS, 0);
+
+		points.forEach((point, index) => {
+			if (index < firstScored) return;
+			const baseline = computeBaseline(points, index, minSpread);
+			// Positive scores are degradations in either direction of the metric
+			const score = baseline ? ((worse === 'up' ? 1 : -1) * (point.value - baseline.median)) / baseline.spread : null;
+			const scored = baseline && score !== null ? { point, baseline, score } : null;
+			streak = scored && scored.score >= CONFIG.ANOMALY_SHIFT_SCORE ? [...streak, scored] : [];
+			if (!scored || point.timestamp < from) return;
+
+			if (streak.length === CONFIG.ANOMALY_SHIFT_RUNS) records.push(toAnomalyRecord(probeId, metric, 'shift', worse, streak));
+			// Runs after a confirmed shift belong to it rather than counting as separate outliers
+			if (scored.score >= CONFIG.ANOMALY_OUTLIER_SCORE && streak.length <= CONFIG.ANOMALY_SHIFT_RUNS)
+				records.push(toAnomalyRecord(probeId, metric, 'outlier', worse, [scored]));
+		});
+	}
+
+	return records;
+}
+
+// Detects anomalies confirmed between `from` and `to` (inclusive) for one probe and stores them.
+// With `replace`, anomalies previously confirmed in that range are removed first.
+async function refreshAnomalies(env: Env, probeId: string, from: string, to: string, { replace = false } = {}): Promise<number> {
+	const probe = await env.DB.prepare('SELECT timezone FROM probes WHERE id = ?').bind(probeId).first<{ timezone: string | null }>();
+	const historyStart = toStoredTimestamp(new Date(Date.parse(from) - CONFIG.ANOMALY_BASELINE_DAYS * 86400000));
+	const result = await env.DB.prepare(SELECT_ANOMALY_SOURCE_SQL).bind(probeId, historyStart, to).all<Record<string, unknown>>();
+	const records = findAnomalies(probeId, result.results || [], from, createLocalClock(probe?.timezone || 'UTC'));
+
+	await runBatched(env.DB, [
+		...(replace ? [env.DB.prepare(DELETE_ANOMALIES_SQL).bind(probeId, from, to)] : []),
+		...records.map((r) =>
+			env.DB.prepare(INSERT_ANOMALY_SQL).bind(
+				r.probe_id,
+				r.metric,
+				r.kind,
+				r.timestamp,
+				r.confirmed_at,
+				r.value,
+				r.baseline,
+				r.spread,
+				r.score,
+				r.direction,
+				r.baseline_scope
+			)
+		),
+	]);
+
+	return records.length;
+}
+
+// Checks newly stored runs against their history. Imports spanning more than MAX_ANOMALY_REBUILD_DAYS
+// are left to POST /api/anomalies/rebuild.
+async function updateAnomalies(env: Env, logger: Logger, entries: NetworkLogEntry[]): Promise<void> {
+	const startTime = Date.now();
+	const ranges = new Map<string, { from: string; to: string }>();
+	for (const entry of entries) {
+		const probeId = getProbeId(entry);
+		const range = ranges.get(probeId);
+		if (!range) ranges.set(probeId, { from: entry.timestamp, to: entry.timestamp });
+		else if (entry.timestamp < range.from) range.from = entry.timestamp;
+		else if (entry.timestamp > range.to) range.to = entry.timestamp;
+	}
+
+	let detected = 0;
+	for (const [probeId, { from, to }] of ranges) {
+		if (Date.parse(to) - Date.parse(from) > CONFIG.MAX_ANOMALY_REBUILD_DAYS * 86400000) {
+			logger.warn('Skipped anomaly detection for a long import; rebuild the range instead', { probe_id: probeId, from, to });
+			continue;
+		}
+		detected += await refreshAnomalies(env, probeId, from, to);
+	}
+
+	logger.info('Anomalies updated', { probes: ranges.size, detected, duration_ms: Date.now() - startTime });
+}
+
+// --- Annotations ---
+// Notes on the timeline such as a router change, an ISP incident or maintenance: a point in time or a range, for one
+// probe or all of them. Collectors may also send a free-text `annotation` with every run (e.g. "Wi-Fi"); each change
+// of that text is recorded as a "change" annotation with source "collector".
+const ANNOTATION_CATEGORIES = ['change', 'incident', 'maintenance', 'note'] as const;
+
+function validateAnnotation(body: unknown): AnnotationInput | string {
+	if (!body || typeof body !== 'object') return 'Request body must be an object';
+	const b = body as Record<string, unknown>;
+
+	if (typeof b.title !== 'string' || b.title.trim() === '' || b.title.length > CONFIG.MAX_ANNOTATION_TITLE_LENGTH)
+		return `title must be a non-empty string (max ${CONFIG.MAX_ANNOTATION_TITLE_LENGTH} characters)`;
+
+	const description = b.description ?? null;
+	if (description !== null && (typeof description !== 'string' || description.length > CONFIG.MAX_ANNOTATION_DESCRIPTION_LENGTH))
+		return `description must be a string (max ${CONFIG.MAX_ANNOTATION_DESCRIPTION_LENGTH} characters) or null`;
+
+	const startTime = typeof b.start_time === 'string' ? parseTimeBound(b.start_time) : undefined;
+	if (!startTime) return 'start_time must be an ISO 8601 timestamp';
+
+	const endTime =
+		b.end_time === undefined || b.end_time === null ? null : typeof b.end_time === 'string' ? parseTimeBound(b.end_time) : undefined;
+	if (endTime === undefined) return 'end_time must be an ISO 8601 timestamp or null';
+	if (endTime !== null && endTime <= startTime) return 'end_time must be later than start_time';
+
+	const probeId = b.probe_id ?? null;
+	if (probeId !== null && !isValidProbeId(probeId)) return 'probe_id must be a valid probe id or null';
+
+	const category = b.category ?? 'note';
+	if (!(ANNOTATION_CATEGORIES as readonly unknown[]).includes(category))
+		return `category must be one of ${ANNOTATION_CATEGORIES.join(', ')}`;
+
+	return {
+		probe_id: probeId as string | null,
+		start_time: startTime,
+		end_time: endTime,
+		title: b.title.trim(),
+		description: description as string | null,
+		category: category as AnnotationCategory,
+	};
+}
+
+// Records the runs whose collector annotation differs from the probe's previous one
+async function recordCollectorAnnotations(env: Env, logger: Logger, entries: NetworkLogEntry[]): Promise<void> {
+	const byProbe = new Map<string, { timestamp: string; annotation: string }[]>();
+	for (const entry of entries) {
+		const annotation = entry.annotation?.trim();
+		if (!annotation) continue;
+		const probeId = getProbeId(entry);
+		if (!byProbe.has(probeId)) byProbe.set(probeId, []);
+		byProbe.get(probeId)!.push({ timestamp: entry.timestamp, annotation });
+	}
+
+	const statements: D1PreparedStatement[] = [];
+	for (const [probeId, runs] of byProbe) {
+		runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+		const previous = await env.DB.prepare(SELECT_PREVIOUS_COLLECTOR_ANNOTATION_SQL)
+			.bind(probeId, runs[0].timestamp)
+			.first<{ title: string }>();
+		let current = previous?.title ?? null;
+		for (const { timestamp, annotation } of runs) {
+			if (annotation === current) continue;
+			const description = current === null ? null : `Changed from "${current}"`;
+			statements.push(env.DB.prepare(INSERT_COLLECTOR_ANNOTATION_SQL).bind(probeId, timestamp, annotation, description));
+			current = annotation;
+		}
+	}
+
+	if (statements.length === 0) return;
+	await env.DB.batch(statements);
+	logger.info('Recorded collector annotations', { count: statements.length });
+}
+
+// --- Endpoint Configuration ---
+// The endpoints collectors measure, kept in D1 and served at /api/config in the shape of endpoints.config.json.
+// Collectors fetch it at start-up with their upload key and fall back to their local file. Besides the targets, each endpoint carries display
+// metadata for the dashboard: endpoints of a `group` share a color and the highlights compare each `comparison_set`.
+const ENDPOINT_KINDS = ['ping', 'curl', 'mtr', 'dns'] as const;
+
+const ENDPOINT_TARGET_FIELDS: Record<EndpointKind, EndpointTargetField[]> = {
+	ping: ['host'],
+	curl: ['host'],
+	mtr: ['host'],
+	dns: ['domain', 'resolver'],
+};
+
+// Targets end up as arguments of ping, mtr, curl and dig on the collectors, so only host names and addresses are accepted
+const ENDPOINT_TARGET_SCHEMA: JsonSchema = {
+	type: 'string',
+	pattern: '^[A-Za-z0-9][A-Za-z0-9.:_-]{0,252}$',
+	description: 'Host name or IP address',
+};
+
+const ENDPOINT_DISPLAY_FIELDS: Record<string, JsonSchema> = {
+	group: { type: ['string', 'null'], minLength: 1, maxLength: 50, description: 'Endpoints of a group share a chart color' },
+	color: { type: ['string', 'null'], pattern: '^#[0-9a-fA-F]{6}$', description: 'Chart color, overrides the group color' },
+	comparison_set: {
+		type: ['string', 'null'],
+		minLength: 1,
+		maxLength: 50,
+		description: 'The dashboard compares endpoints of the same kind and set against each other',
+	},
+};
+
+function endpointDefinitionSchema(kind: EndpointKind): JsonSchema {
+	const targets = ENDPOINT_TARGET_FIELDS[kind];
+	return {
+		type: 'object',
+		required: ['id', 'name', ...targets],
+		additionalProperties: false,
+		properties: {
+			...ENDPOINT_FIELDS,
+			...Object.fromEntries(targets.map((field) => [field, ENDPOINT_TARGET_SCHEMA])),
+			...ENDPOINT_DISPLAY_FIELDS,
+		},
+	};
+}
+
+const ENDPOINT_CONFIG_SCHEMA: JsonSchema = {
+	type: 'object',
+	additionalProperties: false,
+	properties: Object.fromEntries(
+		ENDPOINT_KINDS.map((kind) => [kind, { type: 'array', maxItems: 50, items: endpointDefinitionSchema(kind) } as JsonSchema])
+	),
+};
+
+function validateEndpointConfig(body: unknown): FieldError[] {
+	const errors: FieldError[] = [];
+	validateSchema(ENDPOINT_CONFIG_SCHEMA, body, '', errors);
+	if (!isObject(body)) return errors;
+
+	for (const kind of ENDPOINT_KINDS) {
+		const endpoints = body[kind];
+		if (!Array.isArray(endpoints)) continue;
+		const seen = new Set<unknown>();
+		endpoints.forEach((endpoint, index) => {
+			if (!isObject(endpoint)) return;
+			if (seen.has(endpoint.id))
+				errors.push({ path: pointer(pointer(`/${kind}`, index), 'id'), message: 'must be unique within the array' });
+			seen.add(endpoint.id);
+		});
+	}
+	return errors;
+}
+
+function endpointBindings(kind: EndpointKind, endpoint: EndpointDefinition): unknown[] {
+	return [
+		kind,
+		endpoint.id,
+		endpoint.name,
+		endpoint.host ?? null,
+		endpoint.domain ?? null,
+		endpoint.resolver ?? null,
+		endpoint.group ?? null,
+		endpoint.color ?? null,
+		endpoint.comparison_set ?? null,
+	];
+}
+
+// Rows back into the file format; unset display fields are left out. Null when nothing is stored.
+async function loadEndpointConfig(env: Env): Promise<EndpointConfig | null> {
+	const result = await env.DB.prepare(SELECT_ENDPOINTS_SQL).all<Record<string, string | null> & { kind: EndpointKind }>();
+	const rows = result.results || [];
+	if (rows.length === 0) return null;
+
+	const config = Object.fromEntries(ENDPOINT_KINDS.map((kind) => [kind, []])) as unknown as EndpointConfig;
+	for (const row of rows) {
+		const endpoint: EndpointDefinition = { id: row.id!, name: row.name! };
+		for (const field of ENDPOINT_TARGET_FIELDS[row.kind]) endpoint[field] = row[field] ?? undefined;
+		if (row.group_name !== null) endpoint.group = row.group_name;
+		if (row.color !== null) endpoint.color = row.color;
+		if (row.comparison_set !== null) endpoint.comparison_set = row.comparison_set;
+		config[row.kind].push(endpoint);
+	}
+	return config;
+}
+
+// Strong ETag over the serialized document, so collectors and browsers can revalidate with If-None-Match
+async function configEtag(body: string): Promise<string> {
+	return `"${(await sha256Hex(body)).slice(0, 32)}"`;
+}
+
+function matchesEtag(header: string | null, etag: string): boolean {
+	if (!header) return false;
+	return header.split(',').some((tag) => {
+		const value = tag.trim();
+		return value === '*' || value === etag || value === `W/${etag}`;
+	});
+}
+
+// --- Alerts ---
+const ALERT_OPERATORS: Record<AlertOperator, { symbol: string; test: (value: number, threshold: number) => boolean }> = {
+	lt: { symbol: '<', test: (value, threshold) => value < threshold },
+	lte: { symbol: '<=', test: (value, threshold) => value <= threshold },
+	gt: { symbol: '>', test: (value, threshold) => value > threshold },
+	gte: { symbol: '>=', test: (value, threshold) => value >= threshold },
+	eq: { symbol: '==', test: (value, threshold) => value === threshold },
+	ne: { symbol: '!=', test: (value, threshold) => value !== threshold },
+};
+
+const WEBHOOK_FORMATS = ['generic', 'slack'] as const;
+const MISSING_VALUE_POLICIES = ['ignore', 'breach'] as const;
+
+// Column that holds a metric: scalar metrics are columns, endpoint metrics live in their results column
+function metricSourceColumn(metric: string): string | null {
+	if ((SCALAR_METRICS as readonly string[]).includes(metric)) return metric;
+
+	const [kind, endpointId, name, ...rest] = metric.split('.');
+	if (!endpointId || !name || rest.length > 0) return null;
+	const column = ENDPOINT_RESULT_COLUMNS.find((c) => ENDPOINT_METRICS[c].kind === kind);
+	return column && ENDPOINT_METRICS[column].metrics.some((m) => m.name === name) ? column : null;
+}
+
+function validateAlertRule(body: unknown): AlertRuleInput | string {
+	if (!body || typeof body !== 'object') return 'Request body must be an object';
+	const b = body as Record<string, unknown>;
+
+	if (typeof b.name !== 'string' || b.name.trim() === '' || b.name.length > 100)
+		return 'name must be a non-empty string (max 100 characters)';
+	if (typeof b.metric !== 'string' || (b.metric !== COLLECTOR_MISSED_RUNS_METRIC && !metricSourceColumn(b.metric)))
+		return 'metric must be a metric name such as ping.cloudflare.packet_loss_percent';
+	if (typeof b.operator !== 'string' || !(b.operator in ALERT_OPERATORS))
+		return `operator must be one of ${Object.keys(ALERT_OPERATORS).join(', ')}`;
+	if (typeof b.threshold !== 'number' || !Number.isFinite(b.threshold)) return 'threshold must be a number';
+
+	const consecutiveRuns = b.consecutive_runs ?? 1;
+	if (
+		!Number.isInteger(consecutiveRuns) ||
+		(consecutiveRuns as number) < 1 ||
+		(consecutiveRuns as number) > CONFIG.MAX_ALERT_CONSECUTIVE_RUNS
+	) {
+		return `consecutive_runs must be an integer between 1 and ${CONFIG.MAX_ALERT_CONSECUTIVE_RUNS}`;
+	}
+
+	const probeId = b.probe_id ?? null;
+	if (probeId !== null && !isValidProbeId(probeId)) return 'probe_id must be a valid probe id or null';
+
+	const webhookUrl = b.webhook_url ?? null;
+	if (webhookUrl !== null && (typeof webhookUrl !== 'string' || !/^https?:\/\//.test(webhookUrl)))
+		return 'webhook_url must be an http(s) URL or null';
+
+	const webhookFormat = b.webhook_format ?? null;
+	if (webhookFormat !== null && !(WEBHOOK_FORMATS as readonly unknown[]).includes(webhookFormat)) {
+		return `webhook_format must be one of ${WEBHOOK_FORMATS.join(', ')} or null`;
+	}
+
+	const onMissing = b.on_missing ?? 'ignore';
+	if (!(MISSING_VALUE_POLICIES as readonly unknown[]).includes(onMissing))
+		return `on_missing must be one of ${MISSING_VALUE_POLICIES.join(', ')}`;
+
+	if (b.enabled !== undefined && typeof b.enabled !== 'boolean') return 'enabled must be a boolean';
+
+	return {
+		name: b.name.trim(),
+		probe_id: probeId as string | null,
+		metric: b.metric,
+		operator: b.operator as AlertOperator,
+		threshold: b.threshold,
+		consecutive_runs: consecutiveRuns as number,
+		on_missing: onMissing as AlertRuleInput['on_missing'],
+		webhook_url: webhookUrl as string | null,
+		webhook_format: webhookFormat as AlertRuleInput['webhook_format'],
+		enabled: b.enabled ?? true,
+	};
+}
+
+// true = breaching, false = healthy, null = no value and the rule ignores missing values
+function isBreach(rule: AlertRule, value: number | null): boolean | null {
+	if (value === null) return rule.on_missing === 'breach' ? true : null;
+	return ALERT_OPERATORS[rule.operator].test(value, rule.threshold);
+}
+
+function describeAlert(rule: AlertRule, event: AlertEvent): string {
+	const condition = `${rule.metric} ${ALERT_OPERATORS[rule.operator].symbol} ${rule.threshold}`;
+	const runs = rule.consecutive_runs > 1 ? ` for ${rule.consecutive_runs} consecutive runs` : '';
+	const value = event.value === null ? 'no value' : `value ${event.value}`;
+	return event.status === 'firing'
+		? `[FIRING] ${rule.name} on probe ${event.probe_id}: ${condition}${runs} (${value} at ${event.measured_at})`
+		: `[RESOLVED] ${rule.name} on probe ${event.probe_id}: ${value} at ${event.measured_at}`;
+}
+
+function buildWebhookPayload(format: WebhookFormat, rule: AlertRule, event: AlertEvent): unknown {
+	if (format === 'slack') {
+		const icon = event.status === 'firing' ? ':red_circle:' : ':large_green_circle:';
+		return { text: `${icon} ${describeAlert(rule, event)}` };
+	}
+
+	return {
+		event: `alert.${event.status}`,
+		summary: describeAlert(rule, event),
+		rule: {
+			id: rule.id,
+			name: rule.name,
+			metric: rule.metric,
+			operator: rule.operator,
+			threshold: rule.threshold,
+			consecutive_runs: rule.consecutive_runs,
+		},
+		probe_id: event.probe_id,
+		value: event.value,
+		measured_at: event.measured_at,
+		timestamp: new Date().toISOString(),
+	};
+}
+
+interface WebhookTarget {
+	id: WebhookTargetId;
+	url: string;
+	format: WebhookFormat;
+}
+
+function getWebhookTargets(env: Env, rule: AlertRule): WebhookTarget[] {
+	if (rule.webhook_url) return [{ id: 'rule', url: rule.webhook_url, format: rule.webhook_format ?? 'generic' }];
+
+	const targets: WebhookTarget[] = [];
+	if (env.ALERT_WEBHOOK_URL) targets.push({ id: 'webhook', url: env.ALERT_WEBHOOK_URL, format: 'generic' });
+	if (env.ALERT_SLACK_WEBHOOK_URL) targets.push({ id: 'slack', url: env.ALERT_SLACK_WEBHOOK_URL, format: 'slack' });
+	return targets;
+}
+
+// Posts the event to each target; returns the targets that did not accept it
+async function deliverAlert(logger: Logger, rule: AlertRule, event: AlertEvent, targets: WebhookTarget[]): Promise<WebhookTargetId[]> {
+	const results = await Promise.all(
+		targets.map(async ({ id, url, format }) => {
+			try {
+				const response = await fetch(url, {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(buildWebhookPayload(format, rule, event)),
+					signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT_MS),
+				});
+				if (!response.ok) throw new Error(`HTTP ${response.status}`);
+				return null;
+			} catch (error) {
+				logger.error('Alert webhook failed', error as Error, { rule_id: rule.id, target: id });
+				return id;
+			}
+		})
+	);
+
+	return results.filter((id): id is WebhookTargetId => id !== null);
+}
+
+function nextDeliveryAt(attempts: number, now: number): string {
+	const minutes = Math.min(CONFIG.ALERT_RETRY_BASE_MINUTES * 2 ** (attempts - 1), CONFIG.ALERT_RETRY_MAX_MINUTES);
+	return new Date(now + minutes * 60 * 1000).toISOString();
+}
+
+// Fires after `consecutive_runs` breaching runs in a row and resolves on the first healthy run.
+// State is keyed per rule and probe, so each incident notifies exactly once in each direction; webhooks that fail
+// are retried by retryAlertDeliveries() without notifying the others again.
+// Applies one evaluation of a rule for a probe; values are newest first
+async function applyAlertEvaluation(
+	env: Env,
+	logger: Logger,
+	rule: AlertRule,
+	probeId: string,
+	state: AlertState | undefined,
+	values: (number | null)[],
+	measuredAt: string,
+	requiredRuns: number,
+	summary: { fired: number; resolved: number }
+): Promise<void> {
+	const breaches = values.map((value) => isBreach(rule, value));
+	const wasFiring = state?.status === 'firing';
+
+	let status: AlertStatus = wasFiring ? 'firing' : 'ok';
+	if (!wasFiring && values.length >= requiredRuns && breaches.every((breach) => breach === true)) {
+		status = 'firing';
+	} else if (wasFiring && breaches[0] === false) {
+		status = 'ok';
+	}
+
+	const now = new Date().toISOString();
+	const statements = [
+		env.DB.prepare(UPSERT_ALERT_STATE_SQL).bind(
+			rule.id,
+			probeId,
+			status,
+			values[0],
+			measuredAt,
+			status === 'firing' && !wasFiring ? now : state?.fired_at ?? null,
+			status === 'ok' && wasFiring ? now : state?.resolved_at ?? null,
+			now
+		),
+	];
+
+	if (status !== (state?.status ?? 'ok')) {
+		const event: AlertEvent = {
+			rule_id: rule.id,
+			probe_id: probeId,
+			status: status === 'firing' ? 'firing' : 'resolved',
+			value: values[0],
+			measured_at: measuredAt,
+		};
+		const targets = getWebhookTargets(env, rule);
+		if (targets.length === 0) logger.warn('No alert webhook configured', { rule_id: rule.id, status: event.status });
+		const failed = await deliverAlert(logger, rule, event, targets);
+		const notification = targets.length === 0 ? 'skipped' : failed.length > 0 ? 'failed' : 'sent';
+		statements.push(
+			env.DB.prepare(INSERT_ALERT_EVENT_SQL).bind(
+				rule.id,
+				rule.name,
+				probeId,
+				event.status,
+				values[0],
+				measuredAt,
+				notification,
+				targets.length === 0 ? 0 : 1
+			),
+			env.DB.prepare(START_ALERT_DELIVERY_SQL).bind(
+				failed.length > 0 ? JSON.stringify(failed) : null,
+				failed.length > 0 ? nextDeliveryAt(1, Date.now()) : null,
+				rule.id,
+				probeId
+			)
+		);
+		logger.info(status === 'firing' ? 'Alert fired' : 'Alert resolved', {
+			rule_id: rule.id,
+			probe_id: probeId,
+			value: values[0],
+			notification,
+			...(failed.length > 0 && { retrying: failed }),
+		});
+		if (status === 'firing') summary.fired++;
+		else summary.resolved++;
+	}
+
+	await env.DB.batch(statements);
+}
+
+// Posts pending transitions again to the webhooks that have not accepted them, once their backoff has passed. After
+// MAX_ALERT_DELIVERY_ATTEMPTS the transition is given up and its event stays "failed".
+async function retryAlertDeliveries(env: Env, logger: Logger, rules: AlertRule[], states: Iterable<AlertState>): Promise<void> {
+	const now = Date.now();
+	for (const state of states) {
+		if (state.pending_targets === null || state.last_event_id === null) continue;
+		if (state.next_delivery_at !== null && state.next_delivery_at > new Date(now).toISOString()) continue;
+		// Disabled rules keep their pending delivery until they are enabled again
+		const rule = rules.find((candidate) => candidate.id === state.rule_id);
+		if (!rule) continue;
+
+		const event = await env.DB.prepare('SELECT rule_id, probe_id, status, value, measured_at FROM alert_events WHERE id = ?')
+			.bind(state.last_event_id)
+			.first<AlertEvent>();
+		const pending = JSON.parse(state.pending_targets) as WebhookTargetId[];
+		// Webhooks removed from the configuration since are dropped
+		const targets = getWebhookTargets(env, rule).filter((target) => pending.includes(target.id));
+		const failed = event ? await deliverAlert(logger, rule, event, targets) : [];
+		const attempts = state.delivery_attempts + 1;
+		const retry = failed.length > 0 && attempts < CONFIG.MAX_ALERT_DELIVERY_ATTEMPTS;
+
+		await env.DB.batch([
+			env.DB.prepare('UPDATE alert_events SET notification = ?, delivery_attempts = ? WHERE id = ?').bind(
+				failed.length > 0 ? 'failed' : 'sent',
+				attempts,
+				state.last_event_id
+			),
+			env.DB.prepare(UPDATE_ALERT_DELIVERY_SQL).bind(
+				retry ? JSON.stringify(failed) : null,
+				attempts,
+				retry ? nextDeliveryAt(attempts, now) : null,
+				state.rule_id,
+				state.probe_id,
+				state.last_event_id
+			),
+		]);
+		if (failed.length === 0) {
+			logger.info('Alert notification delivered on retry', { rule_id: rule.id, probe_id: state.probe_id, attempts });
+		} else if (!retry) {
+			logger.warn('Alert notification abandoned', { rule_id: rule.id, probe_id: state.probe_id, attempts, failed });
+		}
+	}
+}
+
+async function evaluateAlertRules(env: Env, logger: Logger): Promise<{ evaluated: number; fired: number; resolved: number }> {
+	const summary = { evaluated: 0, fired: 0, resolved: 0 };
+
+	const rules = (await env.DB.prepare('SELECT * FROM alert_rules WHERE enabled = 1').all<AlertRule>()).results || [];
+	if (rules.length === 0) return summary;
+
+	const collectors = await getCollectorStatuses(env);
+	const probeIds = collectors.map((collector) => collector.probe_id);
+	const states = new Map(
+		((await env.DB.prepare('SELECT * FROM alert_state').all<AlertState>()).results || []).map((state) => [
+			`${state.rule_id}|${state.probe_id}`,
+			state,
+		])
+	);
+
+	await retryAlertDeliveries(env, logger, rules, states.values());
+
+	for (const rule of rules) {
+		// Silence grows without new uploads, so collector rules are re-evaluated on every run
+		if (rule.metric === COLLECTOR_MISSED_RUNS_METRIC) {
+			for (const collector of collectors) {
+				if (!collector.last_seen || (rule.probe_id && rule.probe_id !== collector.probe_id)) continue;
+				summary.evaluated++;
+				const state = states.get(`${rule.id}|${collector.probe_id}`);
+				await applyAlertEvaluation(env, logger, rule, collector.probe_id, state, [collector.missed_runs], collector.last_seen, 1, summary);
+			}
+			continue;
+		}
+
+		const column = metricSourceColumn(rule.metric);
+		if (!column) {
+			logger.warn('Alert rule has an unknown metric', { rule_id: rule.id, metric: rule.metric });
+			continue;
+		}
+
+		// Browser tests would break a run of scheduled runs with missing values; rules on bt_* metrics only read them
+		const runCondition = column.startsWith('bt_') ? `NOT (${SCHEDULED_RUN_CONDITION})` : SCHEDULED_RUN_CONDITION;
+		for (const probeId of rule.probe_id ? [rule.probe_id] : probeIds) {
+			const rows =
+				(
+					await env.DB.prepare(
+						`SELECT timestamp, ${column} FROM network_logs WHERE probe_id = ? AND ${runCondition} ORDER BY timestamp DESC LIMIT ?`
+					)
+						.bind(probeId, rule.consecutive_runs)
+						.all<Record<string, unknown>>()
+				).results || [];
+			if (rows.length === 0) continue;
+
+			const state = states.get(`${rule.id}|${probeId}`);
+			const latestTimestamp = String(rows[0].timestamp);
+			if (state?.last_timestamp === latestTimestamp) continue;
+
+			summary.evaluated++;
+			const values = rows.map((row) => extractMetrics(row).get(rule.metric) ?? null);
+			await applyAlertEvaluation(env, logger, rule, probeId, state, values, latestTimestamp, rule.consecutive_runs, summary);
+		}
+	}
+
+	return summary;
+}
+
+// --- Status Page ---
+// A read-only summary for wikis and READMEs: /status, /api/status and SVG badges. Only the probes in STATUS_PROBES
+// (default: all) and the metrics matching STATUS_METRICS are published, so internal endpoints stay off the page and
+// cannot be requested as badges even though the full API serves them.
+interface StatusSettings {
+	title: string;
+	probeIds: string[];
+	metrics: string[];
+}
+
+interface StatusRun {
+	timestamp: string;
+	scheduled: boolean;
+	up: boolean;
+	metrics: Map<string, number>;
+}
+
+const STATUS_SCALAR_LABELS: Record<(typeof SCALAR_METRICS)[number], string> = {
+	nq_download_mbps: 'Download (networkQuality)',
+	nq_upload_mbps: 'Upload (networkQuality)',
+	nq_responsiveness_rpm: 'Responsiveness',
+	st_download_mbps: 'Download (Speedtest)',
+	st_upload_mbps: 'Upload (Speedtest)',
+	st_ping_ms: 'Ping (Speedtest)',
+	bt_download_mbps: 'Download (browser test)',
+	bt_upload_mbps: 'Upload (browser test)',
+	bt_latency_ms: 'Latency (browser test)',
+	bt_jitter_ms: 'Jitter (browser test)',
+	bt_loaded_latency_ms: 'Loaded latency (browser test)',
+};
+
+// Shown after the endpoint's configured name, e.g. "Cloudflare RTT"
+const STATUS_ENDPOINT_METRIC_LABELS: Record<string, string> = {
+	rtt_min: 'RTT min',
+	rtt_avg: 'RTT',
+	rtt_max: 'RTT max',
+	rtt_stddev: 'RTT jitter',
+	packet_loss_percent: 'packet loss',
+	dns_lookup_ms: 'DNS lookup',
+	ttfb_ms: 'TTFB',
+	http_code: 'HTTP status',
+	query_time_ms: 'DNS query time',
+};
+
+const PROBE_STATE_LABELS: Record<ProbeState, string> = {
+	operational: 'Operational',
+	degraded: 'Degraded',
+	outage: 'Outage',
+	no_data: 'No data',
+};
+
+// Worst first: the page headline follows the worst probe
+const PROBE_STATE_SEVERITY: ProbeState[] = ['outage', 'no_data', 'degraded', 'operational'];
+
+const STATUS_HEADLINES: Record<ProbeState, string> = {
+	operational: 'All systems operational',
+	degraded: 'Degraded performance',
+	outage: 'Connection outage',
+	no_data: 'Some probes are not reporting',
+};
+
+const INCIDENT_STATES: Record<StatusIncidentKind, ProbeState> = {
+	outage: 'outage',
+	no_data: 'no_data',
+	degraded: 'degraded',
+	incident: 'outage',
+	maintenance: 'degraded',
+};
+
+// Pseudo-metrics that badges accept besides the published metrics
+const BADGE_PSEUDO_METRICS = ['uptime', 'status'] as const;
+const BADGE_STATS = ['latest', 'median'] as const;
+type BadgeStat = (typeof BADGE_STATS)[number];
+
+const BADGE_COLORS: Record<ProbeState | 'value', string> = {
+	operational: '#44cc11',
+	degraded: '#dfb317',
+	outage: '#e05d44',
+	no_data: '#9f9f9f',
+	value: '#007ec6',
+};
+
+function parseList(value: string | undefined): string[] {
+	return (value ?? '')
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+// An empty STATUS_METRICS publishes no metrics, while a missing one publishes the defaults
+function statusSettings(env: Env): StatusSettings {
+	const metrics = env.STATUS_METRICS === undefined ? [...CONFIG.STATUS_DEFAULT_METRICS] : parseList(env.STATUS_METRICS);
+	return {
+		title: env.STATUS_TITLE?.trim() || CONFIG.STATUS_DEFAULT_TITLE,
+		probeIds: parseList(env.STATUS_PROBES).filter(isValidProbeId),
+		metrics: metrics.filter((metric) => METRIC_PATTERN.test(metric)),
+	};
+}
+
+function isPublishedProbe(settings: StatusSettings, probeId: string): boolean {
+	return settings.probeIds.length === 0 || settings.probeIds.includes(probeId);
+}
+
+// matchesMetric() treats an empty list as "every metric", which must not publish internal endpoints
+function isPublishedMetric(settings: StatusSettings, metric: string): boolean {
+	return settings.metrics.length > 0 && matchesMetric(metric, settings.metrics);
+}
+
+// Names reported by the collectors, keyed "<kind>.<endpoint id>"; the latest row wins
+function reportedEndpointNames(rows: Record<string, unknown>[]): Map<string, string> {
+	const names = new Map<string, string>();
+	for (const row of rows) {
+		for (const column of ENDPOINT_RESULT_COLUMNS) {
+			for (const result of parseResultsColumn(row[column])) {
+				if (typeof result?.id === 'string' && typeof result.name === 'string')
+					names.set(`${ENDPOINT_METRICS[column].kind}.${result.id}`, result.name);
+			}
+		}
+	}
+	return names;
+}
+
+// Like the dashboard, the configured name is preferred over the one the collector reported
+function metricLabel(metric: string, endpoints: EndpointConfig | null, reported: Map<string, string>): string {
+	if (metric in STATUS_SCALAR_LABELS) return STATUS_SCALAR_LABELS[metric as keyof typeof STATUS_SCALAR_LABELS];
+	const [kind, endpointId, name] = metric.split('.');
+	const endpoint = endpoints?.[kind as EndpointKind]?.find((definition) => definition.id === endpointId);
+	return `${endpoint?.name ?? reported.get(`${kind}.${endpointId}`) ?? endpointId} ${STATUS_ENDPOINT_METRIC_LABELS[name] ?? name}`;
+}
+
+function metricUnit(metric: string): string {
+	if (metric.endsWith('_mbps')) return 'Mbps';
+	if (metric.endsWith('_rpm')) return 'RPM';
+	if (metric.endsWith('_percent')) return '%';
+	return /(_ms|\.rtt_\w+)$/.test(metric) ? 'ms' : '';
+}
+
+// Three significant digits, whole numbers from 100 on
+function formatStatusValue(value: number | null, unit = ''): string {
+	if (value === null) return 'n/a';
+	const number = Math.abs(value) >= 100 ? Math.round(value) : Number(value.toPrecision(3));
+	return `${number}${unit === '%' || unit === '' ? '' : ' '}${unit}`;
+}
+
+function formatStatusTime(timestamp: string): string {
+	return `${timestamp.slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatDuration(seconds: number): string {
+	const minutes = Math.round(seconds / 60);
+	if (minutes < 60) return `${minutes} min`;
+	const hours = Math.floor(minutes / 60);
+	return hours < 48 ? `${hours} h ${minutes % 60} min` : `${Math.floor(hours / 24)} d ${hours % 24} h`;
+}
+
+function plural(count: number, noun: string): string {
+	return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// A run reached the internet when a ping endpoint got replies, an HTTP request got a response or a throughput
+// test measured a rate. Browser tests are started on demand and do not count (see SCHEDULED_RUN_CONDITION).
+function toStatusRun(row: Record<string, unknown>): StatusRun {
+	const metrics = extractMetrics(row);
+	const up = [...metrics].some(
+		([metric, value]) =>
+			(/^ping\.[^.]+\.packet_loss_percent$/.test(metric) && value < 100) ||
+			(/^curl\.[^.]+\.http_code$/.test(metric) && value > 0) ||
+			(/^(nq|st)_download_mbps$/.test(metric) && value > 0)
+	);
+	return { timestamp: String(row.timestamp), scheduled: row.bt_latency_ms === null, up, metrics };
+}
+
+function uptimePercent(runs: StatusRun[]): number | null {
+	const scheduled = runs.filter((run) => run.scheduled);
+	return scheduled.length === 0 ? null : round((scheduled.filter((run) => run.up).length / scheduled.length) * 100, 2);
+}
+
+function uptimeState(percent: number | null): ProbeState {
+	if (percent === null) return 'no_data';
+	if (percent >= CONFIG.STATUS_UPTIME_GOOD_PERCENT) return 'operational';
+	return percent >= CONFIG.STATUS_UPTIME_DEGRADED_PERCENT ? 'degraded' : 'outage';
+}
+
+// A silent collector says nothing about the line, so it wins over the result of its last run
+function probeState(collector: CollectorStatus | undefined, lastRun: StatusRun | undefined, alerting: boolean): ProbeState {
+	if (collector?.status !== 'ok' || !lastRun) return 'no_data';
+	if (!lastRun.up) return 'outage';
+	return alerting ? 'degraded' : 'operational';
+}
+
+// Probes with a firing alert rule on a published metric
+async function findAlertingProbes(env: Env, settings: StatusSettings): Promise<Set<string>> {
+	const rows = (await env.DB.prepare(SELECT_FIRING_ALERT_METRICS_SQL).all<{ probe_id: string; metric: string }>()).results || [];
+	return new Set(rows.filter((row) => isPublishedMetric(settings, row.metric)).map((row) => row.probe_id));
+}
+
+// Consecutive scheduled runs in which every test failed; an outage ends with the next run that got through
+function findOutages(probeId: string, runs: StatusRun[]): StatusIncident[] {
+	const outages: StatusIncident[] = [];
+	let start: string | null = null;
+	let failed = 0;
+	const close = (end: string | null) => {
+		outages.push({
+			probe_id: probeId,
+			kind: 'outage',
+			title: `Connection down: ${plural(failed, 'failed run')}`,
+			description: null,
+			start: start!,
+			end,
+			ongoing: end === null,
+		});
+		start = null;
+		failed = 0;
+	};
+
+	for (const run of runs) {
+		if (!run.scheduled) continue;
+		if (!run.up) {
+			start ??= run.timestamp;
+			failed++;
+		} else if (start) {
+			close(run.timestamp);
+		}
+	}
+	if (start) close(null);
+	return outages;
+}
+
+// Latest value and recent median of every published metric, in the order of STATUS_METRICS
+function summarizeStatusMetrics(
+	runs: StatusRun[],
+	settings: StatusSettings,
+	label: (metric: string) => string,
+	now: number
+): StatusMetric[] {
+	const medianFrom = toStoredTimestamp(new Date(now - CONFIG.STATUS_MEDIAN_DAYS * 86400000));
+	const series = new Map<string, { latest: number; latest_at: string; values: number[] }>();
+	for (const run of runs) {
+		for (const [metric, value] of run.metrics) {
+			if (!isPublishedMetric(settings, metric)) continue;
+			const entry = series.get(metric) ?? { latest: value, latest_at: run.timestamp, values: [] };
+			entry.latest = value;
+			entry.latest_at = run.timestamp;
+			if (run.timestamp >= medianFrom) entry.values.push(value);
+			series.set(metric, entry);
+		}
+	}
+
+	const position = (metric: string) => settings.metrics.findIndex((pattern) => matchesMetric(metric, [pattern]));
+	return [...series]
+		.sort(([a], [b]) => position(a) - position(b) || a.localeCompare(b))
+		.map(([metric, entry]) => ({
+			metric,
+			label: label(metric),
+			unit: metricUnit(metric),
+			latest: round(entry.latest, 2),
+			latest_at: entry.latest_at,
+			median: round(median(entry.values), 2),
+		}));
+}
+
+// One entry per UTC day of the history window, today last
+function summarizeStatusDays(runs: StatusRun[], now: number): StatusDay[] {
+	const today = new Date(now).toISOString().slice(0, 10);
+	return Array.from({ length: CONFIG.STATUS_HISTORY_DAYS }, (_, index) => {
+		const date = addDays(today, index + 1 - CONFIG.STATUS_HISTORY_DAYS);
+		const dayRuns = runs.filter((run) => run.timestamp.startsWith(date));
+		return { date, runs: dayRuns.filter((run) => run.scheduled).length, uptime_percent: uptimePercent(dayRuns) };
+	});
+}
+
+// Current state, uptime and published metrics per probe, plus incidents derived from the stored data: outages,
+// collector gaps, sustained shifts of published metrics and incident or maintenance annotations
+async function buildStatus(env: Env, settings: StatusSettings, now: number = Date.now()) {
+	const since = `${addDays(new Date(now).toISOString().slice(0, 10), -CONFIG.STATUS_HISTORY_DAYS)}T00:00:00Z`;
+	const [probeRows, endpoints, alerting] = await Promise.all([
+		env.DB.prepare(SELECT_STATUS_PROBES_SQL).all<{ id: string; name: string | null; isp: string | null; location: string | null }>(),
+		loadEndpointConfig(env),
+		findAlertingProbes(env, settings),
+	]);
+	const probes = (probeRows.results || []).filter((probe) => isPublishedProbe(settings, probe.id));
+	const probeIds = probes.map((probe) => probe.id);
+
+	const incidents: StatusIncident[] = [];
+	const runsByProbe = new Map<string, StatusRun[]>();
+	let collectors: CollectorStatus[] = [];
+	let reported = new Map<string, string>();
+	const label = (metric: string) => metricLabel(metric, endpoints, reported);
+	if (probeIds.length > 0) {
+		const shifts = () => {
+			if (settings.metrics.length === 0) return Promise.resolve([]);
+			const { condition, bindings } = buildMetricCondition(settings.metrics);
+			const { where, bindings: whereBindings } = buildLogWhere(
+				{ probeIds, from: since, to: null },
+				["kind = 'shift'", condition],
+				bindings
+			);
+			return env.DB.prepare(SELECT_ANOMALIES_SQL(where))
+				.bind(...whereBindings, CONFIG.MAX_STATUS_INCIDENTS)
+				.all<AnomalyRecord>()
+				.then((result) => result.results || []);
+		};
+		const [runRows, gapResult, anomalies, annotations] = await Promise.all([
+			env.DB.prepare(SELECT_STATUS_RUNS_SQL(probeIds.length))
+				.bind(since, ...probeIds)
+				.all<Record<string, unknown>>(),
+			findCollectorGaps(env, { probeIds, from: since, to: null }, now),
+			shifts(),
+			env.DB.prepare(SELECT_STATUS_ANNOTATIONS_SQL(probeIds.length))
+				.bind(since, ...probeIds, CONFIG.MAX_STATUS_INCIDENTS)
+				.all<{
+					probe_id: string | null;
+					start_time: string;
+					end_time: string | null;
+					title: string;
+					description: string | null;
+					category: 'incident' | 'maintenance';
+				}>(),
+		]);
+
+		reported = reportedEndpointNames(runRows.results || []);
+		for (const row of runRows.results || []) {
+			const probeId = String(row.probe_id);
+			if (!runsByProbe.has(probeId)) runsByProbe.set(probeId, []);
+			runsByProbe.get(probeId)!.push(toStatusRun(row));
+		}
+		collectors = gapResult.collectors;
+
+		for (const gap of gapResult.gaps) {
+			incidents.push({
+				probe_id: gap.probe_id,
+				kind: 'no_data',
+				title: `No data: ${plural(gap.missed_runs, 'missed run')}`,
+				description: null,
+				start: gap.start,
+				end: gap.ongoing ? null : gap.end,
+				ongoing: gap.ongoing,
+			});
+		}
+		for (const anomaly of anomalies) {
+			const unit = metricUnit(anomaly.metric);
+			incidents.push({
+				probe_id: anomaly.probe_id,
+				kind: 'degraded',
+				title: `${label(anomaly.metric)} ${anomaly.direction === 'down' ? 'dropped' : 'rose'} to ${formatStatusValue(anomaly.value, unit)}`,
+				description: `Sustained change from a usual ${formatStatusValue(anomaly.baseline, unit)}`,
+				start: anomaly.timestamp,
+				end: null,
+				ongoing: false,
+			});
+		}
+		const nowTimestamp = toStoredTimestamp(new Date(now));
+		for (const annotation of annotations.results || []) {
+			incidents.push({
+				probe_id: annotation.probe_id,
+				kind: annotation.category,
+				title: annotation.title,
+				description: annotation.description,
+				start: annotation.start_time,
+				end: annotation.end_time,
+				ongoing: annotation.start_time <= nowTimestamp && annotation.end_time !== null && annotation.end_time > nowTimestamp,
+			});
+		}
+	}
+
+	const statuses: ProbeStatus[] = probes.map((probe) => {
+		const runs = runsByProbe.get(probe.id) ?? [];
+		const scheduled = runs.filter((run) => run.scheduled);
+		const within = (days: number) => runs.filter((run) => Date.parse(run.timestamp) >= now - days * 86400000);
+		incidents.push(...findOutages(probe.id, runs));
+		return {
+			id: probe.id,
+			name: probe.name,
+			isp: probe.isp,
+			location: probe.location,
+			state: probeState(
+				collectors.find((collector) => collector.probe_id === probe.id),
+				scheduled[scheduled.length - 1],
+				alerting.has(probe.id)
+			),
+			last_run: scheduled[scheduled.length - 1]?.timestamp ?? null,
+			uptime_percent: { '1d': uptimePercent(within(1)), '7d': uptimePercent(within(7)), '30d': uptimePercent(within(30)) },
+			metrics: summarizeStatusMetrics(runs, settings, label, now),
+			days: summarizeStatusDays(runs, now),
+		};
+	});
+
+	return {
+		title: settings.title,
+		state: PROBE_STATE_SEVERITY.find((state) => statuses.some((probe) => probe.state === state)) ?? 'no_data',
+		history_days: CONFIG.STATUS_HISTORY_DAYS,
+		probes: statuses,
+		incidents: incidents.sort((a, b) => b.start.localeCompare(a.start)).slice(0, CONFIG.MAX_STATUS_INCIDENTS),
+		generated_at: toStoredTimestamp(new Date(now)),
+	};
+}
+
+type StatusSummary = Awaited<ReturnType<typeof buildStatus>>;
+
+// Mobile-first page without scripts; it reloads itself every few minutes for wall displays
+function renderStatusHtml(status: StatusSummary): string {
+	const probeNames = new Map(status.probes.map((probe) => [probe.id, probe.name ?? probe.id]));
+
+	const probeCards = status.probes.map((probe) => {
+		const details = [probe.isp, probe.location].filter(Boolean).map(escapeHtml).join(' · ');
+		const bars = probe.days
+			.map(
+				(day) =>
+					`<span class="${uptimeState(day.uptime_percent)}" title="${escapeHtml(day.date)}: ${
+						day.uptime_percent === null ? 'no runs' : `${day.uptime_percent}% of ${plural(day.runs, 'run')}`
+					}"></span>`
+			)
+			.join('');
+		const metrics = probe.metrics.map(
+			(metric) => `<div><div class="meta">${escapeHtml(metric.label)}</div>
+				<div class="value">${escapeHtml(formatStatusValue(metric.latest, metric.unit))}</div>
+				<div class="meta">${CONFIG.STATUS_MEDIAN_DAYS}-day median ${escapeHtml(formatStatusValue(metric.median, metric.unit))}</div></div>`
+		);
+		return `<section class="card">
+<div class="head"><h2>${escapeHtml(probe.name ?? probe.id)}</h2><span class="state ${probe.state}">${
+			PROBE_STATE_LABELS[probe.state]
+		}</span></div>
+${details ? `<p class="meta">${details}</p>` : ''}
+<p class="meta">Last run: ${
+			probe.last_run ? formatStatusTime(probe.last_run) : 'none in the last ' + plural(status.history_days, 'day')
+		}</p>
+<p class="meta">Uptime: 24 h ${formatStatusValue(probe.uptime_percent['1d'], '%')} · 7 days ${formatStatusValue(
+			probe.uptime_percent['7d'],
+			'%'
+		)} · 30 days ${formatStatusValue(probe.uptime_percent['30d'], '%')}</p>
+<div class="bars" role="img" aria-label="Daily uptime over the last ${status.history_days} days">${bars}</div>
+<div class="meta axis"><span>${status.history_days} days ago</span><span>Today</span></div>
+${metrics.length > 0 ? `<div class="metrics">${metrics.join('\n')}</div>` : ''}
+</section>`;
+	});
+
+	const incidents = status.incidents.map((incident) => {
+		const period = incident.ongoing
+			? `since ${formatStatusTime(incident.start)}`
+			: incident.end
+			? `${formatStatusTime(incident.start)} – ${formatStatusTime(incident.end)} (${formatDuration(
+					(Date.parse(incident.end) - Date.parse(incident.start)) / 1000
+			  )})`
+			: formatStatusTime(incident.start);
+		const probe = incident.probe_id === null ? 'All probes' : probeNames.get(incident.probe_id) ?? incident.probe_id;
+		return `<div class="incident ${INCIDENT_STATES[incident.kind]}">
+<strong>${escapeHtml(incident.title)}</strong>${incident.ongoing ? ' <span class="state outage">Ongoing</span>' : ''}
+<p class="meta">${escapeHtml(probe)} · ${escapeHtml(period)}</p>
+${incident.description ? `<p class="meta">${escapeHtml(incident.description)}</p>` : ''}
+</div>`;
+	});
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta http-equiv="refresh" content="300" />
+<title>${escapeHtml(status.title)}</title>
+<link rel="icon" href="/favicon.svg" type="image/svg+xml" />
+<style>
+	:root { color-scheme: light dark; --text: #111827; --muted: #6b7280; --border: #e5e7eb; --card: #ffffff; --background: #f9fafb;
+		--operational: #16a34a; --degraded: #d97706; --outage: #dc2626; --no_data: #9ca3af; }
+	@media (prefers-color-scheme: dark) { :root { --text: #f3f4f6; --muted: #9ca3af; --border: #374151; --card: #1f2937; --background: #111827; } }
+	body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: var(--text); background: var(--background); max-width: 42rem; margin: 0 auto; padding: 1rem; font-size: 0.9375rem; }
+	h1 { font-size: 1.375rem; margin: 0.5rem 0 1rem; }
+	h2 { font-size: 1.0625rem; margin: 1.5rem 0 0.5rem; }
+	.banner { padding: 0.75rem 1rem; border-radius: 0.5rem; color: #ffffff; font-weight: 600; }
+	.card { background: var(--card); border: 1px solid var(--border); border-radius: 0.5rem; padding: 1rem; margin-top: 1rem; }
+	.card h2 { margin: 0; }
+	.head { display: flex; justify-content: space-between; align-items: baseline; gap: 0.5rem; flex-wrap: wrap; }
+	.meta { color: var(--muted); font-size: 0.8125rem; margin: 0.25rem 0; }
+	.state { font-weight: 600; font-size: 0.875rem; }
+	.state.operational { color: var(--operational); } .state.degraded { color: var(--degraded); }
+	.state.outage { color: var(--outage); } .state.no_data { color: var(--no_data); }
+	.banner.operational, .bars .operational { background: var(--operational); }
+	.banner.degraded, .bars .degraded { background: var(--degraded); }
+	.banner.outage, .bars .outage { background: var(--outage); }
+	.banner.no_data, .bars .no_data { background: var(--no_data); }
+	.bars { display: flex; gap: 2px; height: 2rem; margin-top: 0.75rem; }
+	.bars span { flex: 1; border-radius: 2px; }
+	.bars .no_data { opacity: 0.4; }
+	.axis { display: flex; justify-content: space-between; }
+	.metrics { display: grid; grid-template-columns: repeat(auto-fill, minmax(10rem, 1fr)); gap: 0.75rem; margin-top: 1rem; }
+	.value { font-size: 1.125rem; font-weight: 600; }
+	.incident { border-left: 3px solid var(--no_data); padding: 0.125rem 0 0.125rem 0.75rem; margin: 0.75rem 0; }
+	.incident.operational { border-color: var(--operational); } .incident.degraded { border-color: var(--degraded); }
+	.incident.outage { border-color: var(--outage); }
+	.incident p { margin: 0.125rem 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(status.title)}</h1>
+<div class="banner ${status.state}">${STATUS_HEADLINES[status.state]}</div>
+<p class="meta">Updated ${formatStatusTime(status.generated_at)}</p>
+${probeCards.length > 0 ? probeCards.join('\n') : '<p class="meta">No probes are published.</p>'}
+
+<h2>Incidents</h2>
+${incidents.length > 0 ? incidents.join('\n') : `<p class="meta">No incidents in the last ${plural(status.history_days, 'day')}.</p>`}
+
+<p class="meta">Derived from the stored runs: an outage is a series of runs in which every test failed, missing runs are shown as no data
+and degradations are sustained shifts detected by the anomaly baseline.</p>
+</body>
+</html>
+`;
+}
+
+// Flat shields.io-style badge. Widths assume about 6.5 px per character of 11 px Verdana.
+function renderBadge(label: string, message: string, color: string): string {
+	const labelWidth = Math.round(label.length * 6.5) + 10;
+	const messageWidth = Math.round(message.length * 6.5) + 10;
+	const width = labelWidth + messageWidth;
+	const [text, value] = [escapeHtml(label), escapeHtml(message)];
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${text}: ${value}">
+<title>${text}: ${value}</title>
+<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/><rect width="${width}" height="20" fill="url(#s)"/></g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+<text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${text}</text><text x="${labelWidth / 2}" y="14">${text}</text>
+<text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${value}</text><text x="${
+		labelWidth + messageWidth / 2
+	}" y="14">${value}</text>
+</g>
+</svg>
+`;
+}
+
+// --- Auth ---
+// Upload keys are "<key id>.<secret>". The secret is HMAC(API_KEY_PEPPER, key id), so the Worker can recompute it to
+// verify signatures, and D1 stores only the verifier HMAC(API_KEY_PEPPER, secret): neither the secret nor a signing
+// key can be recovered from the database without the pepper.
+function toHex(buffer: ArrayBuffer): string {
+	return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function randomHex(bytes: number): string {
+	return toHex(crypto.getRandomValues(new Uint8Array(bytes)).buffer);
+}
+
+async function sha256Hex(value: string): Promise<string> {
+	return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+async function hmacSha256Hex(key: string, message: string): Promise<string> {
+	const cryptoKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return toHex(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message)));
+}
+
+function timingSafeEqual(a: string, b: string): boolean {
+	if (a.length !== b.length) return false;
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) {
+		diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	}
+	return diff === 0;
+}
+
+// "upload" keys store any run of their probe; "browsertest" keys, which the dashboard may remember in the browser,
+// only runs of the browser speed test
+const API_KEY_SCOPES = ['upload', 'browsertest'] as const;
+
+// Why a "browsertest" key may not store the entry, or null
+function browserTestScopeError(entry: NetworkLogEntry, path: string): FieldError | null {
+	if (!entry.browsertest) return { path: `${path}/browsertest`, message: 'is required for a browsertest key' };
+	const collected =
+		Object.values(entry.networkquality).some((value) => value !== null && value !== undefined) ||
+		Object.values(entry.speedtest).some((value) => value !== null && value !== undefined) ||
+		[entry.ping_results, entry.curl_results, entry.mtr_results, entry.dns_results].some((results) => results.length > 0);
+	if (collected) return { path, message: 'a browsertest key may only store browser test results' };
+	if (entry.annotation !== undefined || Object.keys(entry.probe ?? {}).some((field) => field !== 'id'))
+		return { path, message: 'a browsertest key may not set the annotation or probe details' };
+	return null;
+}
+
+function isKeyActive(key: ApiKey, now: string): boolean {
+	// Rotated keys stay valid until the end of their grace period
+	return key.revoked_at === null || key.revoked_at > now;
+}
+
+// Callers check API_KEY_PEPPER first, see requireKeyPepper
+async function deriveKeySecret(env: Env, keyId: string): Promise<string> {
+	return hmacSha256Hex(env.API_KEY_PEPPER!, keyId);
+}
+
+async function keyVerifier(env: Env, secret: string): Promise<string> {
+	return hmacSha256Hex(env.API_KEY_PEPPER!, secret);
+}
+
+// Returns the insert statement rather than running it, so rotation can store it in one batch with the revocation
+async function prepareApiKey(
+	env: Env,
+	probeId: string,
+	name: string | null,
+	scope: ApiKeyScope
+): Promise<{ id: string; token: string; insert: D1PreparedStatement }> {
+	const id = `key_${randomHex(8)}`;
+	const secret = await deriveKeySecret(env, id);
+	const insert = env.DB.prepare(INSERT_API_KEY_SQL).bind(id, probeId, name, scope, await keyVerifier(env, secret));
+	return { id, token: `${id}.${secret}`, insert };
+}
+
+// Accepts "Authorization: Bearer <key id>.<secret>" or an HMAC signature over
+// "<timestamp>\n<nonce>\n<body>" in X-Key-Id / X-Timestamp / X-Nonce / X-Signature.
+// Returns the key, or a reason when the request is not authenticated.
+async function authenticateUpload(request: Request, body: string, env: Env): Promise<ApiKey | string> {
+	const now = toStoredTimestamp(new Date());
+	const authorization = request.headers.get('Authorization');
+	const keyId = request.headers.get('X-Key-Id');
+
+	if (keyId) {
+		const timestamp = request.headers.get('X-Timestamp') ?? '';
+		const nonce = request.headers.get('X-Nonce') ?? '';
+		const signature = (request.headers.get('X-Signature') ?? '').toLowerCase();
+
+		if (!API_KEY_ID_PATTERN.test(keyId)) return 'Invalid X-Key-Id';
+		if (!/^\d{1,12}$/.test(timestamp)) return 'X-Timestamp must be a Unix timestamp in seconds';
+		const skew = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+		if (skew > CONFIG.AUTH_MAX_CLOCK_SKEW_SECONDS) return `X-Timestamp is more than ${CONFIG.AUTH_MAX_CLOCK_SKEW_SECONDS}s off`;
+		if (!NONCE_PATTERN.test(nonce)) return 'X-Nonce must be 16-128 URL-safe characters';
+
+		const key = await env.DB.prepare('SELECT * FROM api_keys WHERE id = ?').bind(keyId).first<ApiKey>();
+		if (!key || !isKeyActive(key, now)) return 'Unknown or revoked API key';
+
+		// Keys issued under another pepper (or before there was one) fail here instead of verifying with a wrong secret
+		const secret = await deriveKeySecret(env, key.id);
+		if (!timingSafeEqual(await keyVerifier(env, secret), key.secret_hash)) return 'Invalid API key';
+
+		const expected = await hmacSha256Hex(secret, `${timestamp}\n${nonce}\n${body}`);
+		if (!timingSafeEqual(signature, expected)) return 'Invalid signature';
+
+		const expiresAt = toStoredTimestamp(new Date((parseInt(timestamp, 10) + CONFIG.AUTH_MAX_CLOCK_SKEW_SECONDS) * 1000));
+		const result = await env.DB.prepare(INSERT_NONCE_SQL).bind(key.id, nonce, expiresAt).run();
+		if (result.meta.changes === 0) return 'Nonce has already been used';
+
+		return key;
+	}
+
+	if (authorization?.startsWith('Bearer ')) {
+		const [id, secret] = authorization.slice('Bearer '.length).trim().split('.');
+		if (!id || !secret || !API_KEY_ID_PATTERN.test(id)) return 'Malformed API key';
+
+		const key = await env.DB.prepare('SELECT * FROM api_keys WHERE id = ?').bind(id).first<ApiKey>();
+		if (!key || !isKeyActive(key, now)) return 'Unknown or revoked API key';
+		if (!timingSafeEqual(await keyVerifier(env, secret), key.secret_hash)) return 'Invalid API key';
+
+		return key;
+	}
+
+	return 'Missing credentials (Authorization: Bearer or X-Key-Id signature headers)';
+}
+
+async function hasAdminToken(request: Request, env: Env): Promise<boolean> {
+	if (!env.ADMIN_TOKEN) return false;
+	const authorization = request.headers.get('Authorization') ?? '';
+	const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : '';
+	// Compare digests so the comparison time does not depend on the token length
+	return token !== '' && timingSafeEqual(await sha256Hex(token), await sha256Hex(env.ADMIN_TOKEN));
+}
+
+// Returns an error response unless the request carries ADMIN_TOKEN as a bearer token
+async function authorizeAdmin(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response | null> {
+	if (!env.ADMIN_TOKEN) {
+		logger.warn('Admin route called without ADMIN_TOKEN configured');
+		return errorResponse('Admin API is not configured', 503, requestId, 'Set the ADMIN_TOKEN secret');
+	}
+
+	if (!(await hasAdminToken(request, env))) {
+		logger.warn('Admin authentication failed');
+		return errorResponse('Unauthorized', 401, requestId);
+	}
+	return null;
+}
+
+// Returns an error response while API_KEY_PEPPER is not set, since upload keys can neither be issued nor verified
+function requireKeyPepper(env: Env, logger: Logger, requestId: string): Response | null {
+	if (env.API_KEY_PEPPER) return null;
+	logger.warn('Upload key used without API_KEY_PEPPER configured');
+	return errorResponse('Upload keys are not configured', 503, requestId, 'Set the API_KEY_PEPPER secret');
+}
+
+function handlePreflight(request: Request, env: Env): Response {
+	const origin = request.headers.get('Origin');
+	const allowed = (env.WRITE_ALLOWED_ORIGINS ?? '')
+		.split(',')
+		.map((o) => o.trim())
+		.filter(Boolean);
+
+	if (origin && allowed.includes(origin)) {
+		return new Response(null, {
+			headers: { ...CORS_HEADERS, ...WRITE_CORS_HEADERS, 'Access-Control-Allow-Origin': origin, Vary: 'Origin' },
+		});
+	}
+	return new Response(null, { headers: { ...CORS_HEADERS, Vary: 'Origin' } });
+}
+
+// --- Legacy Import ---
+// Entries written by the collector before the modular endpoint format (v3): `ping` and `curl` are objects
+// keyed by endpoint id. v1 entries have no `speedtest` section, v2 entries do.
+const LEGACY_ENTRY_KEYS = ['schema_version', 'timestamp', 'probe', 'networkquality', 'speedtest', 'ping', 'curl'];
+
+function detectSchemaVersion(entry: Record<string, unknown>): number | null {
+	if (Array.isArray(entry.ping_results)) return CONFIG.SCHEMA_VERSION;
+	if (entry.schema_version === 1 || entry.schema_version === 2) return entry.schema_version;
+	if (isObject(entry.ping) || isObject(entry.curl)) return isObject(entry.speedtest) ? 2 : 1;
+	return null;
+}
+
+// "+0100" offsets are not ISO 8601 extended format and do not parse everywhere
+function normalizeLegacyTimestamp(value: unknown): unknown {
+	return typeof value === 'string' ? value.replace(/([+-]\d{2})(\d{2})$/, '$1:$2') : value;
+}
+
+function keyedResults(
+	entry: Record<string, unknown>,
+	key: string,
+	path: string,
+	errors: FieldError[],
+	convert: (id: string, result: Record<string, unknown>) => EndpointResult
+): EndpointResult[] {
+	const value = entry[key];
+	if (value === undefined) return [];
+	if (!isObject(value)) {
+		errors.push({ path: pointer(path, key), message: 'must be an object keyed by endpoint id' });
+		return [];
+	}
+	return Object.entries(value).flatMap(([id, result]) => {
+		if (isObject(result)) return [convert(id, result)];
+		errors.push({ path: pointer(pointer(path, key), id), message: 'must be an object' });
+		return [];
+	});
+}
+
+// Converts a v1/v2 entry to the current shape. Legacy results have no display names, so the id is used.
+function convertLegacyEntry(entry: Record<string, unknown>, path: string, errors: FieldError[]): NetworkLogEntry {
+	for (const key of Object.keys(entry)) {
+		if (!LEGACY_ENTRY_KEYS.includes(key)) errors.push({ path: pointer(path, key), message: 'is not a known legacy property' });
+	}
+
+	const nq = isObject(entry.networkquality) ? entry.networkquality : {};
+	const st = isObject(entry.speedtest) ? entry.speedtest : {};
+	const rtt = (r: Record<string, unknown>) => {
+		const values = {
+			min: toFiniteNumber(r.rtt_min),
+			avg: toFiniteNumber(r.rtt_avg),
+			max: toFiniteNumber(r.rtt_max),
+			stddev: toFiniteNumber(r.rtt_stddev),
+		};
+		return Object.values(values).some((v) => v !== null) ? values : null;
+	};
+
+	return {
+		timestamp: normalizeLegacyTimestamp(entry.timestamp) as string,
+		probe: entry.probe as ProbeInfo | undefined,
+		networkquality: {
+			download_mbps: toFiniteNumber(nq.download_mbps),
+			upload_mbps: toFiniteNumber(nq.upload_mbps),
+			responsiveness_rpm: toFiniteNumber(nq.responsiveness_rpm ?? nq.responsiveness),
+		},
+		speedtest: {
+			download_mbps: toFiniteNumber(st.download_mbps),
+			upload_mbps: toFiniteNumber(st.upload_mbps),
+			ping_ms: toFiniteNumber(st.ping_ms),
+			server_location: (st.server_location as string | undefined) ?? null,
+			server_country: (st.server_country as string | undefined) ?? null,
+		},
+		ping_results: keyedResults(entry, 'ping', path, errors, (id, r) => ({
+			id,
+			name: id,
+			host: r.host ?? null,
+			packet_loss_percent: toFiniteNumber(r.packet_loss_percent ?? r.packet_loss),
+			rtt_ms: rtt(r),
+		})),
+		curl_results: keyedResults(entry, 'curl', path, errors, (id, r) => ({
+			id,
+			name: id,
+			host: r.host ?? r.url ?? null,
+			dns_lookup_s: toFiniteNumber(r.dns_lookup_s ?? r.dns_lookup),
+			ttfb_s: toFiniteNumber(r.ttfb_s ?? r.ttfb),
+			http_code: r.http_code ?? null,
+		})),
+		mtr_results: [],
+		dns_results: [],
+	};
+}
+
+// --- Ingestion ---
+// Marks results whose run is repeated earlier in the batch or already stored as duplicates
+async function markDuplicates(env: Env, results: UploadResult[]): Promise<void> {
+	const seen = new Set<string>();
+	for (const result of results) {
+		if (result.status !== 'inserted') continue;
+		const id = `${result.probe_id}|${result.timestamp}`;
+		if (seen.has(id)) result.status = 'duplicate';
+		seen.add(id);
+	}
+
+	const candidates = results.filter((result) => result.status === 'inserted');
+	const duplicateChecks = await Promise.all(
+		candidates.map((result) => env.DB.prepare(CHECK_DUPLICATE_SQL).bind(result.probe_id, result.timestamp).first<{ count: number }>())
+	);
+	candidates.forEach((result, i) => {
+		if (duplicateChecks[i]?.count) result.status = 'duplicate';
+	});
+}
+
+// Stores the entries whose result is still "inserted", updates their probes and schedules rollups, hop names, anomaly
+// detection and collector annotations
+async function insertEntries(
+	env: Env,
+	ctx: ExecutionContext,
+	logger: Logger,
+	results: UploadResult[],
+	entries: NetworkLogEntry[]
+): Promise<void> {
+	const pending = results.filter((result) => result.status === 'inserted');
+	const pendingEntries = pending.map((result) => entries[result.index]);
+	if (pendingEntries.length === 0) return;
+
+	const statements = pendingEntries.map((entry) => {
+		const { networkquality, speedtest, browsertest } = entry;
+		return env.DB.prepare(INSERT_SQL).bind(
+			entry.timestamp,
+			getProbeId(entry),
+			entry.schema_version ?? CONFIG.SCHEMA_VERSION,
+			networkquality.download_mbps ?? null,
+			networkquality.upload_mbps ?? null,
+			networkquality.responsiveness_rpm ?? null,
+			speedtest.download_mbps ?? null,
+			speedtest.upload_mbps ?? null,
+			speedtest.ping_ms ?? null,
+			speedtest.server_location ?? null,
+			speedtest.server_country ?? null,
+			browsertest?.download_mbps ?? null,
+			browsertest?.upload_mbps ?? null,
+			browsertest?.latency_ms ?? null,
+			browsertest?.jitter_ms ?? null,
+			browsertest?.loaded_latency_ms ?? null,
+			JSON.stringify(entry.ping_results),
+			JSON.stringify(entry.curl_results),
+			JSON.stringify(entry.mtr_results),
+			JSON.stringify(entry.dns_results)
+		);
+	});
+
+	const probes = new Map<string, { probe: ProbeInfo; lastSeen: string | null }>();
+	for (const entry of pendingEntries) {
+		const id = getProbeId(entry);
+		// A browser test does not show that the probe's collector is running
+		const lastSeen = entry.browsertest ? null : entry.timestamp;
+		const known = probes.get(id);
+		if (!known || (lastSeen !== null && (known.lastSeen === null || lastSeen > known.lastSeen))) {
+			probes.set(id, { probe: entry.probe ?? { id }, lastSeen });
+		}
+	}
+	const probeStatements = [...probes.values()].map(({ probe, lastSeen }) =>
+		env.DB.prepare(UPSERT_PROBE_SQL).bind(
+			probe.id,
+			probe.name ?? null,
+			probe.isp ?? null,
+			probe.location ?? null,
+			probe.connection_type ?? null,
+			probe.interval_seconds ?? null,
+			lastSeen
+		)
+	);
+
+	const batchResults = await env.DB.batch([...probeStatements, ...statements]);
+
+	// A concurrent upload may have stored the same run since the duplicate check
+	batchResults.slice(probeStatements.length).forEach((result, i) => {
+		if (result.meta.changes === 0) pending[i].status = 'duplicate';
+	});
+
+	ctx.waitUntil(
+		updateRollups(env, logger, affectedRollupDays(pendingEntries)).catch((error) => logger.error('Rollup update failed', error as Error))
+	);
+	if (env.RESOLVE_HOP_NAMES === 'true') {
+		ctx.waitUntil(
+			resolveHopNames(env, logger, pendingEntries).catch((error) => logger.error('Hop name resolution failed', error as Error))
+		);
+	}
+	ctx.waitUntil(updateAnomalies(env, logger, pendingEntries).catch((error) => logger.error('Anomaly detection failed', error as Error)));
+	ctx.waitUntil(
+		recordCollectorAnnotations(env, logger, pendingEntries).catch((error) => logger.error('Recording annotations failed', error as Error))
+	);
+}
+
+// --- Live Updates ---
+// Runs in the shape of /api/logs rows, so the dashboard can append them like fetched ones
+function toLiveRun(entry: NetworkLogEntry): Record<string, unknown> {
+	const { networkquality, speedtest, browsertest } = entry;
+	return {
+		timestamp: entry.timestamp,
+		probe_id: getProbeId(entry),
+		nq_download_mbps: networkquality.download_mbps ?? null,
+		nq_upload_mbps: networkquality.upload_mbps ?? null,
+		nq_responsiveness_rpm: networkquality.responsiveness_rpm ?? null,
+		st_download_mbps: speedtest.download_mbps ?? null,
+		st_upload_mbps: speedtest.upload_mbps ?? null,
+		st_ping_ms: speedtest.ping_ms ?? null,
+		bt_download_mbps: browsertest?.download_mbps ?? null,
+		bt_upload_mbps: browsertest?.upload_mbps ?? null,
+		bt_latency_ms: browsertest?.latency_ms ?? null,
+		bt_jitter_ms: browsertest?.jitter_ms ?? null,
+		bt_loaded_latency_ms: browsertest?.loaded_latency_ms ?? null,
+		ping_results: entry.ping_results,
+		curl_results: entry.curl_results,
+		mtr_results: entry.mtr_results,
+		dns_results: entry.dns_results,
+	};
+}
+
+async function broadcastRuns(env: Env, logger: Logger, entries: NetworkLogEntry[]): Promise<void> {
+	const hub = env.LIVE.get(env.LIVE.idFromName(CONFIG.LIVE_HUB_NAME));
+	const sent = await hub.broadcast(JSON.stringify({ type: 'runs', runs: entries.map(toLiveRun) }));
+	logger.info('Live runs broadcast', { runs: entries.length, sockets: sent });
+}
+
+// Fans uploaded runs out to open dashboards over WebSockets. Sockets are accepted with the hibernation API, so idle
+// connections do not keep the object in memory, and keepalive pings are answered without waking it.
+export class LiveHub extends DurableObject<Env> {
+	constructor(ctx: DurableObjectState, env: Env) {
+		super(ctx, env);
+		this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+	}
+
+	// Only reached through /api/live, which has already checked for the upgrade header
+	async fetch(): Promise<Response> {
+		const [client, server] = Object.values(new WebSocketPair());
+		this.ctx.acceptWebSocket(server);
+		return new Response(null, { status: 101, webSocket: client });
+	}
+
+	async broadcast(message: string): Promise<number> {
+		let sent = 0;
+		for (const socket of this.ctx.getWebSockets()) {
+			try {
+				socket.send(message);
+				sent++;
+			} catch {
+				// Already closing; the runtime drops it from getWebSockets()
+			}
+		}
+		return sent;
+	}
+
+	// Dashboards only listen; anything other than the auto-answered ping is ignored
+	async webSocketMessage(): Promise<void> {}
+
+	async webSocketClose(socket: WebSocket, code: number, reason: string): Promise<void> {
+		socket.close(code, reason);
+	}
+}
+
+// --- Migrations ---
+// Schema and data changes live in migrations/ and are applied with `wrangler d1 migrations apply`, which records each
+// file in d1_migrations. The Worker cannot read that directory, so it lists the files it expects, in order: a new
+// migration is added here too. Pending ones are logged once per isolate and reported by /health.
+const MIGRATIONS = [
+	'0001_initial_schema.sql',
+	'0002_probes.sql',
+	'0003_metric_rollups.sql',
+	'0004_alerts.sql',
+	'0005_probe_intervals.sql',
+	'0006_api_keys.sql',
+	'0007_probe_contracts.sql',
+	'0008_hop_enrichment.sql',
+	'0009_anomalies.sql',
+	'0010_annotations.sql',
+	'0011_browser_test.sql',
+	'0012_endpoints.sql',
+	'0013_convert_legacy_results.sql',
+	'0014_api_key_scope.sql',
+	'0015_alert_deliveries.sql',
+] as const;
+
+let migrationsChecked = false;
+
+async function getMigrationStatus(env: Env): Promise<MigrationStatus> {
+	let applied: string[] = [];
+	try {
+		const result = await env.DB.prepare(SELECT_APPLIED_MIGRATIONS_SQL).all<{ name: string }>();
+		applied = (result.results || []).map((row) => row.name);
+	} catch (error) {
+		// Databases created from the former schema.sql have no d1_migrations table until the first apply
+		if (!(error as Error).message.includes('no such table')) throw error;
+	}
+
+	const pending = MIGRATIONS.filter((name) => !applied.includes(name));
+	return { status: pending.length > 0 ? 'pending' : 'ok', applied: applied.length, pending };
+}
+
+// Workers have no start-up hook, so the first request of each isolate runs the check in the background
+async function logPendingMigrations(env: Env, logger: Logger): Promise<void> {
+	try {
+		const { pending } = await getMigrationStatus(env);
+		if (pending.length > 0) {
+			logger.warn('Pending D1 migrations; run `wrangler d1 migrations apply`', { pending });
+		}
+	} catch (error) {
+		logger.error('Migration check failed', error as Error);
+	}
+}
+
+// --- Handlers ---
+async function handleUpload(request: Request, env: Env, ctx: ExecutionContext, logger: Logger, requestId: string): Promise<Response> {
+	const startTime = Date.now();
+
+	const notConfigured = requireKeyPepper(env, logger, requestId);
+	if (notConfigured) return notConfigured;
+
+	// The raw body is needed to verify HMAC signatures
+	const body = await request.text();
+	const key = await authenticateUpload(request, body, env);
+	if (typeof key === 'string') {
+		logger.warn('Upload authentication failed', { reason: key });
+		return errorResponse('Unauthorized', 401, requestId, key);
+	}
+
+	let entries: unknown;
+	try {
+		entries = JSON.parse(body);
+	} catch (e) {
+		logger.warn('Invalid JSON', { error: (e as Error).message });
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	if (!Array.isArray(entries)) {
+		logger.warn('Not an array');
+		return errorResponse('Request body must be an array', 400, requestId);
+	}
+
+	if (entries.length === 0) {
+		logger.warn('Empty array');
+		return errorResponse('Request body must contain at least one entry', 400, requestId);
+	}
+
+	if (entries.length > CONFIG.MAX_BATCH_SIZE) {
+		logger.warn('Batch too large', { count: entries.length });
+		return errorResponse(`Batch size exceeds maximum of ${CONFIG.MAX_BATCH_SIZE}`, 400, requestId);
+	}
+
+	// Partial mode stores every acceptable entry and reports each one; the default mode is all-or-nothing
+	const partial = new URL(request.url).searchParams.get('mode') === 'partial';
+
+	const forbidden: number[] = [];
+	const results: UploadResult[] = entries.map((entry, index) => {
+		const errors = validateEntry(entry, `/${index}`);
+		if (errors.length > 0) return { index, status: 'invalid', errors };
+
+		// A key may only write its own probe; entries without a probe identity are attributed to it
+		const valid = entry as NetworkLogEntry;
+		if (valid.probe && valid.probe.id !== key.probe_id) {
+			forbidden.push(index);
+			return {
+				index,
+				status: 'invalid',
+				errors: [{ path: `/${index}/probe/id`, message: `API key ${key.id} may only upload for probe ${key.probe_id}` }],
+			};
+		}
+		const scopeError = key.scope === 'browsertest' ? browserTestScopeError(valid, `/${index}`) : null;
+		if (scopeError) {
+			forbidden.push(index);
+			return { index, status: 'invalid', errors: [scopeError] };
+		}
+		valid.timestamp = normalizeTimestamp(valid.timestamp);
+		valid.probe ??= { id: key.probe_id };
+		return { index, status: 'inserted', probe_id: valid.probe.id, timestamp: valid.timestamp };
+	});
+
+	const invalid = results.filter((result) => result.status === 'invalid');
+	if (invalid.length > 0) {
+		logger.warn('Invalid entries', { invalid_count: invalid.length, partial });
+	}
+	if (!partial && invalid.length > 0) {
+		const [first] = invalid;
+		const details = first.errors!.map((e) => `${e.path}: ${e.message}`).join('; ');
+		const status = forbidden.length > 0 ? 403 : 400;
+		return errorResponse(`${invalid.length} of ${entries.length} entries are invalid`, status, requestId, details, invalid);
+	}
+
+	ctx.waitUntil(
+		env.DB.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?')
+			.bind(toStoredTimestamp(new Date()), key.id)
+			.run()
+			.catch((error) => logger.error('Failed to record key usage', error as Error))
+	);
+
+	try {
+		await markDuplicates(env, results);
+
+		const duplicateCount = results.filter((result) => result.status === 'duplicate').length;
+		if (!partial && duplicateCount > 0) {
+			logger.info('Duplicates detected', { duplicate_count: duplicateCount });
+			return errorResponse(`${duplicateCount} duplicate timestamps rejected`, 409, requestId);
+		}
+
+		await insertEntries(env, ctx, logger, results, entries as NetworkLogEntry[]);
+
+		const insertedEntries = results
+			.filter((result) => result.status === 'inserted')
+			.map((result) => entries[result.index] as NetworkLogEntry);
+		if (insertedEntries.length > 0) {
+			ctx.waitUntil(broadcastRuns(env, logger, insertedEntries).catch((error) => logger.error('Live broadcast failed', error as Error)));
+		}
+
+		const inserted = insertedEntries.length;
+		const duration = Date.now() - startTime;
+		logger.info('Successfully inserted', { count: inserted, duration_ms: duration, partial });
+
+		const response: SuccessResponse = {
+			success: true,
+			inserted,
+			...(partial && {
+				duplicates: results.filter((result) => result.status === 'duplicate').length,
+				invalid: invalid.length,
+				results,
+			}),
+			duration_ms: duration,
+			request_id: requestId,
+			timestamp: new Date().toISOString(),
+		};
+
+		return jsonResponse(response, 200, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleImport(request: Request, env: Env, ctx: ExecutionContext, logger: Logger, requestId: string): Promise<Response> {
+	const startTime = Date.now();
+
+	const probeId = new URL(request.url).searchParams.get('probe') ?? CONFIG.DEFAULT_PROBE_ID;
+	if (!isValidProbeId(probeId)) {
+		return errorResponse('Invalid probe parameter', 400, requestId);
+	}
+
+	let entries: unknown;
+	try {
+		entries = await request.json();
+	} catch (e) {
+		logger.warn('Invalid JSON', { error: (e as Error).message });
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	if (!Array.isArray(entries) || entries.length === 0) {
+		return errorResponse('Request body must be a non-empty array', 400, requestId);
+	}
+
+	if (entries.length > CONFIG.MAX_BATCH_SIZE) {
+		logger.warn('Batch too large', { count: entries.length });
+		return errorResponse(`Batch size exceeds maximum of ${CONFIG.MAX_BATCH_SIZE}`, 400, requestId);
+	}
+
+	// Converted entries, by request index; validation paths of legacy entries refer to the converted shape
+	const converted: NetworkLogEntry[] = [];
+	const results: UploadResult[] = entries.map((raw, index) => {
+		const path = `/${index}`;
+		const version = isObject(raw) ? detectSchemaVersion(raw) : null;
+		if (!isObject(raw) || version === null) {
+			return { index, status: 'invalid', errors: [{ path, message: 'is neither a legacy (v1/v2) nor a current entry' }] };
+		}
+
+		const errors: FieldError[] = [];
+		const entry =
+			version === CONFIG.SCHEMA_VERSION
+				? ({ ...raw, timestamp: normalizeLegacyTimestamp(raw.timestamp) } as unknown as NetworkLogEntry)
+				: convertLegacyEntry(raw, path, errors);
+		errors.push(...validateEntry(entry, path, { historic: true }));
+		if (errors.length > 0) return { index, status: 'invalid', schema_version: version, errors };
+
+		entry.timestamp = normalizeTimestamp(entry.timestamp);
+		entry.probe ??= { id: probeId };
+		entry.schema_version = version;
+		converted[index] = entry;
+		return { index, status: 'inserted', probe_id: entry.probe.id, timestamp: entry.timestamp, schema_version: version };
+	});
+
+	try {
+		await markDuplicates(env, results);
+		await insertEntries(env, ctx, logger, results, converted);
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+
+	const count = (status: UploadStatus) => results.filter((result) => result.status === status).length;
+	const response: SuccessResponse = {
+		success: true,
+		inserted: count('inserted'),
+		duplicates: count('duplicate'),
+		invalid: count('invalid'),
+		results,
+		duration_ms: Date.now() - startTime,
+		request_id: requestId,
+		timestamp: new Date().toISOString(),
+	};
+	logger.info('Import finished', { inserted: response.inserted, duplicates: response.duplicates, invalid: response.invalid });
+
+	return jsonResponse(response, 200, { 'Cache-Control': 'no-store' });
+}
+
+function handleGetSchema(request: Request, logger: Logger, requestId: string): Response {
+	const url = new URL(request.url);
+	const version = url.searchParams.get('version');
+	if (version !== null && version !== String(CONFIG.SCHEMA_VERSION)) {
+		logger.warn('Unknown schema version', { version });
+		return errorResponse('Unknown schema version', 404, requestId, `Supported: ${CONFIG.SCHEMA_VERSION}`);
+	}
+
+	return jsonResponse(uploadSchema(url.origin), 200, {
+		'Content-Type': 'application/schema+json',
+		'Cache-Control': 'public, max-age=3600',
+		'X-Request-ID': requestId,
+	});
+}
+
+// The speed test routes move up to MAX_SPEEDTEST_BYTES per request for anyone, so they are limited to the dashboard's
+// own origin (browsers send Sec-Fetch-Site; cross-site pages are refused) and to SPEEDTEST_RATE_LIMITER requests per
+// client address. Returns an error response when the request may not run.
+async function limitSpeedtest(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response | null> {
+	const site = request.headers.get('Sec-Fetch-Site');
+	if (site !== null && site !== 'same-origin' && site !== 'none') {
+		logger.warn('Cross-site speed test request', { site });
+		return errorResponse('Forbidden', 403, requestId, 'The speed test routes only serve the dashboard');
+	}
+	const { success } = await env.SPEEDTEST_RATE_LIMITER.limit({ key: request.headers.get('CF-Connecting-IP') ?? 'unknown' });
+	if (!success) {
+		logger.warn('Speed test rate limit exceeded');
+		return errorResponse('Too many speed test requests', 429, requestId, 'Wait a minute before running another test');
+	}
+	return null;
+}
+
+// Serves `bytes` of random data for the browser speed test. One random chunk is repeated, which no proxy on the way can compress.
+function handleSpeedtestDownload(request: Request, logger: Logger, requestId: string): Response {
+	const bytesParam = new URL(request.url).searchParams.get('bytes') ?? '0';
+	const bytes = Number(bytesParam);
+	if (!/^\d+$/.test(bytesParam) || bytes > CONFIG.MAX_SPEEDTEST_BYTES) {
+		logger.warn('Invalid speed test size', { bytes: bytesParam });
+		return errorResponse('Invalid bytes parameter', 400, requestId, `Use an integer between 0 and ${CONFIG.MAX_SPEEDTEST_BYTES}`);
+	}
+
+	const chunk = crypto.getRandomValues(new Uint8Array(CONFIG.SPEEDTEST_CHUNK_BYTES));
+	let remaining = bytes;
+	const body = new ReadableStream<Uint8Array>({
+		pull(controller) {
+			if (remaining <= 0) {
+				controller.close();
+				return;
+			}
+			// The chunk is never written to, so it is enqueued as it is; only the last one is a shorter view of it
+			const size = Math.min(remaining, chunk.length);
+			controller.enqueue(size === chunk.length ? chunk : chunk.subarray(0, size));
+			remaining -= size;
+		},
+	});
+
+	return new Response(body, {
+		headers: { 'Content-Type': 'application/octet-stream', 'Cache-Control': 'no-store', 'X-Request-ID': requestId },
+	});
+}
+
+// Reads and discards the body; the byte count lets the browser check that nothing was cut off on the way
+async function handleSpeedtestUpload(request: Request, logger: Logger, requestId: string): Promise<Response> {
+	const tooLarge = () => {
+		logger.warn('Speed test upload too large');
+		return errorResponse('Payload too large', 413, requestId, `Upload at most ${CONFIG.MAX_SPEEDTEST_BYTES} bytes per request`);
+	};
+	if (Number(request.headers.get('Content-Length') ?? 0) > CONFIG.MAX_SPEEDTEST_BYTES) return tooLarge();
+
+	let bytes = 0;
+	if (request.body) {
+		const reader = request.body.getReader();
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			bytes += value.byteLength;
+			if (bytes > CONFIG.MAX_SPEEDTEST_BYTES) {
+				await reader.cancel();
+				return tooLarge();
+			}
+		}
+	}
+	return jsonResponse({ bytes }, 200, { 'Cache-Control': 'no-store', 'X-Request-ID': requestId });
+}
+
+// The smallest possible round trip, for latency samples
+function handleSpeedtestPing(requestId: string): Response {
+	return new Response(null, { status: 204, headers: { 'Cache-Control': 'no-store', 'X-Request-ID': requestId } });
+}
+
+async function handleGetLogs(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+	const limitParam = url.searchParams.get('limit');
+	const limit = limitParam ? Math.min(Math.max(parseInt(limitParam, 10), 1), CONFIG.MAX_QUERY_LIMIT) : CONFIG.DEFAULT_QUERY_LIMIT;
+
+	if (limitParam && isNaN(parseInt(limitParam, 10))) {
+		logger.warn('Invalid limit', { limit: limitParam });
+		return errorResponse('Invalid limit parameter', 400, requestId);
+	}
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid log filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const fields = parseFields(url.searchParams.get('fields'));
+	if (!fields) {
+		logger.warn('Invalid fields', { fields: url.searchParams.get('fields') });
+		return errorResponse('Invalid fields parameter', 400, requestId, `Allowed fields: ${LOG_COLUMNS.join(', ')}`);
+	}
+
+	const order = url.searchParams.get('order') === 'asc' ? 'ASC' : 'DESC';
+	const cursorParam = url.searchParams.get('cursor');
+	const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+	if (cursorParam && !cursor) {
+		logger.warn('Invalid cursor', { cursor: cursorParam });
+		return errorResponse('Invalid cursor parameter', 400, requestId);
+	}
+
+	try {
+		logger.debug('Fetching logs', { limit, filter, fields: fields.length, order, cursor });
+		const comparator = order === 'DESC' ? '<' : '>';
+		const { where, bindings } = cursor
+			? buildLogWhere(
+					filter,
+					[`(timestamp ${comparator} ? OR (timestamp = ? AND id ${comparator} ?))`],
+					[cursor.timestamp, cursor.timestamp, cursor.id]
+			  )
+			: buildLogWhere(filter);
+
+		// Fetch one extra row to know whether another page follows
+		const result = await env.DB.prepare(
+			`SELECT ${fields.join(', ')} FROM network_logs ${where} ORDER BY timestamp ${order}, id ${order} LIMIT ?`
+		)
+			.bind(...bindings, limit + 1)
+			.all<Record<string, unknown>>();
+
+		if (!result.success) {
+			throw new Error('D1 query failed');
+		}
+
+		const rows = result.results || [];
+		const results = rows.slice(0, limit);
+		const headers: Record<string, string> = {
+			'Cache-Control': 'public, max-age=60',
+			'X-Request-ID': requestId,
+		};
+
+		if (rows.length > limit) {
+			const last = results[results.length - 1];
+			const nextCursor = encodeCursor({ timestamp: String(last.timestamp), id: Number(last.id) });
+			const nextUrl = new URL(url);
+			nextUrl.searchParams.set('cursor', nextCursor);
+			headers['X-Next-Cursor'] = nextCursor;
+			headers['Link'] = `<${nextUrl.pathname}${nextUrl.search}>; rel="next"`;
+		}
+
+		logger.info('Fetched logs', { count: results.length, has_more: rows.length > limit });
+
+		return jsonResponse(results, 200, headers);
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve logs', 500, requestId);
+	}
+}
+
+async function handleExport(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+
+	const format = (url.searchParams.get('format') ?? 'csv') as ExportFormat;
+	if (!EXPORT_FORMATS.includes(format)) {
+		return errorResponse(`Invalid format parameter (expected ${EXPORT_FORMATS.join(' or ')})`, 400, requestId);
+	}
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid export filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const patterns = parseMetricList(url.searchParams.get('metric'));
+	if (!patterns) {
+		return errorResponse('Invalid metric parameter', 400, requestId, METRIC_PARAMETER_HINT);
+	}
+
+	try {
+		const { where, bindings } = buildLogWhere(filter);
+		const count = await env.DB.prepare(`SELECT COUNT(*) AS count FROM network_logs ${where}`)
+			.bind(...bindings)
+			.first<number>('count');
+		if ((count ?? 0) > CONFIG.MAX_EXPORT_ROWS) {
+			logger.warn('Export too large', { count });
+			return errorResponse(
+				'Export too large',
+				400,
+				requestId,
+				`The range contains ${count} runs; export at most ${CONFIG.MAX_EXPORT_ROWS} per request by narrowing from/to or probe`
+			);
+		}
+
+		const columns = format === 'csv' ? await getExportColumns(env, filter, patterns) : [];
+		logger.info('Export started', { format, count, columns: columns.length, filter });
+
+		const scope = filter.probeIds.length === 1 ? filter.probeIds[0] : 'all';
+		const date = toStoredTimestamp(new Date()).slice(0, 10);
+		return new Response(streamExport(env, logger, filter, format, patterns, columns), {
+			headers: {
+				'Content-Type': EXPORT_CONTENT_TYPES[format],
+				'Content-Disposition': `attachment; filename="network-logs-${scope}-${date}.${format}"`,
+				'Cache-Control': 'public, max-age=60',
+				'X-Request-ID': requestId,
+				...CORS_HEADERS,
+			},
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to export logs', 500, requestId);
+	}
+}
+
+// Latest value of every metric per probe (and endpoint) from the last CONFIG.METRICS_MAX_AGE_SECONDS, for Prometheus scrapes
+async function handleGetMetrics(env: Env, logger: Logger, requestId: string): Promise<Response> {
+	try {
+		const now = Date.now();
+		const since = toStoredTimestamp(new Date(now - CONFIG.METRICS_MAX_AGE_SECONDS * 1000));
+		const [recent, collectors] = await Promise.all([
+			env.DB.prepare(SELECT_RECENT_LOGS_SQL).bind(since).all<Record<string, unknown>>(),
+			getCollectorStatuses(env, now),
+		]);
+
+		const families = new Map<string, OpenMetricsFamily>();
+		const seen = new Set<string>();
+		for (const row of recent.results || []) {
+			const probe = String(row.probe_id);
+			if (!seen.has(probe)) {
+				seen.add(probe);
+				addOpenMetricsSample(
+					families,
+					`${OPENMETRICS_PREFIX}_last_measurement_timestamp_seconds`,
+					'Unix time of the latest run per probe',
+					{ probe },
+					new Date(String(row.timestamp)).getTime() / 1000
+				);
+			}
+
+			for (const [metric, value] of extractMetrics(row)) {
+				const [kind, endpoint, name] = metric.split('.');
+				const key = `${probe}|${metric}`;
+				if (seen.has(key)) continue;
+				seen.add(key);
+				if (name === undefined) {
+					addOpenMetricsSample(families, `${OPENMETRICS_PREFIX}_${metric}`, `Latest ${metric} per probe`, { probe }, value);
+				} else {
+					addOpenMetricsSample(
+						families,
+						`${OPENMETRICS_PREFIX}_${kind}_${name}`,
+						`Latest ${kind} ${name} per probe and endpoint`,
+						{ probe, endpoint },
+						value
+					);
+				}
+			}
+		}
+
+		for (const collector of collectors) {
+			addOpenMetricsSample(
+				families,
+				`${OPENMETRICS_PREFIX}_collector_missed_runs`,
+				'Runs missed since the probe last uploaded',
+				{ probe: collector.probe_id },
+				collector.missed_runs
+			);
+		}
+
+		logger.info('Rendered metrics', { families: families.size, probes: collectors.length });
+
+		return new Response(renderOpenMetrics(families), {
+			headers: {
+				'Content-Type': 'application/openmetrics-text; version=1.0.0; charset=utf-8',
+				'Cache-Control': 'public, max-age=60',
+				'X-Request-ID': requestId,
+				...CORS_HEADERS,
+			},
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve metrics', 500, requestId);
+	}
+}
+
+async function handleSetProbeContract(request: Request, env: Env, logger: Logger, requestId: string, probeId: string): Promise<Response> {
+	let body: unknown;
+	try {
+		body = await request.json();
+	} catch {
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	const contract = validateContract(body);
+	if (typeof contract === 'string') {
+		logger.warn('Invalid contract', { error: contract });
+		return errorResponse('Invalid contract', 400, requestId, contract);
+	}
+
+	try {
+		const result = await env.DB.prepare(UPDATE_PROBE_CONTRACT_SQL)
+			.bind(contract.download_mbps, contract.upload_mbps, contract.latency_ms, contract.packet_loss_percent, contract.timezone, probeId)
+			.run();
+		if (result.meta.changes === 0) {
+			return errorResponse('Probe not found', 404, requestId);
+		}
+
+		logger.info('Probe contract updated', { probe_id: probeId });
+		return jsonResponse({ probe_id: probeId, contract }, 200, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleGetReport(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+
+	const format = url.searchParams.get('format') ?? 'json';
+	if (format !== 'json' && format !== 'html') {
+		return errorResponse('Invalid format parameter (expected json or html)', 400, requestId);
+	}
+
+	const probeId = url.searchParams.get('probe');
+	if (!isValidProbeId(probeId)) {
+		return errorResponse('Invalid probe parameter', 400, requestId, 'Reports cover exactly one probe, e.g. ?probe=home');
+	}
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid report filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+	const to = filter.to ?? toStoredTimestamp(new Date());
+	const from = filter.from ?? toStoredTimestamp(new Date(new Date(to).getTime() - CONFIG.DEFAULT_REPORT_DAYS * 86400 * 1000));
+	if (from > to) return errorResponse('from must not be later than to', 400, requestId);
+	if (new Date(to).getTime() - new Date(from).getTime() > CONFIG.MAX_REPORT_DAYS * 86400 * 1000) {
+		return errorResponse(`Report range exceeds ${CONFIG.MAX_REPORT_DAYS} days`, 400, requestId);
+	}
+
+	try {
+		const probe = await env.DB.prepare('SELECT * FROM probes WHERE id = ?').bind(probeId).first<Record<string, unknown>>();
+		if (!probe) {
+			return errorResponse('Probe not found', 404, requestId);
+		}
+		if (probe.contract_download_mbps === null || probe.contract_upload_mbps === null) {
+			return errorResponse(
+				'No contract configured',
+				409,
+				requestId,
+				`Set the contracted speeds with PUT /api/probes/${probeId}/contract before requesting a report`
+			);
+		}
+
+		const contract: ProbeContract = {
+			download_mbps: Number(probe.contract_download_mbps),
+			upload_mbps: Number(probe.contract_upload_mbps),
+			latency_ms: toFiniteNumber(probe.target_latency_ms),
+			packet_loss_percent: toFiniteNumber(probe.target_packet_loss_percent),
+			timezone: isValidTimeZone(probe.timezone) ? probe.timezone : 'UTC',
+		};
+
+		const rows = (await env.DB.prepare(SELECT_REPORT_SOURCE_SQL).bind(probeId, from, to).all<Record<string, unknown>>()).results || [];
+		const report = buildReport(probe, contract, from, to, rows);
+		logger.info('Built SLA report', { probe_id: probeId, runs: report.runs, format });
+
+		const headers = { 'Cache-Control': 'public, max-age=60', 'X-Request-ID': requestId };
+		if (format === 'html') {
+			return new Response(renderReportHtml(report), {
+				headers: { 'Content-Type': 'text/html; charset=utf-8', ...CORS_HEADERS, ...headers },
+			});
+		}
+		return jsonResponse(report, 200, headers);
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to build report', 500, requestId);
+	}
+}
+
+async function handleGetStatus(env: Env, logger: Logger, requestId: string, format: 'json' | 'html'): Promise<Response> {
+	try {
+		const status = await buildStatus(env, statusSettings(env));
+		logger.info('Built status page', { probes: status.probes.length, incidents: status.incidents.length, format });
+
+		const headers = { 'Cache-Control': `public, max-age=${CONFIG.STATUS_CACHE_SECONDS}`, 'X-Request-ID': requestId };
+		if (format === 'html') {
+			return new Response(renderStatusHtml(status), {
+				headers: { 'Content-Type': 'text/html; charset=utf-8', ...CORS_HEADERS, ...headers },
+			});
+		}
+		return jsonResponse(status, 200, headers);
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to build status', 500, requestId);
+	}
+}
+
+// SVG badge for one published probe: the latest value or median of a published metric, uptime, or the current state
+async function handleGetBadge(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+	const settings = statusSettings(env);
+
+	const metric = url.searchParams.get('metric') ?? '';
+	const pseudo = (BADGE_PSEUDO_METRICS as readonly string[]).includes(metric);
+	if (!pseudo && (!METRIC_PATTERN.test(metric) || metric.includes('*'))) {
+		return errorResponse('Invalid metric parameter', 400, requestId, 'Use uptime, status or one published metric such as nq_download_mbps');
+	}
+	if (!pseudo && !isPublishedMetric(settings, metric)) {
+		return errorResponse('Metric not published', 404, requestId, 'Add it to the STATUS_METRICS variable to allow badges for it');
+	}
+
+	const stat = (url.searchParams.get('stat') ?? 'latest') as BadgeStat;
+	if (!BADGE_STATS.includes(stat)) {
+		return errorResponse(`Invalid stat parameter (expected ${BADGE_STATS.join(' or ')})`, 400, requestId);
+	}
+
+	const daysParam = url.searchParams.get('days') ?? String(CONFIG.DEFAULT_BADGE_DAYS);
+	const days = /^\d{1,4}$/.test(daysParam) ? parseInt(daysParam, 10) : 0;
+	if (days < 1 || days > CONFIG.MAX_BADGE_DAYS) {
+		return errorResponse(`Invalid days parameter (expected 1 to ${CONFIG.MAX_BADGE_DAYS})`, 400, requestId);
+	}
+
+	const label = url.searchParams.get('label');
+	if (label !== null && (label.trim() === '' || label.length > CONFIG.MAX_BADGE_LABEL_LENGTH)) {
+		return errorResponse(`Invalid label parameter (1 to ${CONFIG.MAX_BADGE_LABEL_LENGTH} characters)`, 400, requestId);
+	}
+
+	// Without a probe parameter, the only published probe is used
+	const probeId = url.searchParams.get('probe') ?? (settings.probeIds.length === 1 ? settings.probeIds[0] : null);
+	if (!isValidProbeId(probeId)) {
+		return errorResponse('Invalid probe parameter', 400, requestId, 'Badges cover exactly one probe, e.g. ?probe=home');
+	}
+	if (!isPublishedProbe(settings, probeId)) {
+		return errorResponse('Probe not found', 404, requestId);
+	}
+
+	try {
+		const probe = await env.DB.prepare('SELECT id FROM probes WHERE id = ?').bind(probeId).first();
+		if (!probe) {
+			return errorResponse('Probe not found', 404, requestId);
+		}
+
+		const now = Date.now();
+		const since = toStoredTimestamp(new Date(now - days * 86400000));
+		const rows = (await env.DB.prepare(SELECT_STATUS_RUNS_SQL(1)).bind(since, probeId).all<Record<string, unknown>>()).results || [];
+		const runs = rows.map(toStatusRun);
+
+		let badge: { label: string; message: string; color: string };
+		if (metric === 'uptime') {
+			const uptime = uptimePercent(runs);
+			badge = { label: `uptime ${days}d`, message: formatStatusValue(uptime, '%'), color: BADGE_COLORS[uptimeState(uptime)] };
+		} else if (metric === 'status') {
+			const [collectors, alerting] = await Promise.all([getCollectorStatuses(env, now), findAlertingProbes(env, settings)]);
+			const scheduled = runs.filter((run) => run.scheduled);
+			const state = probeState(
+				collectors.find((collector) => collector.probe_id === probeId),
+				scheduled[scheduled.length - 1],
+				alerting.has(probeId)
+			);
+			badge = { label: 'status', message: PROBE_STATE_LABELS[state].toLowerCase(), color: BADGE_COLORS[state] };
+		} else {
+			const values = runs.map((run) => run.metrics.get(metric)).filter((value): value is number => value !== undefined);
+			const value = stat === 'median' ? median(values) : values[values.length - 1] ?? null;
+			const name = metricLabel(metric, metric.includes('.') ? await loadEndpointConfig(env) : null, reportedEndpointNames(rows));
+			badge = {
+				label: stat === 'median' ? `${name} median ${days}d` : name,
+				message: formatStatusValue(value, metricUnit(metric)),
+				color: value === null ? BADGE_COLORS.no_data : BADGE_COLORS.value,
+			};
+		}
+
+		// Image proxies such as GitHub's camo keep the badge for max-age, then revalidate it with If-None-Match
+		const svg = renderBadge(label ?? badge.label, badge.message, badge.color);
+		const etag = await configEtag(svg);
+		const headers = {
+			...CORS_HEADERS,
+			'Content-Type': 'image/svg+xml; charset=utf-8',
+			'Cache-Control': `public, max-age=${CONFIG.BADGE_CACHE_SECONDS}`,
+			ETag: etag,
+			'X-Request-ID': requestId,
+		};
+		if (matchesEtag(request.headers.get('If-None-Match'), etag)) {
+			return new Response(null, { status: 304, headers });
+		}
+
+		logger.info('Rendered badge', { probe_id: probeId, metric, stat, days });
+		return new Response(svg, { headers });
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to render badge', 500, requestId);
+	}
+}
+
+async function handleGetPaths(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid path filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const endpointFilter = url.searchParams.get('endpoint');
+	if (endpointFilter !== null && !/^[a-z0-9_-]{1,64}$/.test(endpointFilter)) {
+		return errorResponse('Invalid endpoint parameter', 400, requestId);
+	}
+
+	try {
+		const { where, bindings } = buildLogWhere(filter, ["mtr_results IS NOT NULL AND mtr_results != '[]'"]);
+		const rows =
+			(
+				await env.DB.prepare(SELECT_PATH_SOURCE_SQL(where))
+					.bind(...bindings, CONFIG.MAX_PATH_RUNS + 1)
+					.all<{ timestamp: string; probe_id: string; mtr_results: string }>()
+			).results || [];
+		const truncated = rows.length > CONFIG.MAX_PATH_RUNS;
+
+		const endpoints = new Map<string, { probe_id: string; id: string; name: unknown; host: unknown; runs: PathRun[] }>();
+		for (const row of rows.slice(0, CONFIG.MAX_PATH_RUNS).reverse()) {
+			for (const result of parseResultsColumn(row.mtr_results)) {
+				if (!result || typeof result.id !== 'string') continue;
+				if (endpointFilter !== null && result.id !== endpointFilter) continue;
+				const hops = readPathHops(result);
+				// Failed traces carry no path; skipping them keeps them from showing up as route changes
+				if (hops.length === 0) continue;
+				const key = `${row.probe_id}|${result.id}`;
+				if (!endpoints.has(key))
+					endpoints.set(key, { probe_id: row.probe_id, id: result.id, name: result.name, host: result.host, runs: [] });
+				const endpoint = endpoints.get(key)!;
+				endpoint.name = result.name ?? endpoint.name;
+				endpoint.host = result.host ?? endpoint.host;
+				endpoint.runs.push({ timestamp: row.timestamp, hops });
+			}
+		}
+
+		const results = [...endpoints.values()].map(({ runs, ...endpoint }) => ({ ...endpoint, runs: runs.length, ...analyzePaths(runs) }));
+		const hosts = await enrichHosts(env, [
+			...new Set(
+				results.flatMap((endpoint) => endpoint.paths.flatMap((path) => path.hops)).filter((host): host is string => host !== null)
+			),
+		]);
+		logger.info('Analyzed paths', { runs: rows.length, endpoints: results.length, hosts: Object.keys(hosts).length, truncated });
+
+		return jsonResponse({ from: filter.from, to: filter.to, truncated, endpoints: results, hosts }, 200, {
+			'Cache-Control': 'public, max-age=60',
+			'X-Request-ID': requestId,
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve paths', 500, requestId);
+	}
+}
+
+async function handleImportAsnPrefixes(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const lines = (await request.text())
+		.split(/\r?\n/)
+		.map((line, index) => ({ line: line.trim(), number: index + 1 }))
+		.filter(({ line }) => line !== '' && !line.startsWith('#'));
+	if (lines.length > CONFIG.MAX_ASN_IMPORT_LINES) {
+		return errorResponse(`At most ${CONFIG.MAX_ASN_IMPORT_LINES} prefixes per request`, 413, requestId);
+	}
+
+	const errors: { line: number; message: string }[] = [];
+	const statements: D1PreparedStatement[] = [];
+	for (const { line, number } of lines) {
+		const parsed = parseAsnLine(line);
+		if (typeof parsed === 'string') {
+			errors.push({ line: number, message: parsed });
+			continue;
+		}
+		statements.push(
+			env.DB.prepare(UPSERT_ASN_PREFIX_SQL).bind(networkKey(parsed.network), parsed.prefix, parsed.network.length, parsed.asn, parsed.org)
+		);
+	}
+
+	try {
+		await runBatched(env.DB, statements);
+		logger.info('Imported ASN prefixes', { imported: statements.length, invalid: errors.length });
+		return jsonResponse(
+			{
+				success: true,
+				imported: statements.length,
+				invalid: errors.length,
+				// Enough to spot a format problem without echoing a whole rejected file
+				errors: errors.slice(0, 20),
+				request_id: requestId,
+				timestamp: new Date().toISOString(),
+			},
+			200,
+			{ 'Cache-Control': 'no-store' }
+		);
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleClearAsnPrefixes(env: Env, logger: Logger, requestId: string): Promise<Response> {
+	try {
+		const result = await env.DB.prepare('DELETE FROM asn_prefixes').run();
+		logger.info('Cleared ASN prefixes', { deleted: result.meta.changes });
+		return jsonResponse({ success: true, deleted: result.meta.changes, timestamp: new Date().toISOString() }, 200, {
+			'Cache-Control': 'no-store',
+		});
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleGetProbes(env: Env, logger: Logger, requestId: string): Promise<Response> {
+	try {
+		const result = await env.DB.prepare(SELECT_PROBES_SQL).all();
+		if (!result.success) {
+			throw new Error('D1 query failed');
+		}
+
+		const probes = result.results || [];
+		logger.info('Fetched probes', { count: probes.length });
+
+		// Tells the dashboard from when on raw runs exist, so older custom ranges are drawn from rollups
+		const rawCutoff = retentionCutoff(retentionPolicy(env).raw, Date.now());
+		return jsonResponse(probes, 200, {
+			'Cache-Control': 'public, max-age=60',
+			'X-Request-ID': requestId,
+			...(rawCutoff ? { 'X-Raw-Retention-Cutoff': rawCutoff } : {}),
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve probes', 500, requestId);
+	}
+}
+
+async function handleGetGaps(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const filter = parseLogFilter(new URL(request.url));
+	if (typeof filter === 'string') {
+		return errorResponse(filter, 400, requestId);
+	}
+
+	try {
+		const { gaps, truncated, collectors } = await findCollectorGaps(env, filter);
+
+		logger.info('Fetched collector gaps', { count: gaps.length, probes: filter.probeIds });
+
+		return jsonResponse(
+			{
+				tolerance: CONFIG.MISSED_RUN_TOLERANCE,
+				probes: Object.fromEntries(collectors.map((collector) => [collector.probe_id, collector.expected_interval_seconds])),
+				truncated,
+				gaps,
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=60',
+				'X-Request-ID': requestId,
+			}
+		);
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve gaps', 500, requestId);
+	}
+}
+
+async function handleGetAggregate(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+
+	const bucket = url.searchParams.get('bucket') as RollupBucket | null;
+	if (!bucket || !ROLLUP_BUCKETS.includes(bucket)) {
+		return errorResponse(`Invalid bucket parameter (expected ${ROLLUP_BUCKETS.join(' or ')})`, 400, requestId);
+	}
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid aggregate filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const metrics = parseMetricList(url.searchParams.get('metric'));
+	if (!metrics) {
+		return errorResponse('Invalid metric parameter', 400, requestId, METRIC_PARAMETER_HINT);
+	}
+
+	const conditions = ['bucket = ?'];
+	const bindings: unknown[] = [bucket];
+	if (metrics.length > 0) {
+		const metricFilter = buildMetricCondition(metrics);
+		conditions.push(metricFilter.condition);
+		bindings.push(...metricFilter.bindings);
+	}
+	if (filter.probeIds.length > 0) {
+		conditions.push(`probe_id IN (${filter.probeIds.map(() => '?').join(', ')})`);
+		bindings.push(...filter.probeIds);
+	}
+	if (filter.from) {
+		conditions.push('bucket_start >= ?');
+		bindings.push(bucketStart(filter.from, bucket));
+	}
+	if (filter.to) {
+		conditions.push('bucket_start <= ?');
+		bindings.push(filter.to);
+	}
+
+	try {
+		const logWhere = buildLogWhere(filter);
+		const [rollups, runs] = await Promise.all([
+			env.DB.prepare(
+				`SELECT probe_id, bucket_start, metric, count, min, avg, median, p95, max, stddev FROM metric_rollups
+				WHERE ${conditions.join(' AND ')} ORDER BY metric, probe_id, bucket_start LIMIT ?`
+			)
+				.bind(...bindings, CONFIG.MAX_AGGREGATE_ROWS + 1)
+				.all<Omit<RollupRecord, 'bucket'>>(),
+			env.DB.prepare(`SELECT probe_id, COUNT(*) AS runs FROM network_logs ${logWhere.where} GROUP BY probe_id`)
+				.bind(...logWhere.bindings)
+				.all<{ probe_id: string; runs: number }>(),
+		]);
+
+		const rows = rollups.results || [];
+		const truncated = rows.length > CONFIG.MAX_AGGREGATE_ROWS;
+		const series = new Map<string, { metric: string; probe_id: string; points: unknown[] }>();
+		for (const row of rows.slice(0, CONFIG.MAX_AGGREGATE_ROWS)) {
+			const key = `${row.metric}|${row.probe_id}`;
+			if (!series.has(key)) series.set(key, { metric: row.metric, probe_id: row.probe_id, points: [] });
+			const { metric, probe_id, bucket_start, ...stats } = row;
+			series.get(key)!.points.push({ bucket_start, ...stats });
+		}
+
+		logger.info('Fetched aggregates', { bucket, series: series.size, rows: rows.length, truncated });
+
+		return jsonResponse(
+			{
+				bucket,
+				from: filter.from,
+				to: filter.to,
+				truncated,
+				runs: Object.fromEntries((runs.results || []).map((r) => [r.probe_id, r.runs])),
+				series: [...series.values()],
+			},
+			200,
+			{
+				'Cache-Control': 'public, max-age=60',
+				'X-Request-ID': requestId,
+			}
+		);
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve aggregates', 500, requestId);
+	}
+}
+
+async function handleGetHeatmap(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+
+	const layout = (url.searchParams.get('layout') ?? 'week') as HeatmapLayout;
+	if (!HEATMAP_LAYOUTS.includes(layout)) {
+		return errorResponse(`Invalid layout parameter (expected ${HEATMAP_LAYOUTS.join(' or ')})`, 400, requestId);
+	}
+
+	const timeZone = url.searchParams.get('tz') ?? 'UTC';
+	if (!isValidTimeZone(timeZone)) {
+		return errorResponse('Invalid tz parameter', 400, requestId, 'Use an IANA time zone such as Europe/Berlin');
+	}
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid heatmap filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const metrics = parseMetricList(url.searchParams.get('metric'));
+	const columns = metrics ? metricSourceColumns(metrics) : [];
+	if (!metrics || columns.length === 0) {
+		return errorResponse('Invalid metric parameter', 400, requestId, METRIC_PARAMETER_HINT);
+	}
+
+	try {
+		const { where, bindings } = buildLogWhere(filter);
+		// Newest runs first, so a truncated result still covers the end of the range
+		const result = await env.DB.prepare(
+			`SELECT timestamp, probe_id, ${columns.join(', ')} FROM network_logs ${where} ORDER BY timestamp DESC LIMIT ?`
+		)
+			.bind(...bindings, CONFIG.MAX_AGGREGATE_ROWS + 1)
+			.all<Record<string, unknown>>();
+
+		const rows = result.results || [];
+		const truncated = rows.length > CONFIG.MAX_AGGREGATE_ROWS;
+		const series = buildHeatmaps(rows.slice(0, CONFIG.MAX_AGGREGATE_ROWS), metrics, layout, timeZone);
+
+		logger.info('Built heatmaps', { layout, series: series.length, rows: rows.length, truncated });
+
+		return jsonResponse({ layout, timezone: timeZone, from: filter.from, to: filter.to, truncated, series }, 200, {
+			'Cache-Control': 'public, max-age=60',
+			'X-Request-ID': requestId,
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to build heatmaps', 500, requestId);
+	}
+}
+
+// Compares the runs between from and to with a baseline window given by baseline_from/baseline_to, or splits
+// from..to at `split` into the runs before and after it (e.g. a router change). Splitting at an annotation
+// leaves out the runs inside an annotated range, such as a maintenance window.
+async function handleCompare(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+
+	const pool = (url.searchParams.get('pool') ?? 'none') as ComparePool;
+	if (!COMPARE_POOLS.includes(pool)) {
+		return errorResponse(`Invalid pool parameter (expected ${COMPARE_POOLS.join(' or ')})`, 400, requestId);
+	}
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid comparison filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const metrics = parseMetricList(url.searchParams.get('metric'));
+	const columns = metrics ? metricSourceColumns(metrics) : [];
+	if (!metrics || columns.length === 0) {
+		return errorResponse('Invalid metric parameter', 400, requestId, METRIC_PARAMETER_HINT);
+	}
+
+	const split = parseTimeBound(url.searchParams.get('split'));
+	const baselineFrom = parseTimeBound(url.searchParams.get('baseline_from'));
+	const baselineTo = parseTimeBound(url.searchParams.get('baseline_to'));
+	if (split === undefined || baselineFrom === undefined || baselineTo === undefined) {
+		return errorResponse('Invalid split, baseline_from or baseline_to parameter (expected ISO 8601 timestamp)', 400, requestId);
+	}
+
+	const annotationParam = url.searchParams.get('annotation');
+	if (annotationParam !== null && !/^\d+$/.test(annotationParam)) {
+		return errorResponse('Invalid annotation parameter', 400, requestId);
+	}
+	if ([split, annotationParam, baselineFrom ?? baselineTo].filter(Boolean).length > 1) {
+		return errorResponse('Use only one of split, annotation, or baseline_from and baseline_to', 400, requestId);
+	}
+
+	let splitAt = split ? { start: split, end: split } : null;
+	if (annotationParam !== null) {
+		try {
+			const annotation = await env.DB.prepare('SELECT start_time, end_time FROM annotations WHERE id = ?')
+				.bind(parseInt(annotationParam, 10))
+				.first<{ start_time: string; end_time: string | null }>();
+			if (!annotation) {
+				return errorResponse('Annotation not found', 404, requestId);
+			}
+			splitAt = { start: annotation.start_time, end: annotation.end_time ?? annotation.start_time };
+		} catch (dbError) {
+			logger.error('Database query error', dbError as Error);
+			return errorResponse('Failed to compare windows', 500, requestId);
+		}
+	}
+
+	let baseline: LogFilter;
+	let current: LogFilter;
+	if (splitAt) {
+		if ((filter.from && splitAt.start <= filter.from) || (filter.to && splitAt.end > filter.to)) {
+			return errorResponse('The split must fall between from and to', 400, requestId);
+		}
+		// Stored timestamps have whole seconds, so the baseline ends one second before the split
+		baseline = { ...filter, to: toStoredTimestamp(new Date(Date.parse(splitAt.start) - 1000)) };
+		current = { ...filter, from: splitAt.end };
+	} else {
+		if (!baselineFrom || !baselineTo || !filter.from) {
+			return errorResponse(
+				'Missing comparison window',
+				400,
+				requestId,
+				'Pass split or annotation, or baseline_from and baseline_to together with from'
+			);
+		}
+		if (baselineFrom > baselineTo) {
+			return errorResponse('baseline_from must not be later than baseline_to', 400, requestId);
+		}
+		if (baselineTo >= filter.from) {
+			return errorResponse('The baseline window must end before from', 400, requestId);
+		}
+		baseline = { ...filter, from: baselineFrom, to: baselineTo };
+		current = filter;
+	}
+
+	// Newest runs first, so a truncated window still covers its end
+	const loadWindow = async (window: LogFilter) => {
+		const { where, bindings } = buildLogWhere(window);
+		const result = await env.DB.prepare(
+			`SELECT timestamp, probe_id, ${columns.join(', ')} FROM network_logs ${where} ORDER BY timestamp DESC LIMIT ?`
+		)
+			.bind(...bindings, CONFIG.MAX_AGGREGATE_ROWS + 1)
+			.all<Record<string, unknown>>();
+		const rows = result.results || [];
+		return { rows: rows.slice(0, CONFIG.MAX_AGGREGATE_ROWS), truncated: rows.length > CONFIG.MAX_AGGREGATE_ROWS };
+	};
+
+	try {
+		const [before, after] = await Promise.all([loadWindow(baseline), loadWindow(current)]);
+		const comparisons = buildComparisons(before.rows, after.rows, metrics, pool);
+
+		logger.info('Compared windows', {
+			baselineRuns: before.rows.length,
+			currentRuns: after.rows.length,
+			metrics: comparisons.length,
+			significant: comparisons.filter((c) => c.change !== 'none').length,
+		});
+
+		const describe = (window: LogFilter, loaded: typeof before) => ({
+			from: window.from,
+			to: window.to,
+			runs: loaded.rows.length,
+			truncated: loaded.truncated,
+		});
+		return jsonResponse(
+			{
+				baseline: describe(baseline, before),
+				current: describe(current, after),
+				pool,
+				significance_level: CONFIG.COMPARE_SIGNIFICANCE_LEVEL,
+				comparisons,
+			},
+			200,
+			{ 'Cache-Control': 'public, max-age=60', 'X-Request-ID': requestId }
+		);
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to compare windows', 500, requestId);
+	}
+}
+
+// Recomputes rollups from raw rows, e.g. after importing data. Works through at most
+// CONFIG.MAX_ROLLUP_REBUILD_DAYS probe-days per call and returns `next_from` when more remain.
+async function handleRebuildAggregate(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const filter = parseLogFilter(new URL(request.url));
+	if (typeof filter === 'string') {
+		return errorResponse(filter, 400, requestId);
+	}
+
+	try {
+		const startTime = Date.now();
+		const { where, bindings } = buildLogWhere(filter);
+		const result = await env.DB.prepare(
+			`SELECT DISTINCT probe_id, substr(timestamp, 1, 10) AS day FROM network_logs ${where} ORDER BY day, probe_id LIMIT ?`
+		)
+			.bind(...bindings, CONFIG.MAX_ROLLUP_REBUILD_DAYS + 1)
+			.all<{ probe_id: string; day: string }>();
+
+		const probeDays = result.results || [];
+		const batch = probeDays.slice(0, CONFIG.MAX_ROLLUP_REBUILD_DAYS);
+		await updateRollups(
+			env,
+			logger,
+			batch.map((r) => [r.probe_id, r.day])
+		);
+
+		const next = probeDays[CONFIG.MAX_ROLLUP_REBUILD_DAYS];
+		return jsonResponse(
+			{
+				success: true,
+				rebuilt_days: batch.length,
+				next_from: next ? `${next.day}T00:00:00Z` : null,
+				duration_ms: Date.now() - startTime,
+				request_id: requestId,
+				timestamp: new Date().toISOString(),
+			},
+			200,
+			{ 'Cache-Control': 'no-store' }
+		);
+	} catch (dbError) {
+		logger.error('Rollup rebuild failed', dbError as Error);
+		return errorResponse('Failed to rebuild aggregates', 500, requestId);
+	}
+}
+
+async function handleGetAnomalies(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+	const limitParam = url.searchParams.get('limit');
+	if (limitParam && isNaN(parseInt(limitParam, 10))) {
+		return errorResponse('Invalid limit parameter', 400, requestId);
+	}
+	const limit = limitParam ? Math.min(Math.max(parseInt(limitParam, 10), 1), CONFIG.MAX_ANOMALY_LIMIT) : CONFIG.DEFAULT_ANOMALY_LIMIT;
+
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid anomaly filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const metrics = parseMetricList(url.searchParams.get('metric'));
+	if (!metrics) {
+		return errorResponse('Invalid metric parameter', 400, requestId, METRIC_PARAMETER_HINT);
+	}
+
+	const kind = url.searchParams.get('kind') as AnomalyKind | null;
+	if (kind !== null && !ANOMALY_KINDS.includes(kind)) {
+		return errorResponse(`Invalid kind parameter (expected ${ANOMALY_KINDS.join(' or ')})`, 400, requestId);
+	}
+
+	const conditions: string[] = [];
+	const bindings: unknown[] = [];
+	if (metrics.length > 0) {
+		const metricFilter = buildMetricCondition(metrics);
+		conditions.push(metricFilter.condition);
+		bindings.push(...metricFilter.bindings);
+	}
+	if (kind) {
+		conditions.push('kind = ?');
+		bindings.push(kind);
+	}
+
+	try {
+		const { where, bindings: whereBindings } = buildLogWhere(filter, conditions, bindings);
+		const result = await env.DB.prepare(SELECT_ANOMALIES_SQL(where))
+			.bind(...whereBindings, limit + 1)
+			.all<Record<string, unknown>>();
+		const rows = result.results || [];
+
+		logger.info('Fetched anomalies', { count: Math.min(rows.length, limit), truncated: rows.length > limit });
+		return jsonResponse({ from: filter.from, to: filter.to, truncated: rows.length > limit, anomalies: rows.slice(0, limit) }, 200, {
+			'Cache-Control': 'public, max-age=60',
+			'X-Request-ID': requestId,
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve anomalies', 500, requestId);
+	}
+}
+
+// Re-runs anomaly detection over stored runs, e.g. after an import or a change of the probe's timezone. Works through
+// at most CONFIG.MAX_ANOMALY_REBUILD_DAYS probe-days per call and returns `next_from` when more remain.
+async function handleRebuildAnomalies(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const filter = parseLogFilter(new URL(request.url));
+	if (typeof filter === 'string') {
+		return errorResponse(filter, 400, requestId);
+	}
+
+	try {
+		const startTime = Date.now();
+		const { where, bindings } = buildLogWhere(filter);
+		const result = await env.DB.prepare(
+			`SELECT DISTINCT probe_id, substr(timestamp, 1, 10) AS day FROM network_logs ${where} ORDER BY day, probe_id LIMIT ?`
+		)
+			.bind(...bindings, CONFIG.MAX_ANOMALY_REBUILD_DAYS + 1)
+			.all<{ probe_id: string; day: string }>();
+
+		const probeDays = result.results || [];
+		const batch = probeDays.slice(0, CONFIG.MAX_ANOMALY_REBUILD_DAYS);
+		let detected = 0;
+		for (const { probe_id, day } of batch) {
+			detected += await refreshAnomalies(env, probe_id, `${day}T00:00:00Z`, `${day}T23:59:59Z`, { replace: true });
+		}
+
+		const next = probeDays[CONFIG.MAX_ANOMALY_REBUILD_DAYS];
+		logger.info('Anomalies rebuilt', { days: batch.length, detected });
+		return jsonResponse(
+			{
+				success: true,
+				rebuilt_days: batch.length,
+				detected,
+				next_from: next ? `${next.day}T00:00:00Z` : null,
+				duration_ms: Date.now() - startTime,
+				request_id: requestId,
+				timestamp: new Date().toISOString(),
+			},
+			200,
+			{ 'Cache-Control': 'no-store' }
+		);
+	} catch (dbError) {
+		logger.error('Anomaly rebuild failed', dbError as Error);
+		return errorResponse('Failed to rebuild anomalies', 500, requestId);
+	}
+}
+
+// Annotations overlapping from..to, for the selected probes plus those that apply to every probe
+async function handleGetAnnotations(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	const url = new URL(request.url);
+	const filter = parseLogFilter(url);
+	if (typeof filter === 'string') {
+		logger.warn('Invalid annotation filter', { error: filter });
+		return errorResponse(filter, 400, requestId);
+	}
+
+	const category = url.searchParams.get('category') as AnnotationCategory | null;
+	if (category !== null && !ANNOTATION_CATEGORIES.includes(category)) {
+		return errorResponse(`Invalid category parameter (expected one of ${ANNOTATION_CATEGORIES.join(', ')})`, 400, requestId);
+	}
+
+	const conditions: string[] = [];
+	const bindings: unknown[] = [];
+	if (filter.probeIds.length > 0) {
+		conditions.push(`(probe_id IS NULL OR probe_id IN (${filter.probeIds.map(() => '?').join(', ')}))`);
+		bindings.push(...filter.probeIds);
+	}
+	if (filter.from) {
+		conditions.push('COALESCE(end_time, start_time) >= ?');
+		bindings.push(filter.from);
+	}
+	if (filter.to) {
+		conditions.push('start_time <= ?');
+		bindings.push(filter.to);
+	}
+	if (category) {
+		conditions.push('category = ?');
+		bindings.push(category);
+	}
+
+	try {
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+		const result = await env.DB.prepare(SELECT_ANNOTATIONS_SQL(where))
+			.bind(...bindings, CONFIG.MAX_ANNOTATIONS + 1)
+			.all<Record<string, unknown>>();
+		const rows = result.results || [];
+		const truncated = rows.length > CONFIG.MAX_ANNOTATIONS;
+
+		logger.info('Fetched annotations', { count: Math.min(rows.length, CONFIG.MAX_ANNOTATIONS), truncated });
+		return jsonResponse({ from: filter.from, to: filter.to, truncated, annotations: rows.slice(0, CONFIG.MAX_ANNOTATIONS) }, 200, {
+			'Cache-Control': 'public, max-age=60',
+			'X-Request-ID': requestId,
+		});
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve annotations', 500, requestId);
+	}
+}
+
+async function handleSaveAnnotation(
+	request: Request,
+	env: Env,
+	logger: Logger,
+	requestId: string,
+	annotationId?: number
+): Promise<Response> {
+	let body: unknown;
+	try {
+		body = await request.json();
+	} catch {
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	const annotation = validateAnnotation(body);
+	if (typeof annotation === 'string') {
+		logger.warn('Invalid annotation', { error: annotation });
+		return errorResponse('Invalid annotation', 400, requestId, annotation);
+	}
+
+	const values = [
+		annotation.probe_id,
+		annotation.start_time,
+		annotation.end_time,
+		annotation.title,
+		annotation.description,
+		annotation.category,
+	];
+
+	try {
+		let id = annotationId;
+		if (id === undefined) {
+			const result = await env.DB.prepare(INSERT_ANNOTATION_SQL)
+				.bind(...values)
+				.run();
+			id = result.meta.last_row_id;
+		} else {
+			const result = await env.DB.prepare(UPDATE_ANNOTATION_SQL)
+				.bind(...values, id)
+				.run();
+			if (result.meta.changes === 0) {
+				return errorResponse('Annotation not found', 404, requestId);
+			}
+		}
+
+		const saved = await env.DB.prepare(`SELECT ${ANNOTATION_COLUMNS} FROM annotations WHERE id = ?`).bind(id).first();
+		logger.info(annotationId === undefined ? 'Annotation created' : 'Annotation updated', { annotation_id: id });
+		return jsonResponse(saved, annotationId === undefined ? 201 : 200, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleDeleteAnnotation(env: Env, logger: Logger, requestId: string, annotationId: number): Promise<Response> {
+	try {
+		const result = await env.DB.prepare('DELETE FROM annotations WHERE id = ?').bind(annotationId).run();
+		if (result.meta.changes === 0) {
+			return errorResponse('Annotation not found', 404, requestId);
+		}
+
+		logger.info('Annotation deleted', { annotation_id: annotationId });
+		return jsonResponse({ success: true, request_id: requestId, timestamp: new Date().toISOString() }, 200, {
+			'Cache-Control': 'no-store',
+		});
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+// Targets may be internal hosts, so only requests with an upload key (signed over an empty body, or Bearer) or
+// ADMIN_TOKEN get them. Anyone else, such as the dashboard, gets the ids, names and display metadata.
+async function handleGetConfig(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	let withTargets = false;
+	if (request.headers.has('X-Key-Id') || request.headers.has('Authorization')) {
+		if (await hasAdminToken(request, env)) {
+			withTargets = true;
+		} else {
+			const notConfigured = requireKeyPepper(env, logger, requestId);
+			if (notConfigured) return notConfigured;
+			const key = await authenticateUpload(request, '', env);
+			if (typeof key === 'string') {
+				logger.warn('Endpoint configuration authentication failed', { reason: key });
+				return errorResponse('Unauthorized', 401, requestId, key);
+			}
+			if (key.scope !== 'upload') {
+				return errorResponse('Forbidden', 403, requestId, `API key ${key.id} may only store browser test runs`);
+			}
+			withTargets = true;
+		}
+	}
+
+	try {
+		const config = await loadEndpointConfig(env);
+		if (!config) {
+			return errorResponse('No endpoint configuration stored', 404, requestId, 'Upload one with PUT /api/config');
+		}
+		if (!withTargets) {
+			for (const kind of ENDPOINT_KINDS) {
+				for (const endpoint of config[kind]) for (const field of ENDPOINT_TARGET_FIELDS[kind]) delete endpoint[field];
+			}
+		}
+
+		const body = JSON.stringify(config);
+		const etag = await configEtag(body);
+		// Revalidated on every request; unchanged configurations cost a 304 without a body
+		const headers = {
+			...CORS_HEADERS,
+			'Content-Type': 'application/json',
+			'Cache-Control': withTargets ? 'private, no-cache' : 'no-cache',
+			Vary: 'Authorization, X-Key-Id',
+			ETag: etag,
+			'X-Request-ID': requestId,
+		};
+		if (matchesEtag(request.headers.get('If-None-Match'), etag)) {
+			logger.debug('Endpoint configuration not modified', { etag });
+			return new Response(null, { status: 304, headers });
+		}
+
+		logger.info('Served endpoint configuration', { etag, targets: withTargets });
+		return new Response(body, { status: 200, headers });
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve endpoint configuration', 500, requestId);
+	}
+}
+
+// Replaces every stored endpoint; the order of each array is kept
+async function handleReplaceConfig(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	let body: unknown;
+	try {
+		body = await request.json();
+	} catch {
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	const errors = validateEndpointConfig(body);
+	if (errors.length > 0) {
+		logger.warn('Invalid endpoint configuration', { errors: errors.length });
+		return errorResponse('Invalid endpoint configuration', 400, requestId, errors.map((e) => `${e.path}: ${e.message}`).join('; '), errors);
+	}
+
+	const config = body as Partial<EndpointConfig>;
+	const statements = [env.DB.prepare('DELETE FROM endpoints')];
+	for (const kind of ENDPOINT_KINDS) {
+		(config[kind] ?? []).forEach((endpoint, position) => {
+			statements.push(env.DB.prepare(INSERT_ENDPOINT_SQL).bind(...endpointBindings(kind, endpoint), position));
+		});
+	}
+
+	try {
+		await env.DB.batch(statements);
+		logger.info('Endpoint configuration replaced', { endpoints: statements.length - 1 });
+		return jsonResponse(
+			{ success: true, endpoints: statements.length - 1, request_id: requestId, timestamp: new Date().toISOString() },
+			200,
+			{ 'Cache-Control': 'no-store' }
+		);
+	} catch (dbError) {
 		logger.error('Database error', dbError as Error);
 		return errorResponse('Database operation failed', 500, requestId);
 	}
 }
 
-async function handleGetLogs(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
-	const url = new URL(request.url);
-	const limitParam = url.searchParams.get('limit');
-	const limit = limitParam ? Math.min(Math.max(parseInt(limitParam, 10), 1), CONFIG.MAX_QUERY_LIMIT) : CONFIG.DEFAULT_QUERY_LIMIT;
+async function handleSaveEndpoint(
+	request: Request,
+	env: Env,
+	logger: Logger,
+	requestId: string,
+	kind: EndpointKind,
+	endpointId: string
+): Promise<Response> {
+	let body: unknown;
+	try {
+		body = await request.json();
+	} catch {
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
 
-	if (limitParam && isNaN(parseInt(limitParam, 10))) {
-		logger.warn('Invalid limit', { limit: limitParam });
-		return errorResponse('Invalid limit parameter', 400, requestId);
+	if (isObject(body) && body.id !== undefined && body.id !== endpointId) {
+		return errorResponse('Invalid endpoint', 400, requestId, 'id must match the URL');
+	}
+
+	const endpoint = isObject(body) ? { id: endpointId, ...body } : body;
+	const errors: FieldError[] = [];
+	validateSchema(endpointDefinitionSchema(kind), endpoint, '', errors);
+	if (errors.length > 0) {
+		logger.warn('Invalid endpoint', { kind, errors: errors.length });
+		return errorResponse('Invalid endpoint', 400, requestId, errors.map((e) => `${e.path}: ${e.message}`).join('; '), errors);
 	}
 
 	try {
-		logger.debug('Fetching logs', { limit });
-		const result = await env.DB.prepare('SELECT * FROM network_logs ORDER BY timestamp DESC LIMIT ?').bind(limit).all();
+		await env.DB.prepare(UPSERT_ENDPOINT_SQL)
+			.bind(...endpointBindings(kind, endpoint as EndpointDefinition))
+			.run();
+		logger.info('Endpoint saved', { kind, endpoint_id: endpointId });
+		return jsonResponse({ kind, ...(endpoint as EndpointDefinition) }, 200, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
 
-		if (!result.success) {
-			throw new Error('D1 query failed');
+async function handleDeleteEndpoint(
+	env: Env,
+	logger: Logger,
+	requestId: string,
+	kind: EndpointKind,
+	endpointId: string
+): Promise<Response> {
+	try {
+		const result = await env.DB.prepare('DELETE FROM endpoints WHERE kind = ? AND id = ?').bind(kind, endpointId).run();
+		if (result.meta.changes === 0) {
+			return errorResponse('Endpoint not found', 404, requestId);
 		}
 
-		const results = result.results || [];
-		logger.info('Fetched logs', { count: results.length });
+		logger.info('Endpoint deleted', { kind, endpoint_id: endpointId });
+		return jsonResponse({ success: true, request_id: requestId, timestamp: new Date().toISOString() }, 200, {
+			'Cache-Control': 'no-store',
+		});
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
 
-		return jsonResponse(results, 200, {
-			'Cache-Control': 'public, max-age=60',
+async function handleListAlertRules(env: Env, logger: Logger, requestId: string): Promise<Response> {
+	try {
+		const result = await env.DB.prepare(`SELECT ${ALERT_RULE_COLUMNS} FROM alert_rules ORDER BY id`).all();
+		return jsonResponse(result.results || [], 200, { 'Cache-Control': 'no-store', 'X-Request-ID': requestId });
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve alert rules', 500, requestId);
+	}
+}
+
+async function handleSaveAlertRule(request: Request, env: Env, logger: Logger, requestId: string, ruleId?: number): Promise<Response> {
+	let body: unknown;
+	try {
+		body = await request.json();
+	} catch {
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	const rule = validateAlertRule(body);
+	if (typeof rule === 'string') {
+		logger.warn('Invalid alert rule', { error: rule });
+		return errorResponse('Invalid alert rule', 400, requestId, rule);
+	}
+
+	const values = [
+		rule.name,
+		rule.probe_id,
+		rule.metric,
+		rule.operator,
+		rule.threshold,
+		rule.consecutive_runs,
+		rule.on_missing,
+		rule.webhook_url,
+		rule.webhook_format,
+		rule.enabled ? 1 : 0,
+	];
+
+	try {
+		let id = ruleId;
+		if (id === undefined) {
+			const result = await env.DB.prepare(INSERT_ALERT_RULE_SQL)
+				.bind(...values)
+				.run();
+			id = result.meta.last_row_id;
+		} else {
+			// A changed rule starts from a clean state instead of resolving against its old condition
+			const [result] = await env.DB.batch([
+				env.DB.prepare(UPDATE_ALERT_RULE_SQL).bind(...values, id),
+				env.DB.prepare('DELETE FROM alert_state WHERE rule_id = ?').bind(id),
+			]);
+			if (result.meta.changes === 0) {
+				return errorResponse('Alert rule not found', 404, requestId);
+			}
+		}
+
+		const saved = await env.DB.prepare(`SELECT ${ALERT_RULE_COLUMNS} FROM alert_rules WHERE id = ?`).bind(id).first();
+		logger.info(ruleId === undefined ? 'Alert rule created' : 'Alert rule updated', { rule_id: id });
+		return jsonResponse(saved, ruleId === undefined ? 201 : 200, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleDeleteAlertRule(env: Env, logger: Logger, requestId: string, ruleId: number): Promise<Response> {
+	try {
+		const [result] = await env.DB.batch([
+			env.DB.prepare('DELETE FROM alert_rules WHERE id = ?').bind(ruleId),
+			env.DB.prepare('DELETE FROM alert_state WHERE rule_id = ?').bind(ruleId),
+		]);
+		if (result.meta.changes === 0) {
+			return errorResponse('Alert rule not found', 404, requestId);
+		}
+
+		logger.info('Alert rule deleted', { rule_id: ruleId });
+		return jsonResponse({ success: true, request_id: requestId, timestamp: new Date().toISOString() }, 200, {
+			'Cache-Control': 'no-store',
+		});
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleGetAlerts(env: Env, logger: Logger, requestId: string): Promise<Response> {
+	try {
+		const [firing, events] = await Promise.all([
+			env.DB.prepare(
+				`SELECT s.rule_id, r.name AS rule_name, s.probe_id, s.last_value, s.last_timestamp, s.fired_at
+				FROM alert_state s JOIN alert_rules r ON r.id = s.rule_id
+				WHERE s.status = 'firing' ORDER BY s.fired_at DESC`
+			).all(),
+			env.DB.prepare('SELECT * FROM alert_events ORDER BY id DESC LIMIT ?').bind(CONFIG.MAX_ALERT_EVENTS).all(),
+		]);
+
+		return jsonResponse({ firing: firing.results || [], events: events.results || [] }, 200, {
+			'Cache-Control': 'no-store',
 			'X-Request-ID': requestId,
 		});
 	} catch (dbError) {
 		logger.error('Database query error', dbError as Error);
-		return errorResponse('Failed to retrieve logs', 500, requestId);
+		return errorResponse('Failed to retrieve alerts', 500, requestId);
+	}
+}
+
+async function handleListApiKeys(env: Env, logger: Logger, requestId: string): Promise<Response> {
+	try {
+		const result = await env.DB.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY probe_id, created_at`).all();
+		const keys = result.results || [];
+		logger.info('Fetched API keys', { count: keys.length });
+		return jsonResponse(keys, 200, { 'Cache-Control': 'no-store', 'X-Request-ID': requestId });
+	} catch (dbError) {
+		logger.error('Database query error', dbError as Error);
+		return errorResponse('Failed to retrieve API keys', 500, requestId);
+	}
+}
+
+async function handleCreateApiKey(request: Request, env: Env, logger: Logger, requestId: string): Promise<Response> {
+	let body: Record<string, unknown>;
+	try {
+		body = (await request.json()) as Record<string, unknown>;
+	} catch {
+		return errorResponse('Invalid JSON in request body', 400, requestId);
+	}
+
+	if (!body || !isValidProbeId(body.probe_id)) {
+		return errorResponse('Invalid API key', 400, requestId, 'probe_id must be a valid probe id');
+	}
+	const name = body.name ?? null;
+	if (name !== null && (typeof name !== 'string' || name.length > CONFIG.MAX_PROBE_FIELD_LENGTH)) {
+		return errorResponse('Invalid API key', 400, requestId, `name must be a string (max ${CONFIG.MAX_PROBE_FIELD_LENGTH} characters)`);
+	}
+	const scope = body.scope ?? 'upload';
+	if (!API_KEY_SCOPES.includes(scope as ApiKeyScope)) {
+		return errorResponse('Invalid API key', 400, requestId, `scope must be ${API_KEY_SCOPES.join(' or ')}`);
+	}
+
+	const notConfigured = requireKeyPepper(env, logger, requestId);
+	if (notConfigured) return notConfigured;
+
+	try {
+		const { id, token, insert } = await prepareApiKey(env, body.probe_id, name as string | null, scope as ApiKeyScope);
+		await insert.run();
+		const key = await env.DB.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`).bind(id).first();
+		logger.info('API key created', { key_id: id, probe_id: body.probe_id });
+		// The token is only ever returned here
+		return jsonResponse({ ...key, token }, 201, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleRotateApiKey(request: Request, env: Env, logger: Logger, requestId: string, keyId: string): Promise<Response> {
+	let graceSeconds = 0;
+	if (request.headers.get('Content-Type')?.includes('application/json')) {
+		try {
+			const body = (await request.json()) as Record<string, unknown>;
+			graceSeconds = (body?.grace_seconds as number) ?? 0;
+		} catch {
+			return errorResponse('Invalid JSON in request body', 400, requestId);
+		}
+	}
+	if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > CONFIG.MAX_KEY_ROTATION_GRACE_SECONDS) {
+		return errorResponse(
+			'Invalid rotation',
+			400,
+			requestId,
+			`grace_seconds must be an integer between 0 and ${CONFIG.MAX_KEY_ROTATION_GRACE_SECONDS}`
+		);
+	}
+	const notConfigured = requireKeyPepper(env, logger, requestId);
+	if (notConfigured) return notConfigured;
+
+	try {
+		const now = toStoredTimestamp(new Date());
+		const existing = await env.DB.prepare('SELECT * FROM api_keys WHERE id = ?').bind(keyId).first<ApiKey>();
+		if (!existing) {
+			return errorResponse('API key not found', 404, requestId);
+		}
+		if (!isKeyActive(existing, now)) {
+			return errorResponse('API key is revoked', 409, requestId);
+		}
+
+		const { id, token, insert } = await prepareApiKey(env, existing.probe_id, existing.name, existing.scope);
+		const revokedAt = toStoredTimestamp(new Date(Date.now() + graceSeconds * 1000));
+		// One batch, so a failure cannot leave the new key without the old one being scheduled for revocation
+		await env.DB.batch([
+			insert,
+			env.DB.prepare('UPDATE api_keys SET revoked_at = ?, replaced_by = ? WHERE id = ?').bind(revokedAt, id, keyId),
+		]);
+
+		const key = await env.DB.prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`).bind(id).first();
+		logger.info('API key rotated', { key_id: keyId, replaced_by: id, grace_seconds: graceSeconds });
+		return jsonResponse({ ...key, token, previous_key_expires_at: revokedAt }, 201, { 'Cache-Control': 'no-store' });
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
+	}
+}
+
+async function handleRevokeApiKey(env: Env, logger: Logger, requestId: string, keyId: string): Promise<Response> {
+	try {
+		const now = toStoredTimestamp(new Date());
+		const result = await env.DB.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND (revoked_at IS NULL OR revoked_at > ?)')
+			.bind(now, keyId, now)
+			.run();
+		if (result.meta.changes === 0) {
+			return errorResponse('API key not found or already revoked', 404, requestId);
+		}
+
+		logger.info('API key revoked', { key_id: keyId });
+		return jsonResponse({ success: true, request_id: requestId, timestamp: new Date().toISOString() }, 200, {
+			'Cache-Control': 'no-store',
+		});
+	} catch (dbError) {
+		logger.error('Database error', dbError as Error);
+		return errorResponse('Database operation failed', 500, requestId);
 	}
 }
 
@@ -294,7 +6435,14 @@ async function handleHealth(env: Env, logger: Logger): Promise<Response> {
 		schema_version: CONFIG.SCHEMA_VERSION,
 		checks: {
 			database: 'unknown' as 'healthy' | 'unhealthy' | 'unknown',
+			migrations: { status: 'unknown', applied: 0, pending: [] } as MigrationStatus,
+			// Reported for monitoring only: silent collectors do not make the Worker unhealthy
+			collectors: {
+				status: 'unknown' as 'ok' | 'stale' | 'unknown',
+				probes: [] as CollectorStatus[],
+			},
 		},
+		storage: null as StorageStats | null,
 	};
 
 	try {
@@ -306,6 +6454,32 @@ async function handleHealth(env: Env, logger: Logger): Promise<Response> {
 		health.status = 'degraded';
 	}
 
+	if (health.checks.database === 'healthy') {
+		// Pending migrations mean missing tables or columns, so uploads and queries may fail
+		try {
+			health.checks.migrations = await getMigrationStatus(env);
+			if (health.checks.migrations.status === 'pending') health.status = 'degraded';
+		} catch (error) {
+			logger.error('Migration status check failed', error as Error);
+		}
+
+		try {
+			const probes = await getCollectorStatuses(env);
+			health.checks.collectors = {
+				status: probes.some((probe) => probe.status === 'stale') ? 'stale' : probes.length > 0 ? 'ok' : 'unknown',
+				probes,
+			};
+		} catch (error) {
+			logger.error('Collector status check failed', error as Error);
+		}
+
+		try {
+			health.storage = await getStorageStats(env);
+		} catch (error) {
+			logger.error('Storage stats query failed', error as Error);
+		}
+	}
+
 	const status = health.status === 'healthy' ? 200 : 503;
 	return jsonResponse(health, status, { 'Cache-Control': 'no-store' });
 }
@@ -317,6 +6491,11 @@ export default {
 		const environment = env.ENVIRONMENT || 'production';
 		const logger = new Logger(requestId, environment);
 
+		if (!migrationsChecked) {
+			migrationsChecked = true;
+			ctx.waitUntil(logPendingMigrations(env, logger));
+		}
+
 		const url = new URL(request.url);
 		logger.info('Request received', {
 			method: request.method,
@@ -324,7 +6503,7 @@ export default {
 		});
 
 		if (request.method === 'OPTIONS') {
-			return new Response(null, { headers: CORS_HEADERS });
+			return handlePreflight(request, env);
 		}
 
 		try {
@@ -333,7 +6512,43 @@ export default {
 					if (request.method !== 'POST') {
 						return errorResponse('Method not allowed', 405, requestId);
 					}
-					return await handleUpload(request, env, logger, requestId);
+					return await handleUpload(request, env, ctx, logger, requestId);
+
+				case '/api/live':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					if (request.headers.get('Upgrade')?.toLowerCase() !== 'websocket') {
+						return errorResponse('Expected a WebSocket upgrade', 426, requestId);
+					}
+					return await env.LIVE.get(env.LIVE.idFromName(CONFIG.LIVE_HUB_NAME)).fetch(request);
+
+				case '/api/speedtest/down':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return (await limitSpeedtest(request, env, logger, requestId)) ?? handleSpeedtestDownload(request, logger, requestId);
+
+				case '/api/speedtest/up':
+					if (request.method !== 'POST') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return (await limitSpeedtest(request, env, logger, requestId)) ?? (await handleSpeedtestUpload(request, logger, requestId));
+
+				case '/api/speedtest/ping':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return handleSpeedtestPing(requestId);
+
+				case '/api/config':
+					if (request.method === 'GET') {
+						return await handleGetConfig(request, env, logger, requestId);
+					}
+					if (request.method === 'PUT') {
+						return (await authorizeAdmin(request, env, logger, requestId)) ?? (await handleReplaceConfig(request, env, logger, requestId));
+					}
+					return errorResponse('Method not allowed', 405, requestId);
 
 				case '/api/logs':
 					if (request.method !== 'GET') {
@@ -341,16 +6556,265 @@ export default {
 					}
 					return await handleGetLogs(request, env, logger, requestId);
 
+				case '/api/import':
+					if (request.method !== 'POST') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return (await authorizeAdmin(request, env, logger, requestId)) ?? (await handleImport(request, env, ctx, logger, requestId));
+
+				case '/api/export':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleExport(request, env, logger, requestId);
+
+				case '/metrics':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetMetrics(env, logger, requestId);
+
+				case '/api/schema':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return handleGetSchema(request, logger, requestId);
+
+				case '/api/probes':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetProbes(env, logger, requestId);
+
+				case '/api/report':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetReport(request, env, logger, requestId);
+
+				case '/status':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetStatus(env, logger, requestId, 'html');
+
+				case '/api/status':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetStatus(env, logger, requestId, 'json');
+
+				case '/api/badge':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetBadge(request, env, logger, requestId);
+
+				case '/api/paths':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetPaths(request, env, logger, requestId);
+
+				case '/api/gaps':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetGaps(request, env, logger, requestId);
+
+				case '/api/aggregate':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetAggregate(request, env, logger, requestId);
+
+				case '/api/heatmap':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetHeatmap(request, env, logger, requestId);
+
+				case '/api/compare':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleCompare(request, env, logger, requestId);
+
+				case '/api/aggregate/rebuild':
+					if (request.method !== 'POST') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return (await authorizeAdmin(request, env, logger, requestId)) ?? (await handleRebuildAggregate(request, env, logger, requestId));
+
+				case '/api/anomalies':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetAnomalies(request, env, logger, requestId);
+
+				case '/api/anomalies/rebuild':
+					if (request.method !== 'POST') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return (await authorizeAdmin(request, env, logger, requestId)) ?? (await handleRebuildAnomalies(request, env, logger, requestId));
+
+				case '/api/annotations':
+					if (request.method === 'GET') {
+						return await handleGetAnnotations(request, env, logger, requestId);
+					}
+					if (request.method === 'POST') {
+						return (await authorizeAdmin(request, env, logger, requestId)) ?? (await handleSaveAnnotation(request, env, logger, requestId));
+					}
+					return errorResponse('Method not allowed', 405, requestId);
+
+				case '/api/alerts':
+					if (request.method !== 'GET') {
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+					return await handleGetAlerts(env, logger, requestId);
+
+				case '/api/alerts/rules':
+					if (request.method === 'GET') {
+						return await handleListAlertRules(env, logger, requestId);
+					}
+					if (request.method === 'POST') {
+						return (await authorizeAdmin(request, env, logger, requestId)) ?? (await handleSaveAlertRule(request, env, logger, requestId));
+					}
+					return errorResponse('Method not allowed', 405, requestId);
+
+				case '/api/admin/keys': {
+					const denied = await authorizeAdmin(request, env, logger, requestId);
+					if (denied) return denied;
+					if (request.method === 'GET') {
+						return await handleListApiKeys(env, logger, requestId);
+					}
+					if (request.method === 'POST') {
+						return await handleCreateApiKey(request, env, logger, requestId);
+					}
+					return errorResponse('Method not allowed', 405, requestId);
+				}
+
+				case '/api/admin/asn': {
+					const denied = await authorizeAdmin(request, env, logger, requestId);
+					if (denied) return denied;
+					if (request.method === 'POST') {
+						return await handleImportAsnPrefixes(request, env, logger, requestId);
+					}
+					if (request.method === 'DELETE') {
+						return await handleClearAsnPrefixes(env, logger, requestId);
+					}
+					return errorResponse('Method not allowed', 405, requestId);
+				}
+
 				case '/health':
 					return await handleHealth(env, logger);
 
-				default:
+				default: {
+					const ruleMatch = url.pathname.match(/^\/api\/alerts\/rules\/(\d+)$/);
+					if (ruleMatch) {
+						const ruleId = parseInt(ruleMatch[1], 10);
+						if (request.method === 'PUT' || request.method === 'DELETE') {
+							const denied = await authorizeAdmin(request, env, logger, requestId);
+							if (denied) return denied;
+						}
+						if (request.method === 'PUT') {
+							return await handleSaveAlertRule(request, env, logger, requestId, ruleId);
+						}
+						if (request.method === 'DELETE') {
+							return await handleDeleteAlertRule(env, logger, requestId, ruleId);
+						}
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+
+					const annotationMatch = url.pathname.match(/^\/api\/annotations\/(\d+)$/);
+					if (annotationMatch) {
+						const annotationId = parseInt(annotationMatch[1], 10);
+						if (request.method !== 'PUT' && request.method !== 'DELETE') {
+							return errorResponse('Method not allowed', 405, requestId);
+						}
+						const denied = await authorizeAdmin(request, env, logger, requestId);
+						if (denied) return denied;
+						if (request.method === 'PUT') {
+							return await handleSaveAnnotation(request, env, logger, requestId, annotationId);
+						}
+						return await handleDeleteAnnotation(env, logger, requestId, annotationId);
+					}
+
+					const endpointMatch = url.pathname.match(/^\/api\/config\/endpoints\/(ping|curl|mtr|dns)\/([a-z0-9_-]{1,64})$/);
+					if (endpointMatch) {
+						const [, kind, endpointId] = endpointMatch;
+						if (request.method !== 'PUT' && request.method !== 'DELETE') {
+							return errorResponse('Method not allowed', 405, requestId);
+						}
+						const denied = await authorizeAdmin(request, env, logger, requestId);
+						if (denied) return denied;
+						if (request.method === 'PUT') {
+							return await handleSaveEndpoint(request, env, logger, requestId, kind as EndpointKind, endpointId);
+						}
+						return await handleDeleteEndpoint(env, logger, requestId, kind as EndpointKind, endpointId);
+					}
+
+					const contractMatch = url.pathname.match(/^\/api\/probes\/([a-z0-9][a-z0-9._-]{0,63})\/contract$/);
+					if (contractMatch) {
+						if (request.method !== 'PUT') {
+							return errorResponse('Method not allowed', 405, requestId);
+						}
+						return (
+							(await authorizeAdmin(request, env, logger, requestId)) ??
+							(await handleSetProbeContract(request, env, logger, requestId, contractMatch[1]))
+						);
+					}
+
+					const keyMatch = url.pathname.match(/^\/api\/admin\/keys\/(key_[0-9a-f]{16})(\/rotate)?$/);
+					if (keyMatch) {
+						const denied = await authorizeAdmin(request, env, logger, requestId);
+						if (denied) return denied;
+						if (keyMatch[2] && request.method === 'POST') {
+							return await handleRotateApiKey(request, env, logger, requestId, keyMatch[1]);
+						}
+						if (!keyMatch[2] && request.method === 'DELETE') {
+							return await handleRevokeApiKey(env, logger, requestId, keyMatch[1]);
+						}
+						return errorResponse('Method not allowed', 405, requestId);
+					}
+
 					logger.debug('Serving static asset', { path: url.pathname });
 					return env.ASSETS.fetch(request);
+				}
 			}
 		} catch (error) {
 			logger.error('Unhandled error', error as Error);
 			return errorResponse('Internal Server Error', 500, requestId);
 		}
 	},
+
+	async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+		const logger = new Logger(`cron_${controller.scheduledTime}`, env.ENVIRONMENT || 'production');
+		logger.info('Scheduled run started', { cron: controller.cron });
+
+		if (controller.cron === CONFIG.RETENTION_CRON) {
+			try {
+				await applyRetention(env, logger, controller.scheduledTime);
+			} catch (error) {
+				logger.error('Retention failed', error as Error);
+			}
+			return;
+		}
+
+		try {
+			const alerts = await evaluateAlertRules(env, logger);
+			logger.info('Alert rules evaluated', alerts);
+		} catch (error) {
+			logger.error('Alert evaluation failed', error as Error);
+		}
+
+		try {
+			const result = await env.DB.prepare('DELETE FROM auth_nonces WHERE expires_at < ?')
+				.bind(toStoredTimestamp(new Date(controller.scheduledTime)))
+				.run();
+			logger.info('Expired nonces removed', { count: result.meta.changes });
+		} catch (error) {
+			logger.error('Nonce cleanup failed', error as Error);
+		}
+	},
 };
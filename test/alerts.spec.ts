@@ -0,0 +1,145 @@
+import { createExecutionContext, createScheduledController, env, fetchMock, SELF, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import worker, { type Env } from '../src/index';
+import { adminFetch, makeEntry, minutesAgo, uploadRuns } from './helpers';
+
+async function createRule(rule: Record<string, unknown>): Promise<void> {
+	const response = await adminFetch('/api/alerts/rules', {
+		method: 'POST',
+		body: JSON.stringify({ name: 'Slow download', metric: 'nq_download_mbps', operator: 'lt', threshold: 100, ...rule }),
+	});
+	expect(response.status).toBe(201);
+}
+
+// Runs the 5-minute cron handler, optionally with the Worker-wide webhooks set
+async function evaluate(webhooks: Partial<Env> = {}): Promise<{ firing: unknown[]; events: Record<string, unknown>[] }> {
+	const ctx = createExecutionContext();
+	await worker.scheduled(createScheduledController({ cron: '*/5 * * * *', scheduledTime: Date.now() }), { ...env, ...webhooks }, ctx);
+	await waitOnExecutionContext(ctx);
+	return (await (await SELF.fetch('https://example.com/api/alerts')).json()) as { firing: unknown[]; events: Record<string, unknown>[] };
+}
+
+function run(timestamp: string, downloadMbps: number): Record<string, unknown> {
+	return makeEntry('home', { timestamp, networkquality: { download_mbps: downloadMbps } });
+}
+
+function browserRun(timestamp: string): Record<string, unknown> {
+	return makeEntry('home', { timestamp, networkquality: {}, speedtest: {}, browsertest: { download_mbps: 20, latency_ms: 15 } });
+}
+
+describe('alert evaluation', () => {
+	it('fires after the configured number of breaching runs', async () => {
+		await createRule({ consecutive_runs: 2 });
+		await uploadRuns('home', [run(minutesAgo(120), 40), run(minutesAgo(60), 50)]);
+
+		const alerts = await evaluate();
+
+		expect(alerts.firing).toHaveLength(1);
+		expect(alerts.events).toMatchObject([{ status: 'firing', value: 50, notification: 'skipped' }]);
+	});
+
+	it('does not count a browser test as a breaching run', async () => {
+		await createRule({ on_missing: 'breach' });
+		await uploadRuns('home', [run(minutesAgo(60), 500), browserRun(minutesAgo(5))]);
+
+		const alerts = await evaluate();
+
+		expect(alerts.firing).toHaveLength(0);
+	});
+
+	it('does not let a browser test interrupt consecutive breaching runs', async () => {
+		await createRule({ consecutive_runs: 2 });
+		await uploadRuns('home', [run(minutesAgo(120), 40), browserRun(minutesAgo(90)), run(minutesAgo(60), 50)]);
+
+		const alerts = await evaluate();
+
+		expect(alerts.firing).toHaveLength(1);
+	});
+});
+
+describe('alert notifications', () => {
+	const WEBHOOKS = { ALERT_WEBHOOK_URL: 'https://hooks.example.com/generic', ALERT_SLACK_WEBHOOK_URL: 'https://hooks.example.com/slack' };
+	// Status each webhook answers with, and the paths of the requests it received
+	let statuses: Record<string, number>;
+	let received: string[];
+
+	beforeEach(() => {
+		statuses = { '/generic': 200, '/slack': 200 };
+		received = [];
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+		fetchMock
+			.get('https://hooks.example.com')
+			.intercept({ path: () => true, method: 'POST' })
+			.reply(({ path }) => {
+				received.push(path);
+				return { statusCode: statuses[path] };
+			})
+			.persist();
+	});
+
+	afterEach(() => {
+		fetchMock.deactivate();
+	});
+
+	// Makes the pending delivery due now, as if its backoff had passed
+	async function skipBackoff(): Promise<void> {
+		await env.DB.prepare("UPDATE alert_state SET next_delivery_at = '2000-01-01T00:00:00.000Z'").run();
+	}
+
+	it('retries only the webhook that failed and updates the event', async () => {
+		await createRule({});
+		await uploadRuns('home', [run(minutesAgo(60), 40)]);
+		statuses['/generic'] = 500;
+
+		const fired = await evaluate(WEBHOOKS);
+
+		expect(received.sort()).toEqual(['/generic', '/slack']);
+		expect(fired.events).toMatchObject([{ status: 'firing', notification: 'failed', delivery_attempts: 1 }]);
+
+		received = [];
+		await evaluate(WEBHOOKS);
+		expect(received).toEqual([]);
+
+		statuses['/generic'] = 200;
+		await skipBackoff();
+		const retried = await evaluate(WEBHOOKS);
+
+		expect(received).toEqual(['/generic']);
+		expect(retried.events).toMatchObject([{ status: 'firing', notification: 'sent', delivery_attempts: 2 }]);
+		expect(retried.events).toHaveLength(1);
+	});
+
+	it('waits longer after each failed attempt', async () => {
+		await createRule({});
+		await uploadRuns('home', [run(minutesAgo(60), 40)]);
+		statuses['/generic'] = 500;
+		await evaluate(WEBHOOKS);
+		await skipBackoff();
+		await evaluate(WEBHOOKS);
+
+		const state = await env.DB.prepare('SELECT delivery_attempts, next_delivery_at FROM alert_state').first<{
+			delivery_attempts: number;
+			next_delivery_at: string;
+		}>();
+
+		expect(state!.delivery_attempts).toBe(2);
+		expect(new Date(state!.next_delivery_at).getTime() - Date.now()).toBeGreaterThan(9 * 60 * 1000);
+	});
+
+	it('gives up after the last attempt', async () => {
+		await createRule({});
+		await uploadRuns('home', [run(minutesAgo(60), 40)]);
+		statuses['/generic'] = 500;
+		await evaluate(WEBHOOKS);
+		await env.DB.prepare("UPDATE alert_state SET delivery_attempts = 11, next_delivery_at = '2000-01-01T00:00:00.000Z'").run();
+
+		const alerts = await evaluate(WEBHOOKS);
+		received = [];
+		await skipBackoff();
+		await evaluate(WEBHOOKS);
+
+		expect(alerts.events).toMatchObject([{ notification: 'failed', delivery_attempts: 12 }]);
+		expect(received).toEqual([]);
+	});
+});
@@ -0,0 +1,96 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { adminFetch, makeEntry, minutesAgo, uploadRuns } from './helpers';
+
+interface Anomaly {
+	metric: string;
+	kind: string;
+	timestamp: string;
+	confirmed_at: string;
+	value: number;
+	baseline: number;
+	score: number;
+	direction: string;
+	baseline_scope: string;
+}
+
+const NOW = Date.now();
+
+function hoursAgo(hours: number): string {
+	return minutesAgo(hours * 60, NOW);
+}
+
+// Hourly runs with the given download speeds, the last one an hour ago
+function runs(downloadMbps: number[]): Record<string, unknown>[] {
+	return downloadMbps.map((mbps, index) =>
+		makeEntry('home', { timestamp: hoursAgo(downloadMbps.length - index), networkquality: { download_mbps: mbps } })
+	);
+}
+
+// Twelve runs around 250 Mbit/s: a spread of 1 Mbit/s, widened to 10% of the median (25 Mbit/s)
+const USUAL = [248, 250, 252, 249, 251, 250, 248, 252, 250, 249, 251, 250];
+
+async function getAnomalies(query = ''): Promise<Anomaly[]> {
+	const response = await SELF.fetch(`https://example.com/api/anomalies?probe=home${query}`);
+	expect(response.status).toBe(200);
+	return ((await response.json()) as { anomalies: Anomaly[] }).anomalies;
+}
+
+describe('anomalies', () => {
+	it('flags a single run far below its baseline as an outlier, but not one far above it', async () => {
+		await uploadRuns('home', runs([...USUAL, 20, 250, 500, 250]));
+
+		expect(await getAnomalies()).toEqual([
+			expect.objectContaining({
+				metric: 'nq_download_mbps',
+				kind: 'outlier',
+				timestamp: hoursAgo(4),
+				confirmed_at: hoursAgo(4),
+				value: 20,
+				baseline: 250,
+				direction: 'down',
+				baseline_scope: 'all_hours',
+			}),
+		]);
+	});
+
+	it('records six degraded runs in a row as one shift at the first of them', async () => {
+		// 190 Mbit/s is 2.4 spreads below the baseline: enough for a shift, not for an outlier
+		await uploadRuns('home', runs([...USUAL, 190, 190, 190, 190, 190, 190, 190]));
+
+		expect(await getAnomalies()).toEqual([
+			expect.objectContaining({
+				kind: 'shift',
+				timestamp: hoursAgo(7),
+				confirmed_at: hoursAgo(2),
+				value: 190,
+				baseline: 250,
+			}),
+		]);
+	});
+
+	it('does not count a streak that an ordinary run interrupts', async () => {
+		await uploadRuns('home', runs([...USUAL, 190, 190, 190, 250, 190, 190, 190]));
+
+		expect(await getAnomalies()).toEqual([]);
+	});
+
+	it('replaces the anomalies of a range when rebuilt', async () => {
+		await uploadRuns('home', runs([...USUAL, 20, 250]));
+		await env.DB.prepare('UPDATE anomalies SET score = 0').run();
+		await env.DB.prepare(
+			`INSERT INTO anomalies (probe_id, metric, kind, timestamp, confirmed_at, value, baseline, spread, score, direction, baseline_scope)
+			 VALUES ('home', 'nq_upload_mbps', 'outlier', ?1, ?1, 1, 40, 4, 9, 'down', 'all_hours')`
+		)
+			.bind(hoursAgo(1))
+			.run();
+
+		const response = await adminFetch(`/api/anomalies/rebuild?probe=home&from=${hoursAgo(24).slice(0, 10)}T00:00:00Z`, {
+			method: 'POST',
+		});
+		expect(response.status).toBe(200);
+
+		const anomalies = await getAnomalies();
+		expect(anomalies).toEqual([expect.objectContaining({ metric: 'nq_download_mbps', value: 20, score: 9.2 })]);
+	});
+});
@@ -0,0 +1,4 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+
+// Setup files run outside isolated storage and may run several times; applyD1Migrations() skips applied migrations
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
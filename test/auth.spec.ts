@@ -0,0 +1,104 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { ADMIN_TOKEN, createKey, makeEntry, signUpload, upload } from './helpers';
+
+describe('upload authentication', () => {
+	it('accepts a signed upload', async () => {
+		const token = await createKey('home');
+		const body = JSON.stringify([makeEntry('home')]);
+
+		const response = await upload(body, await signUpload(token, body));
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ success: true, inserted: 1 });
+	});
+
+	it('accepts the key as a bearer token', async () => {
+		const token = await createKey('home');
+
+		const response = await upload([makeEntry('home')], { Authorization: `Bearer ${token}` });
+
+		expect(response.status).toBe(200);
+	});
+
+	it('rejects requests without credentials', async () => {
+		const response = await upload([makeEntry('home')], {});
+
+		expect(response.status).toBe(401);
+	});
+
+	it('rejects a signature over a different body', async () => {
+		const token = await createKey('home');
+		const body = JSON.stringify([makeEntry('home')]);
+
+		const response = await upload(body, await signUpload(token, body.replace('250.5', '999')));
+
+		expect(response.status).toBe(401);
+		expect(await response.json()).toMatchObject({ details: 'Invalid signature' });
+	});
+
+	it('rejects a replayed nonce', async () => {
+		const token = await createKey('home');
+		const body = JSON.stringify([makeEntry('home')]);
+		const headers = await signUpload(token, body, { nonce: 'replayed-nonce-0001' });
+
+		expect((await upload(body, headers)).status).toBe(200);
+		const replay = await upload(body, headers);
+
+		expect(replay.status).toBe(401);
+		expect(await replay.json()).toMatchObject({ details: 'Nonce has already been used' });
+	});
+
+	it('rejects timestamps outside the allowed clock skew', async () => {
+		const token = await createKey('home');
+		const body = JSON.stringify([makeEntry('home')]);
+
+		const response = await upload(body, await signUpload(token, body, { timestamp: Math.floor(Date.now() / 1000) - 3600 }));
+
+		expect(response.status).toBe(401);
+	});
+
+	it('rejects a wrong secret for a known key', async () => {
+		const token = await createKey('home');
+		const [keyId] = token.split('.');
+
+		const response = await upload([makeEntry('home')], { Authorization: `Bearer ${keyId}.${'0'.repeat(64)}` });
+
+		expect(response.status).toBe(401);
+		expect(await response.json()).toMatchObject({ details: 'Invalid API key' });
+	});
+
+	it('rejects revoked keys', async () => {
+		const token = await createKey('home');
+		const [keyId] = token.split('.');
+		await SELF.fetch(`https://example.com/api/admin/keys/${keyId}`, {
+			method: 'DELETE',
+			headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+		});
+
+		const response = await upload([makeEntry('home')], { Authorization: `Bearer ${token}` });
+
+		expect(response.status).toBe(401);
+	});
+
+	it('only lets a key write its own probe', async () => {
+		const token = await createKey('home');
+
+		const response = await upload([makeEntry('office')], { Authorization: `Bearer ${token}` });
+
+		expect(response.status).toBe(403);
+	});
+
+	it('limits browser test keys to browser test runs', async () => {
+		const token = await createKey('home', 'browsertest');
+		const headers = { Authorization: `Bearer ${token}` };
+		const browserRun = makeEntry('home', {
+			networkquality: {},
+			speedtest: {},
+			browsertest: { download_mbps: 120, upload_mbps: 20, latency_ms: 14 },
+		});
+
+		expect((await upload([browserRun], headers)).status).toBe(200);
+		expect((await upload([makeEntry('home')], headers)).status).toBe(403);
+	});
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { buildEntry, EMPTY_SPEEDTEST, EMPTY_THROUGHPUT, parseMtr, parsePing } from '../collector/src/entry.js';
+import { createKey, signUpload, upload } from './helpers';
+
+const LINUX_PING = `PING 1.1.1.1 (1.1.1.1) 56(84) bytes of data.
+
+--- 1.1.1.1 ping statistics ---
+10 packets transmitted, 10 received, 0% packet loss, time 9013ms
+rtt min/avg/max/mdev = 8.912/10.204/14.738/1.592 ms
+`;
+
+const MACOS_PING = `PING 8.8.8.8 (8.8.8.8): 56 data bytes
+
+--- 8.8.8.8 ping statistics ---
+10 packets transmitted, 9 packets received, 10.0% packet loss
+round-trip min/avg/max/stddev = 11.204/12.881/16.032/1.410 ms
+`;
+
+const MTR_JSON = JSON.stringify({
+	report: {
+		mtr: { src: 'pi', dst: '1.1.1.1', tos: 0, tests: 10, psize: '64', bitpattern: '0x00' },
+		hubs: [
+			{ count: 1, host: '192.168.1.1', 'Loss%': 0.0, Snt: 10, Last: 0.61, Avg: 0.72, Best: 0.55, Wrst: 1.1, StDev: 0.15 },
+			{ count: 2, host: '???', 'Loss%': 100.0, Snt: 10, Last: 0.0, Avg: 0.0, Best: 0.0, Wrst: 0.0, StDev: 0.0 },
+			{ count: 3, host: '1.1.1.1', 'Loss%': 0.0, Snt: 10, Last: 9.2, Avg: 9.8, Best: 8.9, Wrst: 12.4, StDev: 1.0 },
+		],
+	},
+});
+
+describe('collector ping parsing', () => {
+	const endpoint = { id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1' };
+
+	it('reads the Linux summary', () => {
+		expect(parsePing(endpoint, LINUX_PING)).toEqual({
+			...endpoint,
+			packet_loss_percent: 0,
+			rtt_ms: { min: 8.912, avg: 10.204, max: 14.738, stddev: 1.592 },
+		});
+	});
+
+	it('reads the macOS summary', () => {
+		expect(parsePing(endpoint, MACOS_PING)).toMatchObject({ packet_loss_percent: 10, rtt_ms: { min: 11.204, stddev: 1.41 } });
+	});
+
+	it('keeps the loss when no reply came back', () => {
+		const output = '3 packets transmitted, 0 received, 100% packet loss, time 2041ms\n';
+
+		expect(parsePing(endpoint, output)).toEqual({ ...endpoint, packet_loss_percent: 100 });
+	});
+});
+
+describe('collector entry', () => {
+	it('is accepted by the upload endpoint', async () => {
+		const token = await createKey('pi');
+		const entry = buildEntry({
+			timestamp: new Date(Date.now() - 60_000).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+			probe: { id: 'pi', name: 'Living room', connection_type: 'ethernet', interval_seconds: 3600 },
+			annotation: 'Ethernet',
+			networkquality: { download_mbps: 512.3, upload_mbps: 48.1, responsiveness_rpm: 1450 },
+			speedtest: EMPTY_SPEEDTEST,
+			ping: [
+				parsePing({ id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1' }, LINUX_PING),
+				parsePing({ id: 'google', name: 'Google', host: '8.8.8.8' }, MACOS_PING),
+			],
+			curl: [{ id: 'example', name: 'Example', host: 'https://example.com', dns_lookup_s: 0.012345, ttfb_s: 0.104, http_code: '200' }],
+			mtr: [parseMtr({ id: 'cloudflare', name: 'Cloudflare' }, MTR_JSON)],
+			dns: [{ id: 'cloudflare', name: 'Cloudflare DNS', domain: 'cloudflare.com', resolver: '1.1.1.1', query_time_ms: 7 }],
+		});
+		const body = JSON.stringify([entry]);
+
+		const response = await upload(body, await signUpload(token, body));
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ success: true, inserted: 1 });
+	});
+
+	it('is accepted when the throughput test is skipped and nothing was measured', async () => {
+		const token = await createKey('pi');
+		const entry = buildEntry({
+			timestamp: new Date(Date.now() - 60_000).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+			probe: { id: 'pi' },
+			annotation: '',
+			networkquality: EMPTY_THROUGHPUT,
+			speedtest: EMPTY_SPEEDTEST,
+			ping: [parsePing({ id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1' }, '')],
+			curl: [{ id: 'example', name: 'Example', host: 'https://example.com' }],
+			mtr: [{ id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1', hops: [] }],
+			dns: [{ id: 'cloudflare', name: 'Cloudflare DNS', domain: 'cloudflare.com', resolver: '1.1.1.1' }],
+		});
+		const body = JSON.stringify([entry]);
+
+		const response = await upload(body, await signUpload(token, body));
+
+		expect(response.status).toBe(200);
+	});
+});
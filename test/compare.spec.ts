@@ -0,0 +1,87 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { makeEntry, minutesAgo, uploadRuns } from './helpers';
+
+interface Comparison {
+	metric: string;
+	baseline: { count: number; median: number | null };
+	current: { count: number; median: number | null };
+	p_value: number | null;
+	effect: number | null;
+	change: string;
+	verdict: string;
+}
+
+function ping(id: string, lossPercent: number, rttAvg = 20) {
+	return { id, name: id, host: '192.0.2.1', packet_loss_percent: lossPercent, rtt_ms: { min: 1, avg: rttAvg, max: 50, stddev: 2 } };
+}
+
+// One run per hour, starting `hoursAgo` hours ago
+function runs(hoursAgo: number, overrides: Record<string, unknown>[]): Record<string, unknown>[] {
+	return overrides.map((override, index) => makeEntry('home', { timestamp: minutesAgo((hoursAgo - index) * 60), ...override }));
+}
+
+function downloads(mbps: number[]): Record<string, unknown>[] {
+	return mbps.map((download_mbps) => ({ networkquality: { download_mbps } }));
+}
+
+async function compare(query: string): Promise<Comparison[]> {
+	const response = await SELF.fetch(`https://example.com/api/compare?probe=home&${query}`);
+	expect(response.status).toBe(200);
+	return ((await response.json()) as { comparisons: Comparison[] }).comparisons;
+}
+
+describe('GET /api/compare', () => {
+	it('reports a drop in download speed against a baseline window as worse', async () => {
+		await uploadRuns('home', [
+			...runs(40, downloads([248, 250, 252, 249, 251, 250, 248, 252, 250, 249])),
+			...runs(20, downloads([148, 150, 152, 149, 151, 150, 148, 152, 150, 149])),
+		]);
+
+		const [comparison] = await compare(
+			`metric=nq_download_mbps&baseline_from=${minutesAgo(41 * 60)}&baseline_to=${minutesAgo(30 * 60)}&from=${minutesAgo(21 * 60)}`
+		);
+
+		expect(comparison).toMatchObject({
+			metric: 'nq_download_mbps',
+			baseline: { count: 10, median: 250 },
+			current: { count: 10, median: 150 },
+			p_value: 0.0002,
+			effect: 0,
+			change: 'down',
+			verdict: 'worse',
+		});
+	});
+
+	it('corrects for ties, which are common in packet loss', async () => {
+		// Without the tie correction the p-value of this split would be 0.14
+		const loss = (percent: number) => ({ ping_results: [ping('gw', percent)] });
+		await uploadRuns('home', [...runs(40, Array(10).fill(loss(0))), ...runs(20, [...Array(6).fill(loss(0)), ...Array(4).fill(loss(1))])]);
+
+		const [comparison] = await compare(`metric=ping.gw.packet_loss_percent&split=${minutesAgo(25 * 60)}`);
+
+		expect(comparison).toMatchObject({ p_value: 0.0336, effect: 0.7, change: 'up', verdict: 'worse' });
+	});
+
+	it('finds no change between identical windows', async () => {
+		await uploadRuns('home', [...runs(40, downloads(Array(10).fill(250))), ...runs(20, downloads(Array(10).fill(250)))]);
+
+		const [comparison] = await compare(`metric=nq_download_mbps&split=${minutesAgo(25 * 60)}`);
+
+		expect(comparison).toMatchObject({ p_value: 1, effect: 0.5, change: 'none', verdict: 'unchanged' });
+	});
+
+	it('leaves windows with fewer than 10 runs inconclusive unless endpoints are pooled', async () => {
+		const rtt = (ms: number) => ({ ping_results: [ping('gw', 0, ms), ping('dns', 0, ms + 1)] });
+		await uploadRuns('home', [...runs(40, Array(5).fill(rtt(20))), ...runs(20, Array(5).fill(rtt(40)))]);
+		const query = `metric=ping.gw.rtt_avg,ping.dns.rtt_avg&split=${minutesAgo(25 * 60)}`;
+
+		expect(await compare(query)).toMatchObject([
+			{ metric: 'ping.dns.rtt_avg', p_value: null, verdict: 'inconclusive' },
+			{ metric: 'ping.gw.rtt_avg', p_value: null, verdict: 'inconclusive' },
+		]);
+		expect(await compare(`${query}&pool=endpoints`)).toMatchObject([
+			{ metric: 'ping.*.rtt_avg', baseline: { count: 10 }, current: { count: 10 }, change: 'up', verdict: 'worse' },
+		]);
+	});
+});
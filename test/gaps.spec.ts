@@ -0,0 +1,73 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { makeEntry, minutesAgo, uploadRuns } from './helpers';
+
+interface Gap {
+	probe_id: string;
+	start: string;
+	end: string;
+	duration_seconds: number;
+	missed_runs: number;
+	ongoing: boolean;
+}
+
+// Fixed, so timestamps built for the upload and for the expectations agree to the second
+const NOW = Date.now();
+
+function hoursAgo(hours: number): string {
+	return minutesAgo(hours * 60, NOW);
+}
+
+// Runs of a collector that uploads every hour
+function run(hours: number): Record<string, unknown> {
+	return makeEntry('home', { timestamp: hoursAgo(hours), probe: { id: 'home', interval_seconds: 3600 } });
+}
+
+function browserRun(hours: number): Record<string, unknown> {
+	return makeEntry('home', {
+		timestamp: hoursAgo(hours),
+		networkquality: {},
+		speedtest: {},
+		browsertest: { download_mbps: 50, latency_ms: 12 },
+	});
+}
+
+async function getGaps(query = ''): Promise<Gap[]> {
+	const response = await SELF.fetch(`https://example.com/api/gaps?probe=home${query}`);
+	expect(response.status).toBe(200);
+	return ((await response.json()) as { gaps: Gap[] }).gaps;
+}
+
+describe('GET /api/gaps', () => {
+	it('reports runs further apart than 1.5 intervals, and the silence since the last run', async () => {
+		await uploadRuns('home', [run(10), run(9), run(8), run(5), run(4)]);
+
+		expect(await getGaps()).toEqual([
+			{
+				probe_id: 'home',
+				start: hoursAgo(8),
+				end: hoursAgo(5),
+				duration_seconds: 3 * 3600,
+				missed_runs: 2,
+				ongoing: false,
+			},
+			expect.objectContaining({ start: hoursAgo(4), ongoing: true }),
+		]);
+	});
+
+	it('does not let a browser test split a gap', async () => {
+		await uploadRuns('home', [run(10), browserRun(8), run(6), run(5.5)]);
+
+		const gaps = (await getGaps(`&to=${hoursAgo(5)}`)).filter((gap) => !gap.ongoing);
+
+		expect(gaps).toMatchObject([{ start: hoursAgo(10), end: hoursAgo(6), missed_runs: 3 }]);
+	});
+
+	it('reports a gap that straddles the start of the range', async () => {
+		await uploadRuns('home', [run(10), run(4), run(3.5)]);
+
+		const gaps = (await getGaps(`&from=${hoursAgo(6)}&to=${hoursAgo(3)}`)).filter((gap) => !gap.ongoing);
+
+		expect(gaps).toMatchObject([{ start: hoursAgo(10), end: hoursAgo(4) }]);
+	});
+});
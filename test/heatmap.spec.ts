@@ -0,0 +1,68 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { makeEntry, uploadRuns } from './helpers';
+
+interface HeatmapSeries {
+	metric: string;
+	probe_id: string;
+	cells: Record<string, unknown>[];
+}
+
+// Yesterday in UTC, and its weekday counted from Monday as the heatmap does
+const DAY = new Date(Date.now() - 86400_000).toISOString().slice(0, 10);
+const WEEKDAY = (new Date(`${DAY}T00:00:00Z`).getUTCDay() + 6) % 7;
+const NEXT_DAY = new Date(Date.parse(`${DAY}T00:00:00Z`) + 86400_000).toISOString().slice(0, 10);
+
+function run(time: string, downloadMbps: number, overrides: Record<string, unknown> = {}): Record<string, unknown> {
+	return makeEntry('home', { timestamp: `${DAY}T${time}Z`, networkquality: { download_mbps: downloadMbps }, ...overrides });
+}
+
+async function getHeatmap(query: string): Promise<HeatmapSeries[]> {
+	const response = await SELF.fetch(`https://example.com/api/heatmap?probe=home&${query}`);
+	expect(response.status).toBe(200);
+	return ((await response.json()) as { series: HeatmapSeries[] }).series;
+}
+
+describe('GET /api/heatmap', () => {
+	it('groups runs by weekday and hour', async () => {
+		await uploadRuns('home', [run('20:10:00', 100), run('20:40:00', 300), run('20:50:00', 200), run('21:05:00', 50)]);
+
+		expect(await getHeatmap('metric=nq_download_mbps')).toEqual([
+			{
+				metric: 'nq_download_mbps',
+				probe_id: 'home',
+				cells: [
+					{ weekday: WEEKDAY, hour: 20, count: 3, min: 100, median: 200, p95: 300 },
+					{ weekday: WEEKDAY, hour: 21, count: 1, min: 50, median: 50, p95: 50 },
+				],
+			},
+		]);
+	});
+
+	it('reads hours and dates in the requested time zone', async () => {
+		await uploadRuns('home', [run('14:30:00', 100), run('22:30:00', 200)]);
+
+		const [series] = await getHeatmap('metric=nq_download_mbps&layout=date&tz=Asia/Tokyo');
+
+		expect(series.cells).toMatchObject([
+			{ date: DAY, hour: 23, median: 100 },
+			{ date: NEXT_DAY, hour: 7, median: 200 },
+		]);
+	});
+
+	it('expands a metric prefix to one series per matching metric', async () => {
+		const ping = { id: 'gw', name: 'Gateway', host: '192.0.2.1', packet_loss_percent: 0, rtt_ms: { min: 1, avg: 2, max: 3, stddev: 0.5 } };
+		await uploadRuns('home', [run('10:00:00', 100, { ping_results: [ping] })]);
+
+		const series = await getHeatmap('metric=ping.gw.rtt*');
+
+		expect(series.map((s) => s.metric)).toEqual(['ping.gw.rtt_avg', 'ping.gw.rtt_max', 'ping.gw.rtt_min', 'ping.gw.rtt_stddev']);
+	});
+
+	it('rejects an unknown layout or time zone', async () => {
+		for (const query of ['metric=nq_download_mbps&layout=month', 'metric=nq_download_mbps&tz=Mars/Olympus']) {
+			const response = await SELF.fetch(`https://example.com/api/heatmap?${query}`);
+			expect(response.status).toBe(400);
+		}
+	});
+});
@@ -0,0 +1,72 @@
+import { createExecutionContext, env, SELF, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/index';
+
+export const ADMIN_TOKEN = 'test-admin-token';
+
+export async function createKey(probeId: string, scope: 'upload' | 'browsertest' = 'upload'): Promise<string> {
+	const response = await SELF.fetch('https://example.com/api/admin/keys', {
+		method: 'POST',
+		headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+		body: JSON.stringify({ probe_id: probeId, scope }),
+	});
+	if (response.status !== 201) throw new Error(`Creating an API key failed with HTTP ${response.status}`);
+	return ((await response.json()) as { token: string }).token;
+}
+
+// Same scheme as the collectors' signUpload(): HMAC-SHA256 of "<timestamp>\n<nonce>\n<body>" keyed with the secret
+export async function signUpload(
+	token: string,
+	body: string,
+	{ timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() } = {}
+): Promise<Record<string, string>> {
+	const [keyId, secret] = token.split('.');
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}\n${nonce}\n${body}`));
+	const signature = [...new Uint8Array(mac)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+	return { 'X-Key-Id': keyId, 'X-Timestamp': String(timestamp), 'X-Nonce': nonce, 'X-Signature': signature };
+}
+
+// Calls the Worker directly and waits for its waitUntil() work, so rollups and the like are written when this returns
+export async function upload(body: unknown, headers: Record<string, string>, query = ''): Promise<Response> {
+	const request = new Request(`https://example.com/upload${query}`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: typeof body === 'string' ? body : JSON.stringify(body),
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+// Stored form of a timestamp `minutes` minutes before `now`, in whole seconds
+export function minutesAgo(minutes: number, now = Date.now()): string {
+	return new Date(now - minutes * 60_000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Requests an admin route with the admin token
+export function adminFetch(path: string, init: RequestInit = {}): Promise<Response> {
+	return SELF.fetch(`https://example.com${path}`, { ...init, headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...init.headers } });
+}
+
+// Stores entries of one probe with a fresh upload key
+export async function uploadRuns(probeId: string, entries: Record<string, unknown>[]): Promise<void> {
+	const token = await createKey(probeId);
+	const response = await upload(entries, { Authorization: `Bearer ${token}` });
+	if (response.status !== 200) throw new Error(`Upload failed with HTTP ${response.status}: ${await response.text()}`);
+}
+
+// A minimal entry the schema accepts, taken a minute ago so it is inside the accepted window
+export function makeEntry(probeId: string, overrides: Record<string, unknown> = {}): Record<string, unknown> {
+	return {
+		timestamp: minutesAgo(1),
+		probe: { id: probeId },
+		networkquality: { download_mbps: 250.5, upload_mbps: 40.2, responsiveness_rpm: 1200 },
+		speedtest: { download_mbps: null, upload_mbps: null, ping_ms: null, server_location: null, server_country: null },
+		ping_results: [],
+		curl_results: [],
+		mtr_results: [],
+		dns_results: [],
+		...overrides,
+	};
+}
@@ -0,0 +1,61 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createKey, makeEntry, upload } from './helpers';
+
+let headers: Record<string, string>;
+
+beforeEach(async () => {
+	headers = { Authorization: `Bearer ${await createKey('home')}` };
+});
+
+describe('partial uploads', () => {
+	it('stores the valid entries and reports the others', async () => {
+		const response = await upload([makeEntry('home'), makeEntry('home', { timestamp: 'yesterday' })], headers, '?mode=partial');
+
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({
+			inserted: 1,
+			duplicates: 0,
+			invalid: 1,
+			results: [
+				{ index: 0, status: 'inserted', probe_id: 'home' },
+				{ index: 1, status: 'invalid', errors: [{ path: '/1/timestamp' }] },
+			],
+		});
+	});
+
+	it('reports entries that are already stored as duplicates', async () => {
+		const stored = makeEntry('home');
+		await upload([stored], headers);
+		const fresh = makeEntry('home', { timestamp: new Date(Date.now() - 120_000).toISOString().replace(/\.\d{3}Z$/, 'Z') });
+
+		const response = await upload([stored, fresh], headers, '?mode=partial');
+
+		expect(await response.json()).toMatchObject({
+			inserted: 1,
+			duplicates: 1,
+			results: [
+				{ index: 0, status: 'duplicate' },
+				{ index: 1, status: 'inserted' },
+			],
+		});
+	});
+
+	it('rejects the whole batch for one invalid entry without the mode', async () => {
+		const valid = makeEntry('home');
+
+		const response = await upload([valid, makeEntry('home', { timestamp: 'yesterday' })], headers);
+
+		expect(response.status).toBe(400);
+		expect(await response.json()).toMatchObject({ details: expect.stringContaining('/1/timestamp') });
+		expect(await (await upload([valid], headers, '?mode=partial')).json()).toMatchObject({ inserted: 1 });
+	});
+
+	it('rejects the whole batch for one duplicate without the mode', async () => {
+		const stored = makeEntry('home');
+		await upload([stored], headers);
+
+		const response = await upload([stored], headers);
+
+		expect(response.status).toBe(409);
+	});
+});
@@ -0,0 +1,95 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { adminFetch, makeEntry, minutesAgo, uploadRuns } from './helpers';
+
+interface ReportDay {
+	date: string;
+	runs: number;
+	download_median_mbps: number | null;
+}
+
+async function setContract(probeId: string, contract: Record<string, unknown>): Promise<void> {
+	const response = await adminFetch(`/api/probes/${probeId}/contract`, {
+		method: 'PUT',
+		body: JSON.stringify({ download_mbps: 500, upload_mbps: 50, ...contract }),
+	});
+	expect(response.status).toBe(200);
+}
+
+async function getReport(probeId: string, query = ''): Promise<Record<string, any>> {
+	const response = await SELF.fetch(`https://example.com/api/report?probe=${probeId}${query}`);
+	expect(response.status).toBe(200);
+	return response.json();
+}
+
+function run(timestamp: string, downloadMbps: number, uploadMbps = 50): Record<string, unknown> {
+	return makeEntry('home', { timestamp, networkquality: { download_mbps: downloadMbps, upload_mbps: uploadMbps } });
+}
+
+function nextDay(day: string): string {
+	return new Date(Date.parse(`${day}T00:00:00Z`) + 86400_000).toISOString().slice(0, 10);
+}
+
+function browserRun(timestamp: string, downloadMbps: number): Record<string, unknown> {
+	return makeEntry('home', {
+		timestamp,
+		networkquality: {},
+		speedtest: {},
+		browsertest: { download_mbps: downloadMbps, upload_mbps: 5, latency_ms: 20 },
+	});
+}
+
+describe('SLA report', () => {
+	it('reports browser tests as their own source without ranking days by them', async () => {
+		await uploadRuns('home', [run(minutesAgo(3 * 1440), 480), run(minutesAgo(2 * 1440), 450), browserRun(minutesAgo(2 * 1440 - 5), 30)]);
+		await setContract('home', {});
+
+		const report = await getReport('home');
+
+		expect(report.download.sources.bt.all).toMatchObject({ measurements: 1, median_mbps: 30 });
+		expect(report.download.sources.nq.all).toMatchObject({ measurements: 2 });
+		expect(report.worst_days.map((day: ReportDay) => [day.runs, day.download_median_mbps])).toEqual([
+			[1, 450],
+			[1, 480],
+		]);
+	});
+
+	it('names the browser test as a hand-started source on the printable page', async () => {
+		await uploadRuns('home', [run(minutesAgo(60), 480)]);
+		await setContract('home', {});
+
+		const html = await (await SELF.fetch('https://example.com/api/report?probe=home&format=html')).text();
+
+		expect(html).not.toContain('both tools combined');
+		expect(html).toContain('Browser test rows were started by hand');
+	});
+
+	it('falls back to the ping round trip time for latency when Speedtest did not run', async () => {
+		const ping = (avg: number) => [
+			{ id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1', packet_loss_percent: 0, rtt_ms: { min: avg, avg, max: avg } },
+		];
+		await uploadRuns('home', [
+			makeEntry('home', { timestamp: minutesAgo(180), ping_results: ping(10) }),
+			makeEntry('home', { timestamp: minutesAgo(120), ping_results: ping(30) }),
+			makeEntry('home', { timestamp: minutesAgo(60), speedtest: { ping_ms: 12 }, ping_results: ping(40) }),
+		]);
+		await setContract('home', { latency_ms: 20 });
+
+		const report = await getReport('home');
+
+		expect(report.latency.all).toEqual({ measurements: 3, median: 12, meeting_percent: 66.7 });
+	});
+
+	it('splits busy hours and days in the contract time zone', async () => {
+		// Asia/Kolkata is UTC+05:30 all year; busy hours are 19:00-23:00 there
+		const day = new Date(Date.now() - 3 * 86400_000).toISOString().slice(0, 10);
+		await uploadRuns('home', [run(`${day}T13:00:00Z`, 100), run(`${day}T14:00:00Z`, 200), run(`${day}T20:00:00Z`, 300)]);
+		await setContract('home', { timezone: 'Asia/Kolkata' });
+
+		const report = await getReport('home');
+
+		expect(report.download.sources.nq.busy).toMatchObject({ measurements: 1, median_mbps: 200 });
+		expect(report.download.sources.nq.off_peak).toMatchObject({ measurements: 2 });
+		expect(report.worst_days.map((worst: ReportDay) => worst.date)).toEqual([day, nextDay(day)]);
+	});
+});
@@ -0,0 +1,80 @@
+import { createExecutionContext, createScheduledController, env, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import worker, { type Env } from '../src/index';
+import { makeEntry, uploadRuns } from './helpers';
+
+// Yesterday in UTC; the retention cron below runs as if days had passed since
+const DAY = new Date(Date.now() - 86400_000).toISOString().slice(0, 10);
+
+const TRACE = {
+	id: 'cloudflare',
+	name: 'Cloudflare',
+	host: '1.1.1.1',
+	hops: [{ count: 1, host: '192.168.1.1', loss_percent: 0, avg_ms: 1.2 }],
+};
+
+function run(time: string, downloadMbps: number): Record<string, unknown> {
+	return makeEntry('home', { timestamp: `${DAY}T${time}Z`, networkquality: { download_mbps: downloadMbps }, mtr_results: [TRACE] });
+}
+
+// Runs the daily retention cron `daysLater` days from now, optionally with RETENTION_* overrides
+async function applyRetention(daysLater: number, policy: Partial<Env> = {}): Promise<void> {
+	const ctx = createExecutionContext();
+	const controller = createScheduledController({ cron: '30 3 * * *', scheduledTime: Date.now() + daysLater * 86400_000 });
+	await worker.scheduled(controller, { ...env, ...policy }, ctx);
+	await waitOnExecutionContext(ctx);
+}
+
+async function count(sql: string): Promise<number> {
+	return (await env.DB.prepare(`SELECT COUNT(*) AS total FROM ${sql}`).first<{ total: number }>())!.total;
+}
+
+async function dailyDownload(): Promise<Record<string, unknown> | null> {
+	return env.DB.prepare(
+		"SELECT count, min, max FROM metric_rollups WHERE bucket = 'day' AND metric = 'nq_download_mbps' AND bucket_start = ?"
+	)
+		.bind(`${DAY}T00:00:00Z`)
+		.first();
+}
+
+describe('retention', () => {
+	it('deletes raw days past the cutoff and keeps their rollups', async () => {
+		await uploadRuns('home', [run('10:00:00', 100), run('11:00:00', 300)]);
+
+		await applyRetention(89);
+		expect(await count('network_logs')).toBe(2);
+
+		await applyRetention(91);
+		expect(await count('network_logs')).toBe(0);
+		expect(await dailyDownload()).toEqual({ count: 2, min: 100, max: 300 });
+		expect(await count("metric_rollups WHERE bucket = 'hour'")).toBeGreaterThan(0);
+	});
+
+	it('rolls up a day that has no rollups before deleting it', async () => {
+		await uploadRuns('home', [run('10:00:00', 100), run('11:00:00', 300)]);
+		await env.DB.prepare('DELETE FROM metric_rollups').run();
+
+		await applyRetention(91);
+
+		expect(await count('network_logs')).toBe(0);
+		expect(await dailyDownload()).toEqual({ count: 2, min: 100, max: 300 });
+	});
+
+	it('strips per-hop statistics from traces past the MTR detail cutoff', async () => {
+		await uploadRuns('home', [run('10:00:00', 100)]);
+
+		await applyRetention(31);
+
+		const row = await env.DB.prepare('SELECT mtr_results FROM network_logs').first<{ mtr_results: string }>();
+		expect(JSON.parse(row!.mtr_results)).toEqual([{ ...TRACE, hops: [{ count: 1, host: '192.168.1.1' }] }]);
+	});
+
+	it('follows the RETENTION_* variables, where 0 keeps a tier forever', async () => {
+		await uploadRuns('home', [run('10:00:00', 100)]);
+
+		await applyRetention(400, { RETENTION_RAW_DAYS: '0', RETENTION_HOURLY_DAYS: '7', RETENTION_DAILY_DAYS: '365' });
+		expect(await count('network_logs')).toBe(1);
+		expect(await count("metric_rollups WHERE bucket = 'hour'")).toBe(0);
+		expect(await count("metric_rollups WHERE bucket = 'day'")).toBe(0);
+	});
+});
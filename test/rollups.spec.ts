@@ -0,0 +1,75 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { adminFetch, makeEntry, uploadRuns } from './helpers';
+
+interface RollupPoint {
+	bucket_start: string;
+	count: number;
+	min: number;
+	median: number;
+	max: number;
+}
+
+// Yesterday in UTC, so every hour of the day is inside the accepted upload window
+const DAY = new Date(Date.now() - 86400_000).toISOString().slice(0, 10);
+
+function run(time: string, downloadMbps: number): Record<string, unknown> {
+	return makeEntry('home', { timestamp: `${DAY}T${time}Z`, networkquality: { download_mbps: downloadMbps } });
+}
+
+async function points(bucket: 'hour' | 'day'): Promise<RollupPoint[]> {
+	const response = await SELF.fetch(`https://example.com/api/aggregate?bucket=${bucket}&metric=nq_download_mbps&probe=home`);
+	expect(response.status).toBe(200);
+	const { series } = (await response.json()) as { series: { points: RollupPoint[] }[] };
+	return series[0]?.points ?? [];
+}
+
+describe('rollups', () => {
+	it('puts each run into its UTC hour and day', async () => {
+		await uploadRuns('home', [run('10:00:00', 100), run('10:59:59', 300), run('11:00:00', 200)]);
+
+		expect(await points('hour')).toMatchObject([
+			{ bucket_start: `${DAY}T10:00:00Z`, count: 2, min: 100, max: 300 },
+			{ bucket_start: `${DAY}T11:00:00Z`, count: 1, min: 200, max: 200 },
+		]);
+		expect(await points('day')).toMatchObject([{ bucket_start: `${DAY}T00:00:00Z`, count: 3, median: 200 }]);
+	});
+
+	it('rewrites only the hours an upload touched, and the day', async () => {
+		await uploadRuns('home', [run('10:00:00', 100)]);
+		await env.DB.prepare("UPDATE metric_rollups SET count = 99 WHERE bucket = 'hour'").run();
+
+		await uploadRuns('home', [run('12:30:00', 300)]);
+
+		expect((await points('hour')).map((point) => point.count)).toEqual([99, 1]);
+		expect(await points('day')).toMatchObject([{ count: 2 }]);
+	});
+
+	it('rebuilds every hour of a day on request', async () => {
+		await uploadRuns('home', [run('10:00:00', 100), run('12:30:00', 300)]);
+		await env.DB.prepare("UPDATE metric_rollups SET count = 99 WHERE bucket = 'hour'").run();
+
+		const response = await adminFetch(`/api/aggregate/rebuild?from=${DAY}T00:00:00Z`, { method: 'POST' });
+
+		expect(await response.json()).toMatchObject({ rebuilt_days: 1, next_from: null });
+		expect((await points('hour')).map((point) => point.count)).toEqual([1, 1]);
+	});
+
+	it('stores every bucket of a day with many metrics', async () => {
+		const pings = Array.from({ length: 40 }, (_, i) => ({
+			id: `endpoint-${i}`,
+			name: `Endpoint ${i}`,
+			host: `192.0.2.${i}`,
+			packet_loss_percent: 0,
+			rtt_ms: { min: 1, avg: 2, max: 3, stddev: 0.5 },
+		}));
+		const runs = Array.from({ length: 24 }, (_, hour) =>
+			makeEntry('home', { timestamp: `${DAY}T${String(hour).padStart(2, '0')}:15:00Z`, ping_results: pings })
+		);
+
+		await uploadRuns('home', runs);
+
+		const { total } = (await env.DB.prepare('SELECT COUNT(*) AS total FROM metric_rollups').first<{ total: number }>())!;
+		expect(total).toBe(25 * (40 * 5 + 3));
+	});
+});
@@ -0,0 +1,115 @@
+import { createExecutionContext, env, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import worker, { type Env } from '../src/index';
+import { makeEntry, minutesAgo, uploadRuns } from './helpers';
+
+const PING = { id: 'gw', name: 'Gateway', host: '192.0.2.1', packet_loss_percent: 0, rtt_ms: { min: 1, avg: 2, max: 3, stddev: 0.5 } };
+
+interface StatusSummary {
+	title: string;
+	state: string;
+	probes: { id: string; metrics: { metric: string }[] }[];
+	incidents: Record<string, unknown>[];
+}
+
+const NOW = Date.now();
+
+function ago(minutes: number): string {
+	return minutesAgo(minutes, NOW);
+}
+
+// Publishes only the home probe, so the basement probe must stay off the page and out of badges
+const PUBLISHED: Partial<Env> = { STATUS_PROBES: 'home', STATUS_TITLE: 'Home internet' };
+
+function run(minutes: number, downloadMbps: number): Record<string, unknown> {
+	return makeEntry('home', { timestamp: ago(minutes), networkquality: { download_mbps: downloadMbps }, ping_results: [PING] });
+}
+
+// Three runs that got through and one in which every test failed, plus a browser test that does not count
+async function storeRuns(): Promise<void> {
+	await uploadRuns('home', [
+		run(181, 200),
+		{ ...run(121, 0), ping_results: [{ ...PING, packet_loss_percent: 100, rtt_ms: null }] },
+		makeEntry('home', { timestamp: ago(100), networkquality: {}, speedtest: {}, browsertest: { download_mbps: 0, latency_ms: 12 } }),
+		run(61, 300),
+		run(1, 250),
+	]);
+	await uploadRuns('basement', [makeEntry('basement', { timestamp: ago(1) })]);
+}
+
+// Calls the Worker with STATUS_* variables set
+async function get(path: string, vars: Partial<Env> = PUBLISHED, headers: Record<string, string> = {}): Promise<Response> {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`https://example.com${path}`, { headers }), { ...env, ...vars }, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+describe('status page', () => {
+	it('summarizes the published probes and metrics', async () => {
+		await storeRuns();
+
+		const response = await get('/api/status');
+		expect(response.status).toBe(200);
+		const status = (await response.json()) as StatusSummary;
+
+		expect(status).toMatchObject({ title: 'Home internet', state: 'operational' });
+		expect(status.probes).toHaveLength(1);
+		expect(status.probes[0]).toMatchObject({ id: 'home', state: 'operational', last_run: ago(1), uptime_percent: { '1d': 75 } });
+		// Endpoint metrics are only published when STATUS_METRICS names them
+		expect(status.probes[0].metrics.map((metric) => metric.metric)).toEqual(['nq_download_mbps']);
+		expect(status.probes[0].metrics[0]).toMatchObject({ latest: 250, median: 250 });
+		expect(status.incidents).toEqual([
+			expect.objectContaining({ probe_id: 'home', kind: 'outage', start: ago(121), end: ago(61), ongoing: false }),
+		]);
+	});
+
+	it('renders the same summary as HTML', async () => {
+		await storeRuns();
+
+		const response = await get('/status');
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toContain('text/html');
+		const html = await response.text();
+		expect(html).toContain('Home internet');
+		expect(html).toContain('All systems operational');
+		expect(html).not.toContain('basement');
+	});
+});
+
+describe('GET /api/badge', () => {
+	it('shows uptime, state and published metrics of a published probe', async () => {
+		await storeRuns();
+
+		const uptime = await get('/api/badge?metric=uptime');
+		expect(uptime.status).toBe(200);
+		expect(uptime.headers.get('Content-Type')).toContain('image/svg+xml');
+		expect(await uptime.text()).toContain('<title>uptime 7d: 75%</title>');
+
+		expect(await (await get('/api/badge?metric=status&probe=home')).text()).toContain('<title>status: operational</title>');
+		expect(await (await get('/api/badge?metric=nq_download_mbps&stat=median&label=download')).text()).toContain(
+			'<title>download: 250 Mbps</title>'
+		);
+		expect(await (await get('/api/badge?metric=ping.gw.rtt_avg', { ...PUBLISHED, STATUS_METRICS: 'ping.gw.*' })).text()).toContain(
+			'<title>Gateway RTT: 2 ms</title>'
+		);
+	});
+
+	it('refuses probes and metrics that are not published', async () => {
+		await storeRuns();
+
+		expect((await get('/api/badge?metric=uptime&probe=basement')).status).toBe(404);
+		expect((await get('/api/badge?metric=ping.gw.rtt_avg')).status).toBe(404);
+		expect((await get('/api/badge?metric=uptime', {})).status).toBe(400);
+	});
+
+	it('answers a matching If-None-Match with 304', async () => {
+		await storeRuns();
+		const etag = (await get('/api/badge?metric=uptime')).headers.get('ETag')!;
+
+		const response = await get('/api/badge?metric=uptime', PUBLISHED, { 'If-None-Match': etag });
+
+		expect(response.status).toBe(304);
+	});
+});
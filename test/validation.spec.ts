@@ -0,0 +1,119 @@
+import { SELF } from 'cloudflare:test';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createKey, makeEntry, upload } from './helpers';
+
+interface FieldError {
+	path: string;
+	message: string;
+}
+
+let headers: Record<string, string>;
+
+beforeEach(async () => {
+	headers = { Authorization: `Bearer ${await createKey('home')}` };
+});
+
+async function errorsOf(entry: unknown): Promise<FieldError[]> {
+	const response = await upload([entry], headers);
+	expect(response.status).toBe(400);
+	const body = (await response.json()) as { errors: { errors: FieldError[] }[] };
+	return body.errors.flatMap((result) => result.errors);
+}
+
+describe('entry validation', () => {
+	it('stores a complete entry', async () => {
+		const entry = makeEntry('home', {
+			ping_results: [
+				{ id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1', packet_loss_percent: 0, rtt_ms: { min: 8, avg: 9, max: 12, stddev: 1 } },
+			],
+			curl_results: [{ id: 'example', name: 'Example', host: 'example.com', dns_lookup_s: 0.012, ttfb_s: 0.1, http_code: '200' }],
+			mtr_results: [
+				{ id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1', hops: [{ count: 1, host: '192.168.1.1', loss_percent: 0, avg_ms: 1.2 }] },
+			],
+			dns_results: [{ id: 'cloudflare', name: 'Cloudflare DNS', domain: 'cloudflare.com', resolver: '1.1.1.1', query_time_ms: 7 }],
+		});
+
+		const response = await upload([entry], headers);
+
+		expect(response.status).toBe(200);
+	});
+
+	it('requires every result array', async () => {
+		const { dns_results, ...entry } = makeEntry('home');
+
+		expect(await errorsOf(entry)).toContainEqual({ path: '/0/dns_results', message: 'is required' });
+	});
+
+	it('rejects unknown fields', async () => {
+		const errors = await errorsOf(makeEntry('home', { networkquality: { download_mbps: 1, latency_ms: 3 } }));
+
+		expect(errors).toContainEqual(expect.objectContaining({ path: '/0/networkquality/latency_ms' }));
+	});
+
+	it('rejects values outside their range', async () => {
+		const errors = await errorsOf(makeEntry('home', { networkquality: { download_mbps: -1 } }));
+
+		expect(errors).toContainEqual(expect.objectContaining({ path: '/0/networkquality/download_mbps' }));
+	});
+
+	it('rejects timestamps in the future', async () => {
+		const errors = await errorsOf(makeEntry('home', { timestamp: new Date(Date.now() + 2 * 3600_000).toISOString() }));
+
+		expect(errors).toContainEqual(expect.objectContaining({ path: '/0/timestamp' }));
+	});
+
+	it('rejects duplicate result ids', async () => {
+		const ping = { id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1' };
+
+		const errors = await errorsOf(makeEntry('home', { ping_results: [ping, ping] }));
+
+		expect(errors).toContainEqual(expect.objectContaining({ path: '/0/ping_results/1/id' }));
+	});
+
+	it('rejects round trips that are not ordered', async () => {
+		const ping = { id: 'cloudflare', name: 'Cloudflare', host: '1.1.1.1', rtt_ms: { min: 10, avg: 5, max: 12 } };
+
+		const errors = await errorsOf(makeEntry('home', { ping_results: [ping] }));
+
+		expect(errors).toContainEqual(expect.objectContaining({ path: '/0/ping_results/0/rtt_ms' }));
+	});
+
+	it('rejects an older schema version', async () => {
+		const errors = await errorsOf(makeEntry('home', { schema_version: 2 }));
+
+		expect(errors).toContainEqual(expect.objectContaining({ path: '/0/schema_version' }));
+	});
+
+	it('requires the body to be an array', async () => {
+		const response = await upload(makeEntry('home'), headers);
+
+		expect(response.status).toBe(400);
+		expect(await response.json()).toMatchObject({ error: 'Request body must be an array' });
+	});
+
+	it('limits the batch size', async () => {
+		const response = await upload(
+			Array.from({ length: 101 }, () => makeEntry('home')),
+			headers
+		);
+
+		expect(response.status).toBe(400);
+	});
+});
+
+describe('GET /api/schema', () => {
+	it('serves the schema of the current version', async () => {
+		const response = await SELF.fetch('https://example.com/api/schema');
+		const schema = (await response.json()) as Record<string, unknown>;
+
+		expect(response.headers.get('Content-Type')).toBe('application/schema+json');
+		expect(schema).toMatchObject({ type: 'array', maxItems: 100, items: { additionalProperties: false } });
+		expect(schema.$id).toBe(`https://example.com/api/schema?version=${schema['x-schema-version']}`);
+	});
+
+	it('rejects unknown versions', async () => {
+		const response = await SELF.fetch('https://example.com/api/schema?version=1');
+
+		expect(response.status).toBe(404);
+	});
+});
@@ -0,0 +1,23 @@
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
+
+export default defineWorkersConfig(async () => {
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.ts'],
+			poolOptions: {
+				workers: {
+					singleWorker: true,
+					// wrangler.jsonc points DB at the remote database; tests always run against a local one
+					remoteBindings: false,
+					wrangler: { configPath: './wrangler.jsonc' },
+					miniflare: {
+						bindings: { TEST_MIGRATIONS: migrations, ADMIN_TOKEN: 'test-admin-token', API_KEY_PEPPER: 'test-pepper' },
+					},
+				},
+			},
+		},
+	};
+});